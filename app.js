@@ -21,7 +21,13 @@ app.use((req, res, next) => {
 });
 
 app.use(cookieParser());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/webhook')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ... existing static file handling ...
@@ -78,6 +84,9 @@ const pnCasesRoutes = require('./routes/pn-cases');
 const appointmentsRoutes = require('./routes/appointments');
 const adminRoutes = require('./routes/admin');
 const specializedRoutes = require('./routes/specialized');
+const bodychecksRoutes = require('./routes/bodychecks');
+const ptSchedulesRoutes = require('./routes/pt-schedules');
+const waitlistRoutes = require('./routes/waitlist');
 const publicRoutes = require('./routes/public');
 const documentsRoutes = require('./routes/documents');
 const webhooksRoutes = require('./routes/webhooks');
@@ -103,6 +112,9 @@ app.use('/api', appointmentsRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api', testRoutes);
 app.use('/api', specializedRoutes);
+app.use('/api', bodychecksRoutes);
+app.use('/api', ptSchedulesRoutes);
+app.use('/api', waitlistRoutes);
 
 // --- THAI CARD API ROUTE ---
 // IMPORTANT: Must be mounted BEFORE pn-cases to avoid /:id catch-all conflict
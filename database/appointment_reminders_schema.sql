@@ -0,0 +1,50 @@
+-- Appointment Reminders Schema
+-- Reminder offsets with their own channel and template, and a log of every
+-- delivery attempt (utils/reminders.js)
+
+-- One row per reminder, e.g. SMS 24 hours before and LINE 2 hours before
+-- Template placeholders: {patient_name} {date} {time} {end_time} {pt_name}
+-- {clinic_name} {clinic_phone} {clinic_address} {manage_link}
+CREATE TABLE IF NOT EXISTS appointment_reminder_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    offset_minutes INT NOT NULL,
+    channel ENUM('SMS', 'LINE', 'EMAIL') NOT NULL,
+    subject VARCHAR(255) DEFAULT NULL COMMENT 'Email subject',
+    template TEXT NOT NULL,
+    attach_ics TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Email only',
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Every delivery attempt; the unique key lets only one server instance claim
+-- a given attempt, so reminders are never sent twice. Attempts are kept per
+-- appointment start (scheduled_for), so a rescheduled appointment is reminded
+-- again for its new time.
+CREATE TABLE IF NOT EXISTS appointment_reminder_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id INT NOT NULL,
+    rule_id INT NOT NULL,
+    scheduled_for DATETIME NOT NULL,
+    attempt_no INT NOT NULL DEFAULT 1,
+    channel ENUM('SMS', 'LINE', 'EMAIL') NOT NULL,
+    recipient VARCHAR(255) DEFAULT NULL,
+    status ENUM('PENDING', 'SENT', 'FAILED', 'SKIPPED') NOT NULL DEFAULT 'PENDING',
+    message TEXT,
+    error_message VARCHAR(500) DEFAULT NULL,
+    instance_id VARCHAR(100) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME DEFAULT NULL,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    FOREIGN KEY (rule_id) REFERENCES appointment_reminder_rules(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_attempt (appointment_id, rule_id, scheduled_for, attempt_no),
+    INDEX idx_status (status, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Default reminders (disabled until an admin turns them on)
+INSERT IGNORE INTO appointment_reminder_rules (name, offset_minutes, channel, template, enabled) VALUES
+('SMS 24 hours before', 1440, 'SMS', 'Reminder: {patient_name}, your appointment at {clinic_name} is on {date} at {time}. Call {clinic_phone} to reschedule.', 0),
+('LINE 2 hours before', 120, 'LINE', 'Reminder: your appointment at {clinic_name} with {pt_name} starts today at {time}.', 0);
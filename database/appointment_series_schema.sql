@@ -0,0 +1,40 @@
+-- Appointment Series Schema
+-- Recurring appointment series (e.g. twice a week for a 10-session course)
+-- Each occurrence is still a normal row in appointments linked by series_id
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    pt_id INT NOT NULL,
+    clinic_id INT NOT NULL,
+    course_id INT DEFAULT NULL,
+    start_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    -- Comma separated ISO weekdays (1 = Monday ... 7 = Sunday), e.g. '2,4'
+    days_of_week VARCHAR(20) NOT NULL,
+    interval_weeks TINYINT NOT NULL DEFAULT 1,
+    -- End rule: occurrence_count, until_date or until the course runs out of sessions
+    end_type ENUM('COUNT', 'UNTIL', 'COURSE') NOT NULL DEFAULT 'COUNT',
+    occurrence_count INT DEFAULT NULL,
+    until_date DATE DEFAULT NULL,
+    appointment_type VARCHAR(50) DEFAULT NULL,
+    reason TEXT,
+    notes TEXT,
+    status ENUM('ACTIVE', 'CANCELLED') NOT NULL DEFAULT 'ACTIVE',
+    calendar_event_id VARCHAR(255) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    FOREIGN KEY (pt_id) REFERENCES users(id),
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id),
+    INDEX idx_patient (patient_id),
+    INDEX idx_course (course_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- series_index is the 1-based position of the occurrence in the series
+ALTER TABLE appointments
+    ADD COLUMN series_id INT DEFAULT NULL,
+    ADD COLUMN series_index INT DEFAULT NULL,
+    ADD INDEX idx_series (series_id, appointment_date);
@@ -0,0 +1,74 @@
+-- Body Check & Body Annotation Schema
+-- Server-side store for body diagrams drawn on PN cases and body checks
+
+-- Whole-body annotation drawn when a PN case is created or a visit is completed.
+-- Strokes use normalised coordinates (0-1) so they render at any canvas size.
+CREATE TABLE IF NOT EXISTS body_annotations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    entity_type VARCHAR(30) NOT NULL DEFAULT 'pn_case',
+    entity_id INT NOT NULL DEFAULT 0 COMMENT '0 while the PN case is still being created',
+    version INT NOT NULL DEFAULT 1 COMMENT 'Sequence per entity, one per visit',
+    appointment_id INT DEFAULT NULL,
+    strokes_json LONGTEXT NOT NULL,
+    image_width INT DEFAULT NULL,
+    image_height INT DEFAULT NULL,
+    constant_pain TINYINT(1) NOT NULL DEFAULT 0,
+    intermittent_pain TINYINT(1) NOT NULL DEFAULT 0,
+    pain_type VARCHAR(255) DEFAULT NULL,
+    aggravation TEXT DEFAULT NULL,
+    easing_factor TEXT DEFAULT NULL,
+    severity TINYINT DEFAULT NULL COMMENT '0-10',
+    notes TEXT DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_entity_version (entity_type, entity_id, version)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Regions tagged on an annotation with pain score and symptom type
+CREATE TABLE IF NOT EXISTS body_annotation_regions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    annotation_id INT NOT NULL,
+    region_name VARCHAR(100) NOT NULL,
+    pain_score TINYINT DEFAULT NULL COMMENT '0-10',
+    symptom_type ENUM('pain', 'spasm', 'radicular', 'numbness', 'other') NOT NULL DEFAULT 'pain',
+    notes VARCHAR(500) DEFAULT NULL,
+    FOREIGN KEY (annotation_id) REFERENCES body_annotations(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_annotation_region (annotation_id, region_name, symptom_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Detailed region-by-region body check for a PN case
+CREATE TABLE IF NOT EXISTS bodychecks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pn_id INT NOT NULL,
+    patient_id INT NOT NULL,
+    status ENUM('DRAFT', 'SAVED', 'ACCEPTED') NOT NULL DEFAULT 'DRAFT',
+    all_regions TINYINT(1) NOT NULL DEFAULT 0,
+    created_by INT DEFAULT NULL,
+    accepted_by INT DEFAULT NULL,
+    accepted_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (pn_id) REFERENCES pn_cases(id) ON DELETE CASCADE,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    INDEX idx_pn (pn_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bodycheck_regions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    bodycheck_id INT NOT NULL,
+    region_name VARCHAR(100) NOT NULL,
+    pain_count INT NOT NULL DEFAULT 0,
+    spasm_count INT NOT NULL DEFAULT 0,
+    radicular_count INT NOT NULL DEFAULT 0,
+    numbness_count INT NOT NULL DEFAULT 0,
+    pain_score TINYINT DEFAULT NULL COMMENT '0-10',
+    strokes_json LONGTEXT DEFAULT NULL,
+    image_width INT DEFAULT NULL,
+    image_height INT DEFAULT NULL,
+    updated_by INT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (bodycheck_id) REFERENCES bodychecks(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_bodycheck_region (bodycheck_id, region_name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,49 @@
+-- Broadcast Consent Schema
+-- Per-patient, per-channel marketing consent (PDPA), suppression of broadcast
+-- recipients without consent, and quiet hours (utils/marketing-consent.js,
+-- utils/broadcast.js)
+
+-- Current consent; a patient without a row has not consented
+CREATE TABLE IF NOT EXISTS patient_marketing_consent (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    channel ENUM('email', 'sms') NOT NULL,
+    consented TINYINT(1) NOT NULL DEFAULT 0,
+    source ENUM('staff', 'unsubscribe_link', 'sms_keyword') NOT NULL,
+    note VARCHAR(255) DEFAULT NULL,
+    recorded_by INT DEFAULT NULL COMMENT 'Staff user; NULL when changed by the patient',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_patient_channel (patient_id, channel)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Every consent change, kept as evidence
+CREATE TABLE IF NOT EXISTS patient_marketing_consent_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    channel ENUM('email', 'sms') NOT NULL,
+    consented TINYINT(1) NOT NULL,
+    source ENUM('staff', 'unsubscribe_link', 'sms_keyword') NOT NULL,
+    note VARCHAR(255) DEFAULT NULL,
+    recorded_by INT DEFAULT NULL,
+    ip_address VARCHAR(45) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    INDEX idx_patient_created (patient_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Recipients skipped for lack of consent are logged as 'suppressed'
+ALTER TABLE broadcast_logs
+    MODIFY COLUMN status ENUM('pending', 'sent', 'failed', 'suppressed') NOT NULL DEFAULT 'pending',
+    ADD COLUMN suppression_reason ENUM('no_consent', 'opted_out') DEFAULT NULL AFTER status;
+
+ALTER TABLE broadcast_campaigns
+    ADD COLUMN suppressed_count INT DEFAULT 0 AFTER failed_count;
+
+-- Quiet hours (HH:mm, server time): broadcasts are held until the end; empty disables
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('broadcast_quiet_hours_start', '20:00');
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('broadcast_quiet_hours_end', '08:00');
+
+-- Shared secret the SMS provider sends with inbound messages (?secret=...);
+-- the STOP keyword webhook is disabled while empty
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('sms_inbound_webhook_secret', '');
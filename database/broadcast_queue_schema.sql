@@ -0,0 +1,23 @@
+-- Broadcast Queue Schema
+-- broadcast_logs becomes the persistent send queue: one row per recipient is
+-- written when a campaign starts, and the dispatcher sends pending rows within
+-- per-channel rate limits, retrying failures with exponential backoff
+-- (utils/broadcast.js)
+
+ALTER TABLE broadcast_campaigns
+    MODIFY COLUMN status ENUM('draft', 'scheduled', 'sending', 'paused', 'sent', 'cancelled', 'failed') NOT NULL DEFAULT 'draft';
+
+-- processing = claimed by a server instance (locked_by) and being sent
+ALTER TABLE broadcast_logs
+    MODIFY COLUMN status ENUM('pending', 'processing', 'sent', 'failed', 'suppressed', 'cancelled') NOT NULL DEFAULT 'pending',
+    ADD COLUMN patient_id INT DEFAULT NULL AFTER campaign_id,
+    ADD COLUMN attempts INT NOT NULL DEFAULT 0 AFTER error_message,
+    ADD COLUMN next_attempt_at DATETIME DEFAULT NULL AFTER attempts,
+    ADD COLUMN locked_by VARCHAR(100) DEFAULT NULL AFTER next_attempt_at,
+    ADD COLUMN locked_at DATETIME DEFAULT NULL AFTER locked_by,
+    ADD INDEX idx_queue (status, recipient_type, next_attempt_at),
+    ADD INDEX idx_locked_at (recipient_type, locked_at);
+
+-- Messages per minute for each provider, shared by all server instances
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('broadcast_email_per_minute', '60');
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('broadcast_sms_per_minute', '30');
@@ -0,0 +1,10 @@
+-- Broadcast Segments Schema
+-- Audience segments built from patient data, and scheduled dispatch of
+-- campaigns (utils/broadcast.js)
+
+-- segment_filters (JSON) for target_audience = 'segment':
+-- { clinic_id, last_visit_within_days, last_visit_over_days, has_active_course,
+--   diagnosis, body_area, age_min, age_max, birth_month }
+ALTER TABLE broadcast_campaigns
+    MODIFY COLUMN target_audience ENUM('all_customers', 'all_patients', 'custom', 'segment') NOT NULL DEFAULT 'all_patients',
+    ADD COLUMN segment_filters TEXT DEFAULT NULL COMMENT 'JSON audience filters for segment campaigns' AFTER custom_recipients;
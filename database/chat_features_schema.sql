@@ -0,0 +1,53 @@
+-- Chat Features Schema
+-- File attachments, per-message delivered/read receipts, edit and delete
+-- history, and full-text search for chat messages (utils/chat.js)
+
+-- Deleted messages keep their row (and history) but no longer show their text;
+-- ngram indexes Thai text, which has no spaces between words
+ALTER TABLE chat_messages
+    ADD COLUMN edited_at DATETIME DEFAULT NULL,
+    ADD COLUMN deleted_at DATETIME DEFAULT NULL,
+    ADD FULLTEXT INDEX ft_message (message) WITH PARSER ngram;
+
+-- Files sent in a conversation; stored under UPLOAD_DIR like pn_attachments
+CREATE TABLE IF NOT EXISTS chat_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    mime_type VARCHAR(100) DEFAULT NULL,
+    file_size INT DEFAULT NULL,
+    uploaded_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    INDEX idx_message (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per message per receiving user; replaces chat_messages.read_at
+CREATE TABLE IF NOT EXISTS chat_message_receipts (
+    message_id INT NOT NULL,
+    user_id INT NOT NULL,
+    delivered_at DATETIME DEFAULT NULL,
+    read_at DATETIME DEFAULT NULL,
+    PRIMARY KEY (message_id, user_id),
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    INDEX idx_user_unread (user_id, read_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Existing messages keep their read state
+INSERT IGNORE INTO chat_message_receipts (message_id, user_id, delivered_at, read_at)
+SELECT id, recipient_id, COALESCE(read_at, created_at), read_at
+FROM chat_messages
+WHERE recipient_id IS NOT NULL;
+
+-- Previous text of every edited or deleted message
+CREATE TABLE IF NOT EXISTS chat_message_edits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL,
+    action ENUM('edit', 'delete') NOT NULL,
+    previous_message TEXT,
+    edited_by INT NOT NULL,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    INDEX idx_message (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
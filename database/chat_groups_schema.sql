@@ -0,0 +1,49 @@
+-- Chat Groups Schema
+-- Group conversations with named members and admin roles, and one channel per
+-- clinic whose members follow users.clinic_id and user_clinic_grants
+-- (utils/chat-groups.js)
+
+-- user1_id/user2_id stay for direct conversations (unique pair); groups and
+-- clinic channels leave them NULL
+ALTER TABLE chat_conversations
+    MODIFY COLUMN user1_id INT NULL,
+    MODIFY COLUMN user2_id INT NULL,
+    ADD COLUMN type ENUM('direct', 'group', 'clinic') NOT NULL DEFAULT 'direct' AFTER id,
+    ADD COLUMN name VARCHAR(255) DEFAULT NULL AFTER type,
+    ADD COLUMN clinic_id INT DEFAULT NULL AFTER name,
+    ADD COLUMN created_by INT DEFAULT NULL,
+    ADD UNIQUE KEY uniq_clinic_channel (clinic_id);
+
+-- Who takes part in each conversation, for every type
+CREATE TABLE IF NOT EXISTS chat_conversation_members (
+    conversation_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role ENUM('admin', 'member') NOT NULL DEFAULT 'member',
+    added_by INT DEFAULT NULL,
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (conversation_id, user_id),
+    FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Existing one-to-one conversations
+INSERT IGNORE INTO chat_conversation_members (conversation_id, user_id)
+SELECT id, user1_id FROM chat_conversations WHERE type = 'direct' AND user1_id IS NOT NULL
+UNION
+SELECT id, user2_id FROM chat_conversations WHERE type = 'direct' AND user2_id IS NOT NULL;
+
+-- A channel for every clinic, with its current staff
+INSERT IGNORE INTO chat_conversations (type, name, clinic_id, created_at, last_message_at)
+SELECT 'clinic', name, id, NOW(), NOW() FROM clinics;
+
+INSERT IGNORE INTO chat_conversation_members (conversation_id, user_id)
+SELECT c.id, u.id
+FROM chat_conversations c
+JOIN users u ON u.clinic_id = c.clinic_id AND u.active = 1
+WHERE c.type = 'clinic'
+UNION
+SELECT c.id, g.user_id
+FROM chat_conversations c
+JOIN user_clinic_grants g ON g.clinic_id = c.clinic_id
+JOIN users u ON u.id = g.user_id AND u.active = 1
+WHERE c.type = 'clinic';
@@ -0,0 +1,22 @@
+-- Clinic Pricing Schema
+-- Per-clinic price and availability of each service, effective-dated
+-- (utils/service-pricing.js)
+
+-- Each row is one version of a clinic's setting for a service. The version in
+-- force on a date is the latest one with effective_from <= that date; with no
+-- version the service is enabled at services.default_price. A NULL
+-- clinic_price keeps the default price.
+CREATE TABLE IF NOT EXISTS clinic_service_prices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    clinic_id INT NOT NULL,
+    service_id INT NOT NULL,
+    clinic_price DECIMAL(10, 2) DEFAULT NULL,
+    is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+    effective_from DATE NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_version (clinic_id, service_id, effective_from),
+    INDEX idx_service (service_id),
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE,
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
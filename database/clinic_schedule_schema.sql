@@ -0,0 +1,53 @@
+-- Clinic Schedule Schema
+-- Weekly opening hours, breaks, holidays/closures and slot lengths used by the
+-- availability engine (utils/availability.js)
+
+-- Weekly opening hours (day_of_week: 0 = Sunday ... 6 = Saturday)
+-- A clinic without rows uses the default 09:00-20:00 every day
+CREATE TABLE IF NOT EXISTS clinic_opening_hours (
+    clinic_id INT NOT NULL,
+    day_of_week TINYINT NOT NULL,
+    is_closed TINYINT(1) NOT NULL DEFAULT 0,
+    open_time TIME DEFAULT NULL,
+    close_time TIME DEFAULT NULL,
+    updated_by INT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (clinic_id, day_of_week),
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Recurring breaks such as lunch (NULL day_of_week = every day)
+CREATE TABLE IF NOT EXISTS clinic_breaks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    clinic_id INT NOT NULL,
+    day_of_week TINYINT DEFAULT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    label VARCHAR(100) DEFAULT NULL,
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE,
+    INDEX idx_clinic (clinic_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Public holidays (clinic_id NULL = all clinics) and ad-hoc closures
+-- start_time/end_time NULL = closed all day, otherwise closed for that window only
+CREATE TABLE IF NOT EXISTS clinic_closures (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    clinic_id INT DEFAULT NULL,
+    closure_date DATE NOT NULL,
+    closure_type ENUM('HOLIDAY', 'CLOSURE') NOT NULL DEFAULT 'CLOSURE',
+    start_time TIME DEFAULT NULL,
+    end_time TIME DEFAULT NULL,
+    reason VARCHAR(255) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE,
+    INDEX idx_date_clinic (closure_date, clinic_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Default slot length per clinic
+ALTER TABLE clinics
+    ADD COLUMN slot_minutes INT NOT NULL DEFAULT 30 COMMENT 'Default booking slot length';
+
+-- Slot length per service (NULL = clinic default)
+ALTER TABLE services
+    ADD COLUMN slot_minutes INT DEFAULT NULL COMMENT 'Booking slot length for this service';
@@ -0,0 +1,28 @@
+-- Course Sharing Schema
+-- Lifecycle columns for course_shared_users and sharing entries in course_usage_history
+-- Run after the base courses tables exist
+
+-- Sharing used to allow the same patient twice on a course; keep one row per
+-- course and patient (an active one when there is one, otherwise the newest)
+-- so the unique key below can be added
+DELETE dup FROM course_shared_users dup
+JOIN course_shared_users keep
+    ON keep.course_id = dup.course_id
+   AND keep.patient_id = dup.patient_id
+   AND (COALESCE(keep.is_active, 0) > COALESCE(dup.is_active, 0)
+        OR (COALESCE(keep.is_active, 0) = COALESCE(dup.is_active, 0) AND keep.id > dup.id));
+
+ALTER TABLE course_shared_users
+    ADD COLUMN deactivated_at DATETIME DEFAULT NULL,
+    ADD COLUMN deactivated_by INT DEFAULT NULL,
+    ADD UNIQUE KEY unique_course_patient (course_id, patient_id);
+
+-- patient_id records who a history row is about (family member added/removed, or who used the session)
+-- action_type gains SHARE_ADD, SHARE_REMOVE and SHARE_REACTIVATE alongside USE and RETURN
+ALTER TABLE course_usage_history
+    ADD COLUMN patient_id INT DEFAULT NULL AFTER pn_id,
+    MODIFY COLUMN action_type VARCHAR(30) NOT NULL,
+    ADD INDEX idx_course_patient (course_id, patient_id);
+
+-- Maximum active family members per course (default 3 when not set)
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('course_max_sharers', '3');
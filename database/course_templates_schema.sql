@@ -0,0 +1,26 @@
+-- Course Templates Schema
+-- Clinic-scoped course templates and eligible services
+-- Run after the base courses / course_templates tables exist
+
+-- NULL clinic_id = template is sold at every clinic
+ALTER TABLE course_templates
+    ADD COLUMN clinic_id INT DEFAULT NULL COMMENT 'Clinic this template is sold at (NULL = all clinics)' AFTER id,
+    ADD COLUMN created_by INT DEFAULT NULL,
+    ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    ADD INDEX idx_clinic_active (clinic_id, active),
+    ADD FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE;
+
+-- Services a course session can be used for
+CREATE TABLE IF NOT EXISTS course_template_services (
+    template_id INT NOT NULL,
+    service_id INT NOT NULL,
+    PRIMARY KEY (template_id, service_id),
+    FOREIGN KEY (template_id) REFERENCES course_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Remember which template a course was sold from
+ALTER TABLE courses
+    ADD COLUMN template_id INT DEFAULT NULL AFTER course_code,
+    ADD INDEX idx_template (template_id),
+    ADD FOREIGN KEY (template_id) REFERENCES course_templates(id) ON DELETE SET NULL;
@@ -0,0 +1,34 @@
+-- Google OAuth Schema
+-- Single-use OAuth state tokens and the link/unlink history of Google
+-- accounts (utils/google-auth.js)
+
+-- Only hashes are stored: the state travels through Google, the session nonce
+-- stays in an httpOnly cookie of the browser that started the flow
+CREATE TABLE IF NOT EXISTS oauth_states (
+    state_hash CHAR(64) PRIMARY KEY,
+    purpose ENUM('link', 'signin') NOT NULL,
+    user_id INT DEFAULT NULL,
+    session_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Every time a Google account is linked to, replaced on or removed from a user
+CREATE TABLE IF NOT EXISTS google_account_links (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    action ENUM('link', 'relink', 'unlink') NOT NULL,
+    google_id VARCHAR(255) DEFAULT NULL,
+    google_email VARCHAR(255) DEFAULT NULL,
+    previous_google_id VARCHAR(255) DEFAULT NULL,
+    previous_google_email VARCHAR(255) DEFAULT NULL,
+    source ENUM('profile', 'signin') NOT NULL,
+    performed_by INT DEFAULT NULL,
+    ip_address VARCHAR(45) DEFAULT NULL,
+    user_agent VARCHAR(500) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user (user_id, created_at),
+    INDEX idx_google (google_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
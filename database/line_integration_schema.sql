@@ -0,0 +1,47 @@
+-- LINE Integration Schema
+-- Links LINE users to patients so the webhook can answer commands and
+-- notifications can be pushed to individual patients
+
+-- LINE accounts linked to a patient (one patient may link several LINE users)
+CREATE TABLE IF NOT EXISTS patient_line_accounts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    line_user_id VARCHAR(64) NOT NULL,
+    display_name VARCHAR(255) DEFAULT NULL,
+    linked_via ENUM('CODE', 'HN_DOB') NOT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    unlinked_at DATETIME DEFAULT NULL,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_line_user (line_user_id),
+    INDEX idx_patient_active (patient_id, is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One-time link codes handed out by staff
+CREATE TABLE IF NOT EXISTS line_link_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(10) NOT NULL,
+    patient_id INT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME DEFAULT NULL,
+    used_by_line_user_id VARCHAR(64) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_code (code),
+    INDEX idx_patient (patient_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Captured webhook events (source IDs for admin, failed link attempts for rate limiting)
+CREATE TABLE IF NOT EXISTS line_webhook_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_type VARCHAR(30) NOT NULL,
+    source_type VARCHAR(20) DEFAULT NULL COMMENT 'user, group or room',
+    source_id VARCHAR(64) DEFAULT NULL,
+    line_user_id VARCHAR(64) DEFAULT NULL,
+    message_text VARCHAR(500) DEFAULT NULL,
+    command VARCHAR(30) DEFAULT NULL COMMENT 'Recognised keyword command, LINK_FAILED on a rejected link attempt',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_created (created_at),
+    INDEX idx_user_command (line_user_id, command, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
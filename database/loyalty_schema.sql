@@ -0,0 +1,86 @@
+-- Loyalty Program Schema
+-- Points ledger, tier rules and gift card redemption for patients
+
+CREATE TABLE IF NOT EXISTS loyalty_tier_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    tier ENUM('BRONZE', 'SILVER', 'GOLD', 'PLATINUM') NOT NULL,
+    min_spending DECIMAL(12,2) NOT NULL DEFAULT 0 COMMENT 'Paid spending within the evaluation window required to hold this tier',
+    points_per_100_baht INT NOT NULL DEFAULT 1,
+    discount_percentage DECIMAL(5,2) NOT NULL DEFAULT 0,
+    description VARCHAR(500) DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_tier (tier)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO loyalty_tier_rules (tier, min_spending, points_per_100_baht, discount_percentage, description) VALUES
+    ('BRONZE', 0, 1, 0, 'Welcome tier for every patient'),
+    ('SILVER', 10000, 2, 5, 'Priority booking'),
+    ('GOLD', 30000, 3, 10, 'Priority booking and free reassessment'),
+    ('PLATINUM', 60000, 5, 15, 'Dedicated therapist and free reassessment');
+
+-- One loyalty member per patient
+CREATE TABLE IF NOT EXISTS loyalty_members (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    patient_id INT NOT NULL,
+    membership_tier ENUM('BRONZE', 'SILVER', 'GOLD', 'PLATINUM') NOT NULL DEFAULT 'BRONZE',
+    total_points INT NOT NULL DEFAULT 0 COMMENT 'All points ever earned (net of reversals)',
+    available_points INT NOT NULL DEFAULT 0 COMMENT 'Points that can still be redeemed',
+    lifetime_spending DECIMAL(12,2) NOT NULL DEFAULT 0,
+    status ENUM('ACTIVE', 'INACTIVE', 'SUSPENDED') NOT NULL DEFAULT 'ACTIVE',
+    member_since DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    tier_updated_at DATETIME DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_patient (patient_id),
+    INDEX idx_tier (membership_tier),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Append-only points ledger; every balance change has a row here
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    member_id INT NOT NULL,
+    transaction_type ENUM('EARN', 'REVERSAL', 'REDEEM', 'ADJUST', 'TIER_CHANGE') NOT NULL,
+    points INT NOT NULL DEFAULT 0 COMMENT 'Signed points delta',
+    amount DECIMAL(10,2) DEFAULT NULL COMMENT 'Signed spending delta for EARN/REVERSAL rows',
+    balance_after INT NOT NULL DEFAULT 0 COMMENT 'available_points after this transaction',
+    bill_id INT DEFAULT NULL,
+    gift_card_id INT DEFAULT NULL,
+    description VARCHAR(500) DEFAULT NULL,
+    transaction_date DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by INT DEFAULT NULL,
+    FOREIGN KEY (member_id) REFERENCES loyalty_members(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_member_date (member_id, transaction_date),
+    INDEX idx_bill (bill_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS gift_card_catalog (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description VARCHAR(500) DEFAULT NULL,
+    points_required INT NOT NULL,
+    gift_card_value DECIMAL(10,2) NOT NULL,
+    validity_days INT NOT NULL DEFAULT 180,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Gift cards issued through redemption
+CREATE TABLE IF NOT EXISTS gift_cards (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    gift_card_code VARCHAR(32) NOT NULL,
+    member_id INT NOT NULL,
+    catalog_id INT NOT NULL,
+    points_spent INT NOT NULL,
+    value DECIMAL(10,2) NOT NULL,
+    status ENUM('ACTIVE', 'USED', 'EXPIRED', 'CANCELLED') NOT NULL DEFAULT 'ACTIVE',
+    expires_at DATE DEFAULT NULL,
+    used_at DATETIME DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (member_id) REFERENCES loyalty_members(id) ON DELETE CASCADE,
+    FOREIGN KEY (catalog_id) REFERENCES gift_card_catalog(id),
+    UNIQUE KEY unique_code (gift_card_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,96 @@
+-- PN Workflows Schema
+-- Per-clinic PN case workflows: allowed status transitions, the roles that may
+-- make them, required fields and side effects (utils/pn-workflow.js)
+
+-- definition: { "transitions": [{ "key", "label", "from": [...], "to", "roles": [...],
+--   "required_fields": [...], "effects": [...] }] }
+CREATE TABLE IF NOT EXISTS pn_workflows (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500) DEFAULT NULL,
+    is_default TINYINT(1) NOT NULL DEFAULT 0,
+    definition JSON NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- NULL = default workflow. A case follows its target clinic's workflow, else
+-- its source clinic's, else the default.
+ALTER TABLE clinics
+    ADD COLUMN pn_workflow_id INT DEFAULT NULL,
+    ADD FOREIGN KEY (pn_workflow_id) REFERENCES pn_workflows(id) ON DELETE SET NULL;
+
+-- Standard workflow (the behaviour of PATCH /api/pn/:id/status before workflows:
+-- any case can be cancelled; only an ACCEPTED one gives its course session back;
+-- the set_* transitions keep the other status changes it allowed, which only
+-- changed the status)
+INSERT IGNORE INTO pn_workflows (name, description, is_default, definition) VALUES (
+    'Standard',
+    'PT assessment on accept, SOAP notes on completion',
+    1,
+    '{"transitions": [
+        {"key": "accept", "label": "Accept", "from": ["PENDING"], "to": "ACCEPTED", "roles": ["ADMIN", "PT"],
+         "required_fields": ["pt_diagnosis", "pt_chief_complaint", "pt_present_history", "pt_pain_score"],
+         "effects": ["save_body_annotation", "save_pt_assessment", "sync_appointment", "deduct_course_session", "notify"]},
+        {"key": "return_to_pending", "label": "Return to Pending", "from": ["ACCEPTED"], "to": "PENDING", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["return_course_session", "sync_appointment", "notify"]},
+        {"key": "complete", "label": "Complete", "from": ["ACCEPTED"], "to": "COMPLETED", "roles": ["ADMIN", "PT"],
+         "required_fields": ["soap_notes"],
+         "effects": ["save_soap_notes", "sync_appointment", "notify"]},
+        {"key": "cancel", "label": "Cancel", "from": ["PENDING", "IN_PROGRESS", "COMPLETED"], "to": "CANCELLED", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["save_cancellation_reason", "sync_appointment", "notify"]},
+        {"key": "cancel_accepted", "label": "Cancel", "from": ["ACCEPTED"], "to": "CANCELLED", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["save_cancellation_reason", "return_course_session", "sync_appointment", "notify"]},
+        {"key": "set_pending", "label": "Set to Pending", "from": ["IN_PROGRESS", "COMPLETED", "CANCELLED"], "to": "PENDING", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]},
+        {"key": "set_accepted", "label": "Set to Accepted", "from": ["IN_PROGRESS", "COMPLETED", "CANCELLED"], "to": "ACCEPTED", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]},
+        {"key": "set_in_progress", "label": "Set to In Progress", "from": ["PENDING", "ACCEPTED", "COMPLETED", "CANCELLED"], "to": "IN_PROGRESS", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]},
+        {"key": "set_completed", "label": "Set to Completed", "from": ["PENDING", "IN_PROGRESS", "CANCELLED"], "to": "COMPLETED", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]}
+    ]}'
+);
+
+-- CL001 records the assessment at booking (body annotation), so accepting
+-- needs no PT assessment fields
+INSERT IGNORE INTO pn_workflows (name, description, is_default, definition) VALUES (
+    'Assessment at Booking',
+    'Accept without PT assessment fields; SOAP notes on completion',
+    0,
+    '{"transitions": [
+        {"key": "accept", "label": "Accept", "from": ["PENDING"], "to": "ACCEPTED", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["save_body_annotation", "sync_appointment", "deduct_course_session", "notify"]},
+        {"key": "return_to_pending", "label": "Return to Pending", "from": ["ACCEPTED"], "to": "PENDING", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["return_course_session", "sync_appointment", "notify"]},
+        {"key": "complete", "label": "Complete", "from": ["ACCEPTED"], "to": "COMPLETED", "roles": ["ADMIN", "PT"],
+         "required_fields": ["soap_notes"],
+         "effects": ["save_soap_notes", "sync_appointment", "notify"]},
+        {"key": "cancel", "label": "Cancel", "from": ["PENDING", "IN_PROGRESS", "COMPLETED"], "to": "CANCELLED", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["save_cancellation_reason", "sync_appointment", "notify"]},
+        {"key": "cancel_accepted", "label": "Cancel", "from": ["ACCEPTED"], "to": "CANCELLED", "roles": ["ADMIN", "PT"],
+         "required_fields": [],
+         "effects": ["save_cancellation_reason", "return_course_session", "sync_appointment", "notify"]},
+        {"key": "set_pending", "label": "Set to Pending", "from": ["IN_PROGRESS", "COMPLETED", "CANCELLED"], "to": "PENDING", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]},
+        {"key": "set_accepted", "label": "Set to Accepted", "from": ["IN_PROGRESS", "COMPLETED", "CANCELLED"], "to": "ACCEPTED", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]},
+        {"key": "set_in_progress", "label": "Set to In Progress", "from": ["PENDING", "ACCEPTED", "COMPLETED", "CANCELLED"], "to": "IN_PROGRESS", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]},
+        {"key": "set_completed", "label": "Set to Completed", "from": ["PENDING", "IN_PROGRESS", "CANCELLED"], "to": "COMPLETED", "roles": ["ADMIN", "PT"],
+         "required_fields": [], "effects": ["notify"]}
+    ]}'
+);
+
+UPDATE clinics c
+JOIN pn_workflows w ON w.name = 'Assessment at Booking'
+SET c.pn_workflow_id = w.id
+WHERE c.code = 'CL001' AND c.pn_workflow_id IS NULL;
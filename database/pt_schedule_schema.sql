@@ -0,0 +1,58 @@
+-- PT Schedule Schema
+-- Therapist shift rosters, leave requests and blocked time, respected by the
+-- availability engine (utils/availability.js)
+
+-- Weekly shift roster per clinic (day_of_week: 0 = Sunday ... 6 = Saturday)
+-- A PT without any shifts is treated as always working during clinic hours
+CREATE TABLE IF NOT EXISTS pt_shifts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pt_id INT NOT NULL,
+    clinic_id INT NOT NULL,
+    day_of_week TINYINT NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    effective_from DATE DEFAULT NULL,
+    effective_to DATE DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pt_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE,
+    INDEX idx_pt_day (pt_id, day_of_week),
+    INDEX idx_clinic_day (clinic_id, day_of_week)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Leave requests; only APPROVED leave blocks bookings
+-- start_time/end_time NULL = full days, otherwise the same window on each day
+CREATE TABLE IF NOT EXISTS pt_leave_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pt_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME DEFAULT NULL,
+    end_time TIME DEFAULT NULL,
+    leave_type ENUM('ANNUAL', 'SICK', 'PERSONAL', 'OTHER') NOT NULL DEFAULT 'ANNUAL',
+    reason VARCHAR(500) DEFAULT NULL,
+    status ENUM('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+    reviewed_by INT DEFAULT NULL,
+    reviewed_at DATETIME DEFAULT NULL,
+    review_notes VARCHAR(500) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pt_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_pt_dates (pt_id, status, start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ad-hoc blocked time (meetings, training); clinic_id NULL = every clinic
+CREATE TABLE IF NOT EXISTS pt_blocked_times (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    pt_id INT NOT NULL,
+    clinic_id INT DEFAULT NULL,
+    block_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    reason VARCHAR(255) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pt_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_pt_date (pt_id, block_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
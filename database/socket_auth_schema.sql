@@ -0,0 +1,12 @@
+-- Socket Auth Schema
+-- Tokens ended by logout. Socket.IO rejects them at the handshake and
+-- disconnects sockets opened with them (socket-server.js). Rows can be
+-- removed once expires_at has passed.
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    token_hash CHAR(64) PRIMARY KEY COMMENT 'SHA-256 of the JWT',
+    user_id INT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
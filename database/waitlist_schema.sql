@@ -0,0 +1,52 @@
+-- Waitlist Schema
+-- Patients and walk-ins waiting for a slot, and the time-limited offers made
+-- to them when a matching appointment is cancelled (utils/waitlist.js)
+
+-- One row per person waiting; pt_id NULL = any PT, preferred times NULL = any time
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    clinic_id INT NOT NULL,
+    pt_id INT DEFAULT NULL,
+    patient_id INT DEFAULT NULL,
+    walk_in_name VARCHAR(200) DEFAULT NULL,
+    walk_in_email VARCHAR(255) DEFAULT NULL,
+    walk_in_phone VARCHAR(50) DEFAULT NULL,
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    preferred_start_time TIME DEFAULT NULL,
+    preferred_end_time TIME DEFAULT NULL,
+    reason VARCHAR(500) DEFAULT NULL,
+    status ENUM('WAITING', 'OFFERED', 'BOOKED', 'EXPIRED', 'CANCELLED') NOT NULL DEFAULT 'WAITING',
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (clinic_id) REFERENCES clinics(id) ON DELETE CASCADE,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    INDEX idx_clinic_status (clinic_id, status, date_from, date_to)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- A freed slot held for one entry until expires_at; the slot passes to the
+-- next entry when the offer is declined or expires
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    entry_id INT NOT NULL,
+    clinic_id INT NOT NULL,
+    pt_id INT DEFAULT NULL,
+    appointment_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    source_appointment_id INT DEFAULT NULL,
+    token VARCHAR(64) NOT NULL,
+    status ENUM('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED') NOT NULL DEFAULT 'PENDING',
+    expires_at DATETIME NOT NULL,
+    responded_at DATETIME DEFAULT NULL,
+    appointment_id INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (entry_id) REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token (token),
+    INDEX idx_slot (clinic_id, appointment_date, status),
+    INDEX idx_status_expiry (status, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- How long an offered slot is held (minutes)
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES ('waitlist_hold_minutes', '30');
@@ -11,7 +11,13 @@ const TEMPLATE_VARIABLES = [
     { name: '{lastName}', desc: 'Patient\'s last name' },
     { name: '{email}', desc: 'Patient\'s email address' },
     { name: '{phone}', desc: 'Patient\'s phone number' },
-    { name: '{clinicName}', desc: 'Your clinic name' }
+    { name: '{hn}', desc: 'Patient\'s hospital number' },
+    { name: '{dob}', desc: 'Patient\'s date of birth' },
+    { name: '{address}', desc: 'Patient\'s address' },
+    { name: '{emergencyContact}', desc: 'Patient\'s emergency contact name' },
+    { name: '{emergencyPhone}', desc: 'Patient\'s emergency contact phone' },
+    { name: '{clinicName}', desc: 'Your clinic name' },
+    { name: '{unsubscribeLink}', desc: 'Link to stop receiving broadcasts (added automatically if missing)' }
 ];
 
 // ========================================
@@ -27,9 +33,14 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load initial data
     loadStatistics();
     loadCampaigns();
+    loadSegmentClinics();
+    loadQuietHours();
 
     // Setup event listeners
     setupEventListeners();
+
+    // Live sending progress
+    connectProgressSocket();
 });
 
 // ========================================
@@ -107,6 +118,11 @@ async function loadStatistics() {
         document.getElementById('statSentCampaigns').textContent = stats.sent_campaigns || 0;
         document.getElementById('statScheduledCampaigns').textContent = stats.scheduled_campaigns || 0;
         document.getElementById('statTotalRecipients').textContent = stats.total_sent || 0;
+
+        const suppressed = stats.suppressed_by_reason || {};
+        document.getElementById('statSuppressed').textContent = stats.total_suppressed
+            ? `${stats.total_suppressed} suppressed (${suppressed.no_consent || 0} no consent, ${suppressed.opted_out || 0} opted out)`
+            : '';
     } catch (error) {
         console.error('Error loading statistics:', error);
     }
@@ -144,7 +160,7 @@ async function loadCampaigns() {
         }
 
         tbody.innerHTML = campaigns.map(campaign => `
-            <tr>
+            <tr id="campaign-row-${campaign.id}" data-status="${campaign.status}">
                 <td>
                     <strong>${escapeHtml(campaign.campaign_name)}</strong>
                     <br><small class="text-muted">by ${escapeHtml(campaign.created_by_name)}</small>
@@ -159,7 +175,7 @@ async function loadCampaigns() {
                     </span>
                 </td>
                 <td>${campaign.total_recipients || 0}</td>
-                <td>
+                <td class="campaign-progress">
                     <span class="text-success">${campaign.sent_count || 0}</span> /
                     <span class="text-danger">${campaign.failed_count || 0}</span>
                 </td>
@@ -179,7 +195,22 @@ async function loadCampaigns() {
                             <i class="bi bi-send"></i>
                         </button>
                         ` : ''}
-                        ${campaign.status !== 'sending' ? `
+                        ${campaign.status === 'sending' ? `
+                        <button class="btn btn-outline-secondary" onclick="controlCampaign(${campaign.id}, 'pause')" title="Pause">
+                            <i class="bi bi-pause"></i>
+                        </button>
+                        ` : ''}
+                        ${campaign.status === 'paused' ? `
+                        <button class="btn btn-outline-success" onclick="controlCampaign(${campaign.id}, 'resume')" title="Resume">
+                            <i class="bi bi-play"></i>
+                        </button>
+                        ` : ''}
+                        ${['sending', 'paused', 'scheduled'].includes(campaign.status) ? `
+                        <button class="btn btn-outline-danger" onclick="controlCampaign(${campaign.id}, 'cancel')" title="Cancel sending">
+                            <i class="bi bi-x-circle"></i>
+                        </button>
+                        ` : ''}
+                        ${campaign.status !== 'sending' && campaign.status !== 'paused' ? `
                         <button class="btn btn-outline-danger" onclick="deleteCampaign(${campaign.id})" title="Delete">
                             <i class="bi bi-trash"></i>
                         </button>
@@ -209,6 +240,8 @@ function showCreateModal() {
     document.getElementById('emailSubjectGroup').style.display = 'none';
     document.getElementById('htmlEditorGroup').style.display = 'none';
     document.getElementById('scheduledTimeGroup').style.display = 'none';
+    document.getElementById('audiencePreview').textContent = '';
+    handleTargetAudienceChange();
 
     campaignModal.show();
 }
@@ -295,6 +328,12 @@ async function saveCampaign() {
             return;
         }
 
+        const segmentFilters = targetAudience === 'segment' ? getSegmentFilters() : null;
+        if (targetAudience === 'segment' && Object.keys(segmentFilters).length === 0) {
+            showAlert('Please set at least one segment filter, or choose All Patients', 'warning');
+            return;
+        }
+
         // Get HTML content from Quill editor
         const messageHtml = quillEditor.root.innerHTML;
 
@@ -307,6 +346,7 @@ async function saveCampaign() {
             message_html: messageHtml !== '<p><br></p>' ? messageHtml : null,
             target_audience: targetAudience,
             custom_recipients: targetAudience === 'custom' ? JSON.stringify(selectedRecipients) : null,
+            segment_filters: segmentFilters,
             schedule_type: scheduleType,
             scheduled_time: scheduledTime || null
         };
@@ -348,8 +388,12 @@ async function saveCampaign() {
 // ========================================
 async function viewCampaign(id) {
     try {
-        const response = await fetch(`/api/broadcast/campaigns/${id}`);
+        const [response, statsResponse] = await Promise.all([
+            fetch(`/api/broadcast/campaigns/${id}`),
+            fetch(`/api/broadcast/stats?campaign_id=${id}`)
+        ]);
         const campaign = await response.json();
+        const suppressed = statsResponse.ok ? (await statsResponse.json()).suppressed_by_reason : {};
 
         // Show in modal with readonly fields
         const alertHtml = `
@@ -396,6 +440,12 @@ async function viewCampaign(id) {
                                     <span class="text-danger">${campaign.failed_count || 0} failed</span>
                                 </dd>
 
+                                <dt class="col-sm-3">Suppressed:</dt>
+                                <dd class="col-sm-9">
+                                    ${campaign.suppressed_count || 0}
+                                    <span class="text-muted">(${suppressed.no_consent || 0} no consent, ${suppressed.opted_out || 0} opted out)</span>
+                                </dd>
+
                                 <dt class="col-sm-3">Created:</dt>
                                 <dd class="col-sm-9">${formatDate(campaign.created_at)} by ${escapeHtml(campaign.created_by_name)}</dd>
                             </dl>
@@ -463,6 +513,15 @@ async function editCampaign(id) {
         // Show/hide conditional fields
         handleCampaignTypeChange();
         handleScheduleTypeChange();
+        handleTargetAudienceChange();
+
+        // Restore the chosen audience
+        selectedRecipients = campaign.target_audience === 'custom'
+            ? JSON.parse(campaign.custom_recipients || '[]')
+            : [];
+        updateSelectedRecipientsDisplay();
+        setSegmentFilters(campaign.segment_filters ? JSON.parse(campaign.segment_filters) : {});
+        document.getElementById('audiencePreview').textContent = '';
 
         campaignModal.show();
     } catch (error) {
@@ -475,11 +534,21 @@ async function editCampaign(id) {
 // SEND CAMPAIGN
 // ========================================
 async function sendCampaign(id) {
-    if (!confirm('Are you sure you want to send this campaign? This action cannot be undone.')) {
-        return;
-    }
-
     try {
+        const previewResponse = await fetch(`/api/broadcast/campaigns/${id}/preview`);
+        const preview = await previewResponse.json();
+
+        if (!previewResponse.ok) {
+            showAlert(preview.error || 'Failed to count recipients', 'danger');
+            return;
+        }
+
+        const suppressedCount = preview.suppressed.no_consent + preview.suppressed.opted_out;
+        const suppressedNote = suppressedCount > 0 ? ` ${suppressedCount} without marketing consent will be skipped.` : '';
+        if (!confirm(`Send this campaign to ${preview.recipients} recipients (${preview.email} email, ${preview.sms} SMS)?${suppressedNote} This action cannot be undone.`)) {
+            return;
+        }
+
         const response = await fetch(`/api/broadcast/campaigns/${id}/send`, {
             method: 'POST',
             headers: {
@@ -489,8 +558,12 @@ async function sendCampaign(id) {
 
         const result = await response.json();
 
-        if (response.ok) {
-            showAlert(`Campaign is being sent to ${result.total_recipients} recipients`, 'success');
+        if (response.ok && result.held_until) {
+            showAlert(`${result.message} (${formatDate(result.held_until)})`, 'info');
+            loadCampaigns();
+            loadStatistics();
+        } else if (response.ok) {
+            showAlert(`Campaign is queued for ${result.total_recipients} recipients`, 'success');
             loadCampaigns();
             loadStatistics();
         } else {
@@ -504,6 +577,70 @@ async function sendCampaign(id) {
     }
 }
 
+// ========================================
+// PAUSE / RESUME / CANCEL SENDING
+// ========================================
+async function controlCampaign(id, action) {
+    if (action === 'cancel' && !confirm('Cancel this campaign? Messages not yet sent will be dropped.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/broadcast/campaigns/${id}/${action}`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert(`Campaign ${result.progress.status}`, 'success');
+            loadCampaigns();
+            loadStatistics();
+        } else {
+            showAlert(result.error || `Failed to ${action} campaign`, 'danger');
+        }
+    } catch (error) {
+        console.error(`Error trying to ${action} campaign:`, error);
+        showAlert(`Failed to ${action} campaign`, 'danger');
+    }
+}
+
+// ========================================
+// LIVE PROGRESS
+// ========================================
+function connectProgressSocket() {
+    if (typeof io === 'undefined') return;
+
+    // The server identifies us from the auth cookie and joins our role room
+    const socket = io(window.location.origin, {
+        path: '/socket.io/',
+        transports: ['websocket', 'polling']
+    });
+
+    socket.on('broadcast_progress', updateCampaignProgress);
+}
+
+function updateCampaignProgress(progress) {
+    const row = document.getElementById(`campaign-row-${progress.campaign_id}`);
+
+    // Status changes add or remove action buttons, so redraw the list
+    if (!row || row.dataset.status !== progress.status) {
+        loadCampaigns();
+        loadStatistics();
+        return;
+    }
+
+    const done = progress.total - progress.pending;
+    const percent = progress.total > 0 ? Math.round(done / progress.total * 100) : 100;
+    row.querySelector('.campaign-progress').innerHTML = `
+        <span class="text-success">${progress.sent}</span> /
+        <span class="text-danger">${progress.failed}</span>
+        <div class="progress mt-1" style="height: 4px;" title="${done} of ${progress.total} processed">
+            <div class="progress-bar" style="width: ${percent}%"></div>
+        </div>
+    `;
+}
+
 // ========================================
 // DELETE CAMPAIGN
 // ========================================
@@ -726,6 +863,9 @@ function handleTargetAudienceChange() {
     const targetAudience = document.getElementById('targetAudience').value;
     const customRecipientsGroup = document.getElementById('customRecipientsGroup');
 
+    document.getElementById('segmentFiltersGroup').style.display = targetAudience === 'segment' ? 'block' : 'none';
+    document.getElementById('audiencePreview').textContent = '';
+
     if (targetAudience === 'custom') {
         customRecipientsGroup.style.display = 'block';
     } else {
@@ -735,6 +875,93 @@ function handleTargetAudienceChange() {
     }
 }
 
+// ========================================
+// AUDIENCE SEGMENTS
+// ========================================
+const SEGMENT_FIELDS = {
+    clinic_id: 'segmentClinic',
+    last_visit_within_days: 'segmentLastVisitWithin',
+    last_visit_over_days: 'segmentLastVisitOver',
+    has_active_course: 'segmentActiveCourse',
+    diagnosis: 'segmentDiagnosis',
+    body_area: 'segmentBodyArea',
+    age_min: 'segmentAgeMin',
+    age_max: 'segmentAgeMax',
+    birth_month: 'segmentBirthMonth'
+};
+
+async function loadSegmentClinics() {
+    try {
+        const response = await fetch('/api/clinics');
+        if (!response.ok) return;
+
+        const clinics = await response.json();
+        const select = document.getElementById('segmentClinic');
+        clinics.forEach(clinic => {
+            const option = document.createElement('option');
+            option.value = clinic.id;
+            option.textContent = clinic.name;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading clinics:', error);
+    }
+}
+
+function getSegmentFilters() {
+    const filters = {};
+    Object.entries(SEGMENT_FIELDS).forEach(([key, elementId]) => {
+        const value = document.getElementById(elementId).value.trim();
+        if (value !== '') filters[key] = value;
+    });
+    return filters;
+}
+
+function setSegmentFilters(filters) {
+    Object.entries(SEGMENT_FIELDS).forEach(([key, elementId]) => {
+        const value = filters[key];
+        document.getElementById(elementId).value = value === undefined || value === null ? '' : String(value);
+    });
+}
+
+async function previewAudience() {
+    const targetAudience = document.getElementById('targetAudience').value;
+    const previewText = document.getElementById('audiencePreview');
+
+    try {
+        previewText.textContent = 'Counting...';
+
+        const response = await fetch('/api/broadcast/audience/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                campaign_type: document.getElementById('campaignType').value || 'both',
+                target_audience: targetAudience,
+                custom_recipients: targetAudience === 'custom' ? selectedRecipients : [],
+                segment_filters: targetAudience === 'segment' ? getSegmentFilters() : null
+            })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            previewText.textContent = '';
+            showAlert(result.error || 'Failed to preview recipients', 'danger');
+            return;
+        }
+
+        const suppressedCount = result.suppressed.no_consent + result.suppressed.opted_out;
+        previewText.textContent = `${result.patients} patients, ${result.recipients} recipients (${result.email} email, ${result.sms} SMS)` +
+            (suppressedCount > 0 ? `; ${suppressedCount} skipped without consent` : '');
+    } catch (error) {
+        console.error('Audience preview error:', error);
+        previewText.textContent = '';
+        showAlert('Failed to preview recipients', 'danger');
+    }
+}
+
 // ========================================
 // PATIENT SEARCH
 // ========================================
@@ -833,3 +1060,45 @@ function updateSelectedRecipientsDisplay() {
         </span>
     `).join('');
 }
+
+// ========================================
+// QUIET HOURS
+// ========================================
+async function loadQuietHours() {
+    try {
+        const response = await fetch('/api/broadcast/settings');
+        if (!response.ok) return;
+
+        const settings = await response.json();
+        document.getElementById('quietHoursStart').value = settings.quiet_hours_start;
+        document.getElementById('quietHoursEnd').value = settings.quiet_hours_end;
+    } catch (error) {
+        console.error('Error loading quiet hours:', error);
+    }
+}
+
+async function saveQuietHours() {
+    try {
+        const response = await fetch('/api/broadcast/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                quiet_hours_start: document.getElementById('quietHoursStart').value,
+                quiet_hours_end: document.getElementById('quietHoursEnd').value
+            })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            showAlert('Quiet hours saved', 'success');
+        } else {
+            showAlert(result.error || 'Failed to save quiet hours', 'danger');
+        }
+    } catch (error) {
+        console.error('Error saving quiet hours:', error);
+        showAlert('Failed to save quiet hours', 'danger');
+    }
+}
@@ -81,8 +81,37 @@ document.addEventListener('DOMContentLoaded', function() {
     if (bookingTypeWalkIn) bookingTypeWalkIn.addEventListener('change', () => setBookingType('WALK_IN'));
 
     setBookingType('OLD_PATIENT');
+
+    // Appointments changed by other staff or booked online, pushed over Socket.IO
+    connectRealtimeUpdates();
 });
 
+// Refetch the calendar when an appointment in one of our clinics changes;
+// events arriving together trigger a single refetch
+function connectRealtimeUpdates() {
+    if (typeof io === 'undefined') return;
+
+    const socket = io(window.location.origin, {
+        path: '/socket.io/',
+        transports: ['websocket', 'polling']
+    });
+
+    let refreshTimer = null;
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshCalendar, 500);
+    };
+
+    socket.on('appointment_created', (data) => {
+        if (data.source === 'public_booking') {
+            showAlert('New online booking received', 'info');
+        }
+        scheduleRefresh();
+    });
+    socket.on('appointment_updated', scheduleRefresh);
+    socket.on('appointment_cancelled', scheduleRefresh);
+}
+
 // Get auth token from cookie
 
 // Show alert message
@@ -684,6 +713,7 @@ async function checkConflicts() {
             },
             body: JSON.stringify({
                 pt_id: ptId,
+                clinic_id: document.getElementById('appointmentClinic').value || null,
                 appointment_date: date,
                 start_time: startTime,
                 end_time: endTime,
@@ -701,8 +731,11 @@ async function checkConflicts() {
                 `${c.patient_name} (${c.start_time} - ${c.end_time})`
             ).join(', ');
 
-            document.getElementById('conflictMessage').textContent =
-                `This time slot conflicts with: ${conflictList}`;
+            const messages = [];
+            if (result.unavailable) messages.push(result.unavailable.message);
+            if (conflictList) messages.push(`This time slot conflicts with: ${conflictList}`);
+
+            document.getElementById('conflictMessage').textContent = messages.join('. ');
             warningDiv.style.display = 'block';
         } else {
             warningDiv.style.display = 'none';
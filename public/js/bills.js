@@ -217,6 +217,14 @@ const BillsManager = {
                 this.loadServices(clinicId);
             }
         });
+
+        // Clinic prices are effective-dated, so the bill date can change them too
+        document.getElementById('bill-date')?.addEventListener('change', () => {
+            const clinicId = document.getElementById('bill-clinic')?.value;
+            if (clinicId) {
+                this.loadServices(clinicId);
+            }
+        });
     },
 
     async loadServices(clinicId = null) {
@@ -225,6 +233,10 @@ const BillsManager = {
             if (clinicId) {
                 params.append('clinic_id', clinicId);
             }
+            const billDate = document.getElementById('bill-date')?.value;
+            if (billDate) {
+                params.append('date', billDate);
+            }
 
             const response = await fetch(`/api/bills/services?${params}`, {
                 headers: {}
@@ -248,8 +260,8 @@ const BillsManager = {
         this.services.forEach(service => {
             const option = document.createElement('option');
             option.value = service.id;
-            // Use clinic-specific price if available, otherwise use default price
-            const displayPrice = service.price || service.default_price;
+            // Price in force at the selected clinic on the bill date
+            const displayPrice = service.price ?? service.default_price;
             option.textContent = `${service.service_code} - ${service.service_name} (฿${displayPrice})`;
             option.dataset.price = displayPrice;
             option.dataset.name = service.service_name;
@@ -1342,17 +1354,47 @@ const CSVHandler = {
         document.getElementById('import-results').style.display = 'none';
     },
 
+    // Split one CSV line, honouring quoted fields ("a, b" and "" escapes)
+    splitCSVLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+        return values;
+    },
+
     parseCSV(text) {
-        const lines = text.trim().split('\n');
+        const lines = text.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
         if (lines.length < 2) {
             throw new Error('CSV file is empty or invalid');
         }
 
-        const headers = lines[0].split(',').map(h => h.trim());
+        const headers = this.splitCSVLine(lines[0]).map(h => h.trim());
         const data = [];
 
         for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',');
+            const values = this.splitCSVLine(lines[i]);
             if (values.length !== headers.length) {
                 console.warn(`Row ${i + 1} has ${values.length} columns, expected ${headers.length}`);
                 continue;
@@ -1368,40 +1410,97 @@ const CSVHandler = {
                 continue;
             }
 
+            row._row = i + 1; // CSV line number, used in the server's report
             data.push(row);
         }
 
         return data;
     },
 
+    async postImport(csvData, dryRun) {
+        const response = await fetch('/api/bills/import', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ csvData, dry_run: dryRun })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Import failed');
+        }
+        return result;
+    },
+
+    escapeHTML(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    },
+
+    // Per-row table from the server's report
+    renderRowReport(rows) {
+        const body = rows.map(row => {
+            const who = row.patient
+                ? `${this.escapeHTML(row.patient.hn || '')} ${this.escapeHTML(row.patient.name)}`
+                : this.escapeHTML(row.walk_in_name || '-');
+            const result = row.status === 'ok'
+                ? `<span class="text-success"><i class="bi bi-check-circle"></i> ${this.escapeHTML(row.bill_code || 'OK')}</span>`
+                : `<span class="text-danger">${row.errors.map(e => this.escapeHTML(e)).join('<br>')}</span>`;
+            return `
+                <tr>
+                    <td>${row.row}</td>
+                    <td>${this.escapeHTML(row.bill_ref || '-')}</td>
+                    <td>${who}</td>
+                    <td class="text-end">${row.total_amount !== null ? Number(row.total_amount).toFixed(2) : '-'}</td>
+                    <td>${result}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="table table-sm mb-0">
+                <thead><tr><th>Row</th><th>Ref</th><th>Patient</th><th class="text-end">Total</th><th>Result</th></tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    },
+
     async handleFileSelect(event) {
         const file = event.target.files[0];
         if (!file) return;
 
+        const button = document.getElementById('btn-upload-csv');
+        button.disabled = true;
+        document.getElementById('import-results').style.display = 'none';
+
         try {
             const text = await file.text();
             const data = this.parseCSV(text);
 
-            console.log('Parsed CSV data:', data);
+            // Dry run: the server checks every row without writing anything
+            const report = await this.postImport(data, true);
 
-            // Show preview
             const previewContent = document.getElementById('import-preview-content');
             previewContent.innerHTML = `
-                <div class="alert alert-success">
-                    <i class="bi bi-check-circle me-2"></i>
-                    <strong>${data.length} rows</strong> ready to import
+                <div class="alert alert-${report.failed === 0 ? 'success' : 'warning'} mb-2">
+                    <i class="bi bi-${report.failed === 0 ? 'check-circle' : 'exclamation-triangle'} me-2"></i>
+                    <strong>${report.valid}</strong> bills ready to import,
+                    <strong>${report.failed}</strong> with errors (${data.length} rows)
                 </div>
-                <small>First row: ${JSON.stringify(data[0], null, 2)}</small>
+                ${this.renderRowReport(report.rows)}
             `;
             document.getElementById('import-preview').style.display = 'block';
 
-            // Enable upload button and store data
-            document.getElementById('btn-upload-csv').disabled = false;
-            document.getElementById('btn-upload-csv').dataset.csvData = JSON.stringify(data);
+            // The import is all or nothing, so only a clean file can be uploaded
+            button.disabled = report.failed > 0 || report.valid === 0;
+            button.dataset.csvData = JSON.stringify(data);
 
         } catch (error) {
             console.error('CSV parse error:', error);
-            BillsManager.showAlert('Failed to parse CSV file: ' + error.message, 'danger');
+            BillsManager.showAlert('Failed to check CSV file: ' + error.message, 'danger');
         }
     },
 
@@ -1414,49 +1513,42 @@ const CSVHandler = {
             return;
         }
 
+        let imported = false;
+
         try {
             button.disabled = true;
             button.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Importing...';
 
-            const response = await fetch('/api/bills/import', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ csvData })
-            });
-
-            const result = await response.json();
-
-            if (!response.ok) {
-                throw new Error(result.error || 'Import failed');
-            }
+            const result = await this.postImport(csvData, false);
+            imported = result.imported;
 
             // Show results
             const resultsDiv = document.getElementById('import-results');
             let resultsHTML = `
-                <div class="alert alert-${result.success > 0 ? 'success' : 'warning'}">
+                <div class="alert alert-${result.imported ? 'success' : 'warning'}">
                     <h6><i class="bi bi-info-circle me-2"></i>Import Results</h6>
-                    <ul>
+                    <ul class="mb-0">
                         <li><strong>${result.success}</strong> bills imported successfully</li>
                         <li><strong>${result.failed}</strong> bills failed</li>
                     </ul>
+                    ${result.imported ? '' : '<small>Nothing was imported. Fix the rows below and try again.</small>'}
                 </div>
             `;
 
             if (result.errors && result.errors.length > 0) {
                 resultsHTML += '<div class="alert alert-danger"><h6>Errors:</h6><ul>';
                 result.errors.forEach(err => {
-                    resultsHTML += `<li>Row ${err.row}: ${err.error}</li>`;
+                    resultsHTML += `<li>Row ${err.row}: ${this.escapeHTML(err.error)}</li>`;
                 });
                 resultsHTML += '</ul></div>';
             }
 
             resultsDiv.innerHTML = resultsHTML;
             resultsDiv.style.display = 'block';
+            document.getElementById('import-preview-content').innerHTML = this.renderRowReport(result.rows);
 
-            // Reload bills table if any succeeded
-            if (result.success > 0) {
+            // Reload bills table once the import went through
+            if (result.imported) {
                 setTimeout(() => {
                     bootstrap.Modal.getInstance(document.getElementById('importBillsModal')).hide();
                     BillsManager.loadBills(true);
@@ -1467,7 +1559,7 @@ const CSVHandler = {
             console.error('Upload CSV error:', error);
             BillsManager.showAlert('Failed to import bills: ' + error.message, 'danger');
         } finally {
-            button.disabled = false;
+            button.disabled = imported;
             button.innerHTML = '<i class="bi bi-upload me-2"></i>Upload & Import';
         }
     }
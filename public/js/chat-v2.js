@@ -8,6 +8,7 @@
 let socket = null;
 let currentConversationId = null;
 let currentRecipientId = null;
+let currentConversationType = 'direct';
 
 document.addEventListener('DOMContentLoaded', function() {
     // DOM Elements
@@ -16,6 +17,10 @@ document.addEventListener('DOMContentLoaded', function() {
     const sidebar = document.getElementById('conversationSidebar');
     const sendBtn = document.getElementById('sendBtn');
     const conversationsList = document.getElementById('conversationsList');
+    const attachBtn = document.getElementById('attachBtn');
+    const attachmentInput = document.getElementById('attachmentInput');
+    const chatSearchInput = document.getElementById('chatSearchInput');
+    const newGroupBtn = document.getElementById('newGroupBtn');
 
     // Get current domain
     const currentDomain = window.location.hostname;
@@ -67,19 +72,19 @@ document.addEventListener('DOMContentLoaded', function() {
         // Typing indicator
         let typingTimer;
         messageInput.addEventListener('input', function() {
-            if (currentConversationId && currentRecipientId) {
+            if (currentConversationId) {
                 clearTimeout(typingTimer);
 
                 // Send typing status via Socket.IO or REST API
                 if (socket && socket.connected) {
-                    socket.emit('typing', { recipientId: currentRecipientId, isTyping: true });
+                    socket.emit('typing', { conversationId: currentConversationId, isTyping: true });
                 } else {
                     sendTypingStatus(true);
                 }
 
                 typingTimer = setTimeout(() => {
                     if (socket && socket.connected) {
-                        socket.emit('typing', { recipientId: currentRecipientId, isTyping: false });
+                        socket.emit('typing', { conversationId: currentConversationId, isTyping: false });
                     } else {
                         sendTypingStatus(false);
                     }
@@ -92,6 +97,50 @@ document.addEventListener('DOMContentLoaded', function() {
         sendBtn.addEventListener('click', sendMessage);
     }
 
+    if (newGroupBtn) {
+        newGroupBtn.addEventListener('click', showNewGroupForm);
+    }
+
+    if (attachBtn && attachmentInput) {
+        attachBtn.addEventListener('click', () => {
+            if (currentConversationId) attachmentInput.click();
+        });
+        attachmentInput.addEventListener('change', () => {
+            if (attachmentInput.files.length > 0) uploadAttachment(attachmentInput.files[0]);
+            attachmentInput.value = '';
+        });
+    }
+
+    // Message search (empty search shows the conversation list again)
+    if (chatSearchInput) {
+        let searchTimer;
+        chatSearchInput.addEventListener('input', function() {
+            clearTimeout(searchTimer);
+            const query = this.value.trim();
+            searchTimer = setTimeout(() => {
+                if (query.length >= 2) {
+                    searchMessages(query);
+                } else if (query.length === 0) {
+                    loadConversations();
+                }
+            }, 400);
+        });
+    }
+
+    // Edit / delete / history buttons on own messages
+    if (messagesContainer) {
+        messagesContainer.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-message-action]');
+            if (!button) return;
+
+            const messageId = parseInt(button.closest('[data-message-id]').dataset.messageId);
+            const action = button.dataset.messageAction;
+            if (action === 'edit') editMessage(messageId);
+            if (action === 'delete') deleteMessage(messageId);
+            if (action === 'history') showMessageHistory(messageId);
+        });
+    }
+
     // --- Check if chat backend is available ---
 
     async function checkChatAvailability() {
@@ -152,13 +201,21 @@ document.addEventListener('DOMContentLoaded', function() {
             showNotification('Authentication failed', 'error');
         });
 
+        // Handshake refused: missing, expired or logged-out token
+        socket.on('connect_error', (error) => {
+            console.error('[CHAT] Connection refused:', error.message);
+            showNotification(error.message, 'error');
+        });
+
         socket.on('conversations_loaded', (data) => {
             renderConversations(data.conversations);
         });
 
         socket.on('message_sent', (data) => {
             console.log('[CHAT] Message sent:', data);
-            appendMessage(data, true);
+            if (data.conversationId === currentConversationId) {
+                appendMessage(data, true);
+            }
         });
 
         socket.on('new_message', (data) => {
@@ -168,21 +225,54 @@ document.addEventListener('DOMContentLoaded', function() {
             if (data.conversationId === currentConversationId) {
                 appendMessage(data, false);
                 // Mark as read
-                socket.emit('mark_read', { conversationId: currentConversationId });
+                socket.emit('mark_read', { conversationId: currentConversationId, messageId: data.id });
             } else {
                 // Show notification
-                showNotification(`New message from ${data.senderDomain}`, 'info');
+                showNotification(`New message from ${escapeHtml(data.senderName || data.senderDomain)}`, 'info');
                 // Reload conversations to update unread count
                 loadConversations();
             }
         });
 
+        socket.on('message_edited', (data) => {
+            if (data.conversationId === currentConversationId) {
+                appendMessage(data, data.senderId === window.userInfo.id);
+            }
+        });
+
+        socket.on('message_deleted', (data) => {
+            if (data.conversationId === currentConversationId) {
+                appendMessage(data, data.senderId === window.userInfo.id);
+            }
+        });
+
+        // Receipts for messages this user sent
+        socket.on('message_delivered', (data) => {
+            updateReceipts(data.messageIds, 'delivered');
+        });
+
+        socket.on('messages_read', (data) => {
+            updateReceipts(data.messageIds, 'read');
+        });
+
         socket.on('user_typing', (data) => {
-            if (data.userId === currentRecipientId) {
-                showTypingIndicator(data.isTyping);
+            if (data.conversationId === currentConversationId) {
+                showTypingIndicator(data.isTyping, [{ id: data.userId }]);
             }
         });
 
+        // Added to / removed from a group or clinic channel, or it was renamed
+        socket.on('conversation_added', () => loadConversations());
+        socket.on('conversation_updated', () => loadConversations());
+        socket.on('conversation_removed', (data) => {
+            if (data.conversationId === currentConversationId) {
+                currentConversationId = null;
+                currentRecipientId = null;
+                if (messagesContainer) messagesContainer.innerHTML = '';
+            }
+            loadConversations();
+        });
+
         socket.on('user_online', (data) => {
             console.log('[CHAT] User online:', data.userId, 'from', data.domain);
             updateUserStatus(data.userId, true, data.domain);
@@ -265,12 +355,11 @@ document.addEventListener('DOMContentLoaded', function() {
 
     async function sendMessage() {
         const text = messageInput.value.trim();
-        if (!text || !currentRecipientId || !currentConversationId) return;
+        if (!text || !currentConversationId) return;
 
         // Try Socket.IO first (real-time)
         if (socket && socket.connected) {
             socket.emit('send_message', {
-                recipientId: currentRecipientId,
                 message: text,
                 conversationId: currentConversationId
             });
@@ -289,7 +378,6 @@ document.addEventListener('DOMContentLoaded', function() {
                     },
                     body: JSON.stringify({
                         conversationId: currentConversationId,
-                        recipientId: currentRecipientId,
                         message: text
                     })
                 });
@@ -299,11 +387,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 const data = await response.json();
 
                 // Display sent message
-                appendMessage({
-                    message: data.message.message,
-                    timestamp: data.message.created_at,
-                    senderDomain: null
-                }, true);
+                appendMessage(normalizeMessage(data.message), true);
 
                 // Clear Input
                 messageInput.value = '';
@@ -317,9 +401,144 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    async function uploadAttachment(file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('message', messageInput ? messageInput.value.trim() : '');
+
+        try {
+            const response = await fetch(`/api/chat/conversations/${currentConversationId}/attachments`, {
+                method: 'POST',
+                body: formData
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to upload file');
+
+            // Also pushed over the socket as message_sent; appendMessage replaces by id
+            appendMessage(normalizeMessage(data.message), true);
+
+            if (messageInput) {
+                messageInput.value = '';
+                messageInput.style.height = 'auto';
+            }
+        } catch (error) {
+            console.error('Upload attachment error:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    async function editMessage(messageId) {
+        const bubble = messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+        const current = bubble ? bubble.dataset.text : '';
+        const text = prompt('Edit message:', current);
+        if (text === null || !text.trim() || text === current) return;
+
+        try {
+            const response = await fetch(`/api/chat/messages/${messageId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ message: text })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to edit message');
+
+            appendMessage(normalizeMessage(data.message), true);
+        } catch (error) {
+            console.error('Edit message error:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    async function deleteMessage(messageId) {
+        if (!confirm('Delete this message?')) return;
+
+        try {
+            const response = await fetch(`/api/chat/messages/${messageId}`, { method: 'DELETE' });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to delete message');
+
+            appendMessage(normalizeMessage(data.message), true);
+        } catch (error) {
+            console.error('Delete message error:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    async function showMessageHistory(messageId) {
+        try {
+            const response = await fetch(`/api/chat/messages/${messageId}/history`);
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load message history');
+
+            if (data.history.length === 0) {
+                alert('This message has not been changed.');
+                return;
+            }
+
+            alert(data.history.map(entry =>
+                `${new Date(entry.edited_at).toLocaleString()} - ${entry.action === 'delete' ? 'Deleted' : 'Edited'} by ${entry.edited_by_name}\n${entry.previous_message || ''}`
+            ).join('\n\n'));
+        } catch (error) {
+            console.error('Message history error:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    async function searchMessages(query) {
+        try {
+            const response = await fetch(`/api/chat/search?q=${encodeURIComponent(query)}`);
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to search messages');
+
+            renderSearchResults(data.messages);
+        } catch (error) {
+            console.error('Search messages error:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    // REST rows (snake_case) to the shape pushed over Socket.IO
+    function normalizeMessage(msg) {
+        return {
+            id: msg.id,
+            conversationId: msg.conversation_id,
+            senderId: msg.sender_id,
+            senderName: msg.sender_name,
+            message: msg.message,
+            attachments: msg.attachments || [],
+            timestamp: msg.created_at,
+            editedAt: msg.edited_at,
+            deletedAt: msg.deleted_at,
+            deliveredAt: msg.delivered_at,
+            readAt: msg.read_at,
+            senderDomain: null
+        };
+    }
+
+    function receiptIcon(messageData) {
+        if (messageData.readAt) return '<i class="bi bi-check2-all text-info ms-1" title="Read"></i>';
+        if (messageData.deliveredAt) return '<i class="bi bi-check2-all text-white-50 ms-1" title="Delivered"></i>';
+        return '<i class="bi bi-check2 text-white-50 ms-1" title="Sent"></i>';
+    }
+
+    // Adds the message, or redraws it in place when it is already shown
     function appendMessage(messageData, isSent) {
-        const msgDiv = document.createElement('div');
+        const existing = messageData.id
+            ? messagesContainer.querySelector(`[data-message-id="${messageData.id}"]`)
+            : null;
+        const msgDiv = existing || document.createElement('div');
         msgDiv.className = `message-bubble ${isSent ? 'message-sent' : 'message-received'}`;
+        if (messageData.id) msgDiv.dataset.messageId = messageData.id;
+        msgDiv.dataset.text = messageData.message || '';
+        msgDiv.dataset.delivered = messageData.deliveredAt ? '1' : '';
+        msgDiv.dataset.read = messageData.readAt ? '1' : '';
 
         const time = new Date(messageData.timestamp).toLocaleTimeString([], {
             hour: '2-digit',
@@ -330,27 +549,74 @@ document.addEventListener('DOMContentLoaded', function() {
             ? `<span class="badge bg-info text-white ms-2">${messageData.senderDomain}</span>`
             : '';
 
-        msgDiv.innerHTML = `
-            ${escapeHtml(messageData.message)} ${domainBadge}
-            <div class="message-meta">
-                ${time} <i class="bi bi-check2 ${isSent ? 'text-white-50' : ''} ms-1"></i>
-            </div>
-        `;
+        if (messageData.deletedAt) {
+            msgDiv.innerHTML = `
+                <span class="message-deleted"><i class="bi bi-slash-circle me-1"></i>This message was deleted</span>
+                <div class="message-meta">${time}</div>
+            `;
+        } else {
+            const attachments = (messageData.attachments || []).map(file => `
+                <a class="message-attachment" href="${file.download_url}" target="_blank">
+                    <i class="bi bi-file-earmark me-1"></i>${escapeHtml(file.file_name)}
+                </a>
+            `).join('');
+
+            const actions = isSent && messageData.id ? `
+                <span class="message-actions">
+                    <button class="btn btn-link" data-message-action="edit" title="Edit"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-link" data-message-action="delete" title="Delete"><i class="bi bi-trash"></i></button>
+                </span>
+            ` : '';
+
+            const edited = messageData.editedAt
+                ? '<button class="btn btn-link p-0 small text-reset" data-message-action="history">(edited)</button>'
+                : '';
+
+            // Several people write in groups and clinic channels
+            const senderLabel = !isSent && currentConversationType !== 'direct' && messageData.senderName
+                ? `<div class="small fw-bold">${escapeHtml(messageData.senderName)}</div>`
+                : '';
+
+            msgDiv.innerHTML = `
+                ${senderLabel}
+                ${escapeHtml(messageData.message)} ${domainBadge}
+                ${attachments}
+                <div class="message-meta">
+                    ${edited} ${time} ${isSent ? receiptIcon(messageData) : ''} ${actions}
+                </div>
+            `;
+        }
 
-        messagesContainer.appendChild(msgDiv);
-        scrollToBottom();
+        if (!existing) {
+            messagesContainer.appendChild(msgDiv);
+            scrollToBottom();
+        }
+    }
+
+    function updateReceipts(messageIds, state) {
+        messageIds.forEach(id => {
+            const bubble = messagesContainer.querySelector(`[data-message-id="${id}"]`);
+            if (!bubble) return;
+
+            const icon = bubble.querySelector('.message-meta .bi-check2, .message-meta .bi-check2-all');
+            if (!icon) return;
+
+            if (state === 'read') {
+                icon.className = 'bi bi-check2-all text-info ms-1';
+                icon.title = 'Read';
+            } else if (!bubble.dataset.read) {
+                icon.className = 'bi bi-check2-all text-white-50 ms-1';
+                icon.title = 'Delivered';
+            }
+            bubble.dataset[state] = '1';
+        });
     }
 
     function displayMessages(messages) {
         if (!messagesContainer) return;
         messagesContainer.innerHTML = '';
         messages.forEach(msg => {
-            const isSent = msg.sender_id === window.userInfo.id;
-            appendMessage({
-                message: msg.message,
-                timestamp: msg.created_at,
-                senderDomain: null
-            }, isSent);
+            appendMessage(normalizeMessage(msg), msg.sender_id === window.userInfo.id);
         });
         scrollToBottom();
     }
@@ -394,16 +660,22 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
+        const icons = { direct: 'bi-person-circle', group: 'bi-people-fill', clinic: 'bi-hospital' };
+
         conversationsList.innerHTML = conversations.map(conv => `
             <div class="conversation-item ${conv.id === currentConversationId ? 'active' : ''}"
                  data-conversation-id="${conv.id}"
-                 data-other-user-id="${conv.other_user_id}"
-                 onclick="selectConversation(${conv.id}, ${conv.other_user_id}, event)">
+                 data-conversation-type="${conv.type}"
+                 data-other-user-id="${conv.other_user_id || ''}"
+                 onclick="selectConversation(${conv.id}, ${conv.other_user_id || null}, event)">
                 <div class="conversation-avatar">
-                    <i class="bi bi-person-circle fs-3"></i>
+                    <i class="bi ${icons[conv.type] || icons.direct} fs-3"></i>
                 </div>
                 <div class="conversation-info">
-                    <div class="conversation-name">${escapeHtml(conv.other_user_name)}</div>
+                    <div class="conversation-name">
+                        ${escapeHtml(conv.type === 'direct' ? conv.other_user_name : conv.name)}
+                        ${conv.type !== 'direct' ? `<small class="text-muted ms-1">(${conv.member_count})</small>` : ''}
+                    </div>
                     <div class="conversation-preview">${escapeHtml(conv.last_message || 'No messages')}</div>
                 </div>
                 ${conv.unread_count > 0 ? `<span class="badge bg-primary rounded-pill">${conv.unread_count}</span>` : ''}
@@ -411,6 +683,46 @@ document.addEventListener('DOMContentLoaded', function() {
         `).join('');
     }
 
+    function renderSearchResults(messages) {
+        if (!conversationsList) return;
+
+        if (messages.length === 0) {
+            conversationsList.innerHTML = `
+                <div class="text-center text-muted p-4">
+                    <i class="bi bi-search fs-1 d-block mb-2"></i>
+                    <p class="small mb-0">No messages found</p>
+                </div>
+            `;
+            return;
+        }
+
+        conversationsList.innerHTML = messages.map(msg => `
+            <div class="conversation-item search-result"
+                 onclick="openSearchResult(${msg.conversation_id}, ${msg.other_user_id || null}, ${msg.id})">
+                <div class="conversation-info">
+                    <div class="conversation-name">
+                        ${escapeHtml(msg.sender_name)}
+                        ${msg.conversation_name ? `<small class="text-muted ms-1">in ${escapeHtml(msg.conversation_name)}</small>` : ''}
+                    </div>
+                    <div class="conversation-preview">${escapeHtml(msg.message || (msg.attachments[0] && msg.attachments[0].file_name) || '')}</div>
+                    <small class="text-muted">${new Date(msg.created_at).toLocaleString()}</small>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Open the conversation of a search result and scroll to the message
+    window.openSearchResult = async function(conversationId, otherUserId, messageId) {
+        await window.selectConversation(conversationId, otherUserId);
+
+        const bubble = messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+        if (bubble) {
+            bubble.scrollIntoView({ block: 'center' });
+            bubble.classList.add('border', 'border-warning');
+            setTimeout(() => bubble.classList.remove('border', 'border-warning'), 3000);
+        }
+    };
+
     // Show all available users for starting new conversations
     window.showAllUsers = async function() {
         try {
@@ -474,6 +786,63 @@ document.addEventListener('DOMContentLoaded', function() {
         `).join('');
     }
 
+    // New group: name plus members picked from the user list
+    async function showNewGroupForm() {
+        try {
+            const response = await fetch('/api/chat/users');
+            if (!response.ok) throw new Error('Failed to load users');
+
+            const data = await response.json();
+            conversationsList.innerHTML = `
+                <div class="p-3 border-bottom">
+                    <input type="text" class="form-control form-control-sm mb-2" id="newGroupName" placeholder="Group name">
+                    <button class="btn btn-sm btn-primary" id="createGroupBtn">
+                        <i class="bi bi-people-fill me-1"></i>Create Group
+                    </button>
+                    <button class="btn btn-sm btn-light" id="cancelGroupBtn">Cancel</button>
+                </div>
+            ` + data.users.map(user => `
+                <label class="conversation-item d-flex align-items-center">
+                    <input type="checkbox" class="form-check-input me-2 new-group-member" value="${user.id}">
+                    <div class="conversation-info">
+                        <div class="conversation-name">${escapeHtml(user.name)}</div>
+                        <div class="conversation-preview">${escapeHtml(user.email)}</div>
+                    </div>
+                </label>
+            `).join('');
+
+            document.getElementById('cancelGroupBtn').addEventListener('click', loadConversations);
+            document.getElementById('createGroupBtn').addEventListener('click', createGroup);
+        } catch (error) {
+            console.error('Load users error:', error);
+            showNotification('Failed to load users', 'error');
+        }
+    }
+
+    async function createGroup() {
+        const name = document.getElementById('newGroupName').value.trim();
+        const memberIds = Array.from(document.querySelectorAll('.new-group-member:checked')).map(cb => parseInt(cb.value));
+
+        try {
+            const response = await fetch('/api/chat/groups', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name, memberIds })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to create group');
+
+            await loadConversations();
+            await selectConversation(data.conversation.id, null);
+        } catch (error) {
+            console.error('Create group error:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
     // Start a conversation with a specific user
     window.startConversationWith = async function(userId, userName) {
         try {
@@ -541,6 +910,9 @@ document.addEventListener('DOMContentLoaded', function() {
         currentConversationId = conversationId;
         currentRecipientId = otherUserId;
 
+        const selectedItem = document.querySelector(`[data-conversation-id="${conversationId}"]`);
+        currentConversationType = selectedItem ? selectedItem.dataset.conversationType || 'direct' : 'direct';
+
         // Update UI
         document.querySelectorAll('.conversation-item').forEach(item => {
             item.classList.remove('active');
@@ -720,6 +1092,4 @@ document.addEventListener('DOMContentLoaded', function() {
             .replace(/"/g, "&quot;")
             .replace(/'/g, "&#039;");
     }
-
-    // Get cookie helper
-    );
\ No newline at end of file
+});
@@ -429,7 +429,9 @@ async function purchaseCourse() {
         patient_id: parseInt(patientId),
         clinic_id: parseInt(clinicId),
         purchase_date: purchaseDate,
-        notes: notes
+        notes: notes,
+        create_bill: document.getElementById('courseCreateBill')?.checked || false,
+        payment_status: document.getElementById('courseBillPaid')?.checked ? 'PAID' : 'UNPAID'
     };
 
     // Add custom price if provided
@@ -453,7 +455,7 @@ async function purchaseCourse() {
 
         const result = await response.json();
 
-        showAlert(`Course purchased successfully! Code: ${result.course_code}`, 'success');
+        showAlert(`Course purchased successfully! Code: ${result.course_code}${result.bill_code ? ` (Bill: ${result.bill_code})` : ''}`, 'success');
 
         // Reset form
         document.getElementById('purchaseCourseForm').reset();
@@ -574,7 +576,7 @@ async function manageSharingModal(course) {
 
 async function loadSharedUsers(courseId) {
     try {
-        const response = await fetch(`/api/courses/${courseId}/shared-users`, {
+        const response = await fetch(`/api/courses/${courseId}/shared-users?include_inactive=true`, {
             headers: {}
         });
 
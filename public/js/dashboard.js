@@ -103,6 +103,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('Dashboard: localStorage fallback initialized for instant sync');
     }
 
+    // Changes made by other staff, pushed over Socket.IO
+    connectRealtimeUpdates();
+
     // Keep 10-second auto-refresh as backup (in case user doesn't have dashboard open when change happens)
     setInterval(() => {
         loadCases();
@@ -111,6 +114,36 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 10000); // 10 seconds
 });
 
+// Reload dashboard data when appointments, PN cases or bills change in one of
+// our clinics; events arriving together trigger a single reload
+function connectRealtimeUpdates() {
+    if (typeof io === 'undefined') return;
+
+    const socket = io(window.location.origin, {
+        path: '/socket.io/',
+        transports: ['websocket', 'polling']
+    });
+
+    let reloadTimer = null;
+    const scheduleReload = () => {
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+            loadCases(currentPage);
+            loadDashboardSummary();
+            loadWalkInAppointments();
+        }, 500);
+    };
+
+    ['appointment_created', 'appointment_updated', 'appointment_cancelled',
+        'pn_status_changed', 'bill_payment_changed'].forEach(event => socket.on(event, scheduleReload));
+
+    socket.on('appointment_created', (data) => {
+        if (data.source === 'public_booking') {
+            showAlert('New online booking received', 'info');
+        }
+    });
+}
+
 // Initialize date pickers
 function initializeDatePickers() {
     const today = moment().format('YYYY-MM-DD');
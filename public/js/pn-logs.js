@@ -462,26 +462,17 @@ function viewBill(billId) {
 }
 
 // Export logs
-async function exportLogs() {
-    try {
-        const params = new URLSearchParams({
-            search: PNLogsManager.filters.search,
-            status: PNLogsManager.filters.status,
-            clinic_id: PNLogsManager.filters.clinic
-        });
+// Download the filtered cases; the auth cookie goes with the navigation
+function exportLogs(format = 'csv') {
+    const params = new URLSearchParams({ format });
 
-        if (PNLogsManager.filters.dateFrom) {
-            params.append('date_from', PNLogsManager.filters.dateFrom);
-        }
-        if (PNLogsManager.filters.dateTo) {
-            params.append('date_to', PNLogsManager.filters.dateTo);
-        }
+    if (PNLogsManager.filters.search) params.append('search', PNLogsManager.filters.search);
+    if (PNLogsManager.filters.status) params.append('status', PNLogsManager.filters.status);
+    if (PNLogsManager.filters.clinic) params.append('clinic_id', PNLogsManager.filters.clinic);
+    if (PNLogsManager.filters.dateFrom) params.append('date_from', PNLogsManager.filters.dateFrom);
+    if (PNLogsManager.filters.dateTo) params.append('date_to', PNLogsManager.filters.dateTo);
 
-        window.location.href = `/api/pn/export?${params}&token=${token}`;
-    } catch (error) {
-        console.error('Export error:', error);
-        alert('Failed to export logs');
-    }
+    window.location.href = `/api/pn/export?${params}`;
 }
 
 // Initialize on page load
@@ -198,7 +198,7 @@ async function loadTimeSlots() {
                          onclick="selectTimeSlot(this, ${slot.available})">
                         <div><strong>${slot.start_time}</strong></div>
                         <div><small>${slot.end_time}</small></div>
-                        ${slot.available ? '<small class="text-success">Available</small>' : '<small class="text-danger">Booked</small>'}
+                        ${slot.available ? '<small class="text-success">Available</small>' : `<small class="text-danger">${slot.reason === 'BREAK' ? 'Break' : slot.reason === 'CLOSED' ? 'Closed' : 'Booked'}</small>`}
                     </div>
                 </div>
             `).join('');
@@ -223,7 +223,7 @@ function getConsecutiveAvailableMinutes(startTime) {
     for (let i = startIndex; i < allTimeSlots.length; i++) {
         const slot = allTimeSlots[i];
         if (slot.available) {
-            consecutiveMinutes += 30; // Each slot is 30 minutes
+            consecutiveMinutes += slot.duration_minutes || 30;
         } else {
             break; // Stop when we hit a booked slot
         }
@@ -525,6 +525,7 @@ async function handleBookingSubmit(e) {
 
         if (response.ok) {
             showAlert('Appointment booked successfully!', 'success');
+            saveBookingToken(result.manage_token);
 
             // Reset form and state
             document.getElementById('booking-form').reset();
@@ -556,12 +557,45 @@ async function handleBookingSubmit(e) {
     }
 }
 
-// Load user's existing bookings (by IP)
+// Manage tokens of bookings made on this device (signed links, no login needed)
+const BOOKING_TOKENS_KEY = 'myBookingTokens';
+
+function getBookingTokens() {
+    try {
+        const tokens = JSON.parse(localStorage.getItem(BOOKING_TOKENS_KEY) || '[]');
+        return Array.isArray(tokens) ? tokens : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveBookingToken(token) {
+    if (!token) return;
+    const tokens = getBookingTokens().filter(t => t !== token);
+    tokens.unshift(token);
+    localStorage.setItem(BOOKING_TOKENS_KEY, JSON.stringify(tokens.slice(0, 20)));
+}
+
+// Load user's existing bookings
 async function loadMyBookings() {
+    const tokens = getBookingTokens();
+    if (tokens.length === 0) {
+        displayMyBookings([]);
+        return;
+    }
+
     try {
-        const response = await fetch('/api/public/my-bookings');
+        const response = await fetch('/api/public/my-bookings', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ tokens })
+        });
         if (response.ok) {
             const bookings = await response.json();
+            // Forget links that have expired or no longer match a booking
+            localStorage.setItem(BOOKING_TOKENS_KEY, JSON.stringify(bookings.map(b => b.token)));
             displayMyBookings(bookings);
         }
     } catch (error) {
@@ -585,19 +619,19 @@ function displayMyBookings(bookings) {
             <div class="card-body">
                 <div class="row align-items-center">
                     <div class="col-md-8">
-                        <h6 class="mb-1"><i class="bi bi-person"></i> ${escapeHtml(booking.walk_in_name)}</h6>
+                        <h6 class="mb-1"><i class="bi bi-person"></i> ${escapeHtml(booking.patient_name)}</h6>
                         <p class="mb-1 text-muted">
                             <i class="bi bi-calendar"></i> ${moment(booking.appointment_date).format('DD/MM/YYYY')}
                             <i class="bi bi-clock"></i> ${booking.start_time.substring(0, 5)} - ${booking.end_time.substring(0, 5)}<br>
-                            <i class="bi bi-telephone"></i> ${escapeHtml(booking.walk_in_phone)}
+                            <i class="bi bi-building"></i> ${escapeHtml(booking.clinic_name)}
                         </p>
                         <span class="badge bg-${getStatusColor(booking.status)}">${booking.status}</span>
                     </div>
                     <div class="col-md-4 text-end">
-                        ${booking.status === 'SCHEDULED' || booking.status === 'CONFIRMED' ? `
-                            <button class="btn btn-sm btn-danger" onclick="cancelBooking(${booking.id})">
-                                <i class="bi bi-x-circle"></i> Cancel
-                            </button>
+                        ${booking.can_change ? `
+                            <a class="btn btn-sm btn-outline-primary" href="/manage-appointment/${encodeURIComponent(booking.token)}">
+                                <i class="bi bi-pencil-square"></i> Confirm / Change
+                            </a>
                         ` : ''}
                     </div>
                 </div>
@@ -619,34 +653,6 @@ function getStatusColor(status) {
     return colors[status] || 'secondary';
 }
 
-// Cancel booking
-async function cancelBooking(bookingId) {
-    if (!confirm('Are you sure you want to cancel this appointment?')) {
-        return;
-    }
-
-    try {
-        const response = await fetch(`/api/public/cancel-appointment/${bookingId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        const result = await response.json();
-
-        if (response.ok) {
-            showAlert('Appointment cancelled successfully', 'success');
-            loadMyBookings();
-        } else {
-            showAlert(result.error || 'Failed to cancel appointment', 'danger');
-        }
-    } catch (error) {
-        console.error('Cancel error:', error);
-        showAlert('Error cancelling appointment', 'danger');
-    }
-}
-
 // Show alert
 function showAlert(message, type = 'info') {
     const alertHtml = `
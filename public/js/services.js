@@ -276,6 +276,10 @@ async function manageClinicPricing(serviceId) {
     document.getElementById('clinicPricingModalTitle').textContent = `Clinic Pricing - ${service.service_name}`;
     document.getElementById('pricing-default-price').textContent = `Default Price: ฿${parseFloat(service.default_price).toFixed(2)}`;
 
+    // Changes apply from today unless another date is picked
+    document.getElementById('pricing-effective-from').value = todayDate();
+    document.getElementById('pricing-effective-from').min = todayDate();
+
     // Load clinic pricing data
     await loadClinicPricingData(serviceId);
 
@@ -284,12 +288,18 @@ async function manageClinicPricing(serviceId) {
     modal.show();
 }
 
-// Load clinic pricing data for a service
+function todayDate() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// Load clinic pricing data for a service, as in force on the effective date
 async function loadClinicPricingData(serviceId) {
     try {
+        const effectiveFrom = document.getElementById('pricing-effective-from')?.value || todayDate();
 
         // Load existing pricing for this service
-        const response = await fetch(`/api/bills/clinic-pricing?service_id=${serviceId}`, {
+        const response = await fetch(`/api/bills/clinic-pricing?service_id=${serviceId}&date=${effectiveFrom}`, {
             headers: {}
         });
 
@@ -302,7 +312,8 @@ async function loadClinicPricingData(serviceId) {
         existingPricing.forEach(p => {
             pricingMap[p.clinic_id] = {
                 clinic_price: p.clinic_price,
-                is_enabled: p.is_enabled
+                is_enabled: p.is_enabled,
+                scheduled: p.scheduled || []
             };
         });
 
@@ -321,14 +332,23 @@ function renderClinicPricingTable(pricingMap) {
     if (!tbody) return;
 
     if (allClinics.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted py-4">No clinics found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted py-4">No clinics found</td></tr>';
         return;
     }
 
     tbody.innerHTML = allClinics.map(clinic => {
         const pricing = pricingMap[clinic.id] || {};
         const isEnabled = pricing.is_enabled !== undefined ? pricing.is_enabled : true;
-        const clinicPrice = pricing.clinic_price || '';
+        const clinicPrice = pricing.clinic_price ?? '';
+        const scheduled = (pricing.scheduled || []).map(change => `
+            <div class="small text-nowrap">
+                ${escapeHtml(String(change.effective_from).substring(0, 10))}:
+                ${change.is_enabled ? (change.clinic_price !== null ? `฿${parseFloat(change.clinic_price).toFixed(2)}` : 'Default') : 'Disabled'}
+                <button type="button" class="btn btn-link btn-sm text-danger p-0 ms-1" onclick="cancelPricingChange(${change.id})" title="Cancel change">
+                    <i class="bi bi-x-circle"></i>
+                </button>
+            </div>
+        `).join('') || '<span class="text-muted small">-</span>';
 
         return `
             <tr>
@@ -352,6 +372,7 @@ function renderClinicPricingTable(pricingMap) {
                            placeholder="Default price"
                            ${!isEnabled ? 'disabled' : ''}>
                 </td>
+                <td>${scheduled}</td>
             </tr>
         `;
     }).join('');
@@ -368,6 +389,25 @@ function renderClinicPricingTable(pricingMap) {
     });
 }
 
+// Cancel a scheduled (future) pricing change
+async function cancelPricingChange(id) {
+    if (!confirm('Cancel this scheduled pricing change?')) return;
+
+    try {
+        const response = await fetch(`/api/bills/clinic-pricing/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to cancel pricing change');
+        }
+
+        showAlert('Pricing change cancelled', 'success');
+        await loadClinicPricingData(currentPricingServiceId);
+    } catch (error) {
+        console.error('Cancel pricing change error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
 // Save clinic pricing
 async function saveClinicPricing() {
     try {
@@ -387,7 +427,8 @@ async function saveClinicPricing() {
                     clinic_id: clinic.id,
                     service_id: currentPricingServiceId,
                     is_enabled: isEnabled,
-                    clinic_price: price
+                    clinic_price: price,
+                    effective_from: document.getElementById('pricing-effective-from').value || todayDate()
                 });
             }
         });
@@ -7,8 +7,19 @@ const axios = require('axios');
 const { google } = require('googleapis');
 const path = require('path');
 const fs = require('fs');
-const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
+const { authenticateToken, authorize, auditLog, getAccessibleClinicIds } = require('../middleware/auth');
 const { hashPassword } = require('../utils/auth-helpers');
+const { generateBillCode } = require('../utils/helpers');
+const { validateBillRows, insertBills, buildTemplateCSV } = require('../utils/bill-import');
+const {
+    STATUSES: PN_STATUSES, FIELD_RULES: PN_WORKFLOW_FIELDS, EFFECTS: PN_WORKFLOW_EFFECTS,
+    validateDefinition, parseDefinition
+} = require('../utils/pn-workflow');
+const { getServicesForClinic, priceBillItems, getClinicPricing, setClinicPricing, deleteScheduledPricing } = require('../utils/service-pricing');
+const { syncBillPoints, reverseBillPoints } = require('../utils/loyalty');
+const { emitBillPaymentEvent } = require('../utils/realtime');
+const { syncClinicChannel, syncUserClinicChannels, removeUserFromConversations } = require('../utils/chat-groups');
+const { REMINDER_CHANNELS, processDueReminders } = require('../utils/reminders');
 
 // Note: auditLog and hashPassword are now imported from middleware/utils
 // No need to redefine them here
@@ -210,6 +221,9 @@ router.post('/users', authenticateToken, authorize('ADMIN'), async (req, res) =>
 
         await auditLog(db, req.user.id, 'CREATE', 'user', result.insertId, null, req.body, req);
 
+        await syncUserClinicChannels(db, req.app.locals.io, result.insertId)
+            .catch(err => console.warn('[CHAT] Failed to sync clinic channels:', err.message));
+
         res.status(201).json({ success: true, user_id: result.insertId });
     } catch (error) {
         console.error('Create user error:', error);
@@ -293,6 +307,11 @@ router.put('/users/:id', authenticateToken, authorize('ADMIN'), async (req, res)
 
         await auditLog(db, req.user.id, 'UPDATE', 'user', id, null, req.body, req);
 
+        if (clinic_id !== undefined || active !== undefined) {
+            await syncUserClinicChannels(db, req.app.locals.io, id)
+                .catch(err => console.warn('[CHAT] Failed to sync clinic channels:', err.message));
+        }
+
         res.json({ success: true, message: 'User updated successfully' });
     } catch (error) {
         console.error('Update user error:', error);
@@ -322,6 +341,9 @@ router.patch('/users/:id/status', authenticateToken, authorize('ADMIN'), async (
 
         await auditLog(db, req.user.id, 'UPDATE_STATUS', 'user', id, null, { active }, req);
 
+        await syncUserClinicChannels(db, req.app.locals.io, id)
+            .catch(err => console.warn('[CHAT] Failed to sync clinic channels:', err.message));
+
         res.json({ success: true });
     } catch (error) {
         console.error('Toggle user status error:', error);
@@ -689,6 +711,9 @@ router.delete('/users/:id', authenticateToken, authorize('ADMIN'), async (req, r
 
         await connection.commit();
 
+        await removeUserFromConversations(req.app.locals.db, req.app.locals.io, id)
+            .catch(err => console.warn('[CHAT] Failed to remove user from conversations:', err.message));
+
         res.json({
             success: true,
             message: `User deleted successfully. ${delete_all_data ? 'All data removed.' : 'Data transferred.'}`
@@ -736,6 +761,9 @@ router.post('/grants', authenticateToken, authorize('ADMIN'), async (req, res) =
 
         await auditLog(db, req.user.id, 'CREATE', 'grant', null, null, { user_id, clinic_id }, req);
 
+        await syncClinicChannel(db, req.app.locals.io, clinic_id)
+            .catch(err => console.warn('[CHAT] Failed to sync clinic channel:', err.message));
+
         res.json({ success: true });
     } catch (error) {
         console.error('Add grant error:', error);
@@ -756,6 +784,9 @@ router.delete('/grants/:userId/:clinicId', authenticateToken, authorize('ADMIN')
 
         await auditLog(db, req.user.id, 'DELETE', 'grant', null, { user_id: userId, clinic_id: clinicId }, null, req);
 
+        await syncClinicChannel(db, req.app.locals.io, clinicId)
+            .catch(err => console.warn('[CHAT] Failed to sync clinic channel:', err.message));
+
         res.json({ success: true });
     } catch (error) {
         console.error('Remove grant error:', error);
@@ -824,6 +855,9 @@ router.post('/clinics', async (req, res) => {
 
         await auditLog(db, req.user.id, 'CREATE', 'clinic', result.insertId, null, req.body, req);
 
+        await syncClinicChannel(db, req.app.locals.io, result.insertId)
+            .catch(err => console.warn('[CHAT] Failed to create clinic channel:', err.message));
+
         res.status(201).json({ success: true, clinic_id: result.insertId });
     } catch (error) {
         console.error('Create clinic error:', error);
@@ -884,6 +918,12 @@ router.put('/clinics/:id', async (req, res) => {
 
         await auditLog(db, req.user.id, 'UPDATE', 'clinic', id, null, req.body, req);
 
+        // Channel name follows the clinic name
+        if (name !== undefined) {
+            await syncClinicChannel(db, req.app.locals.io, id)
+                .catch(err => console.warn('[CHAT] Failed to sync clinic channel:', err.message));
+        }
+
         res.json({ success: true });
     } catch (error) {
         console.error('Update clinic error:', error);
@@ -957,6 +997,438 @@ router.get('/clinics/:id/details', async (req, res) => {
     }
 });
 
+// ========================================
+// PN WORKFLOW ROUTES (ADMIN ONLY)
+// ========================================
+
+// List workflows with the clinics using them, and the statuses, fields and
+// effects a definition can use
+router.get('/pn-workflows', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [workflows] = await db.execute(
+            `SELECT w.id, w.name, w.description, w.is_default, w.definition, w.updated_at,
+                    (SELECT GROUP_CONCAT(c.code ORDER BY c.code) FROM clinics c WHERE c.pn_workflow_id = w.id) as clinic_codes
+             FROM pn_workflows w
+             ORDER BY w.is_default DESC, w.name`
+        );
+
+        res.json({
+            workflows: workflows.map(workflow => ({
+                ...workflow,
+                definition: parseDefinition(workflow.definition),
+                clinic_codes: workflow.clinic_codes ? workflow.clinic_codes.split(',') : []
+            })),
+            statuses: PN_STATUSES,
+            fields: Object.keys(PN_WORKFLOW_FIELDS),
+            effects: Object.keys(PN_WORKFLOW_EFFECTS)
+        });
+    } catch (error) {
+        console.error('Get PN workflows error:', error);
+        res.status(500).json({ error: 'Failed to retrieve PN workflows' });
+    }
+});
+
+// Create or update a workflow; is_default moves the default flag to it
+const savePNWorkflow = async (db, id, body, userId) => {
+    const { name, description, is_default } = body;
+    if (!name || !String(name).trim()) {
+        throw Object.assign(new Error('name is required'), { status: 400 });
+    }
+    const definition = validateDefinition(body.definition);
+
+    let workflowId = id;
+    if (id) {
+        const [result] = await db.execute(
+            'UPDATE pn_workflows SET name = ?, description = ?, definition = ? WHERE id = ?',
+            [String(name).trim(), description || null, JSON.stringify(definition), id]
+        );
+        if (result.affectedRows === 0) {
+            throw Object.assign(new Error('Workflow not found'), { status: 404 });
+        }
+    } else {
+        const [result] = await db.execute(
+            'INSERT INTO pn_workflows (name, description, definition, created_by) VALUES (?, ?, ?, ?)',
+            [String(name).trim(), description || null, JSON.stringify(definition), userId]
+        );
+        workflowId = result.insertId;
+    }
+
+    if (is_default) {
+        await db.execute('UPDATE pn_workflows SET is_default = (id = ?)', [workflowId]);
+    }
+    return { id: workflowId, definition };
+};
+
+router.post('/pn-workflows', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const workflow = await savePNWorkflow(db, null, req.body, req.user.id);
+
+        await auditLog(db, req.user.id, 'CREATE', 'pn_workflow', workflow.id, null,
+            { name: req.body.name, definition: workflow.definition }, req);
+
+        res.status(201).json({ success: true, id: workflow.id });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A workflow with this name already exists' });
+        if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+        console.error('Create PN workflow error:', error);
+        res.status(500).json({ error: 'Failed to create PN workflow' });
+    }
+});
+
+router.put('/pn-workflows/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [existing] = await db.execute('SELECT name, definition FROM pn_workflows WHERE id = ?', [id]);
+        const workflow = await savePNWorkflow(db, id, req.body, req.user.id);
+
+        await auditLog(db, req.user.id, 'UPDATE', 'pn_workflow', id,
+            existing[0] ? { name: existing[0].name, definition: parseDefinition(existing[0].definition) } : null,
+            { name: req.body.name, definition: workflow.definition }, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A workflow with this name already exists' });
+        if (error.status) return res.status(error.status).json({ error: error.message, ...error.details });
+        console.error('Update PN workflow error:', error);
+        res.status(500).json({ error: 'Failed to update PN workflow' });
+    }
+});
+
+// Clinics using a deleted workflow fall back to the default one
+router.delete('/pn-workflows/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [workflows] = await db.execute('SELECT * FROM pn_workflows WHERE id = ?', [id]);
+        if (workflows.length === 0) {
+            return res.status(404).json({ error: 'Workflow not found' });
+        }
+        if (workflows[0].is_default) {
+            return res.status(409).json({ error: 'The default workflow cannot be deleted' });
+        }
+
+        await db.execute('DELETE FROM pn_workflows WHERE id = ?', [id]);
+        await auditLog(db, req.user.id, 'DELETE', 'pn_workflow', id, { name: workflows[0].name }, null, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete PN workflow error:', error);
+        res.status(500).json({ error: 'Failed to delete PN workflow' });
+    }
+});
+
+// Assign a workflow to a clinic (null = default)
+router.put('/clinics/:id/pn-workflow', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const workflowId = req.body.workflow_id ? parseInt(req.body.workflow_id) : null;
+
+        if (workflowId) {
+            const [workflows] = await db.execute('SELECT id FROM pn_workflows WHERE id = ?', [workflowId]);
+            if (workflows.length === 0) {
+                return res.status(404).json({ error: 'Workflow not found' });
+            }
+        }
+
+        const [clinics] = await db.execute('SELECT pn_workflow_id FROM clinics WHERE id = ?', [id]);
+        if (clinics.length === 0) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        await db.execute('UPDATE clinics SET pn_workflow_id = ?, updated_at = NOW() WHERE id = ?', [workflowId, id]);
+        await auditLog(db, req.user.id, 'UPDATE', 'clinic', id,
+            { pn_workflow_id: clinics[0].pn_workflow_id }, { pn_workflow_id: workflowId }, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Assign PN workflow error:', error);
+        res.status(500).json({ error: 'Failed to assign PN workflow' });
+    }
+});
+
+// ========================================
+// CLINIC SCHEDULE ROUTES
+// ========================================
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Validate a start/end time pair, returns error message or null
+const validateTimeRange = (start, end, label) => {
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        return `${label}: times must be HH:mm`;
+    }
+    if (start >= end) {
+        return `${label}: start time must be before end time`;
+    }
+    return null;
+};
+
+// Get weekly opening hours, breaks and slot length of a clinic
+router.get('/clinics/:id/schedule', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [clinics] = await db.execute('SELECT id, name, slot_minutes FROM clinics WHERE id = ?', [id]);
+        if (clinics.length === 0) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        const [hours] = await db.execute(
+            'SELECT day_of_week, is_closed, open_time, close_time FROM clinic_opening_hours WHERE clinic_id = ? ORDER BY day_of_week',
+            [id]
+        );
+        const [breaks] = await db.execute(
+            'SELECT id, day_of_week, start_time, end_time, label FROM clinic_breaks WHERE clinic_id = ? ORDER BY day_of_week, start_time',
+            [id]
+        );
+
+        res.json({
+            clinic_id: clinics[0].id,
+            clinic_name: clinics[0].name,
+            slot_minutes: clinics[0].slot_minutes,
+            uses_default_hours: hours.length === 0,
+            opening_hours: hours,
+            breaks
+        });
+    } catch (error) {
+        console.error('Get clinic schedule error:', error);
+        res.status(500).json({ error: 'Failed to retrieve clinic schedule' });
+    }
+});
+
+// Replace weekly opening hours and breaks of a clinic
+router.put('/clinics/:id/schedule', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const { id } = req.params;
+        const { slot_minutes, opening_hours = [], breaks = [] } = req.body;
+
+        if (slot_minutes !== undefined && (!Number.isInteger(parseInt(slot_minutes)) || parseInt(slot_minutes) < 5 || parseInt(slot_minutes) > 240)) {
+            return res.status(400).json({ error: 'slot_minutes must be between 5 and 240' });
+        }
+
+        for (const day of opening_hours) {
+            if (!Number.isInteger(day.day_of_week) || day.day_of_week < 0 || day.day_of_week > 6) {
+                return res.status(400).json({ error: 'day_of_week must be 0 (Sunday) to 6 (Saturday)' });
+            }
+            if (!day.is_closed) {
+                const error = validateTimeRange(day.open_time, day.close_time, `Day ${day.day_of_week}`);
+                if (error) return res.status(400).json({ error });
+            }
+        }
+
+        for (const brk of breaks) {
+            const error = validateTimeRange(brk.start_time, brk.end_time, brk.label || 'Break');
+            if (error) return res.status(400).json({ error });
+        }
+
+        await connection.beginTransaction();
+
+        const [clinics] = await connection.execute('SELECT id FROM clinics WHERE id = ? FOR UPDATE', [id]);
+        if (clinics.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        if (slot_minutes !== undefined) {
+            await connection.execute('UPDATE clinics SET slot_minutes = ?, updated_at = NOW() WHERE id = ?', [parseInt(slot_minutes), id]);
+        }
+
+        await connection.execute('DELETE FROM clinic_opening_hours WHERE clinic_id = ?', [id]);
+        for (const day of opening_hours) {
+            await connection.execute(
+                `INSERT INTO clinic_opening_hours (clinic_id, day_of_week, is_closed, open_time, close_time, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [id, day.day_of_week, day.is_closed ? 1 : 0,
+                 day.is_closed ? null : day.open_time, day.is_closed ? null : day.close_time, req.user.id]
+            );
+        }
+
+        await connection.execute('DELETE FROM clinic_breaks WHERE clinic_id = ?', [id]);
+        for (const brk of breaks) {
+            await connection.execute(
+                'INSERT INTO clinic_breaks (clinic_id, day_of_week, start_time, end_time, label) VALUES (?, ?, ?, ?, ?)',
+                [id, brk.day_of_week !== undefined && brk.day_of_week !== null ? brk.day_of_week : null,
+                 brk.start_time, brk.end_time, brk.label || null]
+            );
+        }
+
+        await connection.commit();
+
+        await auditLog(req.app.locals.db, req.user.id, 'UPDATE_SCHEDULE', 'clinic', id, null, req.body, req);
+
+        res.json({ success: true, message: 'Clinic schedule saved successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Save clinic schedule error:', error);
+        res.status(500).json({ error: 'Failed to save clinic schedule' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Get closures of a clinic, including public holidays (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/clinics/:id/closures', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const from = req.query.from || new Date().toISOString().split('T')[0];
+
+        let query = `
+            SELECT id, clinic_id, closure_date, closure_type, start_time, end_time, reason
+            FROM clinic_closures
+            WHERE (clinic_id = ? OR clinic_id IS NULL) AND closure_date >= ?
+        `;
+        const params = [id, from];
+
+        if (req.query.to) {
+            query += ' AND closure_date <= ?';
+            params.push(req.query.to);
+        }
+
+        query += ' ORDER BY closure_date, start_time';
+
+        const [closures] = await db.execute(query, params);
+        res.json(closures);
+    } catch (error) {
+        console.error('Get clinic closures error:', error);
+        res.status(500).json({ error: 'Failed to retrieve clinic closures' });
+    }
+});
+
+// Add an ad-hoc closure (whole day, or start_time/end_time for part of the day)
+router.post('/clinics/:id/closures', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { closure_date, start_time, end_time, reason } = req.body;
+
+        if (!closure_date || !/^\d{4}-\d{2}-\d{2}$/.test(closure_date)) {
+            return res.status(400).json({ error: 'closure_date (YYYY-MM-DD) is required' });
+        }
+
+        if (start_time || end_time) {
+            const error = validateTimeRange(start_time, end_time, 'Closure');
+            if (error) return res.status(400).json({ error });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO clinic_closures (clinic_id, closure_date, closure_type, start_time, end_time, reason, created_by)
+             VALUES (?, ?, 'CLOSURE', ?, ?, ?, ?)`,
+            [id, closure_date, start_time || null, end_time || null, reason || null, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'clinic_closure', result.insertId, null, req.body, req);
+
+        res.status(201).json({ success: true, id: result.insertId });
+    } catch (error) {
+        console.error('Create clinic closure error:', error);
+        res.status(500).json({ error: 'Failed to create clinic closure' });
+    }
+});
+
+// Get public holidays (?year=YYYY)
+router.get('/holidays', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+
+        const [holidays] = await db.execute(
+            `SELECT id, closure_date, reason
+             FROM clinic_closures
+             WHERE clinic_id IS NULL AND YEAR(closure_date) = ?
+             ORDER BY closure_date`,
+            [year]
+        );
+
+        res.json(holidays);
+    } catch (error) {
+        console.error('Get holidays error:', error);
+        res.status(500).json({ error: 'Failed to retrieve holidays' });
+    }
+});
+
+// Add a public holiday (closes every clinic)
+router.post('/holidays', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { closure_date, reason } = req.body;
+
+        if (!closure_date || !/^\d{4}-\d{2}-\d{2}$/.test(closure_date)) {
+            return res.status(400).json({ error: 'closure_date (YYYY-MM-DD) is required' });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO clinic_closures (clinic_id, closure_date, closure_type, reason, created_by)
+             VALUES (NULL, ?, 'HOLIDAY', ?, ?)`,
+            [closure_date, reason || null, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'holiday', result.insertId, null, req.body, req);
+
+        res.status(201).json({ success: true, id: result.insertId });
+    } catch (error) {
+        console.error('Create holiday error:', error);
+        res.status(500).json({ error: 'Failed to create holiday' });
+    }
+});
+
+// Delete a closure or public holiday
+router.delete('/clinic-closures/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [closures] = await db.execute('SELECT * FROM clinic_closures WHERE id = ?', [id]);
+        if (closures.length === 0) {
+            return res.status(404).json({ error: 'Closure not found' });
+        }
+
+        await db.execute('DELETE FROM clinic_closures WHERE id = ?', [id]);
+
+        await auditLog(db, req.user.id, 'DELETE', 'clinic_closure', id, closures[0], null, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete clinic closure error:', error);
+        res.status(500).json({ error: 'Failed to delete closure' });
+    }
+});
+
+// Set booking slot length of a service (null = clinic default)
+router.patch('/bills/services/:id/slot-minutes', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { slot_minutes } = req.body;
+
+        const value = slot_minutes === null || slot_minutes === '' ? null : parseInt(slot_minutes);
+        if (value !== null && (isNaN(value) || value < 5 || value > 240)) {
+            return res.status(400).json({ error: 'slot_minutes must be between 5 and 240' });
+        }
+
+        const [result] = await db.execute('UPDATE services SET slot_minutes = ? WHERE id = ?', [value, id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+
+        await auditLog(db, req.user.id, 'UPDATE', 'service', id, null, { slot_minutes: value }, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update service slot length error:', error);
+        res.status(500).json({ error: 'Failed to update service slot length' });
+    }
+});
+
 // ========================================
 // NOTIFICATION SETTINGS ROUTES (ADMIN ONLY)
 // ========================================
@@ -1651,11 +2123,24 @@ router.get('/notification/line/webhook-ids', authenticateToken, authorize('ADMIN
     try {
         const db = req.app.locals.db;
 
-        // Get recent events from the database or in-memory store
-        // This endpoint helps admins capture User/Group IDs from LINE webhook events
+        // Latest event per source - helps admins capture User/Group IDs from LINE webhook events
+        const [events] = await db.execute(`
+            SELECT e.source_type, e.source_id, e.event_type, e.message_text, e.created_at,
+                   pla.patient_id, pla.display_name
+            FROM line_webhook_events e
+            JOIN (
+                SELECT MAX(id) as id FROM line_webhook_events
+                WHERE source_id IS NOT NULL
+                GROUP BY source_id
+            ) latest ON e.id = latest.id
+            LEFT JOIN patient_line_accounts pla ON pla.line_user_id = e.source_id AND pla.is_active = 1
+            ORDER BY e.created_at DESC
+            LIMIT 50
+        `);
+
         res.json({
-            events: [],
-            count: 0,
+            events,
+            count: events.length,
             instructions: [
                 '1. Add your LINE bot as a friend (or add to group)',
                 '2. Send any message to the bot',
@@ -1895,6 +2380,177 @@ router.post('/notification/google-calendar/test', authenticateToken, authorize('
     }
 });
 
+// ========================================
+// APPOINTMENT REMINDER ROUTES (ADMIN ONLY)
+// ========================================
+
+const REMINDER_LOG_STATUSES = ['PENDING', 'SENT', 'FAILED', 'SKIPPED'];
+
+// Validate a reminder rule body, returns error message or null
+const validateReminderRule = ({ name, offset_minutes, channel, template }) => {
+    if (!name || !template) return 'name and template are required';
+    if (!REMINDER_CHANNELS.includes(channel)) return `channel must be one of ${REMINDER_CHANNELS.join(', ')}`;
+    const offset = parseInt(offset_minutes);
+    if (!(offset > 0) || offset > 60 * 24 * 30) return 'offset_minutes must be between 1 and 43200 (30 days)';
+    return null;
+};
+
+// Get reminder rules
+router.get('/notification/reminders/rules', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [rules] = await db.execute('SELECT * FROM appointment_reminder_rules ORDER BY offset_minutes DESC, id');
+        res.json(rules);
+    } catch (error) {
+        console.error('Get reminder rules error:', error);
+        res.status(500).json({ error: 'Failed to retrieve reminder rules' });
+    }
+});
+
+// Create reminder rule
+router.post('/notification/reminders/rules', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { name, offset_minutes, channel, subject, template, attach_ics, enabled } = req.body;
+
+        const validationError = validateReminderRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO appointment_reminder_rules
+             (name, offset_minutes, channel, subject, template, attach_ics, enabled, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name.trim(), parseInt(offset_minutes), channel, subject || null, template,
+             attach_ics ? 1 : 0, enabled === false || enabled === 0 ? 0 : 1, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'reminder_rule', result.insertId, null, req.body, req);
+
+        const [rules] = await db.execute('SELECT * FROM appointment_reminder_rules WHERE id = ?', [result.insertId]);
+        res.status(201).json(rules[0]);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A reminder rule with this name already exists' });
+        console.error('Create reminder rule error:', error);
+        res.status(500).json({ error: 'Failed to create reminder rule' });
+    }
+});
+
+// Update reminder rule
+router.put('/notification/reminders/rules/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [existing] = await db.execute('SELECT * FROM appointment_reminder_rules WHERE id = ?', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Reminder rule not found' });
+        }
+
+        const rule = { ...existing[0], ...req.body };
+        const validationError = validateReminderRule(rule);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await db.execute(
+            `UPDATE appointment_reminder_rules
+             SET name = ?, offset_minutes = ?, channel = ?, subject = ?, template = ?, attach_ics = ?, enabled = ?
+             WHERE id = ?`,
+            [rule.name.trim(), parseInt(rule.offset_minutes), rule.channel, rule.subject || null, rule.template,
+             rule.attach_ics ? 1 : 0, rule.enabled ? 1 : 0, id]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'reminder_rule', id, existing[0], req.body, req);
+
+        const [rules] = await db.execute('SELECT * FROM appointment_reminder_rules WHERE id = ?', [id]);
+        res.json(rules[0]);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A reminder rule with this name already exists' });
+        console.error('Update reminder rule error:', error);
+        res.status(500).json({ error: 'Failed to update reminder rule' });
+    }
+});
+
+// Delete reminder rule (its delivery history goes with it)
+router.delete('/notification/reminders/rules/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [existing] = await db.execute('SELECT * FROM appointment_reminder_rules WHERE id = ?', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Reminder rule not found' });
+        }
+
+        await db.execute('DELETE FROM appointment_reminder_rules WHERE id = ?', [id]);
+        await auditLog(db, req.user.id, 'DELETE', 'reminder_rule', id, existing[0], null, req);
+
+        res.json({ success: true, message: 'Reminder rule deleted' });
+    } catch (error) {
+        console.error('Delete reminder rule error:', error);
+        res.status(500).json({ error: 'Failed to delete reminder rule' });
+    }
+});
+
+// Reminder delivery history (?appointment_id=&status=&limit=)
+router.get('/notification/reminders/log', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { appointment_id, status } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+        let query = `
+            SELECT l.id, l.appointment_id, l.rule_id, l.scheduled_for, l.attempt_no, l.channel, l.recipient, l.status,
+                   l.message, l.error_message, l.instance_id, l.created_at, l.completed_at,
+                   r.name AS rule_name, r.offset_minutes,
+                   DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+                   TIME_FORMAT(a.start_time, '%H:%i') AS start_time,
+                   COALESCE(a.walk_in_name, CONCAT_WS(' ', p.first_name, p.last_name)) AS patient_name
+            FROM appointment_reminder_log l
+            JOIN appointment_reminder_rules r ON l.rule_id = r.id
+            JOIN appointments a ON l.appointment_id = a.id
+            LEFT JOIN patients p ON a.patient_id = p.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (appointment_id) {
+            query += ' AND l.appointment_id = ?';
+            params.push(appointment_id);
+        }
+
+        if (status) {
+            if (!REMINDER_LOG_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of ${REMINDER_LOG_STATUSES.join(', ')}` });
+            }
+            query += ' AND l.status = ?';
+            params.push(status);
+        }
+
+        query += ` ORDER BY l.created_at DESC, l.id DESC LIMIT ${limit}`;
+
+        const [log] = await db.execute(query, params);
+        res.json(log);
+    } catch (error) {
+        console.error('Get reminder log error:', error);
+        res.status(500).json({ error: 'Failed to retrieve reminder history' });
+    }
+});
+
+// Send due reminders now instead of waiting for the scheduler
+router.post('/notification/reminders/run', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const summary = await processDueReminders(db);
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Run reminders error:', error);
+        res.status(500).json({ error: 'Failed to run reminders' });
+    }
+});
+
 // ========================================
 // BOOKING SETTINGS ROUTES (ADMIN ONLY)
 // ========================================
@@ -2804,27 +3460,171 @@ router.get('/bills', authenticateToken, async (req, res) => {
     }
 });
 
-// Get billing services
+// Get billing services with the price in force at a clinic on a date
+// (?clinic_id=&date=, default the user's clinic and today). With an explicit
+// clinic_id, services switched off at that clinic are left out.
 router.get('/bills/services', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        console.log('[SERVICES] Fetching services from database');
+        const { clinic_id, date } = req.query;
+        const clinicId = parseInt(clinic_id) || req.user.clinic_id || null;
 
-        const [services] = await db.execute('SELECT * FROM services ORDER BY service_name');
-
-        console.log('[SERVICES] Found', services.length, 'services');
-        if (services.length > 0) {
-            console.log('[SERVICES] Sample:', JSON.stringify(services[0]).substring(0, 200));
-        }
-
-        res.json(services);
+        const services = await getServicesForClinic(db, clinicId, date);
+        res.json(clinic_id ? services.filter(service => service.is_enabled) : services);
     } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
         console.error('[SERVICES] Error:', error);
         console.error('[SERVICES] Error details:', error.message);
         return res.json([]); // Return empty array instead of error
     }
 });
 
+// Pricing of a service at every clinic, with scheduled changes
+router.get('/bills/clinic-pricing', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { service_id, date } = req.query;
+
+        if (!service_id) {
+            return res.status(400).json({ error: 'service_id is required' });
+        }
+
+        res.json(await getClinicPricing(db, service_id, date));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Get clinic pricing error:', error);
+        res.status(500).json({ error: 'Failed to load clinic pricing' });
+    }
+});
+
+// Set a clinic's price / availability for a service from effective_from (default today)
+router.post('/bills/clinic-pricing', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, service_id, clinic_price, is_enabled, effective_from } = req.body;
+
+        if (!clinic_id || !service_id) {
+            return res.status(400).json({ error: 'clinic_id and service_id are required' });
+        }
+
+        const result = await setClinicPricing(db, {
+            clinicId: clinic_id,
+            serviceId: service_id,
+            clinicPrice: clinic_price,
+            isEnabled: is_enabled,
+            effectiveFrom: effective_from,
+            userId: req.user.id
+        });
+
+        if (result.changed) {
+            const { previous } = result;
+            await auditLog(db, req.user.id, 'UPDATE', 'clinic_service_price', result.id,
+                { clinic_price: previous.clinic_price, is_enabled: previous.is_enabled },
+                { clinic_id, service_id, clinic_price: clinic_price ?? null, is_enabled: is_enabled !== false, effective_from: effective_from || null },
+                req);
+        }
+
+        res.json({ success: true, changed: result.changed, id: result.id });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Save clinic pricing error:', error);
+        res.status(500).json({ error: 'Failed to save clinic pricing' });
+    }
+});
+
+// Cancel a scheduled pricing change
+router.delete('/bills/clinic-pricing/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const removed = await deleteScheduledPricing(db, req.params.id);
+
+        await auditLog(db, req.user.id, 'DELETE', 'clinic_service_price', req.params.id, removed, null, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Delete clinic pricing error:', error);
+        res.status(500).json({ error: 'Failed to cancel pricing change' });
+    }
+});
+
+// Download bill import CSV template
+router.get('/bills/export/template', authenticateToken, (req, res) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="bill_import_template.csv"');
+    res.send('﻿' + buildTemplateCSV()); // BOM so Excel opens it as UTF-8
+});
+
+// Import bills from CSV rows (parsed by the client, one row per bill item).
+// dry_run only returns the per-row report; a real import creates every bill in
+// one transaction and writes nothing if any row has an error.
+router.post('/bills/import', authenticateToken, async (req, res) => {
+    const db = req.app.locals.db;
+    const { csvData, dry_run } = req.body;
+    const dryRun = dry_run === true || dry_run === 'true';
+    let connection = null;
+
+    try {
+        const accessibleClinicIds = req.user.role === 'ADMIN'
+            ? null
+            : await getAccessibleClinicIds(db, req.user);
+        const { bills, report } = await validateBillRows(db, csvData, accessibleClinicIds);
+
+        const badRows = report.filter(row => row.status === 'error');
+        const errors = badRows.flatMap(row => row.errors.map(error => ({ row: row.row, error })));
+        const failed = new Set(badRows.map(row => row.bill_ref || `row:${row.row}`)).size;
+
+        if (dryRun || badRows.length > 0) {
+            return res.json({
+                dry_run: dryRun,
+                imported: false,
+                success: 0,
+                valid: bills.length,
+                failed,
+                errors,
+                rows: report
+            });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        const created = await insertBills(connection, bills, req.user.id);
+        await connection.commit();
+
+        // Imported receipts that were already paid earn points like any paid bill
+        for (const bill of created.filter(bill => bill.payment_status === 'PAID')) {
+            await syncBillPoints(db, bill.id, 'PAID', req.user.id)
+                .catch(err => console.warn('[LOYALTY] Failed to sync bill points:', err.message));
+        }
+
+        await auditLog(db, req.user.id, 'IMPORT_BILLS', 'bill', null, null, {
+            rows: report.length,
+            bill_codes: created.map(bill => bill.bill_code)
+        }, req);
+
+        const codeByRow = new Map();
+        created.forEach(bill => bill.rows.forEach(row => codeByRow.set(row, bill.bill_code)));
+
+        res.json({
+            dry_run: false,
+            imported: true,
+            success: created.length,
+            valid: created.length,
+            failed: 0,
+            errors: [],
+            bills: created.map(({ id, bill_code, ref }) => ({ id, bill_code, bill_ref: ref })),
+            rows: report.map(row => ({ ...row, bill_code: codeByRow.get(row.row) || null }))
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('[BILLS] Import error:', error);
+        res.status(500).json({ error: 'Failed to import bills', details: error.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
 // Get single bill
 router.get('/bills/:id', authenticateToken, async (req, res) => {
     try {
@@ -2881,7 +3681,6 @@ router.post('/bills', authenticateToken, async (req, res) => {
             pn_case_id,
             appointment_id,
             bill_date,
-            items,
             discount,
             tax,
             walk_in_name,
@@ -2891,22 +3690,11 @@ router.post('/bills', authenticateToken, async (req, res) => {
             payment_notes
         } = req.body;
 
+        // Items without a unit_price get the clinic's price on the bill date
+        const items = await priceBillItems(connection, clinic_id, bill_date, req.body.items);
+
         // Generate bill_code: BILL-{year}-{sequence}
-        const currentYear = new Date().getFullYear();
-        const [lastBill] = await connection.execute(`
-            SELECT bill_code FROM bills
-            WHERE bill_code LIKE ?
-            ORDER BY bill_code DESC
-            LIMIT 1
-        `, [`BILL-${currentYear}-%`]);
-
-        let sequence = 1;
-        if (lastBill.length > 0) {
-            const lastCode = lastBill[0].bill_code;
-            const lastSequence = parseInt(lastCode.split('-')[2]);
-            sequence = lastSequence + 1;
-        }
-        const bill_code = `BILL-${currentYear}-${String(sequence).padStart(3, '0')}`;
+        const bill_code = await generateBillCode(connection);
         console.log('[BILLS] Generated bill_code:', bill_code);
 
         // Calculate totals from items
@@ -2982,6 +3770,7 @@ router.post('/bills', authenticateToken, async (req, res) => {
         });
     } catch (error) {
         await connection.rollback();
+        if (error.status) return res.status(error.status).json({ error: error.message });
         console.error('[BILLS] Create bill error:', error);
         console.error('[BILLS] Error message:', error.message);
         console.error('[BILLS] Error code:', error.code);
@@ -3007,7 +3796,6 @@ router.put('/bills/:id', authenticateToken, async (req, res) => {
             clinic_id,
             pn_case_id,
             bill_date,
-            items,
             discount,
             tax,
             payment_status,
@@ -3018,6 +3806,11 @@ router.put('/bills/:id', authenticateToken, async (req, res) => {
             bill_notes
         } = req.body;
 
+        // Items without a unit_price get the clinic's price on the bill date
+        const items = req.body.items === undefined
+            ? undefined
+            : await priceBillItems(connection, clinic_id, bill_date, req.body.items);
+
         // Calculate totals from items (same logic as POST endpoint)
         let subtotal = 0;
         if (items && items.length > 0) {
@@ -3090,9 +3883,16 @@ router.put('/bills/:id', authenticateToken, async (req, res) => {
         await connection.commit();
         console.log('[BILLS] Bill updated successfully');
 
+        await syncBillPoints(req.app.locals.db, id, payment_status, req.user.id)
+            .catch(err => console.warn('[LOYALTY] Failed to sync bill points:', err.message));
+
+        await emitBillPaymentEvent(req.app.locals.io, req.app.locals.db, id)
+            .catch(err => console.warn('[REALTIME] Failed to emit bill event:', err.message));
+
         res.json({ success: true, message: 'Bill updated successfully' });
     } catch (error) {
         await connection.rollback();
+        if (error.status) return res.status(error.status).json({ error: error.message });
         console.error('[BILLS] Update bill error:', error);
         console.error('[BILLS] Error message:', error.message);
         res.status(500).json({ error: 'Failed to update bill', details: error.message });
@@ -3125,6 +3925,13 @@ router.patch('/bills/:id/payment-status', authenticateToken, async (req, res) =>
             WHERE id = ?
         `, [payment_status, payment_method || null, finalPaymentDate || null, id]);
 
+        // Earn (or take back) loyalty points for the bill
+        await syncBillPoints(db, id, payment_status, req.user.id)
+            .catch(err => console.warn('[LOYALTY] Failed to sync bill points:', err.message));
+
+        await emitBillPaymentEvent(req.app.locals.io, db, id)
+            .catch(err => console.warn('[REALTIME] Failed to emit bill event:', err.message));
+
         console.log('[BILLS] Payment status updated successfully');
         res.json({ success: true, message: 'Payment status updated successfully' });
     } catch (error) {
@@ -3157,6 +3964,13 @@ router.put('/bills/:id/payment-status', authenticateToken, async (req, res) => {
             WHERE id = ?
         `, [payment_status, payment_method || null, finalPaymentDate || null, id]);
 
+        // Earn (or take back) loyalty points for the bill
+        await syncBillPoints(db, id, payment_status, req.user.id)
+            .catch(err => console.warn('[LOYALTY] Failed to sync bill points:', err.message));
+
+        await emitBillPaymentEvent(req.app.locals.io, db, id)
+            .catch(err => console.warn('[REALTIME] Failed to emit bill event:', err.message));
+
         console.log('[BILLS] Payment status updated successfully');
         res.json({ success: true, message: 'Payment status updated successfully' });
     } catch (error) {
@@ -3174,12 +3988,25 @@ router.delete('/bills/:id', authenticateToken, authorize('ADMIN'), async (req, r
 
         const { id } = req.params;
 
+        const [bills] = await connection.execute(
+            'SELECT id, bill_code, patient_id FROM bills WHERE id = ? FOR UPDATE',
+            [id]
+        );
+        if (bills.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Bill not found' });
+        }
+
         // Delete bill items first
         await connection.execute('DELETE FROM bill_items WHERE bill_id = ?', [id]);
 
         // Delete bill
         await connection.execute('DELETE FROM bills WHERE id = ?', [id]);
 
+        // Take back the points and spending a paid bill earned; after the delete
+        // so the tier is re-evaluated without it
+        await reverseBillPoints(connection, bills[0], 'deleted', req.user.id);
+
         await connection.commit();
 
         res.json({ success: true, message: 'Bill deleted successfully' });
@@ -9,7 +9,13 @@ const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
 const { generatePNCode } = require('../utils/helpers');
-const { sendLINENotification, sendSMSNotification, sendPatientSMS, createGoogleCalendarEvent, updateGoogleCalendarEvent, deleteGoogleCalendarEvent } = require('../utils/notifications');
+const { getAvailableSlots, checkPTAvailability } = require('../utils/availability');
+const { MAX_OCCURRENCES, parseDaysOfWeek, checkOccurrence, lockOccurrences, planOccurrences, syncSeriesCalendar } = require('../utils/recurrence');
+const { findActiveHold, offerFreedSlot } = require('../utils/waitlist');
+const { appointmentSelectClause, updateAppointment, cancelAppointment } = require('../utils/appointments');
+const { getManageUrl } = require('../utils/self-service');
+const { emitAppointmentEvent } = require('../utils/realtime');
+const { sendLINENotification, sendSMSNotification, sendPatientSMS, createGoogleCalendarEvent } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -42,65 +48,6 @@ const upload = multer({
     }
 });
 
-// Appointment SELECT clause for consistent querying
-const appointmentSelectClause = `
-    SELECT
-        a.id,
-        a.patient_id,
-        a.pt_id,
-        a.clinic_id,
-        DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
-        TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
-        TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
-        a.status,
-        a.appointment_type,
-        a.booking_type,
-        a.walk_in_name,
-        a.walk_in_email,
-        a.walk_in_phone,
-        CASE
-            WHEN a.booking_type = 'WALK_IN' THEN CONCAT('W', LPAD(a.id, 6, '0'))
-            ELSE NULL
-        END AS walk_in_id,
-        a.pn_case_id,
-        a.auto_created_pn,
-        a.reason,
-        a.notes,
-        a.created_by,
-        DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
-        DATE_FORMAT(a.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at,
-        a.cancellation_reason,
-        DATE_FORMAT(a.cancelled_at, '%Y-%m-%d %H:%i:%s') AS cancelled_at,
-        a.cancelled_by,
-        p.hn,
-        p.pt_number,
-        p.first_name AS patient_first_name,
-        p.last_name AS patient_last_name,
-        p.email AS patient_email,
-        p.phone AS patient_phone,
-        p.gender,
-        p.dob,
-        CASE
-            WHEN a.booking_type = 'WALK_IN' THEN a.walk_in_name
-            ELSE CONCAT_WS(' ', p.first_name, p.last_name)
-        END AS patient_name,
-        CONCAT_WS(' ', pt.first_name, pt.last_name) AS pt_name,
-        c.name AS clinic_name,
-        c.code AS clinic_code,
-        c.email AS clinic_email,
-        CONCAT_WS(' ', creator.first_name, creator.last_name) AS created_by_name,
-        CONCAT_WS(' ', canceller.first_name, canceller.last_name) AS cancelled_by_name,
-        pn.pn_code,
-        pn.status AS pn_status
-    FROM appointments a
-    LEFT JOIN patients p ON a.patient_id = p.id
-    LEFT JOIN users pt ON a.pt_id = pt.id
-    JOIN clinics c ON a.clinic_id = c.id
-    LEFT JOIN users creator ON a.created_by = creator.id
-    LEFT JOIN users canceller ON a.cancelled_by = canceller.id
-    LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
-`;
-
 // Helper function to get accessible clinic IDs for a user
 const getAccessibleClinicIds = async (db, user) => {
     if (!user || user.role === 'ADMIN') {
@@ -205,7 +152,7 @@ router.get('/appointments', authenticateToken, async (req, res) => {
 router.post('/appointments/check-conflict', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { pt_id, appointment_date, start_time, end_time, exclude_appointment_id } = req.body;
+        const { pt_id, clinic_id, appointment_date, start_time, end_time, exclude_appointment_id } = req.body;
 
         if (!pt_id || !appointment_date || !start_time || !end_time) {
             return res.status(400).json({ error: 'Missing required fields' });
@@ -234,9 +181,13 @@ router.post('/appointments/check-conflict', authenticateToken, async (req, res)
 
         const [conflicts] = await db.execute(query, params);
 
+        // Roster, approved leave and blocked time
+        const unavailable = await checkPTAvailability(db, pt_id, clinic_id || null, appointment_date, start_time, end_time);
+
         res.json({
-            hasConflict: conflicts.length > 0,
-            conflicts: conflicts
+            hasConflict: conflicts.length > 0 || !!unavailable,
+            conflicts: conflicts,
+            unavailable
         });
     } catch (error) {
         console.error('Check conflict error:', error);
@@ -248,62 +199,20 @@ router.post('/appointments/check-conflict', authenticateToken, async (req, res)
 router.get('/appointments/available-slots', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { date, clinic_id, pt_id } = req.query;
+        const { date, clinic_id, pt_id, service_id } = req.query;
 
         if (!date || !clinic_id) {
             return res.status(400).json({ error: 'Date and clinic_id are required' });
         }
 
-        const timeSlots = [];
-        for (let hour = 8; hour < 20; hour++) {
-            for (let minute = 0; minute < 60; minute += 30) {
-                const startHour = hour.toString().padStart(2, '0');
-                const startMinute = minute.toString().padStart(2, '0');
-                const endMinute = (minute + 30) % 60;
-                const endHour = minute === 30 ? hour + 1 : hour;
-
-                timeSlots.push({
-                    start_time: `${startHour}:${startMinute}:00`,
-                    end_time: `${endHour.toString().padStart(2, '0')}:${endMinute.toString().padStart(2, '0')}:00`,
-                    label: `${startHour}:${startMinute} - ${endHour.toString().padStart(2, '0')}:${endMinute.toString().padStart(2, '0')}`
-                });
-            }
-        }
-
-        let query = `
-            SELECT start_time, end_time, pt_id
-            FROM appointments
-            WHERE appointment_date = ?
-              AND clinic_id = ?
-              AND status != 'CANCELLED'
-        `;
-        const params = [date, clinic_id];
-
-        if (pt_id) {
-            query += ' AND pt_id = ?';
-            params.push(pt_id);
-        }
-
-        const [existingAppointments] = await db.execute(query, params);
-
-        const availableSlots = timeSlots.map(slot => {
-            const hasConflict = existingAppointments.some(apt => {
-                return (slot.start_time < apt.end_time && slot.end_time > apt.start_time);
-            });
-
-            return {
-                ...slot,
-                available: !hasConflict,
-                booked: hasConflict
-            };
-        });
-
-        res.json({
+        const availability = await getAvailableSlots(db, {
+            clinicId: clinic_id,
             date,
-            clinic_id,
-            pt_id: pt_id || null,
-            slots: availableSlots
+            ptId: pt_id || null,
+            serviceId: service_id || null
         });
+
+        res.json(availability);
     } catch (error) {
         console.error('Get available slots error:', error);
         res.status(500).json({ error: 'Failed to retrieve available time slots' });
@@ -373,6 +282,16 @@ router.post('/appointments', authenticateToken, async (req, res) => {
             return res.status(409).json({ error: 'Time slot conflict detected' });
         }
 
+        const unavailable = await checkPTAvailability(db, pt_id, clinic_id, appointment_date, start_time, end_time);
+        if (unavailable) {
+            return res.status(409).json({ error: unavailable.message, reason: unavailable.reason });
+        }
+
+        const hold = await findActiveHold(db, { clinicId: clinic_id, ptId: pt_id, date: appointment_date, startTime: start_time, endTime: end_time });
+        if (hold) {
+            return res.status(409).json({ error: `Time slot is held for a waitlisted patient until ${hold.held_until}` });
+        }
+
         // Course validation
         let validatedCourseId = null;
         if (course_id && validBookingType === 'OLD_PATIENT' && patient_id) {
@@ -562,6 +481,9 @@ router.post('/appointments', authenticateToken, async (req, res) => {
         // Note: Patient SMS is sent manually via user confirmation in frontend
         // See POST /api/appointments/:id/send-patient-sms endpoint
 
+        await emitAppointmentEvent(req.app.locals.io, db, result.insertId, 'created')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
         res.status(201).json(response);
     } catch (error) {
         console.error('Create appointment error:', error);
@@ -573,403 +495,17 @@ router.post('/appointments', authenticateToken, async (req, res) => {
 router.put('/appointments/:id', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { id } = req.params;
-        const {
-            appointment_date,
-            start_time,
-            end_time,
-            status,
-            appointment_type,
-            reason,
-            notes,
-            booking_type,
-            patient_id,
-            walk_in_name,
-            walk_in_email,
-            walk_in_phone,
-            pt_diagnosis,
-            pt_chief_complaint,
-            pt_present_history,
-            pt_pain_score
-        } = req.body;
-
-        const [appointments] = await db.execute(
-            `SELECT a.*,
-                    p.id as patient_id,
-                    COALESCE(a.course_id, pn.course_id) as course_id,
-                    pn.status as pn_status,
-                    sc.code as source_clinic_code,
-                    tc.code as target_clinic_code,
-                    c.code as clinic_code,
-                    c.name as clinic_name
-             FROM appointments a
-             LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
-             LEFT JOIN patients p ON a.patient_id = p.id
-             LEFT JOIN clinics sc ON pn.source_clinic_id = sc.id
-             LEFT JOIN clinics tc ON pn.target_clinic_id = tc.id
-             LEFT JOIN clinics c ON a.clinic_id = c.id
-             WHERE a.id = ?`,
-            [id]
-        );
-
-        if (appointments.length === 0) {
-            return res.status(404).json({ error: 'Appointment not found' });
-        }
-
-        const appointment = appointments[0];
-
-        // Check for time conflicts if rescheduling
-        if (appointment_date && start_time && end_time) {
-            const [conflicts] = await db.execute(
-                `SELECT id FROM appointments
-                 WHERE pt_id = ? AND appointment_date = ? AND status != 'CANCELLED' AND id != ?
-                   AND (
-                       (start_time < ? AND end_time > ?) OR
-                       (start_time < ? AND end_time > ?) OR
-                       (start_time >= ? AND end_time <= ?)
-                   )`,
-                [appointment.pt_id, appointment_date, id, end_time, start_time, end_time, start_time, start_time, end_time]
-            );
+        await updateAppointment(db, req.params.id, req.body, req.user);
 
-            if (conflicts.length > 0) {
-                return res.status(409).json({ error: 'Time slot conflict detected' });
-            }
-        }
-
-        // Build dynamic update query
-        const updates = [];
-        const params = [];
-
-        if (appointment_date) {
-            updates.push('appointment_date = ?');
-            params.push(appointment_date);
-        }
-        if (start_time) {
-            updates.push('start_time = ?');
-            params.push(start_time);
-        }
-        if (end_time) {
-            updates.push('end_time = ?');
-            params.push(end_time);
-        }
-        if (status) {
-            updates.push('status = ?');
-            params.push(status);
-        }
-        if (appointment_type !== undefined) {
-            updates.push('appointment_type = ?');
-            params.push(appointment_type);
-        }
-        if (reason !== undefined) {
-            updates.push('reason = ?');
-            params.push(reason);
-        }
-        if (notes !== undefined) {
-            updates.push('notes = ?');
-            params.push(notes);
-        }
-
-        const normalizedBookingType = booking_type ? booking_type.toUpperCase() : null;
-        if (normalizedBookingType && !['OLD_PATIENT', 'WALK_IN'].includes(normalizedBookingType)) {
-            return res.status(400).json({ error: 'Invalid booking_type' });
-        }
-
-        const trimmedWalkInName = typeof walk_in_name === 'string' ? walk_in_name.trim() : walk_in_name;
-        const trimmedWalkInEmail = typeof walk_in_email === 'string' ? walk_in_email.trim() : walk_in_email;
-        const trimmedWalkInPhone = typeof walk_in_phone === 'string' ? walk_in_phone.trim() : walk_in_phone;
-
-        if (normalizedBookingType) {
-            updates.push('booking_type = ?');
-            params.push(normalizedBookingType);
-
-            if (normalizedBookingType === 'OLD_PATIENT') {
-                if (!patient_id) {
-                    return res.status(400).json({ error: 'patient_id is required for OLD_PATIENT bookings' });
-                }
-                updates.push('patient_id = ?');
-                params.push(patient_id);
-                updates.push('walk_in_name = NULL');
-                updates.push('walk_in_email = NULL');
-                updates.push('walk_in_phone = NULL');
-            } else if (normalizedBookingType === 'WALK_IN') {
-                if (!trimmedWalkInName) {
-                    return res.status(400).json({ error: 'walk_in_name is required for WALK_IN bookings' });
-                }
-                updates.push('patient_id = NULL');
-                updates.push('walk_in_name = ?');
-                params.push(trimmedWalkInName);
-                updates.push('walk_in_email = ?');
-                params.push(trimmedWalkInEmail || null);
-                updates.push('walk_in_phone = ?');
-                params.push(trimmedWalkInPhone || null);
-            }
-        }
-
-        // Update appointment if there are changes
-        if (updates.length > 0) {
-            updates.push('updated_at = CURRENT_TIMESTAMP');
-            params.push(id);
-
-            await db.execute(
-                `UPDATE appointments SET ${updates.join(', ')} WHERE id = ?`,
-                params
-            );
-        }
-
-        // Send LINE notification if appointment is rescheduled
-        if (appointment_date || start_time || end_time) {
-            try {
-                // Get updated appointment data with patient/PT details
-                const [updatedAppointments] = await db.execute(
-                    `${appointmentSelectClause} WHERE a.id = ?`,
-                    [id]
-                );
-
-                if (updatedAppointments.length > 0) {
-                    const updatedApt = updatedAppointments[0];
-                    const finalDate = appointment_date || appointment.appointment_date;
-                    const finalStartTime = start_time || appointment.start_time;
-                    const finalEndTime = end_time || appointment.end_time;
-                    const patientName = updatedApt.patient_name || updatedApt.walk_in_name || 'Walk-in Patient';
-                    const ptName = updatedApt.pt_name || 'PT';
-                    const clinicName = updatedApt.clinic_name || '';
-
-                    // Send notifications for reschedule
-                    try {
-                        const notificationMessage = `Appointment Rescheduled\n\nAppointment ID: ${id}\nPatient: ${patientName}\nPhysiotherapist: ${ptName}\nClinic: ${clinicName}\nNew Date: ${moment(finalDate).format('DD/MM/YYYY')}\nNew Time: ${finalStartTime} - ${finalEndTime}`;
-                        await sendLINENotification(db, 'appointmentRescheduled', notificationMessage);
-                        await sendSMSNotification(db, 'appointmentRescheduled', notificationMessage);
-                        console.log('✅ Notifications sent for reschedule');
-                    } catch (notifError) {
-                        console.error('Failed to send notifications for reschedule:', notifError);
-                    }
-                }
-            } catch (error) {
-                console.error('Failed to send reschedule notification:', error);
-            }
-        }
-
-        // Update Google Calendar event if appointment is rescheduled and has calendar event
-        if ((appointment_date || start_time || end_time) && appointment.calendar_event_id) {
-            try {
-                // Get updated appointment data with patient/PT details
-                const [updatedAppointments] = await db.execute(
-                    `${appointmentSelectClause} WHERE a.id = ?`,
-                    [id]
-                );
-
-                if (updatedAppointments.length > 0) {
-                    const updatedApt = updatedAppointments[0];
-                    const calendarData = {
-                        appointment_date: appointment_date || appointment.appointment_date,
-                        start_time: start_time || appointment.start_time,
-                        end_time: end_time || appointment.end_time,
-                        patient_name: updatedApt.patient_name || updatedApt.walk_in_name || 'Walk-in Patient',
-                        patient_email: updatedApt.patient_email || updatedApt.walk_in_email,
-                        pt_name: updatedApt.pt_name || 'PT',
-                        clinic_name: updatedApt.clinic_name || '',
-                        clinic_email: updatedApt.clinic_email,
-                        reason: reason || appointment.reason
-                    };
-
-                    console.log('Updating calendar event for rescheduled appointment:', id);
-                    const updated = await updateGoogleCalendarEvent(db, appointment.calendar_event_id, calendarData);
-
-                    if (updated) {
-                        console.log('✅ Calendar event updated with reschedule notification sent to attendees');
-                    } else {
-                        console.warn('⚠️ Failed to update calendar event, but appointment was rescheduled');
-                    }
-                }
-            } catch (calendarError) {
-                console.error('Failed to update Google Calendar event:', calendarError);
-                // Don't fail the appointment update if calendar update fails
-            }
-        }
-
-        // Note: Patient SMS for reschedule is sent via calendar invitation if patient has email
-        // Manual SMS option not needed for reschedule since patient already knows appointment exists
-
-        // Sync with PN case if linked
-        if (appointment.pn_case_id) {
-            // COMPLETED → ACCEPTED
-            if (status === 'COMPLETED') {
-                const isCL001 = appointment.clinic_code === 'CL001' ||
-                               appointment.source_clinic_code === 'CL001' ||
-                               appointment.target_clinic_code === 'CL001';
-
-                if (!isCL001) {
-                    if (!pt_diagnosis || !pt_chief_complaint || !pt_present_history || pt_pain_score === undefined) {
-                        return res.status(400).json({
-                            error: 'PT assessment required for non-CL001 clinics',
-                            required_fields: ['pt_diagnosis', 'pt_chief_complaint', 'pt_present_history', 'pt_pain_score']
-                        });
-                    }
-
-                    await db.execute(
-                        `UPDATE pn_cases
-                         SET status = 'ACCEPTED',
-                             accepted_at = NOW(),
-                             pt_diagnosis = ?,
-                             pt_chief_complaint = ?,
-                             pt_present_history = ?,
-                             pt_pain_score = ?,
-                             updated_at = NOW()
-                         WHERE id = ?`,
-                        [pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score, appointment.pn_case_id]
-                    );
-                } else {
-                    await db.execute(
-                        `UPDATE pn_cases
-                         SET status = 'ACCEPTED',
-                             accepted_at = NOW(),
-                             updated_at = NOW()
-                         WHERE id = ?`,
-                        [appointment.pn_case_id]
-                    );
-                }
-
-                // Handle course session deduction
-                if (appointment.course_id) {
-                    const [usageHistory] = await db.execute(
-                        `SELECT id FROM course_usage_history
-                         WHERE course_id = ? AND pn_id = ? AND action_type = 'USE'
-                         LIMIT 1`,
-                        [appointment.course_id, appointment.pn_case_id]
-                    );
-
-                    if (usageHistory.length === 0) {
-                        await db.execute(
-                            `UPDATE courses
-                             SET used_sessions = used_sessions + 1,
-                                 remaining_sessions = remaining_sessions - 1,
-                                 status = CASE
-                                     WHEN remaining_sessions - 1 = 0 THEN 'COMPLETED'
-                                     WHEN remaining_sessions - 1 < 0 THEN 'COMPLETED'
-                                     ELSE status
-                                 END,
-                                 updated_at = NOW()
-                             WHERE id = ?`,
-                            [appointment.course_id]
-                        );
-
-                        await db.execute(
-                            `INSERT INTO course_usage_history
-                             (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                             VALUES (?, NULL, ?, 1, CURDATE(), 'USE', 'Appointment completed - PN case accepted - session deducted', ?)`,
-                            [appointment.course_id, appointment.pn_case_id, req.user.id]
-                        ).catch(err => console.warn('Failed to log course usage:', err.message));
-                    }
-                }
-
-                await db.execute(
-                    `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
-                     VALUES (?, ?, 'ACCEPTED', ?, FALSE)`,
-                    [appointment.pn_case_id, appointment.pn_status, req.user.id]
-                ).catch(err => console.warn('Failed to log status history:', err.message));
-            }
-            // SCHEDULED ← COMPLETED: Reverse to PENDING
-            else if (status === 'SCHEDULED' && appointment.status === 'COMPLETED') {
-                if (req.user.role !== 'ADMIN') {
-                    return res.status(403).json({ error: 'Only ADMIN can reverse completed appointments' });
-                }
-
-                await db.execute(
-                    `UPDATE pn_cases
-                     SET status = 'PENDING',
-                         accepted_at = NULL,
-                         pt_diagnosis = NULL,
-                         pt_chief_complaint = NULL,
-                         pt_present_history = NULL,
-                         pt_pain_score = NULL,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [appointment.pn_case_id]
-                );
-
-                if (appointment.course_id) {
-                    const [usageHistory] = await db.execute(
-                        `SELECT id FROM course_usage_history
-                         WHERE course_id = ? AND pn_id = ? AND action_type = 'USE'
-                         LIMIT 1`,
-                        [appointment.course_id, appointment.pn_case_id]
-                    );
-
-                    if (usageHistory.length > 0) {
-                        await db.execute(
-                            `UPDATE courses
-                             SET used_sessions = GREATEST(0, used_sessions - 1),
-                                 remaining_sessions = remaining_sessions + 1,
-                                 status = CASE
-                                     WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                                     ELSE status
-                                 END,
-                                 updated_at = NOW()
-                             WHERE id = ?`,
-                            [appointment.course_id]
-                        );
-
-                        await db.execute(
-                            `INSERT INTO course_usage_history
-                             (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                             VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'Appointment reversed - session returned', ?)`,
-                            [appointment.course_id, appointment.pn_case_id, req.user.id]
-                        ).catch(err => console.warn('Failed to log course return:', err.message));
-                    }
-                }
-
-                await db.execute(
-                    `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
-                     VALUES (?, ?, 'PENDING', ?, TRUE)`,
-                    [appointment.pn_case_id, appointment.pn_status, req.user.id]
-                ).catch(err => console.warn('Failed to log status history:', err.message));
-            }
-            // CANCELLED: Return course session if was COMPLETED/ACCEPTED
-            else if (status === 'CANCELLED') {
-                if (appointment.course_id) {
-                    const [usageHistory] = await db.execute(
-                        `SELECT id FROM course_usage_history
-                         WHERE course_id = ? AND pn_id = ? AND action_type = 'USE'
-                         LIMIT 1`,
-                        [appointment.course_id, appointment.pn_case_id]
-                    );
-
-                    if (usageHistory.length > 0) {
-                        await db.execute(
-                            `UPDATE courses
-                             SET used_sessions = GREATEST(0, used_sessions - 1),
-                                 remaining_sessions = remaining_sessions + 1,
-                                 status = CASE
-                                     WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                                     ELSE status
-                                 END,
-                                 updated_at = NOW()
-                             WHERE id = ?`,
-                            [appointment.course_id]
-                        );
-
-                        await db.execute(
-                            `INSERT INTO course_usage_history
-                             (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                             VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'Appointment cancelled - session returned', ?)`,
-                            [appointment.course_id, appointment.pn_case_id, req.user.id]
-                        ).catch(err => console.warn('Failed to log course return:', err.message));
-                    }
-                }
-
-                await db.execute(
-                    `UPDATE pn_cases
-                     SET status = 'CANCELLED',
-                         cancelled_at = NOW(),
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [appointment.pn_case_id]
-                );
-            }
-        }
+        await emitAppointmentEvent(req.app.locals.io, db, req.params.id,
+            req.body.status === 'CANCELLED' ? 'cancelled' : 'updated')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
 
         res.json({ message: 'Appointment updated successfully' });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Update appointment error:', error);
         res.status(500).json({ error: 'Failed to update appointment' });
     }
@@ -979,130 +515,24 @@ router.put('/appointments/:id', authenticateToken, async (req, res) => {
 router.delete('/appointments/:id', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { id } = req.params;
-        const { cancellation_reason } = req.body;
 
         if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
             return res.status(403).json({ error: 'Only ADMIN or PT can cancel appointments' });
         }
 
-        const [appointments] = await db.execute(
-            `SELECT a.*,
-                    COALESCE(a.course_id, pn.course_id) as course_id,
-                    pn.status as pn_status,
-                    p.first_name as patient_first_name,
-                    p.last_name as patient_last_name,
-                    pt.first_name as pt_first_name,
-                    pt.last_name as pt_last_name,
-                    c.name as clinic_name
-             FROM appointments a
-             LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
-             LEFT JOIN patients p ON a.patient_id = p.id
-             LEFT JOIN users pt ON a.pt_id = pt.id
-             LEFT JOIN clinics c ON a.clinic_id = c.id
-             WHERE a.id = ?`,
-            [id]
-        );
-
-        if (appointments.length === 0) {
-            return res.status(404).json({ error: 'Appointment not found' });
-        }
-
-        const appointment = appointments[0];
-
-        await db.execute(
-            `UPDATE appointments
-             SET status = 'CANCELLED',
-                 cancellation_reason = ?,
-                 cancelled_at = NOW(),
-                 cancelled_by = ?,
-                 updated_at = NOW()
-             WHERE id = ?`,
-            [cancellation_reason || '', req.user.id, id]
-        );
-
-        // Sync with PN case
-        if (appointment.pn_case_id) {
-            if (appointment.pn_status === 'ACCEPTED' && appointment.course_id) {
-                await db.execute(
-                    `UPDATE courses
-                     SET used_sessions = GREATEST(0, used_sessions - 1),
-                         remaining_sessions = remaining_sessions + 1,
-                         status = CASE
-                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                             ELSE status
-                         END,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [appointment.course_id]
-                );
-
-                await db.execute(
-                    `INSERT INTO course_usage_history
-                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'Appointment cancelled - session returned', ?)`,
-                    [appointment.course_id, appointment.pn_case_id, req.user.id]
-                ).catch(err => console.warn('Failed to log course return:', err.message));
-            }
-
-            await db.execute(
-                `UPDATE pn_cases
-                 SET status = 'CANCELLED',
-                     cancelled_at = NOW(),
-                     cancellation_reason = ?,
-                     updated_at = NOW()
-                 WHERE id = ?`,
-                [cancellation_reason || 'Cancelled from appointment', appointment.pn_case_id]
-            );
-
-            await db.execute(
-                `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
-                 VALUES (?, ?, 'CANCELLED', ?, ?, FALSE)`,
-                [appointment.pn_case_id, appointment.pn_status, req.user.id, cancellation_reason || 'Cancelled from appointment']
-            ).catch(err => console.warn('Failed to log status history:', err.message));
-        }
-
-        // Send LINE notification
-        try {
-            const patientName = appointment.booking_type === 'WALK_IN'
-                ? appointment.walk_in_name
-                : `${appointment.patient_first_name || ''} ${appointment.patient_last_name || ''}`.trim();
-            const ptName = `${appointment.pt_first_name || ''} ${appointment.pt_last_name || ''}`.trim() || 'PT';
-            const clinicName = appointment.clinic_name || 'N/A';
-
-            const notificationMessage = `Appointment Cancelled\n\nAppointment ID: ${id}\nPatient: ${patientName || 'N/A'}\nPhysiotherapist: ${ptName}\nClinic: ${clinicName}\nDate: ${moment(appointment.appointment_date).format('DD/MM/YYYY')}\nTime: ${appointment.start_time} - ${appointment.end_time}\n${cancellation_reason ? `Reason: ${cancellation_reason}` : ''}\n${appointment.pn_case_id ? 'Linked PN Case also cancelled' : ''}`;
+        const appointment = await cancelAppointment(db, req.params.id, req.body.cancellation_reason, req.user);
 
-            await sendLINENotification(db, 'appointmentCancelled', notificationMessage);
-            await sendSMSNotification(db, 'appointmentCancelled', notificationMessage);
-        } catch (notifError) {
-            console.error('Failed to send notifications:', notifError);
-        }
-
-        // Delete Google Calendar event and send cancellation emails
-        try {
-            if (appointment.calendar_event_id) {
-                console.log('Deleting calendar event and sending cancellation emails:', appointment.calendar_event_id);
-                const deleted = await deleteGoogleCalendarEvent(db, appointment.calendar_event_id);
-                if (deleted) {
-                    await db.execute(
-                        'UPDATE appointments SET calendar_event_id = NULL WHERE id = ?',
-                        [id]
-                    );
-                    console.log('✅ Calendar event deleted and cancellation emails sent to attendees');
-                }
-            }
-        } catch (calendarError) {
-            console.error('Failed to delete Google Calendar event:', calendarError);
-        }
-
-        // Note: Patient SMS for cancellation is sent via calendar event deletion if patient has email
-        // Manual SMS option not needed for cancellation
+        await emitAppointmentEvent(req.app.locals.io, db, req.params.id, 'cancelled')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
 
         res.json({
             message: 'Appointment cancelled successfully',
             pn_synced: !!appointment.pn_case_id
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Cancel appointment error:', error);
         res.status(500).json({ error: 'Failed to cancel appointment' });
     }
@@ -1192,7 +622,8 @@ Thank you!`;
             .replace(/{startTime}/g, appointment.start_time)
             .replace(/{endTime}/g, appointment.end_time)
             .replace(/{ptName}/g, ptName)
-            .replace(/{appointmentType}/g, appointment.appointment_type || 'Appointment');
+            .replace(/{appointmentType}/g, appointment.appointment_type || 'Appointment')
+            .replace(/{manageLink}/g, getManageUrl(appointment));
 
         console.log(`📱 Attempting to send SMS to: ${patientPhone}`);
         console.log(`👤 Patient name: ${patientName}`);
@@ -1261,6 +692,9 @@ router.put('/appointments/:id/complete', authenticateToken, async (req, res) =>
             console.log(`Synced: Appointment ${id} COMPLETED → PN Case ${appointment.pn_case_id} ACCEPTED with body annotation ${body_annotation_id}`);
         }
 
+        await emitAppointmentEvent(req.app.locals.io, db, id, 'updated')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
         res.json({ message: 'Appointment completed successfully' });
     } catch (error) {
         console.error('Complete appointment error:', error);
@@ -1268,6 +702,653 @@ router.put('/appointments/:id/complete', authenticateToken, async (req, res) =>
     }
 });
 
+// ========================================
+// APPOINTMENT SERIES ROUTES
+// ========================================
+
+const SERIES_SCOPES = ['THIS', 'FOLLOWING', 'ALL'];
+const SERIES_END_TYPES = ['COUNT', 'UNTIL', 'COURSE'];
+
+// Occurrences that can still be edited or cancelled
+const OPEN_STATUS_SQL = "status IN ('SCHEDULED', 'CONFIRMED')";
+
+const getSeries = async (db, seriesId) => {
+    const [series] = await db.execute(
+        `SELECT s.*, DATE_FORMAT(s.start_date, '%Y-%m-%d') AS start_date,
+                DATE_FORMAT(s.until_date, '%Y-%m-%d') AS until_date,
+                TIME_FORMAT(s.start_time, '%H:%i:%s') AS start_time,
+                TIME_FORMAT(s.end_time, '%H:%i:%s') AS end_time
+         FROM appointment_series s WHERE s.id = ?`,
+        [seriesId]
+    );
+    return series[0] || null;
+};
+
+// Open occurrences affected by a THIS / FOLLOWING / ALL change
+const getScopeOccurrences = async (db, seriesId, scope, occurrence) => {
+    if (scope === 'THIS') return [occurrence];
+
+    const [rows] = await db.execute(
+        `SELECT id, pt_id, pn_case_id, DATE_FORMAT(appointment_date, '%Y-%m-%d') AS appointment_date,
+                TIME_FORMAT(start_time, '%H:%i:%s') AS start_time, TIME_FORMAT(end_time, '%H:%i:%s') AS end_time
+         FROM appointments
+         WHERE series_id = ? AND ${OPEN_STATUS_SQL} AND appointment_date >= ?
+         ORDER BY appointment_date, start_time`,
+        [seriesId, scope === 'FOLLOWING' ? occurrence.appointment_date : moment().format('YYYY-MM-DD')]
+    );
+    return rows;
+};
+
+// Course the series may book against, throws with status when unusable
+const loadSeriesCourse = async (db, courseId, patientId) => {
+    const [courses] = await db.execute(
+        `SELECT id, course_code, remaining_sessions, status, patient_id,
+                DATE_FORMAT(expiry_date, '%Y-%m-%d') AS expiry_date
+         FROM courses WHERE id = ?`,
+        [courseId]
+    );
+
+    if (courses.length === 0) {
+        throw Object.assign(new Error('Course not found'), { status: 404 });
+    }
+
+    const course = courses[0];
+
+    if (course.patient_id !== parseInt(patientId)) {
+        const [sharedCourses] = await db.execute(
+            `SELECT id FROM course_shared_users
+             WHERE course_id = ? AND patient_id = ? AND is_active = 1`,
+            [courseId, patientId]
+        );
+        if (sharedCourses.length === 0) {
+            throw Object.assign(new Error('Course does not belong to this patient'), { status: 400 });
+        }
+    }
+
+    if (course.status !== 'ACTIVE') {
+        throw Object.assign(new Error(`Course is ${course.status}. Only ACTIVE courses can be used.`), { status: 400 });
+    }
+
+    if (course.expiry_date && moment(course.expiry_date).isBefore(moment(), 'day')) {
+        throw Object.assign(new Error('Course has expired'), { status: 400 });
+    }
+
+    // Sessions already promised to upcoming appointments are not available again
+    const [booked] = await db.execute(
+        `SELECT COUNT(*) AS count FROM appointments
+         WHERE course_id = ? AND ${OPEN_STATUS_SQL} AND appointment_date >= CURDATE()`,
+        [courseId]
+    );
+    course.unbooked_sessions = course.remaining_sessions - booked[0].count;
+
+    return course;
+};
+
+// Copy a series from an occurrence onwards so earlier occurrences keep their details
+const splitSeries = async (connection, series, fromDate, changes, occurrenceIds, userId) => {
+    const [result] = await connection.execute(
+        `INSERT INTO appointment_series
+         (patient_id, pt_id, clinic_id, course_id, start_date, start_time, end_time, days_of_week, interval_weeks,
+          end_type, occurrence_count, until_date, appointment_type, reason, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [series.patient_id, changes.pt_id, series.clinic_id, series.course_id, fromDate, changes.start_time,
+         changes.end_time, series.days_of_week, series.interval_weeks, series.end_type,
+         series.end_type === 'COUNT' ? occurrenceIds.length : null, series.until_date,
+         series.appointment_type, changes.reason, changes.notes, userId]
+    );
+
+    await connection.execute(
+        `UPDATE appointment_series
+         SET until_date = ?, occurrence_count = IF(end_type = 'COUNT', GREATEST(0, occurrence_count - ?), occurrence_count)
+         WHERE id = ?`,
+        [moment(fromDate).subtract(1, 'day').format('YYYY-MM-DD'), occurrenceIds.length, series.id]
+    );
+
+    for (const [index, id] of occurrenceIds.entries()) {
+        await connection.execute(
+            'UPDATE appointments SET series_id = ?, series_index = ? WHERE id = ?',
+            [result.insertId, index + 1, id]
+        );
+    }
+
+    return result.insertId;
+};
+
+// GET /api/appointment-series/:id - Series rule with all occurrences
+router.get('/appointment-series/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const series = await getSeries(db, req.params.id);
+
+        if (!series) {
+            return res.status(404).json({ error: 'Appointment series not found' });
+        }
+
+        if (req.user.role !== 'ADMIN') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (req.user.role === 'CLINIC' && !accessibleClinics.includes(series.clinic_id)) {
+                return res.status(403).json({ error: 'No access to this clinic' });
+            }
+        }
+
+        const [occurrences] = await db.execute(
+            `${appointmentSelectClause} WHERE a.series_id = ? ORDER BY a.appointment_date, a.start_time`,
+            [req.params.id]
+        );
+
+        res.json({ ...series, occurrences });
+    } catch (error) {
+        console.error('Get appointment series error:', error);
+        res.status(500).json({ error: 'Failed to retrieve appointment series' });
+    }
+});
+
+// POST /api/appointment-series - Create a recurring series (dry_run previews dates only)
+router.post('/appointment-series', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const {
+            patient_id,
+            pt_id,
+            clinic_id,
+            course_id,
+            start_date,
+            start_time,
+            end_time,
+            days_of_week,
+            interval_weeks,
+            end_type = 'COUNT',
+            occurrence_count,
+            until_date,
+            appointment_type,
+            reason,
+            notes,
+            dry_run
+        } = req.body;
+
+        if (!patient_id || !pt_id || !clinic_id || !start_date || !start_time || !end_time) {
+            return res.status(400).json({ error: 'Missing required fields for appointment series' });
+        }
+
+        const days = parseDaysOfWeek(days_of_week);
+        if (!days) {
+            return res.status(400).json({ error: 'days_of_week must list weekdays from 1 (Monday) to 7 (Sunday)' });
+        }
+
+        const interval = parseInt(interval_weeks) || 1;
+        if (interval < 1 || interval > 12) {
+            return res.status(400).json({ error: 'interval_weeks must be between 1 and 12' });
+        }
+
+        if (!moment(start_date, 'YYYY-MM-DD', true).isValid() || moment(start_date).isBefore(moment(), 'day')) {
+            return res.status(400).json({ error: 'start_date must be today or later' });
+        }
+
+        if (start_time >= end_time) {
+            return res.status(400).json({ error: 'start_time must be before end_time' });
+        }
+
+        if (!SERIES_END_TYPES.includes(end_type)) {
+            return res.status(400).json({ error: `end_type must be one of ${SERIES_END_TYPES.join(', ')}` });
+        }
+
+        const count = parseInt(occurrence_count);
+        if (end_type === 'COUNT' && !(count >= 1 && count <= MAX_OCCURRENCES)) {
+            return res.status(400).json({ error: `occurrence_count must be between 1 and ${MAX_OCCURRENCES}` });
+        }
+
+        if (end_type === 'UNTIL' && (!moment(until_date, 'YYYY-MM-DD', true).isValid() || until_date < start_date)) {
+            return res.status(400).json({ error: 'until_date must be on or after start_date' });
+        }
+
+        if (end_type === 'COURSE' && !course_id) {
+            return res.status(400).json({ error: 'course_id is required to book until the course runs out' });
+        }
+
+        let course = null;
+        if (course_id) {
+            try {
+                course = await loadSeriesCourse(db, course_id, patient_id);
+            } catch (courseError) {
+                if (courseError.status) return res.status(courseError.status).json({ error: courseError.message });
+                throw courseError;
+            }
+
+            if (course.unbooked_sessions <= 0) {
+                return res.status(400).json({
+                    error: 'All remaining course sessions are already booked',
+                    course_code: course.course_code,
+                    remaining_sessions: course.remaining_sessions
+                });
+            }
+
+            if (end_type === 'COUNT' && count > course.unbooked_sessions) {
+                return res.status(400).json({
+                    error: `Course only has ${course.unbooked_sessions} unbooked session(s)`,
+                    course_code: course.course_code
+                });
+            }
+        }
+
+        const rule = {
+            pt_id,
+            clinic_id,
+            start_date,
+            start_time,
+            end_time,
+            days_of_week: days.join(','),
+            interval_weeks: interval,
+            until_date: end_type === 'UNTIL' ? until_date : null
+        };
+
+        const plan = await planOccurrences(db, rule, {
+            target: end_type === 'COUNT' ? count : (end_type === 'COURSE' ? course.unbooked_sessions : null),
+            lastDate: course ? course.expiry_date : null
+        });
+
+        if (dry_run) {
+            return res.json({ dry_run: true, occurrences: plan.occurrences, skipped: plan.skipped });
+        }
+
+        if (plan.occurrences.length === 0) {
+            return res.status(409).json({ error: 'No date in this series can be booked', skipped: plan.skipped });
+        }
+
+        const connection = await db.getConnection();
+        let seriesId;
+        const created = [];
+
+        try {
+            await connection.beginTransaction();
+
+            // Another booking may have taken a date since the plan was checked
+            const taken = await lockOccurrences(connection, pt_id,
+                plan.occurrences.map(date => ({ date, startTime: start_time, endTime: end_time })));
+            if (taken.length > 0) {
+                throw Object.assign(new Error('Some dates were booked while the series was being created'), {
+                    status: 409,
+                    details: { conflicts: taken }
+                });
+            }
+
+            const [seriesResult] = await connection.execute(
+                `INSERT INTO appointment_series
+                 (patient_id, pt_id, clinic_id, course_id, start_date, start_time, end_time, days_of_week, interval_weeks,
+                  end_type, occurrence_count, until_date, appointment_type, reason, notes, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [patient_id, pt_id, clinic_id, course ? course.id : null, start_date, start_time, end_time,
+                 rule.days_of_week, interval, end_type, end_type === 'COUNT' ? count : null, rule.until_date,
+                 appointment_type || null, reason || null, notes || null, req.user.id]
+            );
+            seriesId = seriesResult.insertId;
+
+            for (const [index, date] of plan.occurrences.entries()) {
+                const [result] = await connection.execute(
+                    `INSERT INTO appointments
+                     (patient_id, pt_id, clinic_id, appointment_date, start_time, end_time, appointment_type,
+                      booking_type, course_id, reason, notes, series_id, series_index, created_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, 'OLD_PATIENT', ?, ?, ?, ?, ?, ?)`,
+                    [patient_id, pt_id, clinic_id, date, start_time, end_time, appointment_type || null,
+                     course ? course.id : null, reason || null, notes || null, seriesId, index + 1, req.user.id]
+                );
+                created.push({ appointment_id: result.insertId, appointment_date: date });
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        await auditLog(db, req.user.id, 'CREATE', 'appointment_series', seriesId, null,
+            { ...rule, end_type, course_id: course ? course.id : null, occurrences: plan.occurrences, skipped: plan.skipped }, req);
+
+        // One notification for the whole series
+        try {
+            const [appointments] = await db.execute(`${appointmentSelectClause} WHERE a.id = ?`, [created[0].appointment_id]);
+            const first = appointments[0];
+            const notificationMessage = `New Recurring Appointments\n\nSeries ID: ${seriesId}\nPatient: ${first.patient_name || 'N/A'}\nPhysiotherapist: ${first.pt_name || 'PT'}\nClinic: ${first.clinic_name || 'N/A'}\nSessions: ${created.length}\nFirst: ${moment(created[0].appointment_date).format('DD/MM/YYYY')}\nLast: ${moment(created[created.length - 1].appointment_date).format('DD/MM/YYYY')}\nTime: ${start_time} - ${end_time}${plan.skipped.length > 0 ? `\nSkipped dates: ${plan.skipped.length}` : ''}`;
+
+            await sendLINENotification(db, 'newAppointment', notificationMessage);
+            await sendSMSNotification(db, 'newAppointment', notificationMessage);
+        } catch (notifError) {
+            console.error('Failed to send notifications:', notifError);
+        }
+
+        try {
+            await syncSeriesCalendar(db, seriesId);
+        } catch (calendarError) {
+            console.error('Failed to create recurring Google Calendar event:', calendarError);
+        }
+
+        await emitAppointmentEvent(req.app.locals.io, db, created.map(c => c.appointment_id), 'created')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        res.status(201).json({
+            message: `Created ${created.length} appointment(s)${plan.skipped.length > 0 ? `, skipped ${plan.skipped.length} date(s)` : ''}`,
+            series_id: seriesId,
+            occurrences: created,
+            skipped: plan.skipped
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Create appointment series error:', error);
+        res.status(500).json({ error: 'Failed to create appointment series' });
+    }
+});
+
+// PUT /api/appointment-series/:id/occurrences/:appointmentId - Edit this, this and following, or all occurrences
+router.put('/appointment-series/:id/occurrences/:appointmentId', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { scope = 'THIS', appointment_date, start_time, end_time, pt_id, reason, notes } = req.body;
+
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of ${SERIES_SCOPES.join(', ')}` });
+        }
+
+        if (appointment_date && scope !== 'THIS') {
+            return res.status(400).json({ error: 'Only a single occurrence can be moved to another date' });
+        }
+
+        const series = await getSeries(db, req.params.id);
+        if (!series) {
+            return res.status(404).json({ error: 'Appointment series not found' });
+        }
+
+        const [occurrences] = await db.execute(
+            `SELECT id, pt_id, status, pn_case_id, DATE_FORMAT(appointment_date, '%Y-%m-%d') AS appointment_date,
+                    TIME_FORMAT(start_time, '%H:%i:%s') AS start_time, TIME_FORMAT(end_time, '%H:%i:%s') AS end_time
+             FROM appointments WHERE id = ? AND series_id = ?`,
+            [req.params.appointmentId, series.id]
+        );
+
+        if (occurrences.length === 0) {
+            return res.status(404).json({ error: 'Appointment not found in this series' });
+        }
+
+        const occurrence = occurrences[0];
+        if (!['SCHEDULED', 'CONFIRMED'].includes(occurrence.status)) {
+            return res.status(400).json({ error: `Appointment is ${occurrence.status} and can no longer be changed` });
+        }
+
+        const targets = await getScopeOccurrences(db, series.id, scope, occurrence);
+        if (targets.length === 0) {
+            return res.status(400).json({ error: 'No upcoming occurrences to change' });
+        }
+
+        const changes = {
+            start_time: start_time || (scope === 'THIS' ? occurrence.start_time : series.start_time),
+            end_time: end_time || (scope === 'THIS' ? occurrence.end_time : series.end_time),
+            pt_id: pt_id ? parseInt(pt_id) : (scope === 'THIS' ? occurrence.pt_id : series.pt_id),
+            reason: reason !== undefined ? reason : series.reason,
+            notes: notes !== undefined ? notes : series.notes
+        };
+
+        if (changes.start_time >= changes.end_time) {
+            return res.status(400).json({ error: 'start_time must be before end_time' });
+        }
+
+        // Every occurrence must fit before anything is changed
+        const targetIds = targets.map(t => t.id);
+        const conflicts = [];
+        const movedDates = [];
+        for (const target of targets) {
+            const date = (scope === 'THIS' && appointment_date) || target.appointment_date;
+            const moved = date !== target.appointment_date || changes.pt_id !== target.pt_id ||
+                changes.start_time !== target.start_time || changes.end_time !== target.end_time;
+            if (!moved) continue;
+            movedDates.push(date);
+
+            const problem = await checkOccurrence(db, {
+                ptId: changes.pt_id,
+                clinicId: series.clinic_id,
+                date,
+                startTime: changes.start_time,
+                endTime: changes.end_time,
+                excludeIds: targetIds
+            });
+            if (problem) conflicts.push({ appointment_id: target.id, appointment_date: date, ...problem });
+        }
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: 'Some occurrences cannot be moved', conflicts });
+        }
+
+        const connection = await db.getConnection();
+        let newSeriesId = null;
+
+        try {
+            await connection.beginTransaction();
+
+            if (movedDates.length > 0) {
+                const taken = await lockOccurrences(connection, changes.pt_id, movedDates.map(date => ({
+                    date, startTime: changes.start_time, endTime: changes.end_time, excludeIds: targetIds
+                })));
+                if (taken.length > 0) {
+                    throw Object.assign(new Error('Some occurrences cannot be moved'), {
+                        status: 409,
+                        details: { conflicts: taken }
+                    });
+                }
+            }
+
+            for (const target of targets) {
+                await connection.execute(
+                    `UPDATE appointments
+                     SET appointment_date = ?, start_time = ?, end_time = ?, pt_id = ?,
+                         reason = COALESCE(?, reason), notes = COALESCE(?, notes), updated_at = NOW()
+                     WHERE id = ?`,
+                    [(scope === 'THIS' && appointment_date) || target.appointment_date, changes.start_time,
+                     changes.end_time, changes.pt_id, reason !== undefined ? reason : null,
+                     notes !== undefined ? notes : null, target.id]
+                );
+            }
+
+            if (scope !== 'THIS') {
+                // Occurrences before the change keep the old details in the original series
+                const [earlier] = await connection.execute(
+                    'SELECT COUNT(*) AS count FROM appointments WHERE series_id = ? AND appointment_date < ?',
+                    [series.id, targets[0].appointment_date]
+                );
+
+                if (earlier[0].count > 0) {
+                    newSeriesId = await splitSeries(connection, series, targets[0].appointment_date, changes, targetIds, req.user.id);
+                } else {
+                    await connection.execute(
+                        `UPDATE appointment_series
+                         SET start_time = ?, end_time = ?, pt_id = ?, reason = ?, notes = ?
+                         WHERE id = ?`,
+                        [changes.start_time, changes.end_time, changes.pt_id, changes.reason, changes.notes, series.id]
+                    );
+                }
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        await auditLog(db, req.user.id, 'UPDATE', 'appointment_series', series.id, series,
+            { scope, appointment_ids: targetIds, appointment_date, ...changes, new_series_id: newSeriesId }, req);
+
+        try {
+            const notificationMessage = `Appointment Series Rescheduled\n\nSeries ID: ${series.id}\nAppointments changed: ${targets.length}\nFrom: ${moment((scope === 'THIS' && appointment_date) || targets[0].appointment_date).format('DD/MM/YYYY')}\nNew Time: ${changes.start_time} - ${changes.end_time}`;
+            await sendLINENotification(db, 'appointmentRescheduled', notificationMessage);
+            await sendSMSNotification(db, 'appointmentRescheduled', notificationMessage);
+        } catch (notifError) {
+            console.error('Failed to send notifications for series reschedule:', notifError);
+        }
+
+        try {
+            await syncSeriesCalendar(db, series.id);
+            if (newSeriesId) await syncSeriesCalendar(db, newSeriesId);
+        } catch (calendarError) {
+            console.error('Failed to sync series Google Calendar event:', calendarError);
+        }
+
+        await emitAppointmentEvent(req.app.locals.io, db, targetIds, 'updated')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        res.json({
+            message: `Updated ${targets.length} appointment(s)`,
+            updated: targetIds,
+            series_id: newSeriesId || series.id
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        console.error('Update appointment series error:', error);
+        res.status(500).json({ error: 'Failed to update appointment series' });
+    }
+});
+
+// POST /api/appointment-series/:id/cancel - Cancel this, this and following, or all upcoming occurrences
+router.post('/appointment-series/:id/cancel', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { scope = 'ALL', appointment_id, cancellation_reason } = req.body;
+
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of ${SERIES_SCOPES.join(', ')}` });
+        }
+
+        const series = await getSeries(db, req.params.id);
+        if (!series) {
+            return res.status(404).json({ error: 'Appointment series not found' });
+        }
+
+        let occurrence = null;
+        if (scope !== 'ALL') {
+            const [occurrences] = await db.execute(
+                `SELECT id, pt_id, status, pn_case_id, DATE_FORMAT(appointment_date, '%Y-%m-%d') AS appointment_date,
+                        TIME_FORMAT(start_time, '%H:%i:%s') AS start_time, TIME_FORMAT(end_time, '%H:%i:%s') AS end_time
+                 FROM appointments WHERE id = ? AND series_id = ?`,
+                [appointment_id || 0, series.id]
+            );
+
+            if (occurrences.length === 0) {
+                return res.status(404).json({ error: 'Appointment not found in this series' });
+            }
+
+            occurrence = occurrences[0];
+            if (!['SCHEDULED', 'CONFIRMED'].includes(occurrence.status)) {
+                return res.status(400).json({ error: `Appointment is ${occurrence.status} and cannot be cancelled` });
+            }
+        }
+
+        const targets = await getScopeOccurrences(db, series.id, scope, occurrence);
+        const targetIds = targets.map(t => t.id);
+        const pnCaseIds = targets.filter(t => t.pn_case_id).map(t => t.pn_case_id);
+        const reasonText = cancellation_reason || 'Cancelled from appointment series';
+
+        const connection = await db.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            if (targetIds.length > 0) {
+                await connection.execute(
+                    `UPDATE appointments
+                     SET status = 'CANCELLED', cancellation_reason = ?, cancelled_at = NOW(), cancelled_by = ?, updated_at = NOW()
+                     WHERE id IN (${targetIds.map(() => '?').join(',')})`,
+                    [cancellation_reason || '', req.user.id, ...targetIds]
+                );
+            }
+
+            // Upcoming occurrences have not used a course session yet, so only pending PN cases follow
+            for (const pnCaseId of pnCaseIds) {
+                const [pnResult] = await connection.execute(
+                    `UPDATE pn_cases
+                     SET status = 'CANCELLED', cancelled_at = NOW(), cancellation_reason = ?, updated_at = NOW()
+                     WHERE id = ? AND status = 'PENDING'`,
+                    [reasonText, pnCaseId]
+                );
+
+                if (pnResult.affectedRows > 0) {
+                    await connection.execute(
+                        `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
+                         VALUES (?, 'PENDING', 'CANCELLED', ?, ?, FALSE)`,
+                        [pnCaseId, req.user.id, reasonText]
+                    );
+                }
+            }
+
+            const [remaining] = await connection.execute(
+                `SELECT COUNT(*) AS count FROM appointments WHERE series_id = ? AND ${OPEN_STATUS_SQL}`,
+                [series.id]
+            );
+
+            if (scope === 'ALL' || remaining[0].count === 0) {
+                await connection.execute(
+                    "UPDATE appointment_series SET status = 'CANCELLED' WHERE id = ?",
+                    [series.id]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        await auditLog(db, req.user.id, 'CANCEL', 'appointment_series', series.id, series,
+            { scope, appointment_ids: targetIds, cancellation_reason }, req);
+
+        if (targetIds.length > 0) {
+            try {
+                const notificationMessage = `Appointment Series Cancelled\n\nSeries ID: ${series.id}\nAppointments cancelled: ${targetIds.length}\nFrom: ${moment(targets[0].appointment_date).format('DD/MM/YYYY')}\n${cancellation_reason ? `Reason: ${cancellation_reason}` : ''}`;
+                await sendLINENotification(db, 'appointmentCancelled', notificationMessage);
+                await sendSMSNotification(db, 'appointmentCancelled', notificationMessage);
+            } catch (notifError) {
+                console.error('Failed to send notifications:', notifError);
+            }
+        }
+
+        try {
+            await syncSeriesCalendar(db, series.id);
+        } catch (calendarError) {
+            console.error('Failed to sync series Google Calendar event:', calendarError);
+        }
+
+        await emitAppointmentEvent(req.app.locals.io, db, targetIds, 'cancelled')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        // Offer each freed slot to the waitlist, one after another so an entry
+        // offered one slot is not offered the next as well
+        (async () => {
+            for (const target of targets) {
+                await offerFreedSlot(db, {
+                    clinicId: series.clinic_id,
+                    ptId: target.pt_id,
+                    date: target.appointment_date,
+                    startTime: target.start_time,
+                    endTime: target.end_time,
+                    sourceAppointmentId: target.id
+                }).catch(err => console.warn('Failed to offer slot to waitlist:', err.message));
+            }
+        })();
+
+        res.json({
+            message: `Cancelled ${targetIds.length} appointment(s)`,
+            cancelled: targetIds
+        });
+    } catch (error) {
+        console.error('Cancel appointment series error:', error);
+        res.status(500).json({ error: 'Failed to cancel appointment series' });
+    }
+});
+
 // ========================================
 // FILE ATTACHMENT ROUTES (PN Cases)
 // ========================================
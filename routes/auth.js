@@ -5,10 +5,13 @@ const { authenticateToken, auditLog } = require('../middleware/auth');
 const { hashPassword, verifyPassword, generateToken } = require('../utils/auth-helpers');
 const { loginAttemptTracker, sanitizeEmail, isCommonPassword } = require('../utils/security');
 const { isTOTPEnabled } = require('../utils/totp');
+const { getPending2FAUserId, clearPending2FA } = require('../utils/google-auth');
+const { revokeSocketToken } = require('../socket-server');
 
 // Login with 2FA verification (step 2)
+// After a password login the client sends userId; after a Google sign-in the
+// user comes from the pending-2FA cookie set by /api/google/signin-callback
 router.post('/login/verify-2fa', [
-    body('userId').notEmpty(),
     body('token').notEmpty()
 ], async (req, res) => {
     try {
@@ -17,9 +20,15 @@ router.post('/login/verify-2fa', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { userId, token, isBackupCode } = req.body;
+        const { token, isBackupCode } = req.body;
+        const googleUserId = getPending2FAUserId(req);
+        const userId = googleUserId || parseInt(req.body.userId);
         const db = req.app.locals.db;
 
+        if (!userId) {
+            return res.status(400).json({ error: 'Sign-in session expired. Please sign in again.' });
+        }
+
         // Get user's TOTP data
         const [users] = await db.execute(
             `SELECT u.*, c.name as clinic_name
@@ -98,7 +107,9 @@ router.post('/login/verify-2fa', [
         );
 
         // Audit log
-        await auditLog(db, userId, 'LOGIN_2FA_SUCCESS', 'user', userId, null, null, req);
+        await auditLog(db, userId, 'LOGIN_2FA_SUCCESS', 'user', userId, null, googleUserId ? { method: 'google' } : null, req);
+
+        if (googleUserId) clearPending2FA(res);
 
         console.log('✅ 2FA login successful for user:', userId, user.email, user.role);
 
@@ -211,6 +222,9 @@ router.post('/login', [
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        // A password login replaces any unfinished Google sign-in in this browser
+        clearPending2FA(res);
+
         // Check if user has 2FA enabled (ADMIN and PT roles only)
         const requires2FA = await isTOTPEnabled(db, user.id);
 
@@ -288,6 +302,9 @@ router.post('/logout', authenticateToken, async (req, res) => {
         const db = req.app.locals.db;
         await auditLog(db, req.user.id, 'LOGOUT', 'user', req.user.id, null, null, req);
 
+        // Close chat sockets opened with this token and refuse it from now on
+        await revokeSocketToken(req.app.locals.io, db, req.token, req.user.id);
+
         res.clearCookie('authToken');
         res.json({ success: true, message: 'Logged out successfully' });
     } catch (error) {
@@ -0,0 +1,810 @@
+// routes/bodychecks.js - Body Check & Body Annotation Routes
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const { authenticateToken, authorize, auditLog, getAccessibleClinicIds } = require('../middleware/auth');
+
+const BODYCHECK_STATUSES = ['DRAFT', 'SAVED', 'ACCEPTED'];
+const SYMPTOM_TYPES = ['pain', 'spasm', 'radicular', 'numbness', 'other'];
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Parse strokes_json defensively; annotations from older clients may be malformed
+const parseStrokes = (strokesJson) => {
+    try {
+        const strokes = JSON.parse(strokesJson || '[]');
+        return Array.isArray(strokes) ? strokes : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Clamp a 0-10 score, null when missing
+const parseScore = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const score = parseInt(value);
+    if (isNaN(score)) return null;
+    return Math.max(0, Math.min(10, score));
+};
+
+// Validate tagged regions payload, returns error message or null
+const validateRegions = (regions) => {
+    if (regions === undefined) return null;
+    if (!Array.isArray(regions)) return 'regions must be an array';
+    for (const region of regions) {
+        if (!region || !region.region_name) return 'Each region needs a region_name';
+        if (region.symptom_type && !SYMPTOM_TYPES.includes(region.symptom_type)) {
+            return `symptom_type must be one of: ${SYMPTOM_TYPES.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+// Replace the tagged regions of an annotation (inside a transaction)
+const saveAnnotationRegions = async (connection, annotationId, regions) => {
+    await connection.execute('DELETE FROM body_annotation_regions WHERE annotation_id = ?', [annotationId]);
+    for (const region of regions) {
+        await connection.execute(
+            `INSERT INTO body_annotation_regions (annotation_id, region_name, pain_score, symptom_type, notes)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE pain_score = VALUES(pain_score), notes = VALUES(notes)`,
+            [annotationId, region.region_name, parseScore(region.pain_score), region.symptom_type || 'pain', region.notes || null]
+        );
+    }
+};
+
+// Next version number for an entity's annotations (0 = not linked yet)
+const nextAnnotationVersion = async (connection, entityType, entityId) => {
+    if (!entityId) return 1;
+    const [rows] = await connection.execute(
+        `SELECT COALESCE(MAX(version), 0) + 1 as next_version
+         FROM body_annotations
+         WHERE entity_type = ? AND entity_id = ?`,
+        [entityType, entityId]
+    );
+    return rows[0].next_version;
+};
+
+// ========================================
+// ACCESS CHECKS
+// ========================================
+
+// CLINIC users see body checks and annotations of PN cases whose source or
+// target clinic they can access; other roles are not clinic-scoped here
+const canAccessPNCase = async (db, user, pnId) => {
+    if (user.role !== 'CLINIC') return true;
+
+    const [cases] = await db.execute('SELECT source_clinic_id, target_clinic_id FROM pn_cases WHERE id = ?', [pnId]);
+    if (cases.length === 0) return false;
+
+    const accessibleClinics = await getAccessibleClinicIds(db, user);
+    return accessibleClinics.includes(cases[0].source_clinic_id) || accessibleClinics.includes(cases[0].target_clinic_id);
+};
+
+// An annotation not yet linked to a PN case belongs to its appointment's
+// clinic, else only to the user who drew it
+const canAccessAnnotation = async (db, user, annotation) => {
+    if (user.role !== 'CLINIC') return true;
+
+    if (annotation.entity_type === 'pn_case' && annotation.entity_id) {
+        return canAccessPNCase(db, user, annotation.entity_id);
+    }
+    if (annotation.appointment_id) {
+        const [appointments] = await db.execute('SELECT clinic_id FROM appointments WHERE id = ?', [annotation.appointment_id]);
+        const accessibleClinics = await getAccessibleClinicIds(db, user);
+        return appointments.length > 0 && accessibleClinics.includes(appointments[0].clinic_id);
+    }
+    return annotation.created_by === user.id;
+};
+
+const getAnnotationWithRegions = async (db, id) => {
+    const [annotations] = await db.execute(
+        `SELECT ba.*, CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name
+         FROM body_annotations ba
+         LEFT JOIN users u ON ba.created_by = u.id
+         WHERE ba.id = ?`,
+        [id]
+    );
+    if (annotations.length === 0) return null;
+
+    const [regions] = await db.execute(
+        'SELECT * FROM body_annotation_regions WHERE annotation_id = ? ORDER BY region_name',
+        [id]
+    );
+    return { ...annotations[0], regions };
+};
+
+// Summarise strokes by symptom type (strokes without a type count as 'pain')
+const summariseStrokes = (strokes) => {
+    const summary = { total: strokes.length, by_type: {} };
+    for (const stroke of strokes) {
+        const type = stroke.type || 'pain';
+        summary.by_type[type] = (summary.by_type[type] || 0) + 1;
+    }
+    return summary;
+};
+
+// Compare two annotations of the same entity: positive deltas mean worse
+const compareAnnotations = (from, to) => {
+    const regionKey = r => `${r.region_name}|${r.symptom_type}`;
+    const fromRegions = new Map(from.regions.map(r => [regionKey(r), r]));
+    const toRegions = new Map(to.regions.map(r => [regionKey(r), r]));
+
+    const regions = [];
+    for (const key of new Set([...fromRegions.keys(), ...toRegions.keys()])) {
+        const before = fromRegions.get(key);
+        const after = toRegions.get(key);
+        const [region_name, symptom_type] = key.split('|');
+        const beforeScore = before ? before.pain_score : null;
+        const afterScore = after ? after.pain_score : null;
+
+        let change = 'unchanged';
+        if (!before) change = 'new';
+        else if (!after) change = 'resolved';
+        else if (beforeScore !== null && afterScore !== null && afterScore < beforeScore) change = 'improved';
+        else if (beforeScore !== null && afterScore !== null && afterScore > beforeScore) change = 'worsened';
+
+        regions.push({
+            region_name,
+            symptom_type,
+            from_pain_score: beforeScore,
+            to_pain_score: afterScore,
+            delta: beforeScore !== null && afterScore !== null ? afterScore - beforeScore : null,
+            change
+        });
+    }
+
+    const fromStrokes = summariseStrokes(parseStrokes(from.strokes_json));
+    const toStrokes = summariseStrokes(parseStrokes(to.strokes_json));
+
+    return {
+        from: { id: from.id, version: from.version, created_at: from.created_at },
+        to: { id: to.id, version: to.version, created_at: to.created_at },
+        days_between: moment(to.created_at).diff(moment(from.created_at), 'days'),
+        severity: {
+            from: from.severity,
+            to: to.severity,
+            delta: from.severity !== null && to.severity !== null ? to.severity - from.severity : null
+        },
+        pain_pattern: {
+            from: { constant: !!from.constant_pain, intermittent: !!from.intermittent_pain },
+            to: { constant: !!to.constant_pain, intermittent: !!to.intermittent_pain }
+        },
+        strokes: {
+            from: fromStrokes,
+            to: toStrokes,
+            delta: toStrokes.total - fromStrokes.total
+        },
+        regions,
+        summary: {
+            improved: regions.filter(r => r.change === 'improved' || r.change === 'resolved').length,
+            worsened: regions.filter(r => r.change === 'worsened' || r.change === 'new').length,
+            unchanged: regions.filter(r => r.change === 'unchanged').length
+        }
+    };
+};
+
+// ========================================
+// BODY CHECK ROUTES
+// ========================================
+
+// Create bodycheck for a PN case
+router.post('/bodychecks', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { pn_id, patient_id } = req.body;
+
+        if (!pn_id) {
+            return res.status(400).json({ error: 'pn_id is required' });
+        }
+
+        const [cases] = await db.execute('SELECT id, patient_id FROM pn_cases WHERE id = ?', [pn_id]);
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        if (!await canAccessPNCase(db, req.user, pn_id)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+
+        if (patient_id && parseInt(patient_id) !== cases[0].patient_id) {
+            return res.status(400).json({ error: 'Patient does not match the PN case' });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO bodychecks (pn_id, patient_id, status, created_by)
+             VALUES (?, ?, 'DRAFT', ?)`,
+            [pn_id, cases[0].patient_id, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'bodycheck', result.insertId, null, { pn_id }, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Bodycheck created successfully',
+            bodycheck_id: result.insertId
+        });
+    } catch (error) {
+        console.error('Create bodycheck error:', error);
+        res.status(500).json({ error: 'Failed to create bodycheck' });
+    }
+});
+
+// Get bodychecks for a PN case
+router.get('/bodychecks/pn/:pnId', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { pnId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        if (!await canAccessPNCase(db, req.user, pnId)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+
+        const [bodychecks] = await db.query(
+            `SELECT
+                bc.*,
+                CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name,
+                (SELECT COUNT(*) FROM bodycheck_regions r WHERE r.bodycheck_id = bc.id) as region_count,
+                (SELECT COALESCE(SUM(r.pain_count + r.spasm_count + r.radicular_count + r.numbness_count), 0)
+                 FROM bodycheck_regions r WHERE r.bodycheck_id = bc.id) as total_marks
+             FROM bodychecks bc
+             LEFT JOIN users u ON bc.created_by = u.id
+             WHERE bc.pn_id = ?
+             ORDER BY bc.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [pnId, limit, offset]
+        );
+
+        const [total] = await db.execute('SELECT COUNT(*) as count FROM bodychecks WHERE pn_id = ?', [pnId]);
+
+        res.json({ bodychecks, total: total[0].count, limit, offset });
+    } catch (error) {
+        console.error('Get PN bodychecks error:', error);
+        res.status(500).json({ error: 'Failed to retrieve bodychecks' });
+    }
+});
+
+// Get bodycheck with regions
+router.get('/bodychecks/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [bodychecks] = await db.execute(
+            `SELECT bc.*, p.first_name, p.last_name, p.hn, pn.pn_code
+             FROM bodychecks bc
+             JOIN patients p ON bc.patient_id = p.id
+             JOIN pn_cases pn ON bc.pn_id = pn.id
+             WHERE bc.id = ?`,
+            [id]
+        );
+
+        if (bodychecks.length === 0) {
+            return res.status(404).json({ error: 'Bodycheck not found' });
+        }
+
+        if (!await canAccessPNCase(db, req.user, bodychecks[0].pn_id)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+
+        const [regions] = await db.execute(
+            'SELECT * FROM bodycheck_regions WHERE bodycheck_id = ? ORDER BY region_name',
+            [id]
+        );
+
+        res.json({ ...bodychecks[0], regions });
+    } catch (error) {
+        console.error('Get bodycheck error:', error);
+        res.status(500).json({ error: 'Failed to retrieve bodycheck' });
+    }
+});
+
+// Update bodycheck status / all-regions flag
+router.put('/bodychecks/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { status, all_regions } = req.body;
+
+        const [bodychecks] = await db.execute('SELECT * FROM bodychecks WHERE id = ?', [id]);
+        if (bodychecks.length === 0) {
+            return res.status(404).json({ error: 'Bodycheck not found' });
+        }
+        const bodycheck = bodychecks[0];
+
+        if (!await canAccessPNCase(db, req.user, bodycheck.pn_id)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+
+        if (status && !BODYCHECK_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${BODYCHECK_STATUSES.join(', ')}` });
+        }
+
+        if (status === 'ACCEPTED' && req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
+            return res.status(403).json({ error: 'Only ADMIN or PT can accept a bodycheck' });
+        }
+
+        if (bodycheck.status === 'ACCEPTED' && status && status !== 'ACCEPTED' && req.user.role !== 'ADMIN') {
+            return res.status(400).json({ error: 'Accepted bodychecks can only be reopened by ADMIN' });
+        }
+
+        const newStatus = status || bodycheck.status;
+        const newAllRegions = all_regions !== undefined ? (all_regions ? 1 : 0) : bodycheck.all_regions;
+
+        await db.execute(
+            `UPDATE bodychecks
+             SET status = ?,
+                 all_regions = ?,
+                 accepted_by = ${newStatus === 'ACCEPTED' && bodycheck.status !== 'ACCEPTED' ? '?' : 'accepted_by'},
+                 accepted_at = ${newStatus === 'ACCEPTED' && bodycheck.status !== 'ACCEPTED' ? 'NOW()' : 'accepted_at'}
+             WHERE id = ?`,
+            newStatus === 'ACCEPTED' && bodycheck.status !== 'ACCEPTED'
+                ? [newStatus, newAllRegions, req.user.id, id]
+                : [newStatus, newAllRegions, id]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'bodycheck', id,
+                      { status: bodycheck.status, all_regions: bodycheck.all_regions },
+                      { status: newStatus, all_regions: newAllRegions }, req);
+
+        res.json({ success: true, message: 'Bodycheck updated successfully' });
+    } catch (error) {
+        console.error('Update bodycheck error:', error);
+        res.status(500).json({ error: 'Failed to update bodycheck' });
+    }
+});
+
+// Save (upsert) drawing for one region of a bodycheck
+router.post('/bodychecks/:id/regions', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const {
+            region_name, pain_count, spasm_count, radicular_count, numbness_count,
+            pain_score, strokes_json, image_width, image_height
+        } = req.body;
+
+        if (!region_name) {
+            return res.status(400).json({ error: 'region_name is required' });
+        }
+
+        const [bodychecks] = await db.execute('SELECT pn_id, status FROM bodychecks WHERE id = ?', [id]);
+        if (bodychecks.length === 0) {
+            return res.status(404).json({ error: 'Bodycheck not found' });
+        }
+        if (!await canAccessPNCase(db, req.user, bodychecks[0].pn_id)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+        if (bodychecks[0].status === 'ACCEPTED') {
+            return res.status(400).json({ error: 'Accepted bodychecks cannot be edited' });
+        }
+
+        const strokes = parseStrokes(strokes_json);
+
+        await db.execute(
+            `INSERT INTO bodycheck_regions (
+                bodycheck_id, region_name, pain_count, spasm_count, radicular_count, numbness_count,
+                pain_score, strokes_json, image_width, image_height, updated_by
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                pain_count = VALUES(pain_count),
+                spasm_count = VALUES(spasm_count),
+                radicular_count = VALUES(radicular_count),
+                numbness_count = VALUES(numbness_count),
+                pain_score = VALUES(pain_score),
+                strokes_json = VALUES(strokes_json),
+                image_width = VALUES(image_width),
+                image_height = VALUES(image_height),
+                updated_by = VALUES(updated_by)`,
+            [
+                id, region_name,
+                parseInt(pain_count) || 0,
+                parseInt(spasm_count) || 0,
+                parseInt(radicular_count) || 0,
+                parseInt(numbness_count) || 0,
+                parseScore(pain_score),
+                JSON.stringify(strokes),
+                image_width || null,
+                image_height || null,
+                req.user.id
+            ]
+        );
+
+        // Drawing on a region moves a new bodycheck out of DRAFT
+        await db.execute(
+            `UPDATE bodychecks SET status = 'SAVED' WHERE id = ? AND status = 'DRAFT'`,
+            [id]
+        );
+
+        res.json({ success: true, message: 'Region saved successfully' });
+    } catch (error) {
+        console.error('Save bodycheck region error:', error);
+        res.status(500).json({ error: 'Failed to save region' });
+    }
+});
+
+// ========================================
+// BODY ANNOTATION ROUTES
+// ========================================
+
+// List annotation versions for an entity (?entity_type=pn_case&entity_id=123)
+router.get('/body-annotations', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { entity_type = 'pn_case', entity_id } = req.query;
+
+        if (!entity_id) {
+            return res.status(400).json({ error: 'entity_id is required' });
+        }
+
+        // Unlinked annotations (entity_id 0) have no case to check, so CLINIC users only list their own
+        const ownOnly = req.user.role === 'CLINIC' && !(entity_type === 'pn_case' && parseInt(entity_id));
+        if (!ownOnly && !await canAccessPNCase(db, req.user, entity_id)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+
+        const [annotations] = await db.execute(
+            `SELECT ba.id, ba.entity_type, ba.entity_id, ba.version, ba.appointment_id,
+                    ba.severity, ba.constant_pain, ba.intermittent_pain, ba.pain_type, ba.created_at,
+                    CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name,
+                    (SELECT COUNT(*) FROM body_annotation_regions r WHERE r.annotation_id = ba.id) as region_count
+             FROM body_annotations ba
+             LEFT JOIN users u ON ba.created_by = u.id
+             WHERE ba.entity_type = ? AND ba.entity_id = ?${ownOnly ? ' AND ba.created_by = ?' : ''}
+             ORDER BY ba.version ASC`,
+            ownOnly ? [entity_type, entity_id, req.user.id] : [entity_type, entity_id]
+        );
+
+        res.json(annotations);
+    } catch (error) {
+        console.error('List body annotations error:', error);
+        res.status(500).json({ error: 'Failed to retrieve body annotations' });
+    }
+});
+
+// Compare two annotations of the same PN (?from=ID&to=ID)
+router.get('/body-annotations/compare', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { from, to } = req.query;
+
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to annotation IDs are required' });
+        }
+
+        const [fromAnnotation, toAnnotation] = await Promise.all([
+            getAnnotationWithRegions(db, from),
+            getAnnotationWithRegions(db, to)
+        ]);
+
+        if (!fromAnnotation || !toAnnotation) {
+            return res.status(404).json({ error: 'Body annotation not found' });
+        }
+
+        if (fromAnnotation.entity_type !== toAnnotation.entity_type ||
+            fromAnnotation.entity_id !== toAnnotation.entity_id ||
+            !fromAnnotation.entity_id) {
+            return res.status(400).json({ error: 'Annotations must belong to the same PN case' });
+        }
+
+        if (!await canAccessAnnotation(db, req.user, fromAnnotation)) {
+            return res.status(403).json({ error: 'No access to this body annotation' });
+        }
+
+        // Always compare older → newer
+        const [older, newer] = fromAnnotation.version <= toAnnotation.version
+            ? [fromAnnotation, toAnnotation]
+            : [toAnnotation, fromAnnotation];
+
+        res.json(compareAnnotations(older, newer));
+    } catch (error) {
+        console.error('Compare body annotations error:', error);
+        res.status(500).json({ error: 'Failed to compare body annotations' });
+    }
+});
+
+// Create body annotation
+router.post('/body-annotations', authenticateToken, async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const {
+            entity_type = 'pn_case', entity_id, appointment_id, strokes_json, image_width, image_height,
+            constant_pain, intermittent_pain, pain_type, aggravation, easing_factor, severity, notes, regions
+        } = req.body;
+
+        if (strokes_json === undefined) {
+            return res.status(400).json({ error: 'strokes_json is required' });
+        }
+
+        const regionsError = validateRegions(regions);
+        if (regionsError) {
+            return res.status(400).json({ error: regionsError });
+        }
+
+        const entityId = parseInt(entity_id) || 0;
+        if (entity_type === 'pn_case' && entityId && !await canAccessPNCase(connection, req.user, entityId)) {
+            return res.status(403).json({ error: 'No access to this PN case' });
+        }
+
+        await connection.beginTransaction();
+
+        const version = await nextAnnotationVersion(connection, entity_type, entityId);
+
+        const [result] = await connection.execute(
+            `INSERT INTO body_annotations (
+                entity_type, entity_id, version, appointment_id, strokes_json, image_width, image_height,
+                constant_pain, intermittent_pain, pain_type, aggravation, easing_factor, severity, notes, created_by
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entity_type, entityId, version, appointment_id || null,
+                JSON.stringify(parseStrokes(strokes_json)),
+                image_width || null, image_height || null,
+                constant_pain ? 1 : 0, intermittent_pain ? 1 : 0,
+                pain_type || null, aggravation || null, easing_factor || null,
+                parseScore(severity), notes || null, req.user.id
+            ]
+        );
+
+        if (regions) {
+            await saveAnnotationRegions(connection, result.insertId, regions);
+        }
+
+        await connection.commit();
+
+        res.status(201).json({
+            success: true,
+            message: 'Body annotation created successfully',
+            annotation_id: result.insertId,
+            id: result.insertId,
+            version
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Create body annotation error:', error);
+        res.status(500).json({ error: 'Failed to create body annotation' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Get body annotation with regions
+router.get('/body-annotations/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const annotation = await getAnnotationWithRegions(db, req.params.id);
+
+        if (!annotation) {
+            return res.status(404).json({ error: 'Body annotation not found' });
+        }
+
+        if (!await canAccessAnnotation(db, req.user, annotation)) {
+            return res.status(403).json({ error: 'No access to this body annotation' });
+        }
+
+        res.json(annotation);
+    } catch (error) {
+        console.error('Get body annotation error:', error);
+        res.status(500).json({ error: 'Failed to retrieve body annotation' });
+    }
+});
+
+// Update body annotation (also links a temporary annotation to its PN case)
+router.put('/body-annotations/:id', authenticateToken, async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const { id } = req.params;
+        const regionsError = validateRegions(req.body.regions);
+        if (regionsError) {
+            return res.status(400).json({ error: regionsError });
+        }
+
+        await connection.beginTransaction();
+
+        const [annotations] = await connection.execute('SELECT * FROM body_annotations WHERE id = ? FOR UPDATE', [id]);
+        if (annotations.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Body annotation not found' });
+        }
+        const annotation = annotations[0];
+
+        const movesTo = req.body.entity_id !== undefined ? parseInt(req.body.entity_id) || 0 : null;
+        if (!await canAccessAnnotation(connection, req.user, annotation) ||
+            (movesTo && annotation.entity_type === 'pn_case' && !await canAccessPNCase(connection, req.user, movesTo))) {
+            await connection.rollback();
+            return res.status(403).json({ error: 'No access to this body annotation' });
+        }
+
+        const fields = [];
+        const params = [];
+        const setField = (column, value) => {
+            fields.push(`${column} = ?`);
+            params.push(value);
+        };
+
+        // Re-number the version when the annotation moves to another entity
+        if (req.body.entity_id !== undefined && parseInt(req.body.entity_id) !== annotation.entity_id) {
+            const entityId = parseInt(req.body.entity_id) || 0;
+            setField('entity_id', entityId);
+            setField('version', await nextAnnotationVersion(connection, annotation.entity_type, entityId));
+        }
+
+        const body = req.body;
+        if (body.strokes_json !== undefined) setField('strokes_json', JSON.stringify(parseStrokes(body.strokes_json)));
+        if (body.image_width !== undefined) setField('image_width', body.image_width || null);
+        if (body.image_height !== undefined) setField('image_height', body.image_height || null);
+        if (body.constant_pain !== undefined) setField('constant_pain', body.constant_pain ? 1 : 0);
+        if (body.intermittent_pain !== undefined) setField('intermittent_pain', body.intermittent_pain ? 1 : 0);
+        if (body.pain_type !== undefined) setField('pain_type', body.pain_type || null);
+        if (body.aggravation !== undefined) setField('aggravation', body.aggravation || null);
+        if (body.easing_factor !== undefined) setField('easing_factor', body.easing_factor || null);
+        if (body.severity !== undefined) setField('severity', parseScore(body.severity));
+        if (body.notes !== undefined) setField('notes', body.notes || null);
+        if (body.appointment_id !== undefined) setField('appointment_id', body.appointment_id || null);
+
+        if (fields.length > 0) {
+            params.push(id);
+            await connection.execute(`UPDATE body_annotations SET ${fields.join(', ')} WHERE id = ?`, params);
+        }
+
+        if (body.regions) {
+            await saveAnnotationRegions(connection, id, body.regions);
+        }
+
+        await connection.commit();
+
+        res.json({ success: true, message: 'Body annotation updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update body annotation error:', error);
+        res.status(500).json({ error: 'Failed to update body annotation' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Render body annotation as PDF (?format=pdf)
+router.get('/body-annotations/:id/render', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const annotation = await getAnnotationWithRegions(db, req.params.id);
+
+        if (!annotation) {
+            return res.status(404).json({ error: 'Body annotation not found' });
+        }
+
+        if (!await canAccessAnnotation(db, req.user, annotation)) {
+            return res.status(403).json({ error: 'No access to this body annotation' });
+        }
+
+        if ((req.query.format || 'pdf') !== 'pdf') {
+            return res.status(400).json({ error: 'Only format=pdf is supported' });
+        }
+
+        let pnCase = null;
+        if (annotation.entity_type === 'pn_case' && annotation.entity_id) {
+            const [cases] = await db.execute(
+                `SELECT pn.pn_code, p.hn, p.first_name, p.last_name
+                 FROM pn_cases pn
+                 JOIN patients p ON pn.patient_id = p.id
+                 WHERE pn.id = ?`,
+                [annotation.entity_id]
+            );
+            pnCase = cases[0] || null;
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="body_annotation_${annotation.id}.pdf"`);
+
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        doc.pipe(res);
+
+        // Header
+        doc.fontSize(18).text('Body Annotation', { align: 'center' });
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+        if (pnCase) {
+            doc.text(`PN Code: ${pnCase.pn_code}    HN: ${pnCase.hn}    Patient: ${pnCase.first_name} ${pnCase.last_name}`);
+        }
+        doc.text(`Version: ${annotation.version}    Created: ${moment(annotation.created_at).format('DD/MM/YYYY HH:mm')}    By: ${annotation.created_by_name || '-'}`);
+        doc.moveDown();
+
+        // Body diagram with strokes (normalised 0-1, or canvas pixels from older clients)
+        const diagramTop = doc.y;
+        const diagramHeight = 420;
+        const diagramWidth = diagramHeight * ((annotation.image_width || 2) / (annotation.image_height || 3));
+        const diagramLeft = doc.page.margins.left;
+
+        const bodyImagePath = path.join(process.env.UPLOAD_DIR || './uploads', 'body.png');
+        if (fs.existsSync(bodyImagePath)) {
+            doc.image(bodyImagePath, diagramLeft, diagramTop, { width: diagramWidth, height: diagramHeight });
+        } else {
+            doc.rect(diagramLeft, diagramTop, diagramWidth, diagramHeight).stroke('#cccccc');
+        }
+
+        const strokes = parseStrokes(annotation.strokes_json);
+        const isPixelScale = strokes.some(stroke => (stroke.points || []).some(p => p.x > 1 || p.y > 1));
+        const scaleX = diagramWidth / (isPixelScale ? (annotation.image_width || 600) : 1);
+        const scaleY = diagramHeight / (isPixelScale ? (annotation.image_height || 900) : 1);
+
+        for (const stroke of strokes) {
+            const points = stroke.points || [];
+            if (points.length < 2) continue;
+
+            doc.save();
+            doc.lineWidth(stroke.width || 3).lineCap('round').lineJoin('round').strokeColor(stroke.color || '#FF0000');
+            doc.moveTo(diagramLeft + points[0].x * scaleX, diagramTop + points[0].y * scaleY);
+            for (let i = 1; i < points.length; i++) {
+                doc.lineTo(diagramLeft + points[i].x * scaleX, diagramTop + points[i].y * scaleY);
+            }
+            doc.stroke();
+            doc.restore();
+        }
+
+        // Assessment beside the diagram
+        const textLeft = diagramLeft + diagramWidth + 20;
+        const textWidth = doc.page.width - doc.page.margins.right - textLeft;
+        doc.fillColor('#000000').fontSize(11).text('Assessment', textLeft, diagramTop, { width: textWidth, underline: true });
+        doc.fontSize(10);
+        const pattern = [annotation.constant_pain ? 'Constant' : null, annotation.intermittent_pain ? 'Intermittent' : null]
+            .filter(Boolean).join(', ');
+        const lines = [
+            pattern ? `Pain pattern: ${pattern}` : null,
+            annotation.pain_type ? `Type of pain: ${annotation.pain_type}` : null,
+            annotation.severity !== null ? `Severity: ${annotation.severity}/10` : null,
+            annotation.aggravation ? `Aggravation: ${annotation.aggravation}` : null,
+            annotation.easing_factor ? `Easing factor: ${annotation.easing_factor}` : null,
+            annotation.notes ? `Notes: ${annotation.notes}` : null
+        ].filter(Boolean);
+        lines.forEach(line => doc.text(line, { width: textWidth }).moveDown(0.3));
+
+        if (annotation.regions.length > 0) {
+            doc.moveDown(0.5).fontSize(11).text('Regions', { width: textWidth, underline: true });
+            doc.fontSize(10);
+            annotation.regions.forEach(region => {
+                const score = region.pain_score !== null ? ` - ${region.pain_score}/10` : '';
+                doc.text(`${region.region_name} (${region.symptom_type})${score}`, { width: textWidth });
+            });
+        }
+
+        doc.end();
+    } catch (error) {
+        console.error('Render body annotation error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to render body annotation' });
+        }
+    }
+});
+
+// Delete body annotation (ADMIN only)
+router.delete('/body-annotations/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [linked] = await db.execute('SELECT id FROM pn_cases WHERE body_annotation_id = ?', [id]);
+        if (linked.length > 0) {
+            return res.status(400).json({ error: 'Annotation is linked to a PN case and cannot be deleted' });
+        }
+
+        const [result] = await db.execute('DELETE FROM body_annotations WHERE id = ?', [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Body annotation not found' });
+        }
+
+        await auditLog(db, req.user.id, 'DELETE', 'body_annotation', id, null, null, req);
+
+        res.json({ success: true, message: 'Body annotation deleted successfully' });
+    } catch (error) {
+        console.error('Delete body annotation error:', error);
+        res.status(500).json({ error: 'Failed to delete body annotation' });
+    }
+});
+
+module.exports = router;
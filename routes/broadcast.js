@@ -2,8 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
-const { sendPatientSMS, sendAppointmentConfirmationEmail } = require('../utils/notifications');
-const nodemailer = require('nodemailer');
+const {
+    normalizeSegmentFilters,
+    previewAudience,
+    getQuietHours,
+    dispatchCampaign,
+    controlCampaign,
+    refreshCampaignProgress
+} = require('../utils/broadcast');
 
 // ========================================
 // GET ALL BROADCAST CAMPAIGNS
@@ -68,6 +74,7 @@ router.post('/campaigns', authenticateToken, authorize('ADMIN', 'PT'), async (re
             message_html,
             target_audience,
             custom_recipients,
+            segment_filters,
             schedule_type,
             scheduled_time
         } = req.body;
@@ -85,13 +92,21 @@ router.post('/campaigns', authenticateToken, authorize('ADMIN', 'PT'), async (re
             return res.status(400).json({ error: 'Scheduled time is required for scheduled campaigns' });
         }
 
+        if (schedule_type === 'scheduled' && new Date(scheduled_time) <= new Date()) {
+            return res.status(400).json({ error: 'Scheduled time must be in the future' });
+        }
+
+        const segmentFilters = target_audience === 'segment'
+            ? JSON.stringify(normalizeSegmentFilters(segment_filters))
+            : null;
+
         // Insert campaign
         const [result] = await db.execute(`
             INSERT INTO broadcast_campaigns (
                 campaign_name, campaign_type, subject, message_text, message_html,
-                target_audience, custom_recipients, schedule_type, scheduled_time,
+                target_audience, custom_recipients, segment_filters, schedule_type, scheduled_time,
                 status, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             campaign_name,
             campaign_type,
@@ -100,6 +115,7 @@ router.post('/campaigns', authenticateToken, authorize('ADMIN', 'PT'), async (re
             message_html,
             target_audience,
             custom_recipients,
+            segmentFilters,
             schedule_type,
             scheduled_time,
             schedule_type === 'immediate' ? 'draft' : 'scheduled',
@@ -115,6 +131,9 @@ router.post('/campaigns', authenticateToken, authorize('ADMIN', 'PT'), async (re
             message: 'Campaign created successfully'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Create broadcast campaign error:', error);
         res.status(500).json({ error: 'Failed to create campaign' });
     }
@@ -135,6 +154,7 @@ router.put('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), async
             message_html,
             target_audience,
             custom_recipients,
+            segment_filters,
             schedule_type,
             scheduled_time
         } = req.body;
@@ -149,10 +169,18 @@ router.put('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), async
             return res.status(404).json({ error: 'Campaign not found' });
         }
 
-        if (existing[0].status === 'sent' || existing[0].status === 'sending') {
-            return res.status(400).json({ error: 'Cannot update a sent or sending campaign' });
+        if (['sent', 'sending', 'paused', 'cancelled'].includes(existing[0].status)) {
+            return res.status(400).json({ error: `Cannot update a ${existing[0].status} campaign` });
+        }
+
+        if (schedule_type === 'scheduled' && (!scheduled_time || new Date(scheduled_time) <= new Date())) {
+            return res.status(400).json({ error: 'Scheduled time must be in the future' });
         }
 
+        const segmentFilters = target_audience === 'segment'
+            ? JSON.stringify(normalizeSegmentFilters(segment_filters))
+            : null;
+
         // Update campaign
         await db.execute(`
             UPDATE broadcast_campaigns SET
@@ -163,6 +191,7 @@ router.put('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), async
                 message_html = ?,
                 target_audience = ?,
                 custom_recipients = ?,
+                segment_filters = ?,
                 schedule_type = ?,
                 scheduled_time = ?,
                 status = ?
@@ -175,6 +204,7 @@ router.put('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), async
             message_html,
             target_audience,
             custom_recipients,
+            segmentFilters,
             schedule_type,
             scheduled_time,
             schedule_type === 'immediate' ? 'draft' : 'scheduled',
@@ -189,6 +219,9 @@ router.put('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), async
             message: 'Campaign updated successfully'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Update broadcast campaign error:', error);
         res.status(500).json({ error: 'Failed to update campaign' });
     }
@@ -212,8 +245,8 @@ router.delete('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), asy
             return res.status(404).json({ error: 'Campaign not found' });
         }
 
-        if (existing[0].status === 'sending') {
-            return res.status(400).json({ error: 'Cannot delete a campaign that is currently sending' });
+        if (existing[0].status === 'sending' || existing[0].status === 'paused') {
+            return res.status(400).json({ error: 'Cannot delete a campaign that is currently sending; cancel it first' });
         }
 
         // Delete campaign
@@ -236,17 +269,10 @@ router.delete('/campaigns/:id', authenticateToken, authorize('ADMIN', 'PT'), asy
 // SEND BROADCAST CAMPAIGN
 // ========================================
 router.post('/campaigns/:id/send', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
-    console.log('\n========================================');
-    console.log('🚀🚀🚀 BROADCAST SEND ENDPOINT CALLED! 🚀🚀🚀');
-    console.log('========================================\n');
-
     try {
         const db = req.app.locals.db;
         const { id } = req.params;
 
-        console.log(`[BROADCAST] Starting send for campaign ID: ${id}`);
-
-        // Get campaign details
         const [campaigns] = await db.execute(
             'SELECT * FROM broadcast_campaigns WHERE id = ?',
             [id]
@@ -258,119 +284,36 @@ router.post('/campaigns/:id/send', authenticateToken, authorize('ADMIN', 'PT'),
 
         const campaign = campaigns[0];
 
-        if (campaign.status === 'sent' || campaign.status === 'sending') {
-            return res.status(400).json({ error: 'Campaign is already sent or sending' });
+        if (['sent', 'sending', 'paused', 'cancelled'].includes(campaign.status)) {
+            return res.status(400).json({ error: `Campaign is already ${campaign.status}` });
         }
 
-        // Update status to sending
-        await db.execute(
-            'UPDATE broadcast_campaigns SET status = ? WHERE id = ?',
-            ['sending', id]
-        );
-
-        // Get recipients based on target audience
-        let recipients = [];
-
-        if (campaign.target_audience === 'all_patients') {
-            // Get all active patients with their full data for template variables
-            const [patients] = await db.execute(`
-                SELECT
-                    id,
-                    CONCAT(COALESCE(first_name, ''), ' ', COALESCE(last_name, '')) as name,
-                    first_name,
-                    last_name,
-                    email,
-                    phone
-                FROM patients
-                WHERE (
-                    (email IS NOT NULL AND email != '' AND ? IN ('email', 'both'))
-                    OR (phone IS NOT NULL AND phone != '' AND ? IN ('sms', 'both'))
-                )
-            `, [campaign.campaign_type, campaign.campaign_type]);
-
-            // Build recipients list based on campaign type
-            for (const patient of patients) {
-                if ((campaign.campaign_type === 'email' || campaign.campaign_type === 'both') && patient.email) {
-                    recipients.push({
-                        type: 'email',
-                        value: patient.email,
-                        patientData: patient
-                    });
-                }
-                if ((campaign.campaign_type === 'sms' || campaign.campaign_type === 'both') && patient.phone) {
-                    recipients.push({
-                        type: 'phone',
-                        value: patient.phone,
-                        patientData: patient
-                    });
-                }
-            }
-        } else if (campaign.target_audience === 'custom') {
-            // Get selected patients with full data
-            const customList = JSON.parse(campaign.custom_recipients || '[]');
-            const patientIds = customList.map(r => r.id);
-
-            console.log('[BROADCAST] Custom recipients:', { customList, patientIds });
-
-            if (patientIds.length > 0) {
-                const placeholders = patientIds.map(() => '?').join(',');
-                const [patients] = await db.execute(`
-                    SELECT
-                        id,
-                        CONCAT(COALESCE(first_name, ''), ' ', COALESCE(last_name, '')) as name,
-                        first_name,
-                        last_name,
-                        email,
-                        phone
-                    FROM patients
-                    WHERE id IN (${placeholders})
-                `, patientIds);
-
-                console.log('[BROADCAST] Found patients from DB:', patients);
-
-                // Build recipients list based on campaign type
-                for (const patient of patients) {
-                    console.log(`[BROADCAST] Processing patient ${patient.id}: type=${campaign.campaign_type}, email=${patient.email}, phone=${patient.phone}`);
-
-                    if ((campaign.campaign_type === 'email' || campaign.campaign_type === 'both') && patient.email) {
-                        recipients.push({
-                            type: 'email',
-                            value: patient.email,
-                            patientData: patient
-                        });
-                    }
-                    if ((campaign.campaign_type === 'sms' || campaign.campaign_type === 'both') && patient.phone) {
-                        recipients.push({
-                            type: 'phone',
-                            value: patient.phone,
-                            patientData: patient
-                        });
-                        console.log(`[BROADCAST] Added SMS recipient: ${patient.phone}`);
-                    }
-                }
-            }
+        // Recipients are queued now; the broadcast dispatcher sends them
+        const result = await dispatchCampaign(db, campaign, req.app.locals.io);
+        if (!result) {
+            return res.status(409).json({ error: 'Campaign is already being sent' });
         }
 
-        console.log(`[BROADCAST] Total recipients built: ${recipients.length}`);
-
-        // Update total recipients
-        await db.execute(
-            'UPDATE broadcast_campaigns SET total_recipients = ? WHERE id = ?',
-            [recipients.length, id]
-        );
+        await auditLog(db, req.user.id, 'SEND', 'broadcast_campaign', id, null, result, req);
 
-        // Send messages asynchronously
-        sendBroadcastMessages(db, id, campaign, recipients);
+        if (result.held_until) {
+            return res.json({
+                success: true,
+                message: 'Quiet hours are in effect; the campaign will be sent when they end',
+                held_until: result.held_until
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Broadcast sending started',
-            total_recipients: recipients.length
+            message: 'Broadcast queued for sending',
+            total_recipients: result.total_recipients
         });
-
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Send broadcast campaign error:', error);
-        console.error('Error details:', error.message, error.stack);
         res.status(500).json({
             error: 'Failed to send campaign',
             details: error.message
@@ -379,192 +322,95 @@ router.post('/campaigns/:id/send', authenticateToken, authorize('ADMIN', 'PT'),
 });
 
 // ========================================
-// HELPER FUNCTION: REPLACE TEMPLATE VARIABLES
+// PAUSE / RESUME / CANCEL SENDING
 // ========================================
-function replaceTemplateVariables(text, patientData, clinicName = 'PhysioConext') {
-    if (!text || !patientData) return text;
-
-    let result = text;
-
-    // Replace all template variables
-    result = result.replace(/{patientName}/g, patientData.name || '');
-    result = result.replace(/{firstName}/g, patientData.first_name || '');
-    result = result.replace(/{lastName}/g, patientData.last_name || '');
-    result = result.replace(/{email}/g, patientData.email || '');
-    result = result.replace(/{phone}/g, patientData.phone || '');
-    result = result.replace(/{clinicName}/g, clinicName);
-    // Optional fields that may not be available
-    result = result.replace(/{address}/g, '');
-    result = result.replace(/{emergencyContact}/g, '');
-    result = result.replace(/{emergencyPhone}/g, '');
-
-    return result;
-}
+['pause', 'resume', 'cancel'].forEach(action => {
+    router.post(`/campaigns/:id/${action}`, authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+        try {
+            const db = req.app.locals.db;
+            const { id } = req.params;
 
-// ========================================
-// HELPER FUNCTION: SEND BROADCAST MESSAGES
-// ========================================
-async function sendBroadcastMessages(db, campaignId, campaign, recipients) {
-    console.log(`[BROADCAST] Sending campaign ${campaignId} to ${recipients.length} recipients`);
+            const progress = await controlCampaign(db, id, action, req.app.locals.io);
 
-    let sentCount = 0;
-    let failedCount = 0;
+            await auditLog(db, req.user.id, action.toUpperCase(), 'broadcast_campaign', id, null, progress, req);
 
-    try {
-        // Get SMTP settings if sending email
-        let smtpConfig = null;
-        if (campaign.campaign_type === 'email' || campaign.campaign_type === 'both') {
-            const [settings] = await db.execute(`
-                SELECT setting_value FROM notification_settings WHERE setting_type = 'smtp' LIMIT 1
-            `);
-            if (settings.length > 0) {
-                smtpConfig = JSON.parse(settings[0].setting_value);
+            res.json({ success: true, progress });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
             }
+            console.error(`${action} broadcast campaign error:`, error);
+            res.status(500).json({ error: `Failed to ${action} campaign` });
         }
+    });
+});
 
-        // Get clinic name for template variables
-        const [clinicSettings] = await db.execute(`
-            SELECT setting_value FROM notification_settings WHERE setting_type = 'clinic_info' LIMIT 1
-        `);
-        const clinicName = clinicSettings.length > 0
-            ? (JSON.parse(clinicSettings[0].setting_value).name || 'PhysioConext')
-            : 'PhysioConext';
-
-        // Process each recipient
-        for (const recipient of recipients) {
-            try {
-                let success = false;
-
-                if (recipient.type === 'email' && (campaign.campaign_type === 'email' || campaign.campaign_type === 'both')) {
-                    // Send email with template variables replaced
-                    success = await sendBroadcastEmail(db, smtpConfig, recipient, campaign, clinicName);
-                    console.log(`[BROADCAST] Email to ${recipient.value}: ${success ? 'success' : 'failed'}`);
-                } else if (recipient.type === 'phone' && (campaign.campaign_type === 'sms' || campaign.campaign_type === 'both')) {
-                    // Send SMS with template variables replaced
-                    const personalizedMessage = replaceTemplateVariables(
-                        campaign.message_text,
-                        recipient.patientData,
-                        clinicName
-                    );
-                    console.log(`[BROADCAST] Sending SMS to ${recipient.value}...`);
-                    success = await sendBroadcastSMS(db, recipient.value, personalizedMessage);
-                    console.log(`[BROADCAST] SMS to ${recipient.value}: ${success ? 'success' : 'failed'}`);
-                }
-
-                if (success) {
-                    sentCount++;
-                    // Log success
-                    await db.execute(`
-                        INSERT INTO broadcast_logs (campaign_id, recipient_type, recipient, status, sent_at)
-                        VALUES (?, ?, ?, 'sent', NOW())
-                    `, [campaignId, recipient.type, recipient.value]);
-                } else {
-                    failedCount++;
-                    // Log failure
-                    await db.execute(`
-                        INSERT INTO broadcast_logs (campaign_id, recipient_type, recipient, status, error_message)
-                        VALUES (?, ?, ?, 'failed', 'Send failed')
-                    `, [campaignId, recipient.type, recipient.value]);
-                }
-            } catch (error) {
-                failedCount++;
-                console.error(`[BROADCAST] Error sending to ${recipient.value}:`, error.message);
-                // Log error
-                await db.execute(`
-                    INSERT INTO broadcast_logs (campaign_id, recipient_type, recipient, status, error_message)
-                    VALUES (?, ?, ?, 'failed', ?)
-                `, [campaignId, recipient.type, recipient.value, error.message]);
-            }
-        }
+// ========================================
+// SENDING PROGRESS
+// ========================================
+router.get('/campaigns/:id/progress', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
 
-        // Update campaign with final counts
-        await db.execute(`
-            UPDATE broadcast_campaigns SET
-                status = 'sent',
-                sent_count = ?,
-                failed_count = ?,
-                sent_at = NOW()
-            WHERE id = ?
-        `, [sentCount, failedCount, campaignId]);
+        const progress = await refreshCampaignProgress(db, req.params.id);
+        if (!progress) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
 
-        console.log(`Broadcast ${campaignId} completed: ${sentCount} sent, ${failedCount} failed`);
+        res.json(progress);
     } catch (error) {
-        console.error(`Broadcast ${campaignId} error:`, error);
-        // Update campaign status to failed
-        await db.execute(`
-            UPDATE broadcast_campaigns SET
-                status = 'failed',
-                error_log = ?
-            WHERE id = ?
-        `, [error.message, campaignId]);
+        console.error('Get broadcast progress error:', error);
+        res.status(500).json({ error: 'Failed to get campaign progress' });
     }
-}
+});
 
 // ========================================
-// HELPER: SEND BROADCAST EMAIL
+// AUDIENCE PREVIEW
 // ========================================
-async function sendBroadcastEmail(db, smtpConfig, recipient, campaign, clinicName) {
+router.post('/audience/preview', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
     try {
-        if (!smtpConfig || smtpConfig.enabled !== 1) {
-            console.log('SMTP not enabled');
-            return false;
-        }
+        const db = req.app.locals.db;
+        const { campaign_type, target_audience, custom_recipients, segment_filters } = req.body;
 
-        // Create transporter
-        const transporter = nodemailer.createTransport({
-            host: smtpConfig.host,
-            port: parseInt(smtpConfig.port),
-            secure: smtpConfig.secure === 'ssl',
-            auth: {
-                user: smtpConfig.user,
-                pass: smtpConfig.password
-            },
-            tls: {
-                rejectUnauthorized: false
-            }
+        const preview = await previewAudience(db, {
+            campaign_type: campaign_type || 'both',
+            target_audience: target_audience || 'all_patients',
+            custom_recipients: typeof custom_recipients === 'string' ? custom_recipients : JSON.stringify(custom_recipients || []),
+            segment_filters
         });
 
-        // Replace template variables in subject and content
-        const personalizedSubject = replaceTemplateVariables(
-            campaign.subject,
-            recipient.patientData,
-            clinicName
-        );
+        res.json(preview);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Preview broadcast audience error:', error);
+        res.status(500).json({ error: 'Failed to preview audience' });
+    }
+});
+
+router.get('/campaigns/:id/preview', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
 
-        const personalizedText = replaceTemplateVariables(
-            campaign.message_text,
-            recipient.patientData,
-            clinicName
+        const [campaigns] = await db.execute(
+            'SELECT * FROM broadcast_campaigns WHERE id = ?',
+            [req.params.id]
         );
 
-        const personalizedHtml = campaign.message_html
-            ? replaceTemplateVariables(campaign.message_html, recipient.patientData, clinicName)
-            : personalizedText.replace(/\n/g, '<br>');
-
-        // Prepare email
-        const mailOptions = {
-            from: `"${smtpConfig.fromName || 'Broadcast'}" <${smtpConfig.fromEmail}>`,
-            to: recipient.value,
-            subject: personalizedSubject,
-            text: personalizedText,
-            html: personalizedHtml
-        };
-
-        // Send email
-        await transporter.sendMail(mailOptions);
-        return true;
+        if (campaigns.length === 0) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        res.json(await previewAudience(db, campaigns[0]));
     } catch (error) {
-        console.error('Broadcast email error:', error);
-        return false;
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Preview broadcast campaign error:', error);
+        res.status(500).json({ error: 'Failed to preview campaign audience' });
     }
-}
-
-// ========================================
-// HELPER: SEND BROADCAST SMS
-// ========================================
-async function sendBroadcastSMS(db, phoneNumber, message) {
-    return await sendPatientSMS(db, phoneNumber, message);
-}
+});
 
 // ========================================
 // GET BROADCAST STATISTICS
@@ -572,6 +418,11 @@ async function sendBroadcastSMS(db, phoneNumber, message) {
 router.get('/stats', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
     try {
         const db = req.app.locals.db;
+        const { campaign_id } = req.query;
+
+        const campaignFilter = campaign_id ? 'WHERE id = ?' : '';
+        const logFilter = campaign_id ? 'AND campaign_id = ?' : '';
+        const params = campaign_id ? [campaign_id] : [];
 
         const [stats] = await db.execute(`
             SELECT
@@ -581,15 +432,86 @@ router.get('/stats', authenticateToken, authorize('ADMIN', 'PT'), async (req, re
                 SUM(CASE WHEN status = 'draft' THEN 1 ELSE 0 END) as draft_campaigns,
                 SUM(total_recipients) as total_recipients_all_time,
                 SUM(sent_count) as total_sent,
-                SUM(failed_count) as total_failed
+                SUM(failed_count) as total_failed,
+                SUM(suppressed_count) as total_suppressed
             FROM broadcast_campaigns
-        `);
+            ${campaignFilter}
+        `, params);
+
+        // Why recipients were suppressed
+        const [reasons] = await db.execute(`
+            SELECT recipient_type, suppression_reason, COUNT(*) as count
+            FROM broadcast_logs
+            WHERE status = 'suppressed' ${logFilter}
+            GROUP BY recipient_type, suppression_reason
+        `, params);
+
+        const suppressedByReason = { no_consent: 0, opted_out: 0 };
+        for (const row of reasons) {
+            suppressedByReason[row.suppression_reason] = (suppressedByReason[row.suppression_reason] || 0) + row.count;
+        }
 
-        res.json(stats[0]);
+        res.json({
+            ...stats[0],
+            suppressed_by_reason: suppressedByReason,
+            suppressed_by_channel: reasons.map(row => ({
+                channel: row.recipient_type === 'phone' ? 'sms' : 'email',
+                reason: row.suppression_reason,
+                count: row.count
+            }))
+        });
     } catch (error) {
         console.error('Get broadcast stats error:', error);
         res.status(500).json({ error: 'Failed to retrieve statistics' });
     }
 });
 
+// ========================================
+// BROADCAST SETTINGS (QUIET HOURS)
+// ========================================
+router.get('/settings', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const quietHours = await getQuietHours(db);
+
+        res.json({
+            quiet_hours_start: quietHours ? quietHours.start : '',
+            quiet_hours_end: quietHours ? quietHours.end : ''
+        });
+    } catch (error) {
+        console.error('Get broadcast settings error:', error);
+        res.status(500).json({ error: 'Failed to retrieve broadcast settings' });
+    }
+});
+
+router.put('/settings', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const start = req.body.quiet_hours_start || '';
+        const end = req.body.quiet_hours_end || '';
+        const validTime = (time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+
+        // Both empty turns quiet hours off
+        if ((start || end) && (!validTime(start) || !validTime(end) || start === end)) {
+            return res.status(400).json({ error: 'Quiet hours need a different start and end time (HH:mm)' });
+        }
+
+        for (const [key, value] of [['broadcast_quiet_hours_start', start], ['broadcast_quiet_hours_end', end]]) {
+            await db.execute(
+                `INSERT INTO system_settings (setting_key, setting_value, updated_by)
+                 VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE setting_value = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP`,
+                [key, value, req.user.id, value, req.user.id]
+            );
+        }
+
+        await auditLog(db, req.user.id, 'UPDATE', 'broadcast_settings', 0, null, { quiet_hours_start: start, quiet_hours_end: end }, req);
+
+        res.json({ success: true, message: 'Broadcast settings saved' });
+    } catch (error) {
+        console.error('Update broadcast settings error:', error);
+        res.status(500).json({ error: 'Failed to save broadcast settings' });
+    }
+});
+
 module.exports = router;
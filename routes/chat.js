@@ -1,7 +1,35 @@
 // routes/chat.js - Chat API Routes
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, upload, auditLog } = require('../middleware/auth');
+const {
+    getConversation,
+    listConversations,
+    getOrCreateDirectConversation,
+    leaveConversationRoom,
+    notifyMembers,
+    emitNewMessage,
+    getOnlineMemberIds,
+    listMessages,
+    toSocketMessage,
+    createMessage,
+    markRead,
+    notifyReceipts,
+    editMessage,
+    deleteMessage,
+    getMessageHistory,
+    searchMessages,
+    getAttachmentForDownload,
+    discardUploads
+} = require('../utils/chat');
+const {
+    createGroup,
+    renameGroup,
+    listMembers,
+    addMembers,
+    setMemberRole,
+    removeMember
+} = require('../utils/chat-groups');
 
 // GET /api/chat/conversations - Get all conversations for current user
 router.get('/conversations', authenticateToken, async (req, res) => {
@@ -9,28 +37,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
         const db = req.app.locals.db;
         const userId = req.user.id;
 
-        const [conversations] = await db.execute(
-            `SELECT
-                c.id,
-                c.last_message_at,
-                c.created_at,
-                IF(c.user1_id = ?, c.user2_id, c.user1_id) as other_user_id,
-                CONCAT_WS(' ', u.first_name, u.last_name) as other_user_name,
-                u.email as other_user_email,
-                u.role as other_user_role,
-                (SELECT message FROM chat_messages
-                 WHERE conversation_id = c.id
-                 ORDER BY created_at DESC LIMIT 1) as last_message,
-                (SELECT COUNT(*) FROM chat_messages
-                 WHERE conversation_id = c.id
-                 AND recipient_id = ?
-                 AND read_at IS NULL) as unread_count
-            FROM chat_conversations c
-            JOIN users u ON u.id = IF(c.user1_id = ?, c.user2_id, c.user1_id)
-            WHERE c.user1_id = ? OR c.user2_id = ?
-            ORDER BY c.last_message_at DESC`,
-            [userId, userId, userId, userId, userId]
-        );
+        const conversations = await listConversations(db, userId);
 
         res.json({ conversations });
     } catch (error) {
@@ -48,46 +55,17 @@ router.get('/messages/:conversationId', authenticateToken, async (req, res) => {
         const { limit = 50, offset = 0 } = req.query;
 
         // Verify user is part of this conversation
-        const [conversations] = await db.execute(
-            `SELECT * FROM chat_conversations
-            WHERE id = ? AND (user1_id = ? OR user2_id = ?)`,
-            [conversationId, userId, userId]
-        );
-
-        if (conversations.length === 0) {
+        if (!await getConversation(db, conversationId, userId)) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        // Get messages
-        const [messages] = await db.execute(
-            `SELECT
-                m.id,
-                m.sender_id,
-                m.recipient_id,
-                m.message,
-                m.created_at,
-                m.read_at,
-                CONCAT_WS(' ', u.first_name, u.last_name) as sender_name,
-                u.email as sender_email
-            FROM chat_messages m
-            JOIN users u ON u.id = m.sender_id
-            WHERE m.conversation_id = ?
-            ORDER BY m.created_at DESC
-            LIMIT ? OFFSET ?`,
-            [conversationId, parseInt(limit), parseInt(offset)]
-        );
+        const messages = await listMessages(db, conversationId, { limit, offset });
 
-        // Mark messages as read
-        await db.execute(
-            `UPDATE chat_messages
-            SET read_at = NOW()
-            WHERE conversation_id = ?
-            AND recipient_id = ?
-            AND read_at IS NULL`,
-            [conversationId, userId]
-        );
+        // Mark messages as read and send read receipts
+        const receipts = await markRead(db, conversationId, userId);
+        notifyReceipts(req.app.locals.io, receipts, 'messages_read', userId);
 
-        res.json({ messages: messages.reverse() }); // Reverse to show oldest first
+        res.json({ messages });
     } catch (error) {
         console.error('Get messages error:', error);
         res.status(500).json({ error: 'Failed to load messages' });
@@ -99,64 +77,160 @@ router.post('/messages', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
         const userId = req.user.id;
-        const { conversationId, recipientId, message } = req.body;
+        const { conversationId, message } = req.body;
 
-        if (!conversationId || !recipientId || !message) {
-            return res.status(400).json({ error: 'conversationId, recipientId, and message are required' });
+        if (!conversationId || !message) {
+            return res.status(400).json({ error: 'conversationId and message are required' });
         }
 
         // Verify user is part of this conversation
-        const [conversations] = await db.execute(
-            `SELECT * FROM chat_conversations
-            WHERE id = ? AND (user1_id = ? OR user2_id = ?)`,
-            [conversationId, userId, userId]
-        );
-
-        if (conversations.length === 0) {
+        const conversation = await getConversation(db, conversationId, userId);
+        if (!conversation) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        // Insert message
-        const [result] = await db.execute(
-            `INSERT INTO chat_messages (conversation_id, sender_id, recipient_id, message, created_at)
-            VALUES (?, ?, ?, ?, NOW())`,
-            [conversationId, userId, recipientId, message]
-        );
-
-        // Update conversation last_message_at
-        await db.execute(
-            `UPDATE chat_conversations SET last_message_at = NOW() WHERE id = ?`,
-            [conversationId]
-        );
-
-        const messageId = result.insertId;
-
-        // Get the created message
-        const [messages] = await db.execute(
-            `SELECT
-                m.id,
-                m.sender_id,
-                m.recipient_id,
-                m.message,
-                m.created_at,
-                m.read_at,
-                CONCAT_WS(' ', u.first_name, u.last_name) as sender_name
-            FROM chat_messages m
-            JOIN users u ON u.id = m.sender_id
-            WHERE m.id = ?`,
-            [messageId]
-        );
+        const io = req.app.locals.io;
+        const saved = await createMessage(db, {
+            conversation,
+            senderId: userId,
+            message,
+            deliveredTo: await getOnlineMemberIds(io, conversation.id)
+        });
+        emitNewMessage(io, saved);
 
         res.json({
             success: true,
-            message: messages[0]
+            message: saved
         });
     } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
         console.error('Send message error:', error);
         res.status(500).json({ error: 'Failed to send message' });
     }
 });
 
+// POST /api/chat/conversations/:id/attachments - Send a file (with optional text)
+router.post('/conversations/:id/attachments', authenticateToken, upload.single('file'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const userId = req.user.id;
+        const file = req.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const conversation = await getConversation(db, req.params.id, userId);
+        if (!conversation) {
+            await discardUploads([file]);
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const io = req.app.locals.io;
+        let saved;
+        try {
+            saved = await createMessage(db, {
+                conversation,
+                senderId: userId,
+                message: req.body.message,
+                files: [file],
+                deliveredTo: await getOnlineMemberIds(io, conversation.id)
+            });
+        } catch (error) {
+            await discardUploads([file]);
+            throw error;
+        }
+
+        await auditLog(db, userId, 'UPLOAD_ATTACHMENT', 'chat_attachment', saved.attachments[0].id, null, file, req);
+        emitNewMessage(io, saved);
+
+        res.status(201).json({
+            success: true,
+            message: saved
+        });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Upload chat attachment error:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
+// GET /api/chat/attachments/:id/download - Download a file sent in one of the user's conversations
+router.get('/attachments/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const attachment = await getAttachmentForDownload(db, req.params.id, req.user.id);
+
+        res.download(attachment.file_path, attachment.file_name);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Download chat attachment error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+// PUT /api/chat/messages/:id - Edit own message (previous text is kept in the history)
+router.put('/messages/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const result = await editMessage(db, req.params.id, req.user.id, req.body.message);
+
+        notifyMembers(req.app.locals.io, result.conversation, 'message_edited', toSocketMessage(result.message));
+
+        res.json({ success: true, message: result.message });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Edit message error:', error);
+        res.status(500).json({ error: 'Failed to edit message' });
+    }
+});
+
+// DELETE /api/chat/messages/:id - Delete own message (its text is kept in the history)
+router.delete('/messages/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const result = await deleteMessage(db, req.params.id, req.user.id);
+
+        notifyMembers(req.app.locals.io, result.conversation, 'message_deleted', toSocketMessage(result.message));
+
+        res.json({ success: true, message: result.message });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Delete message error:', error);
+        res.status(500).json({ error: 'Failed to delete message' });
+    }
+});
+
+// GET /api/chat/messages/:id/history - Edit and delete history of a message
+router.get('/messages/:id/history', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const history = await getMessageHistory(db, req.params.id, req.user);
+
+        res.json({ history });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Get message history error:', error);
+        res.status(500).json({ error: 'Failed to load message history' });
+    }
+});
+
+// GET /api/chat/search?q=&conversation_id= - Search messages across the user's conversations
+router.get('/search', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { q, conversation_id } = req.query;
+
+        const messages = await searchMessages(db, req.user.id, q, { conversationId: conversation_id || null });
+
+        res.json({ messages });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Search messages error:', error);
+        res.status(500).json({ error: 'Failed to search messages' });
+    }
+});
+
 // POST /api/chat/conversation - Create or get conversation with another user
 router.post('/conversation', authenticateToken, async (req, res) => {
     try {
@@ -170,29 +244,19 @@ router.post('/conversation', authenticateToken, async (req, res) => {
 
         // Check if other user exists
         const [otherUser] = await db.execute(
-            'SELECT id, first_name, last_name, email, role FROM users WHERE id = ?',
+            'SELECT id, first_name, last_name, email, role FROM users WHERE id = ? AND active = 1',
             [otherUserId]
         );
 
-        if (otherUser.length === 0) {
+        if (otherUser.length === 0 || otherUser[0].id === userId) {
             return res.status(404).json({ error: 'User not found' });
         }
 
         // Create or get existing conversation
-        const user1 = Math.min(userId, otherUserId);
-        const user2 = Math.max(userId, otherUserId);
-
-        const [result] = await db.execute(
-            `INSERT INTO chat_conversations (user1_id, user2_id, created_at, last_message_at)
-            VALUES (?, ?, NOW(), NOW())
-            ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
-            [user1, user2]
-        );
-
-        const conversationId = result.insertId;
+        const conversation = await getOrCreateDirectConversation(db, req.app.locals.io, userId, otherUser[0].id);
 
         res.json({
-            conversationId,
+            conversationId: conversation.id,
             otherUser: {
                 id: otherUser[0].id,
                 name: `${otherUser[0].first_name} ${otherUser[0].last_name}`,
@@ -206,6 +270,110 @@ router.post('/conversation', authenticateToken, async (req, res) => {
     }
 });
 
+// ========================================
+// GROUPS
+// ========================================
+
+// POST /api/chat/groups - Create a group conversation (the creator becomes admin)
+router.post('/groups', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { name, memberIds } = req.body;
+
+        const group = await createGroup(db, req.app.locals.io, req.user.id, { name, memberIds });
+
+        await auditLog(db, req.user.id, 'CREATE', 'chat_group', group.id, null, { name: group.name, memberIds }, req);
+
+        res.status(201).json({ success: true, conversation: group });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Create group error:', error);
+        res.status(500).json({ error: 'Failed to create group' });
+    }
+});
+
+// PATCH /api/chat/groups/:id - Rename a group (group admins)
+router.patch('/groups/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const group = await renameGroup(db, req.app.locals.io, req.params.id, req.user.id, req.body.name);
+
+        res.json({ success: true, conversation: group });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Rename group error:', error);
+        res.status(500).json({ error: 'Failed to rename group' });
+    }
+});
+
+// GET /api/chat/conversations/:id/members - Members of any conversation the user is in
+router.get('/conversations/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const members = await listMembers(db, req.params.id, req.user.id);
+
+        res.json({ members });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Get members error:', error);
+        res.status(500).json({ error: 'Failed to load members' });
+    }
+});
+
+// POST /api/chat/groups/:id/members - Add members (group admins)
+router.post('/groups/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { userIds, role = 'member' } = req.body;
+
+        const added = await addMembers(db, req.app.locals.io, req.params.id, req.user.id, userIds, role);
+
+        await auditLog(db, req.user.id, 'ADD_MEMBERS', 'chat_group', req.params.id, null, { added, role }, req);
+
+        res.json({ success: true, added });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Add members error:', error);
+        res.status(500).json({ error: 'Failed to add members' });
+    }
+});
+
+// PATCH /api/chat/groups/:id/members/:userId - Make a member admin or member (group admins)
+router.patch('/groups/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const memberId = parseInt(req.params.userId);
+
+        await setMemberRole(db, req.app.locals.io, req.params.id, req.user.id, memberId, req.body.role);
+
+        await auditLog(db, req.user.id, 'UPDATE_MEMBER_ROLE', 'chat_group', req.params.id, null, { user_id: memberId, role: req.body.role }, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Update member role error:', error);
+        res.status(500).json({ error: 'Failed to update member role' });
+    }
+});
+
+// DELETE /api/chat/groups/:id/members/:userId - Remove a member (group admins) or leave (own id)
+router.delete('/groups/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const memberId = parseInt(req.params.userId);
+
+        await removeMember(db, req.app.locals.io, req.params.id, req.user.id, memberId);
+
+        await auditLog(db, req.user.id, memberId === req.user.id ? 'LEAVE' : 'REMOVE_MEMBER', 'chat_group', req.params.id, { user_id: memberId }, null, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        console.error('Remove member error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
 // GET /api/chat/users - Get all users available for chat
 router.get('/users', authenticateToken, async (req, res) => {
     try {
@@ -252,18 +420,38 @@ router.delete('/conversation/:id', authenticateToken, async (req, res) => {
         const { id } = req.params;
 
         // Verify user owns this conversation
-        const [conversations] = await db.execute(
-            `SELECT * FROM chat_conversations
-            WHERE id = ? AND (user1_id = ? OR user2_id = ?)`,
-            [id, userId, userId]
-        );
-
-        if (conversations.length === 0) {
+        const conversation = await getConversation(db, id, userId);
+        if (!conversation) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        // Delete messages first (foreign key constraint)
+        // Clinic channels follow clinic staff; groups are deleted by their admins
+        if (conversation.type === 'clinic') {
+            return res.status(409).json({ error: 'Clinic channels cannot be deleted' });
+        }
+        if (conversation.type === 'group' && conversation.member_role !== 'admin') {
+            return res.status(403).json({ error: 'Only group admins can delete the group' });
+        }
+
+        // Members are told before the room is emptied
+        notifyMembers(req.app.locals.io, conversation, 'conversation_removed', { conversationId: conversation.id });
+        const [members] = await db.execute(
+            'SELECT user_id FROM chat_conversation_members WHERE conversation_id = ?',
+            [id]
+        );
+        leaveConversationRoom(req.app.locals.io, conversation.id, members.map(m => m.user_id));
+
+        const [files] = await db.execute(
+            `SELECT a.file_path as path FROM chat_attachments a
+            JOIN chat_messages m ON m.id = a.message_id
+            WHERE m.conversation_id = ?`,
+            [id]
+        );
+
+        // Delete messages first (foreign key constraint); attachments, receipts
+        // and edit history go with them
         await db.execute('DELETE FROM chat_messages WHERE conversation_id = ?', [id]);
+        await discardUploads(files);
 
         // Delete conversation
         await db.execute('DELETE FROM chat_conversations WHERE id = ?', [id]);
@@ -286,6 +474,10 @@ router.post('/typing', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'conversationId is required' });
         }
 
+        if (!await getConversation(db, conversationId, userId)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
         // Store typing status in memory (or use Redis for production)
         // For simplicity, we'll use a temporary table
         if (isTyping) {
@@ -316,6 +508,10 @@ router.get('/typing/:conversationId', authenticateToken, async (req, res) => {
         const userId = req.user.id;
         const { conversationId } = req.params;
 
+        if (!await getConversation(db, conversationId, userId)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
         // Get users currently typing (within last 5 seconds)
         const [typingUsers] = await db.execute(
             `SELECT
@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { OAuth2Client } = require('google-auth-library');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, auditLog } = require('../middleware/auth');
+const { syncUserClinicChannels } = require('../utils/chat-groups');
+const { isTOTPEnabled } = require('../utils/totp');
+const {
+    createOAuthState,
+    consumeOAuthState,
+    recordGoogleLink,
+    getGoogleLinkHistory,
+    setPending2FA
+} = require('../utils/google-auth');
 
 // Initialize Google OAuth client
 const getGoogleClient = () => {
@@ -19,6 +28,10 @@ const getGoogleClient = () => {
 router.get('/auth-url', authenticateToken, async (req, res) => {
     try {
         const client = getGoogleClient();
+        const db = req.app.locals.db;
+
+        // Signed, single-use state bound to this browser and this user
+        const state = await createOAuthState(db, req, res, { purpose: 'link', userId: req.user.id });
 
         const authUrl = client.generateAuthUrl({
             access_type: 'offline',
@@ -26,7 +39,7 @@ router.get('/auth-url', authenticateToken, async (req, res) => {
                 'https://www.googleapis.com/auth/userinfo.profile',
                 'https://www.googleapis.com/auth/userinfo.email'
             ],
-            state: req.user.id.toString() // Pass user ID in state for verification
+            state
         });
 
         res.json({
@@ -45,20 +58,24 @@ router.get('/auth-url', authenticateToken, async (req, res) => {
  */
 router.get('/callback', async (req, res) => {
     try {
-        const { code, state } = req.query;
+        const { code } = req.query;
 
         if (!code) {
             return res.redirect('/profile?error=google_auth_failed');
         }
 
-        const userId = parseInt(state);
-        if (!userId) {
-            return res.redirect('/profile?error=invalid_state');
-        }
-
         const client = getGoogleClient();
         const db = req.app.locals.db;
 
+        // The user comes from the state row, never from the query string
+        let userId;
+        try {
+            ({ userId } = await consumeOAuthState(db, req, 'link'));
+        } catch (error) {
+            if (error.code === 'invalid_state') return res.redirect('/profile?error=invalid_state');
+            throw error;
+        }
+
         // Exchange code for tokens
         const { tokens } = await client.getToken(code);
         client.setCredentials(tokens);
@@ -75,6 +92,10 @@ router.get('/callback', async (req, res) => {
         const googleName = payload['name'];
         const googlePicture = payload['picture'];
 
+        if (!payload['email_verified']) {
+            return res.redirect('/profile?error=google_email_unverified');
+        }
+
         // Check if this Google account is already connected to another user
         const [existingUsers] = await db.execute(
             'SELECT id FROM users WHERE google_id = ? AND id != ?',
@@ -85,6 +106,15 @@ router.get('/callback', async (req, res) => {
             return res.redirect('/profile?error=google_account_already_linked');
         }
 
+        const [currentLinks] = await db.execute(
+            'SELECT google_id, google_email FROM users WHERE id = ? AND active = 1',
+            [userId]
+        );
+        if (currentLinks.length === 0) {
+            return res.redirect('/profile?error=google_auth_failed');
+        }
+        const previous = currentLinks[0];
+
         // Update user with Google account info
         await db.execute(
             `UPDATE users
@@ -97,6 +127,19 @@ router.get('/callback', async (req, res) => {
             [googleId, googleEmail, googleName, googlePicture, userId]
         );
 
+        // Same account again only refreshes the profile details
+        if (previous.google_id !== googleId) {
+            await recordGoogleLink(db, req, {
+                userId,
+                action: previous.google_id ? 'relink' : 'link',
+                googleId,
+                googleEmail,
+                previousGoogleId: previous.google_id,
+                previousGoogleEmail: previous.google_email,
+                source: 'profile'
+            });
+        }
+
         console.log(`✅ Google account connected for user ${userId}:`, googleEmail);
 
         // Redirect back to profile with success message
@@ -117,6 +160,14 @@ router.post('/disconnect', authenticateToken, async (req, res) => {
         const db = req.app.locals.db;
         const userId = req.user.id;
 
+        const [users] = await db.execute(
+            'SELECT google_id, google_email FROM users WHERE id = ?',
+            [userId]
+        );
+        if (users.length === 0 || !users[0].google_id) {
+            return res.status(400).json({ error: 'No Google account is connected' });
+        }
+
         // Remove Google account info
         await db.execute(
             `UPDATE users
@@ -129,6 +180,14 @@ router.post('/disconnect', authenticateToken, async (req, res) => {
             [userId]
         );
 
+        await recordGoogleLink(db, req, {
+            userId,
+            action: 'unlink',
+            previousGoogleId: users[0].google_id,
+            previousGoogleEmail: users[0].google_email,
+            source: 'profile'
+        });
+
         console.log(`✅ Google account disconnected for user ${userId}`);
 
         res.json({
@@ -178,6 +237,27 @@ router.get('/status', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/google/link-history
+ * Link, relink and unlink history of the current user's Google account
+ * (ADMIN may pass ?user_id= for another user)
+ */
+router.get('/link-history', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const userId = req.query.user_id && req.user.role === 'ADMIN'
+            ? parseInt(req.query.user_id)
+            : req.user.id;
+
+        const history = await getGoogleLinkHistory(db, userId);
+
+        res.json({ history });
+    } catch (error) {
+        console.error('Google link history error:', error);
+        res.status(500).json({ error: 'Failed to get Google link history' });
+    }
+});
+
 /**
  * GET /api/google/signin-url
  * Generate Google OAuth URL for sign-in (no authentication required)
@@ -190,13 +270,16 @@ router.get('/signin-url', async (req, res) => {
             process.env.GOOGLE_SIGNIN_REDIRECT_URI || `${process.env.APP_URL}/api/google/signin-callback`
         );
 
+        // Signed, single-use state bound to this browser
+        const state = await createOAuthState(req.app.locals.db, req, res, { purpose: 'signin' });
+
         const authUrl = client.generateAuthUrl({
             access_type: 'offline',
             scope: [
                 'https://www.googleapis.com/auth/userinfo.profile',
                 'https://www.googleapis.com/auth/userinfo.email'
             ],
-            state: 'signin' // Indicate this is for sign-in, not profile linking
+            state
         });
 
         res.json({
@@ -215,16 +298,12 @@ router.get('/signin-url', async (req, res) => {
  */
 router.get('/signin-callback', async (req, res) => {
     try {
-        const { code, state } = req.query;
+        const { code } = req.query;
 
         if (!code) {
             return res.redirect('/login?error=google_signin_failed');
         }
 
-        if (state !== 'signin') {
-            return res.redirect('/login?error=invalid_state');
-        }
-
         const client = new OAuth2Client(
             process.env.GOOGLE_CLIENT_ID,
             process.env.GOOGLE_CLIENT_SECRET,
@@ -233,6 +312,13 @@ router.get('/signin-callback', async (req, res) => {
 
         const db = req.app.locals.db;
 
+        try {
+            await consumeOAuthState(db, req, 'signin');
+        } catch (error) {
+            if (error.code === 'invalid_state') return res.redirect('/login?error=invalid_state');
+            throw error;
+        }
+
         // Exchange code for tokens
         const { tokens } = await client.getToken(code);
         client.setCredentials(tokens);
@@ -251,6 +337,11 @@ router.get('/signin-callback', async (req, res) => {
 
         console.log('🔐 Google Sign-In attempt:', googleEmail);
 
+        // Accounts are only matched or created on an address Google has verified
+        if (!payload['email_verified']) {
+            return res.redirect('/login?error=google_email_unverified');
+        }
+
         // Scenario 1: Check if user already exists with this Google ID (already linked)
         let [users] = await db.execute(
             `SELECT u.*, c.name as clinic_name
@@ -268,12 +359,23 @@ router.get('/signin-callback', async (req, res) => {
                 `SELECT u.*, c.name as clinic_name
                  FROM users u
                  LEFT JOIN clinics c ON u.clinic_id = c.id
-                 WHERE u.email = ? AND u.active = 1`,
+                 WHERE LOWER(u.email) = LOWER(?) AND u.active = 1`,
                 [googleEmail]
             );
 
             if (users.length > 0) {
                 user = users[0];
+
+                // A different Google account is already linked; replacing it
+                // is done from the profile page, by the signed-in user
+                if (user.google_id) {
+                    await auditLog(db, user.id, 'GOOGLE_SIGNIN_REJECTED', 'user', user.id, null, {
+                        reason: 'different_google_account',
+                        google_email: googleEmail
+                    }, req);
+                    return res.redirect('/login?error=google_account_mismatch');
+                }
+
                 // Link Google account to existing user
                 await db.execute(
                     `UPDATE users
@@ -286,6 +388,14 @@ router.get('/signin-callback', async (req, res) => {
                     [googleId, googleEmail, googleName, googlePicture, user.id]
                 );
 
+                await recordGoogleLink(db, req, {
+                    userId: user.id,
+                    action: 'link',
+                    googleId,
+                    googleEmail,
+                    source: 'signin'
+                });
+
                 console.log('✅ Linked Google account to existing user:', user.id);
             }
         }
@@ -321,6 +431,17 @@ router.get('/signin-callback', async (req, res) => {
 
             const newUserId = result.insertId;
 
+            await recordGoogleLink(db, req, {
+                userId: newUserId,
+                action: 'link',
+                googleId,
+                googleEmail,
+                source: 'signin'
+            });
+
+            await syncUserClinicChannels(db, req.app.locals.io, newUserId)
+                .catch(err => console.warn('[CHAT] Failed to sync clinic channels:', err.message));
+
             // Fetch the newly created user
             [users] = await db.execute(
                 `SELECT u.*, c.name as clinic_name
@@ -335,9 +456,18 @@ router.get('/signin-callback', async (req, res) => {
             console.log('✅ Created new user account via Google Sign-In:', newUserId, googleEmail);
         }
 
+        // Google replaces the password, not the second factor
+        if (await isTOTPEnabled(db, user.id)) {
+            console.log('🔐 2FA required after Google Sign-In for user:', user.id);
+            setPending2FA(res, user.id);
+            return res.redirect('/login?twofa=google');
+        }
+
         // Update last login
         await db.execute('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
 
+        await auditLog(db, user.id, 'LOGIN', 'user', user.id, null, { method: 'google' }, req);
+
         // Generate JWT token
         const { generateToken } = require('../utils/auth-helpers');
         const token = generateToken(user);
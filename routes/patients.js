@@ -3,29 +3,17 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, authorize, uploadCSV, auditLog, getAccessibleClinicIds } = require('../middleware/auth');
-const { validatePagination, generatePTNumber } = require('../utils/helpers');
+const { validatePagination, generatePTNumber, validateThaiNationalID } = require('../utils/helpers');
 const csv = require('csv-parser');
 const fs = require('fs');
 const moment = require('moment');
+const crypto = require('crypto');
+const { getConsent, setConsent, getConsentHistory } = require('../utils/marketing-consent');
 
 // ========================================
 // HELPER FUNCTIONS FOR PATIENT MANAGEMENT
 // ========================================
 
-// Validate Thai National ID checksum
-function validateThaiNationalID(pid) {
-    if (!pid || typeof pid !== 'string') return false;
-    pid = pid.replace(/[\s-]/g, '');
-    if (!/^\d{13}$/.test(pid)) return false;
-
-    let sum = 0;
-    for (let i = 0; i < 12; i++) {
-        sum += parseInt(pid[i]) * (13 - i);
-    }
-    const checksum = (11 - (sum % 11)) % 10;
-    return checksum === parseInt(pid[12]);
-}
-
 // Validate Passport ID format
 function validatePassportID(passport) {
     if (!passport || typeof passport !== 'string') return false;
@@ -926,6 +914,217 @@ router.delete('/:id', authenticateToken, authorize('ADMIN'), async (req, res) =>
     }
 });
 
+// ========================================
+// LINE ACCOUNT LINKING
+// ========================================
+
+const LINE_LINK_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LINE_LINK_CODE_TTL_HOURS = 24;
+
+const generateLineLinkCode = () => {
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+        code += LINE_LINK_CODE_CHARS[crypto.randomInt(LINE_LINK_CODE_CHARS.length)];
+    }
+    return code;
+};
+
+// Issue a one-time code the patient sends to the LINE bot ("link <code>")
+router.post('/:id/line-link-code', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [patients] = await db.execute('SELECT id, clinic_id FROM patients WHERE id = ?', [id]);
+        if (patients.length === 0) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        if (req.user.role !== 'ADMIN') {
+            const [grants] = await db.execute(
+                'SELECT clinic_id FROM user_clinic_grants WHERE user_id = ? AND clinic_id = ? UNION SELECT ? as clinic_id WHERE ? = ?',
+                [req.user.id, patients[0].clinic_id, req.user.clinic_id, req.user.clinic_id, patients[0].clinic_id]
+            );
+
+            if (grants.length === 0) {
+                return res.status(403).json({ error: 'No access to this patient' });
+            }
+        }
+
+        // Only the latest code stays valid
+        await db.execute(
+            'UPDATE line_link_codes SET expires_at = NOW() WHERE patient_id = ? AND used_at IS NULL AND expires_at > NOW()',
+            [id]
+        );
+
+        const expiresAt = moment().add(LINE_LINK_CODE_TTL_HOURS, 'hours');
+        let code;
+        for (let attempt = 0; attempt < 5 && !code; attempt++) {
+            const candidate = generateLineLinkCode();
+            try {
+                await db.execute(
+                    'INSERT INTO line_link_codes (code, patient_id, expires_at, created_by) VALUES (?, ?, ?, ?)',
+                    [candidate, id, expiresAt.format('YYYY-MM-DD HH:mm:ss'), req.user.id]
+                );
+                code = candidate;
+            } catch (error) {
+                if (error.code !== 'ER_DUP_ENTRY') throw error;
+            }
+        }
+
+        if (!code) {
+            return res.status(500).json({ error: 'Failed to generate a unique link code' });
+        }
+
+        await auditLog(db, req.user.id, 'CREATE', 'line_link_code', id, null, { expires_at: expiresAt.toISOString() }, req);
+
+        res.json({
+            success: true,
+            code,
+            expires_at: expiresAt.toISOString(),
+            instructions: `Add the clinic LINE account and send: link ${code}`
+        });
+    } catch (error) {
+        console.error('Create LINE link code error:', error);
+        res.status(500).json({ error: 'Failed to create LINE link code' });
+    }
+});
+
+// LINE accounts linked to a patient
+router.get('/:id/line-accounts', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [patients] = await db.execute('SELECT id, clinic_id FROM patients WHERE id = ?', [req.params.id]);
+        if (patients.length === 0) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const accessibleClinicIds = await getAccessibleClinicIds(db, req.user);
+        if (req.user.role !== 'ADMIN' && !accessibleClinicIds.includes(patients[0].clinic_id)) {
+            return res.status(403).json({ error: 'No access to this patient' });
+        }
+
+        const [accounts] = await db.execute(
+            `SELECT id, line_user_id, display_name, linked_via, is_active, linked_at, unlinked_at
+             FROM patient_line_accounts
+             WHERE patient_id = ?
+             ORDER BY is_active DESC, linked_at DESC`,
+            [req.params.id]
+        );
+
+        res.json(accounts);
+    } catch (error) {
+        console.error('Get LINE accounts error:', error);
+        res.status(500).json({ error: 'Failed to retrieve LINE accounts' });
+    }
+});
+
+// Unlink a LINE account from a patient
+router.delete('/:id/line-accounts/:accountId', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id, accountId } = req.params;
+
+        const [result] = await db.execute(
+            `UPDATE patient_line_accounts
+             SET is_active = 0, unlinked_at = NOW()
+             WHERE id = ? AND patient_id = ? AND is_active = 1`,
+            [accountId, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Linked LINE account not found' });
+        }
+
+        await auditLog(db, req.user.id, 'UNLINK', 'patient_line_account', accountId, null, { patient_id: id }, req);
+
+        res.json({ success: true, message: 'LINE account unlinked successfully' });
+    } catch (error) {
+        console.error('Unlink LINE account error:', error);
+        res.status(500).json({ error: 'Failed to unlink LINE account' });
+    }
+});
+
+// ========================================
+// MARKETING CONSENT (PDPA)
+// ========================================
+
+// Consent per channel and every recorded change
+router.get('/:id/marketing-consent', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [patients] = await db.execute('SELECT id, clinic_id FROM patients WHERE id = ?', [id]);
+        if (patients.length === 0) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const accessibleClinicIds = await getAccessibleClinicIds(db, req.user);
+        if (req.user.role !== 'ADMIN' && !accessibleClinicIds.includes(patients[0].clinic_id)) {
+            return res.status(403).json({ error: 'No access to this patient' });
+        }
+
+        res.json({
+            consent: await getConsent(db, id),
+            history: await getConsentHistory(db, id)
+        });
+    } catch (error) {
+        console.error('Get marketing consent error:', error);
+        res.status(500).json({ error: 'Failed to retrieve marketing consent' });
+    }
+});
+
+// Staff record consent given or withdrawn (e.g. on the registration form)
+router.put('/:id/marketing-consent', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { channel, consented, note } = req.body;
+
+        if (typeof consented !== 'boolean') {
+            return res.status(400).json({ error: 'consented must be true or false' });
+        }
+
+        const [patients] = await db.execute('SELECT id, clinic_id FROM patients WHERE id = ?', [id]);
+        if (patients.length === 0) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const accessibleClinicIds = await getAccessibleClinicIds(db, req.user);
+        if (req.user.role !== 'ADMIN' && !accessibleClinicIds.includes(patients[0].clinic_id)) {
+            return res.status(403).json({ error: 'No access to this patient' });
+        }
+
+        const changed = await setConsent(db, {
+            patientId: id,
+            channel,
+            consented,
+            source: 'staff',
+            note: note ? String(note).substring(0, 255) : null,
+            recordedBy: req.user.id,
+            ipAddress: req.ip
+        });
+
+        if (changed) {
+            await auditLog(db, req.user.id, 'UPDATE', 'marketing_consent', id, null, { channel, consented, note }, req);
+        }
+
+        res.json({
+            success: true,
+            message: consented ? 'Consent recorded' : 'Consent withdrawn',
+            consent: await getConsent(db, id)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Update marketing consent error:', error);
+        res.status(500).json({ error: 'Failed to update marketing consent' });
+    }
+});
+
 // ========================================
 // PATIENT CSV IMPORT/EXPORT
 // ========================================
@@ -4,6 +4,9 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticateToken, authorize, auditLog } = require('../middleware/auth');
 const { generatePNCode } = require('../utils/helpers');
+const { emitPNStatusEvent } = require('../utils/realtime');
+const { STATUSES, loadCase, getCaseWorkflow, getAvailableActions, runTransition } = require('../utils/pn-workflow');
+const { streamPNExport } = require('../utils/pn-export');
 
 // ========================================
 // DASHBOARD SUMMARY STATISTICS
@@ -351,6 +354,39 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
+// Export PN cases as CSV or XLSX (?format=csv|xlsx, same filters as the list).
+// Must stay above the /:id routes.
+router.get('/export', authenticateToken, async (req, res) => {
+    const db = req.app.locals.db;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    try {
+        const count = await streamPNExport(db, req.user, req.query, format, res);
+
+        const { search, status, clinic_id } = req.query;
+        await auditLog(db, req.user.id, 'EXPORT', 'pn_case', null, null, {
+            format,
+            rows: count,
+            filters: {
+                search: search || null,
+                status: status || null,
+                clinic_id: clinic_id || null,
+                from: req.query.from_date || req.query.date_from || null,
+                to: req.query.to_date || req.query.date_to || null
+            }
+        }, req);
+    } catch (error) {
+        console.error('Export PN cases error:', error);
+        if (res.headersSent) {
+            return res.destroy(error); // the client sees a broken download, not a short file
+        }
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Type');
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        res.status(500).json({ error: 'Failed to export PN cases' });
+    }
+});
+
 // Create PN case
 router.post('/', authenticateToken, [
     body('patient_id').isInt(),
@@ -583,9 +619,11 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Update PN case status
+// Update PN case status through the case's workflow (utils/pn-workflow.js).
+// Body: { status } or { action }, plus the fields the transition requires.
 router.patch('/:id/status', authenticateToken, [
-    body('status').isIn(['PENDING', 'ACCEPTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
+    body('status').optional().isIn(STATUSES),
+    body('action').optional().isString()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -595,277 +633,39 @@ router.patch('/:id/status', authenticateToken, [
 
         const db = req.app.locals.db;
         const { id } = req.params;
-        const { status, pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score, soap_notes, body_annotation_id } = req.body;
-
-        console.log('🟢 PATCH /api/pn/:id/status - Request body:', {
-            status,
-            body_annotation_id,
-            pt_diagnosis: pt_diagnosis ? 'provided' : 'not provided'
-        });
-
-        // Get current case with clinic information and linked appointment (latest only)
-        const [cases] = await db.execute(
-            `SELECT pn.*,
-                    COALESCE((SELECT course_id FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1), pn.course_id) as final_course_id,
-                    sc.code as source_clinic_code,
-                    tc.code as target_clinic_code,
-                    (SELECT id FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1) as appointment_id,
-                    (SELECT status FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1) as appointment_status
-             FROM pn_cases pn
-             JOIN clinics sc ON pn.source_clinic_id = sc.id
-             JOIN clinics tc ON pn.target_clinic_id = tc.id
-             WHERE pn.id = ?`,
-            [id]
-        );
-
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
-        }
-
-        const oldCase = cases[0];
-
-        // Use final_course_id (from COALESCE) instead of pn.course_id
-        oldCase.course_id = oldCase.final_course_id;
-
-        // Check access - ADMIN and PT can change status
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
-            return res.status(403).json({ error: 'Only ADMIN or PT can change PN case status' });
-        }
-
-        // Update status with appropriate timestamp
-        let updateQuery = 'UPDATE pn_cases SET status = ?, updated_at = NOW()';
-        const updateParams = [status];
-
-        console.log('=== PN STATUS CHANGE DEBUG ===');
-        console.log('PN ID:', id);
-        console.log('Old Status:', oldCase.status);
-        console.log('New Status:', status);
-        console.log('Course ID:', oldCase.course_id);
-        console.log('Source Clinic:', oldCase.source_clinic_code);
-        console.log('Target Clinic:', oldCase.target_clinic_code);
-        console.log('Linked Appointment ID:', oldCase.appointment_id);
-        console.log('Appointment Status:', oldCase.appointment_status);
-
-        // PENDING → ACCEPTED: Save PT information for non-CL001 clinics
-        if (status === 'ACCEPTED' && oldCase.status === 'PENDING') {
-            updateQuery += ', accepted_at = NOW()';
-
-            // Save body_annotation_id if provided
-            if (body_annotation_id) {
-                console.log('✅ Saving body_annotation_id:', body_annotation_id);
-                updateQuery += ', body_annotation_id = ?';
-                updateParams.push(body_annotation_id);
-            }
-
-            // For non-CL001 clinics, require and save PT assessment information
-            if (oldCase.source_clinic_code !== 'CL001' && oldCase.target_clinic_code !== 'CL001') {
-                if (!pt_diagnosis || !pt_chief_complaint || !pt_present_history || pt_pain_score === undefined) {
-                    return res.status(400).json({
-                        error: 'PT assessment information required for non-CL001 clinics',
-                        required_fields: ['pt_diagnosis', 'pt_chief_complaint', 'pt_present_history', 'pt_pain_score']
-                    });
-                }
-
-                updateQuery += ', pt_diagnosis = ?, pt_chief_complaint = ?, pt_present_history = ?, pt_pain_score = ?';
-                updateParams.push(pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score);
-            }
-
-            // Sync appointment to COMPLETED
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'COMPLETED', updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN ACCEPTED → Appointment COMPLETED');
-
-                // Deduct course session when PN is accepted from dashboard
-                if (oldCase.course_id) {
-                    const [usageHistory] = await db.execute(
-                        `SELECT id FROM course_usage_history
-                         WHERE course_id = ? AND pn_id = ? AND action_type = 'USE'
-                         LIMIT 1`,
-                        [oldCase.course_id, id]
-                    );
-
-                    if (usageHistory.length === 0) {
-                        console.log('🎯 Dashboard PN ACCEPTED: Deducting course session for course:', oldCase.course_id);
-
-                        await db.execute(
-                            `UPDATE courses
-                             SET used_sessions = used_sessions + 1,
-                                 remaining_sessions = remaining_sessions - 1,
-                                 status = CASE
-                                     WHEN remaining_sessions - 1 = 0 THEN 'COMPLETED'
-                                     WHEN remaining_sessions - 1 < 0 THEN 'COMPLETED'
-                                     ELSE status
-                                 END,
-                                 updated_at = NOW()
-                             WHERE id = ?`,
-                            [oldCase.course_id]
-                        );
-
-                        await db.execute(
-                            `INSERT INTO course_usage_history
-                             (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                             VALUES (?, NULL, ?, 1, CURDATE(), 'USE', 'Dashboard: PN case accepted - session deducted', ?)`,
-                            [oldCase.course_id, id, req.user.id]
-                        ).catch(err => console.warn('Failed to log course usage:', err.message));
-
-                        console.log('✅ Course session deducted from dashboard');
-                    } else {
-                        console.log('ℹ️  Course session already deducted for this PN - skipping');
-                    }
-                }
-            }
-        }
-        // ACCEPTED → PENDING: Return course session
-        else if (status === 'PENDING' && oldCase.status === 'ACCEPTED') {
-            updateQuery += ', accepted_at = NULL';
-
-            // Return course session if from appointment
-            if (oldCase.course_id && oldCase.appointment_id) {
-                console.log('🔄 Returning course session (PN reversed to PENDING)');
-
-                await db.execute(
-                    `UPDATE courses
-                     SET used_sessions = GREATEST(0, used_sessions - 1),
-                         remaining_sessions = remaining_sessions + 1,
-                         status = CASE
-                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                             ELSE status
-                         END,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.course_id]
-                );
-
-                await db.execute(
-                    `INSERT INTO course_usage_history
-                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'PN case reversed to pending - session returned', ?)`,
-                    [oldCase.course_id, id, req.user.id]
-                ).catch(err => console.warn('Failed to log course return:', err.message));
-            } else if (oldCase.course_id && !oldCase.appointment_id) {
-                console.log('ℹ️  PN has course but no appointment - no session to return (Dashboard-created PN)');
-            }
-
-            // Sync appointment back to SCHEDULED
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'SCHEDULED', updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN PENDING → Appointment SCHEDULED');
-            }
-        }
-        // ACCEPTED → COMPLETED: Require SOAP notes
-        else if (status === 'COMPLETED' && oldCase.status === 'ACCEPTED') {
-            updateQuery += ', completed_at = NOW()';
-
-            // SOAP notes required for all clinics when completing
-            if (!soap_notes || !soap_notes.subjective || !soap_notes.objective ||
-                !soap_notes.assessment || !soap_notes.plan) {
-                return res.status(400).json({
-                    error: 'SOAP notes required when completing case',
-                    required_fields: ['soap_notes.subjective', 'soap_notes.objective', 'soap_notes.assessment', 'soap_notes.plan']
-                });
-            }
-
-            // Save SOAP notes to separate table
-            await db.execute(
-                `INSERT INTO pn_soap_notes (pn_id, subjective, objective, assessment, plan, timestamp, notes, created_by)
-                 VALUES (?, ?, ?, ?, ?, NOW(), ?, ?)`,
-                [id, soap_notes.subjective, soap_notes.objective, soap_notes.assessment,
-                 soap_notes.plan, soap_notes.notes || '', req.user.id]
-            );
+        const { status, action } = req.body;
 
-            // Sync appointment to COMPLETED
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'COMPLETED', updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN COMPLETED → Appointment COMPLETED');
-            }
+        if (!status && !action) {
+            return res.status(400).json({ error: 'status or action is required' });
         }
-        // CANCELLED: Return the course session
-        else if (status === 'CANCELLED') {
-            updateQuery += ', cancelled_at = NOW()';
-            if (req.body.cancellation_reason) {
-                updateQuery += ', cancellation_reason = ?';
-                updateParams.push(req.body.cancellation_reason);
-            }
-
-            // Only return session if PN was ACCEPTED, has course, AND has appointment
-            if (oldCase.status === 'ACCEPTED' && oldCase.course_id && oldCase.appointment_id) {
-                console.log('🔄 DASHBOARD CANCELLATION: Returning course session (PN from Appointment)');
-
-                await db.execute(
-                    `UPDATE courses
-                     SET used_sessions = GREATEST(0, used_sessions - 1),
-                         remaining_sessions = remaining_sessions + 1,
-                         status = CASE
-                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                             ELSE status
-                         END,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.course_id]
-                );
 
-                await db.execute(
-                    `INSERT INTO course_usage_history
-                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'PN case cancelled - session returned', ?)`,
-                    [oldCase.course_id, id, req.user.id]
-                ).catch(err => console.warn('Failed to log course return:', err.message));
-
-                console.log('✅ Course session returned successfully');
-            } else {
-                console.log('ℹ️  No course session to return');
-            }
-
-            // Sync appointment to CANCELLED
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'CANCELLED',
-                         cancellation_reason = ?,
-                         cancelled_at = NOW(),
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [req.body.cancellation_reason || 'Cancelled from Dashboard', oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN CANCELLED → Appointment CANCELLED');
-            }
+        const pnCase = await loadCase(db, id);
+        if (!pnCase) {
+            return res.status(404).json({ error: 'PN case not found' });
         }
 
-        updateQuery += ' WHERE id = ?';
-        updateParams.push(id);
-
-        await db.execute(updateQuery, updateParams);
-
-        // Log status change in history
-        await db.execute(
-            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
-             VALUES (?, ?, ?, ?, FALSE)`,
-            [id, oldCase.status, status, req.user.id]
-        );
-
-        await auditLog(db, req.user.id, 'UPDATE_STATUS', 'pn_case', id,
-                      { status: oldCase.status }, { status }, req);
+        const workflow = await getCaseWorkflow(db, pnCase);
+        const result = await runTransition(db, {
+            pnCase,
+            workflow,
+            status,
+            action,
+            input: req.body,
+            user: req.user,
+            req,
+            io: req.app.locals.io
+        });
 
         res.json({
             success: true,
-            message: `PN case status updated to ${status}`
+            message: `PN case status updated to ${result.to}`,
+            status: result.to,
+            action: result.action
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Update PN status error:', error);
         res.status(500).json({ error: 'Failed to update PN case status' });
     }
@@ -924,6 +724,9 @@ router.post('/:id/reverse-status', authenticateToken, authorize('ADMIN'), async
         await auditLog(db, req.user.id, 'REVERSE_STATUS', 'pn_case', id,
                       { status: 'COMPLETED' }, { status: 'ACCEPTED', reason }, req);
 
+        await emitPNStatusEvent(req.app.locals.io, db, id, 'COMPLETED')
+            .catch(err => console.warn('[REALTIME] Failed to emit PN status event:', err.message));
+
         res.json({
             success: true,
             message: 'Case status reversed to ACCEPTED. SOAP notes must be re-entered.'
@@ -1353,12 +1156,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
             console.warn('Failed to load attachments (table may not exist):', err.message);
         }
 
+        // Status changes this user can make now, from the case's workflow
+        let workflow = null;
+        let available_actions = [];
+        try {
+            const workflowCase = await loadCase(db, id);
+            const caseWorkflow = await getCaseWorkflow(db, workflowCase);
+            workflow = { id: caseWorkflow.id, name: caseWorkflow.name };
+            available_actions = getAvailableActions(caseWorkflow, workflowCase, req.user);
+        } catch (err) {
+            console.warn('Failed to load PN workflow:', err.message);
+        }
+
         res.json({
             ...cases[0],
             visits,
             reports,
             soap_notes,
-            attachments
+            attachments,
+            workflow,
+            available_actions
         });
     } catch (error) {
         console.error('Get PN case error:', error);
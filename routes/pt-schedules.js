@@ -0,0 +1,485 @@
+// routes/pt-schedules.js - PT Shifts, Leave & Blocked Time Routes
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const { authenticateToken, authorize, checkClinicAccess, auditLog } = require('../middleware/auth');
+const { getPTsAvailability } = require('../utils/availability');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const LEAVE_TYPES = ['ANNUAL', 'SICK', 'PERSONAL', 'OTHER'];
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// Validate a start/end time pair, returns error message or null
+const validateTimeRange = (start, end, label) => {
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        return `${label}: times must be HH:mm`;
+    }
+    if (start >= end) {
+        return `${label}: start time must be before end time`;
+    }
+    return null;
+};
+
+const isValidDate = (date) => moment(date, 'YYYY-MM-DD', true).isValid();
+
+// PTs manage their own leave and blocks, admins manage everyone's
+const resolvePTId = (req, ptId) => {
+    if (req.user.role === 'ADMIN') return ptId ? parseInt(ptId) : null;
+    return req.user.id;
+};
+
+const ensurePTUser = async (db, ptId) => {
+    const [users] = await db.execute(
+        "SELECT id FROM users WHERE id = ? AND role = 'PT'",
+        [ptId]
+    );
+    return users.length > 0;
+};
+
+// Booked appointments that fall inside a leave request
+const findLeaveConflicts = async (db, leave) => {
+    let query = `
+        SELECT a.id, a.appointment_date, a.start_time, a.end_time,
+               CONCAT(p.first_name, ' ', p.last_name) as patient_name
+        FROM appointments a
+        LEFT JOIN patients p ON a.patient_id = p.id
+        WHERE a.pt_id = ? AND a.status != 'CANCELLED'
+          AND a.appointment_date BETWEEN ? AND ?
+    `;
+    const params = [leave.pt_id, leave.start_date, leave.end_date];
+
+    if (leave.start_time && leave.end_time) {
+        query += ' AND a.start_time < ? AND a.end_time > ?';
+        params.push(leave.end_time, leave.start_time);
+    }
+
+    const [appointments] = await db.execute(query + ' ORDER BY a.appointment_date, a.start_time', params);
+    return appointments;
+};
+
+// ========================================
+// SHIFT ROUTES
+// ========================================
+
+// Get shift rosters (optionally for one PT or clinic)
+router.get('/pt-shifts', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { pt_id, clinic_id } = req.query;
+
+        let query = `
+            SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as pt_name, c.name as clinic_name
+            FROM pt_shifts s
+            JOIN users u ON s.pt_id = u.id
+            JOIN clinics c ON s.clinic_id = c.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (pt_id) {
+            query += ' AND s.pt_id = ?';
+            params.push(pt_id);
+        }
+
+        if (clinic_id) {
+            query += ' AND s.clinic_id = ?';
+            params.push(clinic_id);
+        }
+
+        query += ' ORDER BY u.first_name, s.day_of_week, s.start_time';
+
+        const [shifts] = await db.execute(query, params);
+        res.json(shifts);
+    } catch (error) {
+        console.error('Get PT shifts error:', error);
+        res.status(500).json({ error: 'Failed to retrieve PT shifts' });
+    }
+});
+
+// Replace a PT's shift roster
+router.put('/pt-shifts/:ptId', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    const db = req.app.locals.db;
+    const connection = await db.getConnection();
+
+    try {
+        const ptId = parseInt(req.params.ptId);
+        const { shifts = [] } = req.body;
+
+        if (!Array.isArray(shifts)) {
+            return res.status(400).json({ error: 'shifts must be an array' });
+        }
+
+        if (!await ensurePTUser(db, ptId)) {
+            return res.status(404).json({ error: 'PT not found' });
+        }
+
+        for (const shift of shifts) {
+            const day = parseInt(shift.day_of_week);
+            if (!shift.clinic_id || isNaN(day) || day < 0 || day > 6) {
+                return res.status(400).json({ error: 'Each shift needs clinic_id and day_of_week (0-6)' });
+            }
+            const error = validateTimeRange(shift.start_time, shift.end_time, `Day ${day}`);
+            if (error) return res.status(400).json({ error });
+            if (shift.effective_from && shift.effective_to && shift.effective_from > shift.effective_to) {
+                return res.status(400).json({ error: `Day ${day}: effective_from must be before effective_to` });
+            }
+        }
+
+        const [oldShifts] = await db.execute('SELECT * FROM pt_shifts WHERE pt_id = ?', [ptId]);
+
+        await connection.beginTransaction();
+
+        await connection.execute('DELETE FROM pt_shifts WHERE pt_id = ?', [ptId]);
+
+        for (const shift of shifts) {
+            await connection.execute(
+                `INSERT INTO pt_shifts (pt_id, clinic_id, day_of_week, start_time, end_time,
+                                        effective_from, effective_to, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [ptId, shift.clinic_id, parseInt(shift.day_of_week), shift.start_time, shift.end_time,
+                 shift.effective_from || null, shift.effective_to || null, req.user.id]
+            );
+        }
+
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'UPDATE', 'pt_shifts', ptId, oldShifts, shifts, req);
+
+        res.json({ success: true, message: 'PT shifts updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update PT shifts error:', error);
+        res.status(500).json({ error: 'Failed to update PT shifts' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ========================================
+// LEAVE ROUTES
+// ========================================
+
+// Get leave requests (PTs only see their own)
+router.get('/pt-leave', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { status, from, to } = req.query;
+        const ptId = resolvePTId(req, req.query.pt_id);
+
+        let query = `
+            SELECT l.*, CONCAT(u.first_name, ' ', u.last_name) as pt_name,
+                   CONCAT(r.first_name, ' ', r.last_name) as reviewed_by_name
+            FROM pt_leave_requests l
+            JOIN users u ON l.pt_id = u.id
+            LEFT JOIN users r ON l.reviewed_by = r.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (ptId) {
+            query += ' AND l.pt_id = ?';
+            params.push(ptId);
+        }
+
+        if (status) {
+            query += ' AND l.status = ?';
+            params.push(status);
+        }
+
+        if (from) {
+            query += ' AND l.end_date >= ?';
+            params.push(from);
+        }
+
+        if (to) {
+            query += ' AND l.start_date <= ?';
+            params.push(to);
+        }
+
+        query += ' ORDER BY l.start_date DESC';
+
+        const [leave] = await db.execute(query, params);
+        res.json(leave);
+    } catch (error) {
+        console.error('Get PT leave error:', error);
+        res.status(500).json({ error: 'Failed to retrieve leave requests' });
+    }
+});
+
+// Request leave (leave entered by an admin is approved straight away)
+router.post('/pt-leave', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { start_date, end_date, start_time, end_time, leave_type = 'ANNUAL', reason } = req.body;
+        const ptId = resolvePTId(req, req.body.pt_id);
+
+        if (!ptId || !start_date || !end_date) {
+            return res.status(400).json({ error: 'pt_id, start_date and end_date are required' });
+        }
+
+        if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+            return res.status(400).json({ error: 'Invalid leave dates' });
+        }
+
+        if (start_time || end_time) {
+            const error = validateTimeRange(start_time, end_time, 'Leave');
+            if (error) return res.status(400).json({ error });
+        }
+
+        if (!LEAVE_TYPES.includes(leave_type)) {
+            return res.status(400).json({ error: `leave_type must be one of ${LEAVE_TYPES.join(', ')}` });
+        }
+
+        if (!await ensurePTUser(db, ptId)) {
+            return res.status(404).json({ error: 'PT not found' });
+        }
+
+        const approved = req.user.role === 'ADMIN';
+
+        const [result] = await db.execute(
+            `INSERT INTO pt_leave_requests (pt_id, start_date, end_date, start_time, end_time, leave_type, reason,
+                                            status, reviewed_by, reviewed_at, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [ptId, start_date, end_date, start_time || null, end_time || null, leave_type, reason || null,
+             approved ? 'APPROVED' : 'PENDING', approved ? req.user.id : null, approved ? new Date() : null, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'pt_leave', result.insertId, null, req.body, req);
+
+        const conflicts = approved
+            ? await findLeaveConflicts(db, { pt_id: ptId, start_date, end_date, start_time, end_time })
+            : [];
+
+        res.status(201).json({
+            success: true,
+            message: approved ? 'Leave recorded' : 'Leave request submitted',
+            leave_id: result.insertId,
+            status: approved ? 'APPROVED' : 'PENDING',
+            conflicting_appointments: conflicts
+        });
+    } catch (error) {
+        console.error('Create PT leave error:', error);
+        res.status(500).json({ error: 'Failed to create leave request' });
+    }
+});
+
+// Approve or reject a leave request
+router.patch('/pt-leave/:id/review', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { status, review_notes } = req.body;
+
+        if (!['APPROVED', 'REJECTED'].includes(status)) {
+            return res.status(400).json({ error: 'status must be APPROVED or REJECTED' });
+        }
+
+        const [leave] = await db.execute('SELECT * FROM pt_leave_requests WHERE id = ?', [req.params.id]);
+        if (leave.length === 0) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        if (leave[0].status !== 'PENDING') {
+            return res.status(400).json({ error: `Leave request is already ${leave[0].status.toLowerCase()}` });
+        }
+
+        await db.execute(
+            `UPDATE pt_leave_requests
+             SET status = ?, review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+             WHERE id = ?`,
+            [status, review_notes || null, req.user.id, req.params.id]
+        );
+
+        await auditLog(db, req.user.id, status === 'APPROVED' ? 'APPROVE' : 'REJECT', 'pt_leave', req.params.id,
+            leave[0], { status, review_notes }, req);
+
+        // Appointments already booked in the leave window need to be moved by the front desk
+        const conflicts = status === 'APPROVED' ? await findLeaveConflicts(db, leave[0]) : [];
+
+        res.json({
+            success: true,
+            message: `Leave request ${status.toLowerCase()}`,
+            conflicting_appointments: conflicts
+        });
+    } catch (error) {
+        console.error('Review PT leave error:', error);
+        res.status(500).json({ error: 'Failed to review leave request' });
+    }
+});
+
+// Cancel a leave request
+router.patch('/pt-leave/:id/cancel', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [leave] = await db.execute('SELECT * FROM pt_leave_requests WHERE id = ?', [req.params.id]);
+        if (leave.length === 0) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        if (req.user.role !== 'ADMIN' && leave[0].pt_id !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (!['PENDING', 'APPROVED'].includes(leave[0].status)) {
+            return res.status(400).json({ error: `Leave request is already ${leave[0].status.toLowerCase()}` });
+        }
+
+        await db.execute(
+            "UPDATE pt_leave_requests SET status = 'CANCELLED' WHERE id = ?",
+            [req.params.id]
+        );
+
+        await auditLog(db, req.user.id, 'CANCEL', 'pt_leave', req.params.id, leave[0], { status: 'CANCELLED' }, req);
+
+        res.json({ success: true, message: 'Leave request cancelled' });
+    } catch (error) {
+        console.error('Cancel PT leave error:', error);
+        res.status(500).json({ error: 'Failed to cancel leave request' });
+    }
+});
+
+// ========================================
+// BLOCKED TIME ROUTES
+// ========================================
+
+// Get blocked time (PTs only see their own)
+router.get('/pt-blocked-times', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { from, to } = req.query;
+        const ptId = resolvePTId(req, req.query.pt_id);
+
+        let query = `
+            SELECT b.*, CONCAT(u.first_name, ' ', u.last_name) as pt_name, c.name as clinic_name
+            FROM pt_blocked_times b
+            JOIN users u ON b.pt_id = u.id
+            LEFT JOIN clinics c ON b.clinic_id = c.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (ptId) {
+            query += ' AND b.pt_id = ?';
+            params.push(ptId);
+        }
+
+        if (from) {
+            query += ' AND b.block_date >= ?';
+            params.push(from);
+        }
+
+        if (to) {
+            query += ' AND b.block_date <= ?';
+            params.push(to);
+        }
+
+        query += ' ORDER BY b.block_date, b.start_time';
+
+        const [blocks] = await db.execute(query, params);
+        res.json(blocks);
+    } catch (error) {
+        console.error('Get PT blocked times error:', error);
+        res.status(500).json({ error: 'Failed to retrieve blocked times' });
+    }
+});
+
+// Block time for a PT
+router.post('/pt-blocked-times', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, block_date, start_time, end_time, reason } = req.body;
+        const ptId = resolvePTId(req, req.body.pt_id);
+
+        if (!ptId || !block_date) {
+            return res.status(400).json({ error: 'pt_id and block_date are required' });
+        }
+
+        if (!isValidDate(block_date)) {
+            return res.status(400).json({ error: 'Invalid block_date' });
+        }
+
+        const error = validateTimeRange(start_time, end_time, 'Blocked time');
+        if (error) return res.status(400).json({ error });
+
+        if (!await ensurePTUser(db, ptId)) {
+            return res.status(404).json({ error: 'PT not found' });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO pt_blocked_times (pt_id, clinic_id, block_date, start_time, end_time, reason, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [ptId, clinic_id || null, block_date, start_time, end_time, reason || null, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'pt_blocked_time', result.insertId, null, req.body, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Time blocked successfully',
+            block_id: result.insertId
+        });
+    } catch (error) {
+        console.error('Create PT blocked time error:', error);
+        res.status(500).json({ error: 'Failed to block time' });
+    }
+});
+
+// Remove blocked time
+router.delete('/pt-blocked-times/:id', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [blocks] = await db.execute('SELECT * FROM pt_blocked_times WHERE id = ?', [req.params.id]);
+        if (blocks.length === 0) {
+            return res.status(404).json({ error: 'Blocked time not found' });
+        }
+
+        if (req.user.role !== 'ADMIN' && blocks[0].pt_id !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await db.execute('DELETE FROM pt_blocked_times WHERE id = ?', [req.params.id]);
+
+        await auditLog(db, req.user.id, 'DELETE', 'pt_blocked_time', req.params.id, blocks[0], null, req);
+
+        res.json({ success: true, message: 'Blocked time removed' });
+    } catch (error) {
+        console.error('Delete PT blocked time error:', error);
+        res.status(500).json({ error: 'Failed to remove blocked time' });
+    }
+});
+
+// ========================================
+// AVAILABILITY ROUTES
+// ========================================
+
+// Which PTs are free for a time window at a clinic
+router.get('/pt-availability', authenticateToken, checkClinicAccess, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, date, start_time, end_time } = req.query;
+
+        if (!clinic_id || !date || !start_time || !end_time) {
+            return res.status(400).json({ error: 'clinic_id, date, start_time and end_time are required' });
+        }
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Invalid date' });
+        }
+
+        const error = validateTimeRange(start_time, end_time, 'Availability');
+        if (error) return res.status(400).json({ error });
+
+        const availability = await getPTsAvailability(db, clinic_id, date, start_time, end_time);
+
+        res.json({ date, clinic_id: parseInt(clinic_id), start_time, end_time, ...availability });
+    } catch (error) {
+        console.error('Get PT availability error:', error);
+        res.status(500).json({ error: 'Failed to retrieve PT availability' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,14 @@
 // routes/public.js - Public-facing booking routes (no authentication required)
 const express = require('express');
+const moment = require('moment');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
+const { getAvailableSlots, checkClinicOpen } = require('../utils/availability');
+const { findActiveHold, getOfferByToken, acceptOffer, declineOffer } = require('../utils/waitlist');
+const { updateAppointment, cancelAppointment } = require('../utils/appointments');
+const { SELF_SERVICE_USER, createManageToken, getManageUrl, verifyManageToken, getRescheduleOptions } = require('../utils/self-service');
+const { getConsent, setConsent, verifyUnsubscribeToken } = require('../utils/marketing-consent');
+const { emitAppointmentEvent } = require('../utils/realtime');
 
 // ========================================
 // HELPER FUNCTIONS
@@ -163,68 +171,6 @@ const createGoogleCalendarEvent = async (db, appointmentData) => {
     }
 };
 
-/**
- * Delete a Google Calendar event
- * @param {Object} db - Database connection
- * @param {string} eventId - Calendar event ID to delete
- * @returns {boolean} True if deletion was successful
- */
-const deleteGoogleCalendarEvent = async (db, eventId) => {
-    try {
-        if (!eventId) return false;
-
-        const [settings] = await db.execute(`
-            SELECT setting_value FROM notification_settings WHERE setting_type = 'google_calendar' LIMIT 1
-        `);
-
-        if (settings.length === 0) return false;
-
-        const calendarConfig = JSON.parse(settings[0].setting_value);
-        if (!calendarConfig.enabled || calendarConfig.enabled === '0') return false;
-
-        if (!calendarConfig.privateKey) return false;
-
-        // Process the private key
-        const privateKey = calendarConfig.privateKey.trim();
-        let processedKey = privateKey;
-        if (privateKey.includes('\\n')) {
-            processedKey = privateKey.replace(/\\n/g, '\n');
-        }
-        processedKey = processedKey.trim();
-
-        const { google } = require('googleapis');
-        const jwtClient = new google.auth.JWT(
-            calendarConfig.serviceAccountEmail,
-            null,
-            processedKey,
-            ['https://www.googleapis.com/auth/calendar'],
-            calendarConfig.impersonateUser || null  // Subject for domain-wide delegation
-        );
-
-        await jwtClient.authorize();
-        const calendar = google.calendar({ version: 'v3', auth: jwtClient });
-
-        // Handle both integer and string for sendInvites
-        const isSendInvitesEnabled = calendarConfig.sendInvites === 1 || calendarConfig.sendInvites === '1';
-
-        await calendar.events.delete({
-            calendarId: calendarConfig.calendarId,
-            eventId: eventId,
-            sendUpdates: isSendInvitesEnabled ? 'all' : 'none',  // Send cancellation email to attendees
-        });
-
-        console.log(`✅ Google Calendar event deleted: ${eventId}`);
-        if (isSendInvitesEnabled) {
-            console.log('📧 Cancellation email sent to attendees');
-        }
-        return true;
-
-    } catch (error) {
-        console.error('Google Calendar delete error:', error.message);
-        return false;
-    }
-};
-
 // ========================================
 // PUBLIC BOOKING API ROUTES
 // (No Authentication Required)
@@ -386,168 +332,38 @@ router.get('/booking-calendar', async (req, res) => {
 /**
  * GET /api/public/time-slots
  * Get available time slots for a specific date
- * Query params: clinic_id, date (both required)
+ * Query params: clinic_id, date (both required), service_id (optional, for slot length)
  */
 router.get('/time-slots', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { clinic_id, date } = req.query;
+        const { clinic_id, date, service_id } = req.query;
 
         if (!clinic_id || !date) {
             return res.status(400).json({ error: 'clinic_id and date are required' });
         }
 
-        // Generate time slots (9:00 AM to 8:00 PM, 30-minute intervals)
-        const slots = [];
-        const now = new Date();
-        const todayDate = now.toISOString().split('T')[0]; // YYYY-MM-DD format
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const isToday = date === todayDate;
-
-        // Generate 30-minute slots from 9:00 to 20:00
-        for (let hour = 9; hour < 20; hour++) {
-            for (let minute = 0; minute < 60; minute += 30) {
-                const startHour = hour;
-                const startMinute = minute;
-                const endMinute = minute + 30;
-                const endHour = endMinute >= 60 ? hour + 1 : hour;
-                const adjustedEndMinute = endMinute >= 60 ? 0 : endMinute;
-
-                const startTime = `${startHour.toString().padStart(2, '0')}:${startMinute.toString().padStart(2, '0')}:00`;
-                const endTime = `${endHour.toString().padStart(2, '0')}:${adjustedEndMinute.toString().padStart(2, '0')}:00`;
-
-                // Skip past time slots if booking for today
-                if (isToday) {
-                    // Convert slot end time to minutes for easier comparison
-                    const slotEndMinutes = endHour * 60 + adjustedEndMinute;
-                    const currentMinutes = currentHour * 60 + currentMinute;
-
-                    // Skip if the slot has already passed
-                    if (slotEndMinutes <= currentMinutes) {
-                        console.log(`Skipping past slot: ${startTime} - ${endTime} (current time: ${currentHour}:${currentMinute})`);
-                        continue;
-                    }
-                }
-
-                slots.push({ start_time: startTime, end_time: endTime });
-            }
-        }
-
-        // Check which slots are already booked
-        const [bookedSlots] = await db.execute(`
-            SELECT a.start_time, a.end_time, a.id, a.walk_in_name,
-                   CONCAT(COALESCE(p.first_name, ''), ' ', COALESCE(p.last_name, '')) as patient_name
-            FROM appointments a
-            LEFT JOIN patients p ON a.patient_id = p.id
-            WHERE a.clinic_id = ?
-            AND a.appointment_date = ?
-            AND a.status != 'CANCELLED'
-        `, [clinic_id, date]);
-
-        console.log(`\n========== TIME SLOTS DEBUG for ${date} ==========`);
-        console.log('Clinic ID:', clinic_id);
-        console.log('Total booked appointments:', bookedSlots.length);
-
-        if (bookedSlots.length > 0) {
-            console.log('\nBooked appointments from DB:');
-            bookedSlots.forEach((booking, idx) => {
-                console.log(`  ${idx + 1}. ID:${booking.id} | ${booking.walk_in_name || booking.patient_name}`);
-                console.log(`     Start: "${booking.start_time}" (type: ${typeof booking.start_time})`);
-                console.log(`     End: "${booking.end_time}" (type: ${typeof booking.end_time})`);
-            });
-        }
-
-        console.log('\nGenerated time slots:');
-        slots.forEach((slot, idx) => {
-            console.log(`  ${idx + 1}. "${slot.start_time}" - "${slot.end_time}"`);
+        const availability = await getAvailableSlots(db, {
+            clinicId: clinic_id,
+            date,
+            serviceId: service_id || null
         });
 
-        // Mark slots as available or not
-        const availableSlots = slots.map((slot, slotIdx) => {
-            console.log(`\nChecking slot ${slotIdx + 1}: ${slot.start_time} - ${slot.end_time}`);
-
-            const isBooked = bookedSlots.some((booked, bookIdx) => {
-                // Normalize time strings (MySQL might return Buffer or different format)
-                const bookedStart = String(booked.start_time).trim();
-                const bookedEnd = String(booked.end_time).trim();
-                const slotStart = slot.start_time;
-                const slotEnd = slot.end_time;
-
-                const bookingName = booked.walk_in_name || booked.patient_name || 'Unknown';
-                console.log(`  vs booking ${bookIdx + 1}: "${bookedStart}" - "${bookedEnd}" (${bookingName})`);
-
-                // Check for TIME OVERLAP instead of exact match
-                // A slot overlaps with a booking if:
-                // - Slot starts before booking ends AND
-                // - Slot ends after booking starts
-                // Example: Appointment 13:00-15:00 overlaps with:
-                //   - Slot 13:00-14:00 (13:00 < 15:00 AND 14:00 > 13:00) ✓
-                //   - Slot 14:00-15:00 (14:00 < 15:00 AND 15:00 > 13:00) ✓
-                //   - Slot 15:00-16:00 (15:00 < 15:00) ✗ No overlap
-                const overlap = slotStart < bookedEnd && slotEnd > bookedStart;
-
-                console.log(`    Overlap? "${slotStart}" < "${bookedEnd}" = ${slotStart < bookedEnd}`);
-                console.log(`             "${slotEnd}" > "${bookedStart}" = ${slotEnd > bookedStart}`);
-                console.log(`    → ${overlap ? 'YES - BOOKED!' : 'NO - Available'}`);
-
-                return overlap;
-            });
-
-            console.log(`  Final: ${isBooked ? '✗ BOOKED' : '✓ AVAILABLE'}`);
-
-            return {
-                ...slot,
-                available: !isBooked
-            };
-        });
-
-        console.log('\n========== SUMMARY ==========');
-        availableSlots.forEach((slot, idx) => {
-            console.log(`${idx + 1}. ${slot.start_time}-${slot.end_time}: ${slot.available ? '✓ AVAILABLE' : '✗ BOOKED'}`);
-        });
-        console.log('============================\n');
-
-        res.json(availableSlots);
+        // Past slots are hidden; breaks and closures stay so consecutive-time checks stop at them
+        const slots = availability.slots
+            .filter(slot => slot.reason !== 'PAST')
+            .map(slot => ({
+                start_time: slot.start_time,
+                end_time: slot.end_time,
+                duration_minutes: slot.duration_minutes,
+                available: slot.available,
+                reason: slot.reason
+            }));
+
+        res.json(slots);
     } catch (error) {
         console.error('Get time slots error:', error);
-        console.error('Error message:', error.message);
-        console.error('Stack trace:', error.stack);
-        res.status(500).json({
-            error: 'Failed to load time slots',
-            message: error.message,
-            details: process.env.NODE_ENV !== 'production' ? error.stack : undefined
-        });
-    }
-});
-
-/**
- * GET /api/public/my-bookings
- * Get user's walk-in bookings by IP address
- */
-router.get('/my-bookings', async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const clientIP = getClientIP(req);
-
-        const [bookings] = await db.execute(`
-            SELECT
-                a.*,
-                c.name as clinic_name,
-                c.code as clinic_code
-            FROM appointments a
-            LEFT JOIN clinics c ON a.clinic_id = c.id
-            WHERE a.client_ip_address = ?
-            AND a.booking_type = 'WALK_IN'
-            AND a.status NOT IN ('COMPLETED', 'NO_SHOW')
-            ORDER BY a.appointment_date DESC, a.start_time DESC
-            LIMIT 10
-        `, [clientIP]);
-
-        res.json(bookings);
-    } catch (error) {
-        console.error('Get my bookings error:', error);
-        res.status(500).json({ error: 'Failed to load bookings' });
+        res.status(500).json({ error: 'Failed to load time slots' });
     }
 });
 
@@ -586,6 +402,12 @@ router.post('/book-appointment', async (req, res) => {
             return res.status(400).json({ error: 'Invalid email address format' });
         }
 
+        // Reject times outside opening hours, breaks, holidays and closures
+        const closedReason = await checkClinicOpen(db, clinic_id, appointment_date, start_time, end_time);
+        if (closedReason) {
+            return res.status(400).json({ error: closedReason });
+        }
+
         console.log('Validation passed, checking for overlaps...');
 
         // Check if slot overlaps with existing appointments (not just exact match)
@@ -604,6 +426,11 @@ router.post('/book-appointment', async (req, res) => {
             return res.status(400).json({ error: 'This time slot overlaps with an existing appointment' });
         }
 
+        const hold = await findActiveHold(db, { clinicId: clinic_id, date: appointment_date, startTime: start_time, endTime: end_time });
+        if (hold) {
+            return res.status(400).json({ error: 'This time slot is currently held for a waitlisted patient' });
+        }
+
         console.log('No overlaps found. Creating appointment...');
         console.log('INSERT values:', [walk_in_name, walk_in_email, clinic_id, appointment_date, start_time, end_time, reason, clientIP]);
 
@@ -691,12 +518,21 @@ router.post('/book-appointment', async (req, res) => {
         // Note: Walk-ins don't receive confirmation emails
         // Only OLD_PATIENT appointments (created by staff) will get emails from patients table
 
+        // Show the booking on staff dashboards and calendars right away
+        await emitAppointmentEvent(req.app.locals.io, db, result.insertId, 'created', 'public_booking')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        // Signed link for the patient to confirm, cancel or reschedule later
+        const manageTarget = { id: result.insertId, appointment_date, start_time };
+
         res.json({
             success: true,
             appointment_id: result.insertId,
             message: 'Appointment booked successfully',
             calendar_event_id: calendarEventId,
-            email_sent: emailSent
+            email_sent: emailSent,
+            manage_token: createManageToken(manageTarget),
+            manage_url: getManageUrl(manageTarget)
         });
     } catch (error) {
         console.error('Book appointment error:', error);
@@ -715,63 +551,492 @@ router.post('/book-appointment', async (req, res) => {
     }
 });
 
+// ========================================
+// WAITLIST
+// ========================================
+
+const WAITLIST_MAX_DAYS = 60;
+// Offers go out by SMS and email, so sign-ups are limited per IP and per contact
+const WAITLIST_MAX_JOINS_PER_CONTACT = 3;
+const waitlistLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    keyGenerator: getClientIP,
+    message: { error: 'Too many waitlist requests, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
 /**
- * POST /api/public/cancel-appointment/:id
- * Cancel a walk-in appointment by IP verification
- * Params: id (appointment ID)
+ * POST /api/public/waitlist
+ * Join the waitlist for a clinic when no suitable slot is free
+ * Body: { walk_in_name, walk_in_email, walk_in_phone, clinic_id, date_from, date_to,
+ *         preferred_start_time, preferred_end_time, reason }
+ * Limited per IP (waitlistLimiter) and to WAITLIST_MAX_JOINS_PER_CONTACT sign-ups per contact a day
  */
-router.post('/cancel-appointment/:id', async (req, res) => {
+router.post('/waitlist', waitlistLimiter, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const clientIP = getClientIP(req);
-        const appointmentId = req.params.id;
+        const moment = require('moment');
+        const {
+            walk_in_name,
+            walk_in_email,
+            walk_in_phone,
+            clinic_id,
+            date_from,
+            date_to,
+            preferred_start_time,
+            preferred_end_time,
+            reason
+        } = req.body;
 
-        // Verify this appointment belongs to this IP
-        const [appointment] = await db.execute(`
-            SELECT * FROM appointments
-            WHERE id = ?
-            AND client_ip_address = ?
-            AND booking_type = 'WALK_IN'
-        `, [appointmentId, clientIP]);
+        const name = typeof walk_in_name === 'string' ? walk_in_name.trim() : '';
+        const email = typeof walk_in_email === 'string' ? walk_in_email.trim() : '';
+        const phone = typeof walk_in_phone === 'string' ? walk_in_phone.trim() : '';
 
-        if (appointment.length === 0) {
-            return res.status(404).json({ error: 'Appointment not found or does not belong to you' });
+        if (!name || !clinic_id || !date_from || !date_to) {
+            return res.status(400).json({ error: 'Name, clinic and date range are required' });
         }
 
-        if (!['SCHEDULED', 'CONFIRMED'].includes(appointment[0].status)) {
-            return res.status(400).json({ error: 'Cannot cancel this appointment' });
+        if (!email && !phone) {
+            return res.status(400).json({ error: 'An email address or phone number is required so we can offer you a slot' });
         }
 
-        // Cancel appointment
-        await db.execute(`
-            UPDATE appointments
-            SET status = 'CANCELLED',
-                cancellation_reason = 'Cancelled by walk-in user',
-                cancelled_at = NOW()
-            WHERE id = ?
-        `, [appointmentId]);
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'Invalid email address format' });
+        }
 
-        // Delete Google Calendar event
-        try {
-            if (appointment[0].calendar_event_id) {
-                const deleted = await deleteGoogleCalendarEvent(db, appointment[0].calendar_event_id);
-                if (deleted) {
-                    // Clear calendar_event_id from database
-                    await db.execute(
-                        'UPDATE appointments SET calendar_event_id = NULL WHERE id = ?',
-                        [appointmentId]
-                    );
-                }
+        const from = moment(date_from, 'YYYY-MM-DD', true);
+        const to = moment(date_to, 'YYYY-MM-DD', true);
+        if (!from.isValid() || !to.isValid() || from.isBefore(moment(), 'day') || to.isBefore(from)) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        if (to.diff(from, 'days') > WAITLIST_MAX_DAYS) {
+            return res.status(400).json({ error: `Date range cannot be longer than ${WAITLIST_MAX_DAYS} days` });
+        }
+
+        if ((preferred_start_time && !TIME_PATTERN.test(preferred_start_time)) ||
+            (preferred_end_time && !TIME_PATTERN.test(preferred_end_time)) ||
+            (preferred_start_time && preferred_end_time && preferred_start_time >= preferred_end_time)) {
+            return res.status(400).json({ error: 'Invalid preferred time range' });
+        }
+
+        const [recent] = await db.execute(
+            `SELECT COUNT(*) AS count FROM waitlist_entries
+             WHERE created_by IS NULL AND created_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)
+               AND ((? != '' AND walk_in_email = ?) OR (? != '' AND walk_in_phone = ?))`,
+            [email, email, phone, phone]
+        );
+
+        if (recent[0].count >= WAITLIST_MAX_JOINS_PER_CONTACT) {
+            return res.status(429).json({ error: 'Too many waitlist requests for this contact, please try again tomorrow' });
+        }
+
+        // Same person already waiting at this clinic
+        const [existing] = await db.execute(
+            `SELECT id FROM waitlist_entries
+             WHERE clinic_id = ? AND status IN ('WAITING', 'OFFERED')
+               AND ((? != '' AND walk_in_email = ?) OR (? != '' AND walk_in_phone = ?))`,
+            [clinic_id, email, email, phone, phone]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({ error: 'You are already on the waitlist for this clinic', entry_id: existing[0].id });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO waitlist_entries
+             (clinic_id, walk_in_name, walk_in_email, walk_in_phone, date_from, date_to,
+              preferred_start_time, preferred_end_time, reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [clinic_id, name, email || null, phone || null, date_from, date_to,
+             preferred_start_time || null, preferred_end_time || null, reason || null]
+        );
+
+        res.status(201).json({
+            success: true,
+            entry_id: result.insertId,
+            message: 'You have been added to the waitlist. We will contact you when a slot opens.'
+        });
+    } catch (error) {
+        console.error('Join waitlist error:', error);
+        res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+});
+
+/**
+ * GET /api/public/waitlist/offers/:token
+ * Details of a slot offered to a waitlisted person
+ */
+router.get('/waitlist/offers/:token', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const offer = await getOfferByToken(db, req.params.token);
+
+        if (!offer) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+
+        res.json({
+            status: offer.status,
+            clinic_name: offer.clinic_name,
+            pt_name: offer.pt_name || null,
+            appointment_date: offer.appointment_date,
+            start_time: offer.start_time,
+            end_time: offer.end_time,
+            expires_at: offer.expires_at,
+            expired: offer.status === 'PENDING' && new Date(offer.expires_at) <= new Date()
+        });
+    } catch (error) {
+        console.error('Get waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to retrieve offer' });
+    }
+});
+
+/**
+ * POST /api/public/waitlist/offers/:token/accept
+ * Book the held slot
+ */
+router.post('/waitlist/offers/:token/accept', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const result = await acceptOffer(db, req.params.token);
+
+        await emitAppointmentEvent(req.app.locals.io, db, result.appointment_id, 'created', 'public_booking')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        res.json({
+            success: true,
+            appointment_id: result.appointment_id,
+            message: 'Your appointment is confirmed'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Accept waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to confirm offer' });
+    }
+});
+
+/**
+ * POST /api/public/waitlist/offers/:token/decline
+ * Release the held slot to the next person on the waitlist
+ */
+router.post('/waitlist/offers/:token/decline', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        await declineOffer(db, req.params.token);
+
+        res.json({ success: true, message: 'The slot has been released. You remain on the waitlist.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Decline waitlist offer error:', error);
+        res.status(500).json({ error: 'Failed to decline offer' });
+    }
+});
+
+// ========================================
+// SELF-SERVICE (signed appointment links)
+// ========================================
+
+const MAX_MY_BOOKINGS = 20;
+
+const manageSelectClause = `
+    SELECT a.id, a.clinic_id, a.pt_id, a.status, a.booking_type, a.pn_case_id,
+           DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+           TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
+           TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
+           COALESCE(a.walk_in_name, CONCAT_WS(' ', p.first_name, p.last_name)) AS patient_name,
+           c.name AS clinic_name, c.phone AS clinic_phone,
+           CONCAT_WS(' ', u.first_name, u.last_name) AS pt_name
+    FROM appointments a
+    LEFT JOIN patients p ON a.patient_id = p.id
+    LEFT JOIN users u ON a.pt_id = u.id
+    JOIN clinics c ON a.clinic_id = c.id
+`;
+
+/**
+ * Load the appointment a manage token points at
+ * @throws {Error} with status 404/410 for bad or expired links
+ */
+const getManagedAppointment = async (db, token) => {
+    const { appointmentId } = verifyManageToken(token);
+    const [appointments] = await db.execute(`${manageSelectClause} WHERE a.id = ?`, [appointmentId]);
+    if (appointments.length === 0) {
+        throw Object.assign(new Error('Appointment not found'), { status: 404 });
+    }
+    return appointments[0];
+};
+
+// Only upcoming scheduled/confirmed appointments can be changed from a link
+const assertChangeable = (appointment) => {
+    if (!['SCHEDULED', 'CONFIRMED'].includes(appointment.status)) {
+        throw Object.assign(new Error(`This appointment is ${appointment.status.toLowerCase().replace('_', ' ')} and can no longer be changed`), { status: 400 });
+    }
+};
+
+const toManageResponse = (appointment) => ({
+    id: appointment.id,
+    status: appointment.status,
+    appointment_date: appointment.appointment_date,
+    start_time: appointment.start_time,
+    end_time: appointment.end_time,
+    patient_name: appointment.patient_name,
+    clinic_name: appointment.clinic_name,
+    clinic_phone: appointment.clinic_phone,
+    pt_name: appointment.pt_name || null,
+    can_change: ['SCHEDULED', 'CONFIRMED'].includes(appointment.status)
+});
+
+const sendManageError = (res, error, context) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({ error: `Failed to ${context.toLowerCase()}` });
+};
+
+/**
+ * POST /api/public/my-bookings
+ * Bookings made on this device, identified by the manage tokens it kept
+ * Body: { tokens: [...] }
+ */
+router.post('/my-bookings', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const tokens = Array.isArray(req.body.tokens) ? req.body.tokens.slice(0, MAX_MY_BOOKINGS) : [];
+
+        const bookings = [];
+        for (const token of tokens) {
+            try {
+                const appointment = await getManagedAppointment(db, token);
+                bookings.push({ ...toManageResponse(appointment), token });
+            } catch (error) {
+                if (!error.status) throw error;
+                // Expired or unknown links are simply left out
             }
-        } catch (calendarError) {
-            console.error('Failed to delete Google Calendar event:', calendarError);
-            // Don't fail the request if calendar deletion fails
         }
 
-        res.json({ success: true, message: 'Appointment cancelled successfully' });
+        bookings.sort((a, b) => `${b.appointment_date} ${b.start_time}`.localeCompare(`${a.appointment_date} ${a.start_time}`));
+        res.json(bookings);
+    } catch (error) {
+        console.error('Get my bookings error:', error);
+        res.status(500).json({ error: 'Failed to load bookings' });
+    }
+});
+
+/**
+ * GET /api/public/manage/:token
+ * Appointment details behind a self-service link
+ */
+router.get('/manage/:token', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const appointment = await getManagedAppointment(db, req.params.token);
+        res.json(toManageResponse(appointment));
+    } catch (error) {
+        sendManageError(res, error, 'Load appointment');
+    }
+});
+
+/**
+ * GET /api/public/manage/:token/time-slots
+ * Start times the appointment can move to on a date
+ * Query params: date (required)
+ */
+router.get('/manage/:token/time-slots', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { date } = req.query;
+
+        if (!date || !moment(date, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
+        }
+
+        const appointment = await getManagedAppointment(db, req.params.token);
+        assertChangeable(appointment);
+
+        if (moment(date).isBefore(moment(), 'day')) {
+            return res.json([]);
+        }
+
+        res.json(await getRescheduleOptions(db, appointment, date));
+    } catch (error) {
+        sendManageError(res, error, 'Load time slots');
+    }
+});
+
+/**
+ * POST /api/public/manage/:token/confirm
+ * Patient confirms they will attend
+ */
+router.post('/manage/:token/confirm', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const appointment = await getManagedAppointment(db, req.params.token);
+        assertChangeable(appointment);
+
+        if (appointment.status !== 'CONFIRMED') {
+            await updateAppointment(db, appointment.id, { status: 'CONFIRMED' }, SELF_SERVICE_USER);
+
+            await emitAppointmentEvent(req.app.locals.io, db, appointment.id, 'updated', 'self_service')
+                .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+        }
+
+        res.json({ success: true, message: 'Thank you, your appointment is confirmed' });
+    } catch (error) {
+        sendManageError(res, error, 'Confirm appointment');
+    }
+});
+
+/**
+ * POST /api/public/manage/:token/cancel
+ * Patient cancels with a reason
+ * Body: { reason }
+ */
+router.post('/manage/:token/cancel', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 500) : '';
+
+        if (!reason) {
+            return res.status(400).json({ error: 'Please tell us why you are cancelling' });
+        }
+
+        const appointment = await getManagedAppointment(db, req.params.token);
+        assertChangeable(appointment);
+
+        await cancelAppointment(db, appointment.id, `Cancelled by patient: ${reason}`, SELF_SERVICE_USER);
+
+        await emitAppointmentEvent(req.app.locals.io, db, appointment.id, 'cancelled', 'self_service')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        res.json({ success: true, message: 'Your appointment has been cancelled' });
+    } catch (error) {
+        sendManageError(res, error, 'Cancel appointment');
+    }
+});
+
+/**
+ * POST /api/public/manage/:token/reschedule
+ * Move the appointment to another free start time (same length, same PT)
+ * Body: { appointment_date, start_time }
+ */
+router.post('/manage/:token/reschedule', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { appointment_date, start_time } = req.body;
+
+        if (!appointment_date || !moment(appointment_date, 'YYYY-MM-DD', true).isValid() ||
+            !start_time || !TIME_PATTERN.test(start_time)) {
+            return res.status(400).json({ error: 'appointment_date and start_time are required' });
+        }
+
+        const appointment = await getManagedAppointment(db, req.params.token);
+        assertChangeable(appointment);
+
+        const startTime = start_time.length === 5 ? `${start_time}:00` : start_time;
+        const options = moment(appointment_date).isBefore(moment(), 'day')
+            ? []
+            : await getRescheduleOptions(db, appointment, appointment_date);
+        const option = options.find(o => o.start_time === startTime);
+
+        if (!option) {
+            return res.status(409).json({ error: 'This time is no longer available, please pick another' });
+        }
+
+        await updateAppointment(db, appointment.id, {
+            appointment_date,
+            start_time: option.start_time,
+            end_time: option.end_time
+        }, SELF_SERVICE_USER);
+
+        await emitAppointmentEvent(req.app.locals.io, db, appointment.id, 'updated', 'self_service')
+            .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+        const [updated] = await db.execute(`${manageSelectClause} WHERE a.id = ?`, [appointment.id]);
+
+        res.json({
+            success: true,
+            message: 'Your appointment has been moved',
+            appointment: toManageResponse(updated[0]),
+            // The old link expires at the old start time
+            manage_url: getManageUrl(updated[0]),
+            token: createManageToken(updated[0])
+        });
+    } catch (error) {
+        sendManageError(res, error, 'Reschedule appointment');
+    }
+});
+
+// ========================================
+// UNSUBSCRIBE (marketing consent links)
+// ========================================
+
+const CHANNEL_LABELS = { email: 'email', sms: 'SMS' };
+
+/**
+ * GET /api/public/unsubscribe/:token
+ * Whether the patient behind an unsubscribe link still receives broadcasts
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { patientId, channel } = verifyUnsubscribeToken(req.params.token);
+        const consent = await getConsent(db, patientId);
+
+        res.json({
+            channel,
+            channel_label: CHANNEL_LABELS[channel],
+            subscribed: !!(consent[channel] && consent[channel].consented)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Load unsubscribe link error:', error);
+        res.status(500).json({ error: 'Unable to process your request' });
+    }
+});
+
+/**
+ * POST /api/public/unsubscribe/:token
+ * Withdraw consent for the link's channel; also the one-click target of the
+ * List-Unsubscribe email header
+ */
+router.post('/unsubscribe/:token', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { patientId, channel } = verifyUnsubscribeToken(req.params.token);
+
+        const [patients] = await db.execute('SELECT id FROM patients WHERE id = ?', [patientId]);
+        if (patients.length === 0) {
+            return res.status(404).json({ error: 'This link is not valid' });
+        }
+
+        await setConsent(db, {
+            patientId,
+            channel,
+            consented: false,
+            source: 'unsubscribe_link',
+            ipAddress: getClientIP(req)
+        });
+
+        res.json({
+            success: true,
+            message: `You will no longer receive news and promotions by ${CHANNEL_LABELS[channel]}`
+        });
     } catch (error) {
-        console.error('Cancel appointment error:', error);
-        res.status(500).json({ error: 'Failed to cancel appointment' });
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({ error: 'Unable to process your request' });
     }
 });
 
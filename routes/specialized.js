@@ -1,7 +1,17 @@
 // routes/specialized.js - Specialized Routes (Courses, Diagnostic, etc.)
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorize } = require('../middleware/auth');
+const moment = require('moment');
+const { authenticateToken, authorize, auditLog, getAccessibleClinicIds } = require('../middleware/auth');
+const {
+    TIER_EVALUATION_MONTHS,
+    getTierRules,
+    adjustPoints,
+    redeemGiftCard,
+    syncAllPatients,
+    syncBillPoints
+} = require('../utils/loyalty');
+const { generateBillCode, generateCourseCode } = require('../utils/helpers');
 
 // ========================================
 // COURSES & COURSE TEMPLATES
@@ -76,12 +86,97 @@ router.get('/courses', authenticateToken, async (req, res) => {
     }
 });
 
+// Attach eligible service IDs to each template
+const attachEligibleServices = async (db, templates) => {
+    if (templates.length === 0) {
+        return templates;
+    }
+
+    const [rows] = await db.execute(
+        `SELECT template_id, service_id FROM course_template_services
+         WHERE template_id IN (${templates.map(() => '?').join(',')})`,
+        templates.map(t => t.id)
+    );
+
+    for (const template of templates) {
+        template.eligible_service_ids = rows
+            .filter(r => r.template_id === template.id)
+            .map(r => r.service_id);
+    }
+    return templates;
+};
+
+// Replace the eligible services of a template (inside a transaction)
+const saveEligibleServices = async (connection, templateId, serviceIds) => {
+    await connection.execute('DELETE FROM course_template_services WHERE template_id = ?', [templateId]);
+    for (const serviceId of [...new Set(serviceIds.map(id => parseInt(id)).filter(id => id))]) {
+        await connection.execute(
+            'INSERT INTO course_template_services (template_id, service_id) VALUES (?, ?)',
+            [templateId, serviceId]
+        );
+    }
+};
+
+// Validate course template payload, returns error message or null
+const validateTemplatePayload = ({ template_name, total_sessions, default_price, validity_days, eligible_service_ids }) => {
+    if (!template_name || !String(template_name).trim()) {
+        return 'Template name is required';
+    }
+    if (!Number.isInteger(parseInt(total_sessions)) || parseInt(total_sessions) < 1) {
+        return 'Total sessions must be at least 1';
+    }
+    if (isNaN(parseFloat(default_price)) || parseFloat(default_price) < 0) {
+        return 'Price cannot be negative';
+    }
+    if (validity_days !== undefined && validity_days !== null && validity_days !== '' &&
+        (!Number.isInteger(parseInt(validity_days)) || parseInt(validity_days) < 1)) {
+        return 'Validity days must be at least 1';
+    }
+    if (eligible_service_ids !== undefined && !Array.isArray(eligible_service_ids)) {
+        return 'eligible_service_ids must be an array';
+    }
+    return null;
+};
+
 router.get('/course-templates', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
+        const { active, clinic_id } = req.query;
         console.log('[COURSE-TEMPLATES] Fetching templates from database');
 
-        const [templates] = await db.execute('SELECT * FROM course_templates ORDER BY template_name');
+        let query = `
+            SELECT ct.*, cl.name as clinic_name
+            FROM course_templates ct
+            LEFT JOIN clinics cl ON ct.clinic_id = cl.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (active === 'true') {
+            query += ' AND ct.active = 1';
+        }
+
+        // Templates without a clinic are sold everywhere
+        if (clinic_id) {
+            query += ' AND (ct.clinic_id IS NULL OR ct.clinic_id = ?)';
+            params.push(clinic_id);
+        }
+
+        // CLINIC users only see templates sold at their clinics; ADMIN and PT see all
+        if (req.user.role === 'CLINIC') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (accessibleClinics.length > 0) {
+                query += ` AND (ct.clinic_id IS NULL OR ct.clinic_id IN (${accessibleClinics.map(() => '?').join(',')}))`;
+                params.push(...accessibleClinics);
+            } else {
+                query += ' AND ct.clinic_id IS NULL';
+            }
+        }
+
+        query += ' ORDER BY ct.template_name';
+
+        const [templates] = await db.execute(query, params);
+        await attachEligibleServices(db, templates);
 
         console.log('[COURSE-TEMPLATES] Found', templates.length, 'templates');
         res.json(templates);
@@ -92,6 +187,604 @@ router.get('/course-templates', authenticateToken, async (req, res) => {
     }
 });
 
+// Get single course template
+router.get('/course-templates/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [templates] = await db.execute(`
+            SELECT ct.*, cl.name as clinic_name
+            FROM course_templates ct
+            LEFT JOIN clinics cl ON ct.clinic_id = cl.id
+            WHERE ct.id = ?
+        `, [req.params.id]);
+
+        if (templates.length === 0) {
+            return res.status(404).json({ error: 'Course template not found' });
+        }
+
+        // Same scope as the list: CLINIC users only see templates sold at their clinics
+        if (req.user.role === 'CLINIC' && templates[0].clinic_id) {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (!accessibleClinics.includes(templates[0].clinic_id)) {
+                return res.status(403).json({ error: 'No access to this clinic' });
+            }
+        }
+
+        await attachEligibleServices(db, templates);
+        res.json(templates[0]);
+    } catch (error) {
+        console.error('[COURSE-TEMPLATES] Get template error:', error);
+        res.status(500).json({ error: 'Failed to retrieve course template' });
+    }
+});
+
+// Create course template
+router.post('/course-templates', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const validationError = validateTemplatePayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const {
+            template_name, description, total_sessions, default_price,
+            validity_days, active, clinic_id, eligible_service_ids
+        } = req.body;
+
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(`
+            INSERT INTO course_templates (
+                clinic_id, template_name, description, total_sessions,
+                default_price, validity_days, active, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            clinic_id || null,
+            String(template_name).trim(),
+            description || null,
+            parseInt(total_sessions),
+            parseFloat(default_price),
+            validity_days ? parseInt(validity_days) : null,
+            active === false ? 0 : 1,
+            req.user.id
+        ]);
+
+        if (eligible_service_ids) {
+            await saveEligibleServices(connection, result.insertId, eligible_service_ids);
+        }
+
+        await connection.commit();
+
+        await auditLog(req.app.locals.db, req.user.id, 'CREATE', 'course_template', result.insertId, null, req.body, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Course template created successfully',
+            id: result.insertId
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('[COURSE-TEMPLATES] Create template error:', error);
+        res.status(500).json({ error: 'Failed to create course template', details: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// Update course template (existing courses keep the terms they were sold with)
+router.put('/course-templates/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const { id } = req.params;
+        const validationError = validateTemplatePayload(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const {
+            template_name, description, total_sessions, default_price,
+            validity_days, active, clinic_id, eligible_service_ids
+        } = req.body;
+
+        await connection.beginTransaction();
+
+        const [existing] = await connection.execute('SELECT * FROM course_templates WHERE id = ?', [id]);
+        if (existing.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Course template not found' });
+        }
+
+        await connection.execute(`
+            UPDATE course_templates SET
+                clinic_id = ?,
+                template_name = ?,
+                description = ?,
+                total_sessions = ?,
+                default_price = ?,
+                validity_days = ?,
+                active = ?
+            WHERE id = ?
+        `, [
+            clinic_id !== undefined ? (clinic_id || null) : existing[0].clinic_id,
+            String(template_name).trim(),
+            description || null,
+            parseInt(total_sessions),
+            parseFloat(default_price),
+            validity_days ? parseInt(validity_days) : null,
+            active === false ? 0 : 1,
+            id
+        ]);
+
+        if (eligible_service_ids !== undefined) {
+            await saveEligibleServices(connection, id, eligible_service_ids);
+        }
+
+        await connection.commit();
+
+        await auditLog(req.app.locals.db, req.user.id, 'UPDATE', 'course_template', id, existing[0], req.body, req);
+
+        res.json({ success: true, message: 'Course template updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('[COURSE-TEMPLATES] Update template error:', error);
+        res.status(500).json({ error: 'Failed to update course template', details: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete course template (deactivated instead if courses were sold from it)
+router.delete('/course-templates/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [existing] = await db.execute('SELECT * FROM course_templates WHERE id = ?', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Course template not found' });
+        }
+
+        const [sold] = await db.execute('SELECT COUNT(*) as count FROM courses WHERE template_id = ?', [id]);
+
+        if (sold[0].count > 0) {
+            await db.execute('UPDATE course_templates SET active = 0 WHERE id = ?', [id]);
+            await auditLog(db, req.user.id, 'DEACTIVATE', 'course_template', id, existing[0], { active: 0 }, req);
+            return res.json({
+                success: true,
+                message: `Template has ${sold[0].count} course(s) sold and was deactivated instead of deleted`
+            });
+        }
+
+        await db.execute('DELETE FROM course_templates WHERE id = ?', [id]);
+        await auditLog(db, req.user.id, 'DELETE', 'course_template', id, existing[0], null, req);
+
+        res.json({ success: true, message: 'Course template deleted successfully' });
+    } catch (error) {
+        console.error('[COURSE-TEMPLATES] Delete template error:', error);
+        res.status(500).json({ error: 'Failed to delete course template' });
+    }
+});
+
+// Sell a course to a patient from a template, optionally billing it in the same transaction
+router.post('/courses', authenticateToken, async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const {
+            template_id, patient_id, clinic_id, purchase_date, course_price, notes,
+            create_bill, payment_status, payment_method
+        } = req.body;
+
+        if (!template_id || !patient_id || !clinic_id) {
+            return res.status(400).json({ error: 'template_id, patient_id and clinic_id are required' });
+        }
+
+        if (purchase_date && !moment(purchase_date, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'Invalid purchase_date format. Use YYYY-MM-DD' });
+        }
+
+        if (course_price !== undefined && (isNaN(parseFloat(course_price)) || parseFloat(course_price) < 0)) {
+            return res.status(400).json({ error: 'Course price cannot be negative' });
+        }
+
+        const billStatus = payment_status || 'UNPAID';
+        if (create_bill && !['UNPAID', 'PAID'].includes(billStatus)) {
+            return res.status(400).json({ error: 'payment_status must be UNPAID or PAID' });
+        }
+
+        if (req.user.role === 'CLINIC') {
+            const accessibleClinics = await getAccessibleClinicIds(req.app.locals.db, req.user);
+            if (!accessibleClinics.includes(parseInt(clinic_id))) {
+                return res.status(403).json({ error: 'No access to this clinic' });
+            }
+        }
+
+        await connection.beginTransaction();
+
+        const [templates] = await connection.execute(
+            'SELECT * FROM course_templates WHERE id = ? AND active = 1',
+            [template_id]
+        );
+        if (templates.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Course template not found or inactive' });
+        }
+        const template = templates[0];
+
+        if (template.clinic_id && template.clinic_id !== parseInt(clinic_id)) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'This course template is not sold at the selected clinic' });
+        }
+
+        const [patients] = await connection.execute('SELECT id FROM patients WHERE id = ?', [patient_id]);
+        if (patients.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const course_code = await generateCourseCode(connection);
+        const price = course_price !== undefined ? parseFloat(course_price) : parseFloat(template.default_price);
+        const purchaseDate = purchase_date || moment().format('YYYY-MM-DD');
+        const expiry_date = template.validity_days
+            ? moment(purchaseDate).add(template.validity_days, 'days').format('YYYY-MM-DD')
+            : null;
+
+        const [result] = await connection.execute(`
+            INSERT INTO courses (
+                course_code, template_id, patient_id, clinic_id, course_name, course_description,
+                total_sessions, used_sessions, remaining_sessions, course_price,
+                purchase_date, expiry_date, status, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, 'ACTIVE', ?, ?)
+        `, [
+            course_code,
+            template.id,
+            patient_id,
+            clinic_id,
+            template.template_name,
+            template.description || null,
+            template.total_sessions,
+            template.total_sessions,
+            price,
+            purchaseDate,
+            expiry_date,
+            notes || null,
+            req.user.id
+        ]);
+        const courseId = result.insertId;
+
+        let billId = null;
+        let bill_code = null;
+
+        if (create_bill) {
+            bill_code = await generateBillCode(connection);
+
+            const [billResult] = await connection.execute(`
+                INSERT INTO bills (
+                    bill_code, patient_id, clinic_id, bill_date,
+                    subtotal, discount, tax, total_amount,
+                    payment_status, payment_method, payment_date, bill_notes,
+                    course_id, is_course_cutting, created_by
+                ) VALUES (?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, 0, ?)
+            `, [
+                bill_code,
+                patient_id,
+                clinic_id,
+                purchaseDate,
+                price,
+                price,
+                billStatus,
+                payment_method || null,
+                billStatus === 'PAID' ? purchaseDate : null,
+                `Course purchase ${course_code}`,
+                courseId,
+                req.user.id
+            ]);
+            billId = billResult.insertId;
+
+            await connection.execute(`
+                INSERT INTO bill_items (
+                    bill_id, service_id, service_name, quantity, unit_price, total_price, notes
+                ) VALUES (?, NULL, ?, 1, ?, ?, ?)
+            `, [billId, template.template_name, price, price, `${template.total_sessions} sessions`]);
+        }
+
+        await connection.commit();
+        console.log('[COURSES] Course sold:', course_code, billId ? `with bill ${bill_code}` : 'without bill');
+
+        const db = req.app.locals.db;
+        if (billId && billStatus === 'PAID') {
+            await syncBillPoints(db, billId, billStatus, req.user.id)
+                .catch(err => console.warn('[LOYALTY] Failed to sync bill points:', err.message));
+        }
+
+        await auditLog(db, req.user.id, 'CREATE', 'course', courseId, null,
+                      { course_code, template_id: template.id, patient_id, clinic_id, price, bill_id: billId }, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Course purchased successfully',
+            id: courseId,
+            course_code,
+            expiry_date,
+            bill_id: billId,
+            bill_code
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('[COURSES] Purchase course error:', error);
+        res.status(500).json({ error: 'Failed to purchase course', details: error.message });
+    } finally {
+        connection.release();
+    }
+});
+
+// ========================================
+// COURSE SHARING HELPERS
+// ========================================
+
+const DEFAULT_MAX_SHARERS_PER_COURSE = 3;
+
+// Usage history with the patient who used each session (owner or family member)
+const USAGE_HISTORY_QUERY = `
+    SELECT
+        cuh.*,
+        CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name,
+        up.id as used_by_patient_id,
+        CONCAT(COALESCE(up.first_name, ''), ' ', COALESCE(up.last_name, '')) as used_by_name,
+        up.hn as used_by_hn,
+        CASE WHEN up.id = c.patient_id THEN 'owner' ELSE 'shared' END as used_by_access_type
+    FROM course_usage_history cuh
+    JOIN courses c ON cuh.course_id = c.id
+    LEFT JOIN users u ON cuh.created_by = u.id
+    LEFT JOIN pn_cases pn ON cuh.pn_id = pn.id
+    LEFT JOIN patients up ON up.id = COALESCE(cuh.patient_id, pn.patient_id)
+    WHERE cuh.course_id = ?
+    ORDER BY cuh.usage_date DESC, cuh.created_at DESC
+`;
+
+// Max active family members per course from system_settings
+const getMaxSharersPerCourse = async (db) => {
+    const [rows] = await db.execute(
+        `SELECT setting_value FROM system_settings WHERE setting_key = 'course_max_sharers'`
+    );
+    const value = rows.length > 0 ? parseInt(rows[0].setting_value) : NaN;
+    return isNaN(value) ? DEFAULT_MAX_SHARERS_PER_COURSE : value;
+};
+
+// Returns { status, error } when the user cannot manage sharing on this course
+const checkSharingAllowed = async (req, course) => {
+    if (!course) {
+        return { status: 404, error: 'Course not found' };
+    }
+    if (req.user.role === 'CLINIC') {
+        const accessibleClinics = await getAccessibleClinicIds(req.app.locals.db, req.user);
+        if (!accessibleClinics.includes(course.clinic_id)) {
+            return { status: 403, error: 'No access to this clinic' };
+        }
+    }
+    if (course.status !== 'ACTIVE') {
+        return { status: 400, error: `Cannot change sharing on a ${course.status} course` };
+    }
+    if (course.expiry_date && moment(course.expiry_date).isBefore(moment(), 'day')) {
+        return { status: 400, error: 'Cannot change sharing on an expired course' };
+    }
+    return null;
+};
+
+// Returns an error body when the course already has the maximum active sharers
+const checkSharerLimit = async (connection, courseId) => {
+    const maxSharers = await getMaxSharersPerCourse(connection);
+    const [active] = await connection.execute(
+        'SELECT COUNT(*) as count FROM course_shared_users WHERE course_id = ? AND is_active = 1',
+        [courseId]
+    );
+    if (active[0].count >= maxSharers) {
+        return {
+            error: `A course can be shared with at most ${maxSharers} family member(s)`,
+            max_sharers: maxSharers
+        };
+    }
+    return null;
+};
+
+// Record a sharing change in course_usage_history (no sessions used)
+const logSharingChange = async (connection, courseId, patientId, actionType, notes, userId) => {
+    await connection.execute(
+        `INSERT INTO course_usage_history
+         (course_id, bill_id, pn_id, patient_id, sessions_used, usage_date, action_type, notes, created_by)
+         VALUES (?, NULL, NULL, ?, 0, CURDATE(), ?, ?, ?)`,
+        [courseId, patientId, actionType, notes, userId]
+    );
+};
+
+// Deactivate or reactivate a course_shared_users row
+const setSharedUserActive = async (req, res, active) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const { id } = req.params;
+
+        await connection.beginTransaction();
+
+        const [sharedUsers] = await connection.execute('SELECT * FROM course_shared_users WHERE id = ?', [id]);
+        if (sharedUsers.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Shared user not found' });
+        }
+        const sharedUser = sharedUsers[0];
+
+        const [courses] = await connection.execute('SELECT * FROM courses WHERE id = ? FOR UPDATE', [sharedUser.course_id]);
+        const accessError = await checkSharingAllowed(req, courses[0]);
+        // Removing a family member from an expired or completed course is still allowed
+        if (accessError && (active || accessError.status !== 400)) {
+            await connection.rollback();
+            return res.status(accessError.status).json({ error: accessError.error });
+        }
+
+        if (!!sharedUser.is_active === active) {
+            await connection.rollback();
+            return res.status(400).json({ error: active ? 'Shared user is already active' : 'Shared user is already inactive' });
+        }
+
+        if (active) {
+            const limitError = await checkSharerLimit(connection, sharedUser.course_id);
+            if (limitError) {
+                await connection.rollback();
+                return res.status(400).json(limitError);
+            }
+        }
+
+        await connection.execute(
+            `UPDATE course_shared_users
+             SET is_active = ?,
+                 deactivated_at = ${active ? 'NULL' : 'NOW()'},
+                 deactivated_by = ?
+             WHERE id = ?`,
+            [active ? 1 : 0, active ? null : req.user.id, id]
+        );
+
+        await logSharingChange(
+            connection,
+            sharedUser.course_id,
+            sharedUser.patient_id,
+            active ? 'SHARE_REACTIVATE' : 'SHARE_REMOVE',
+            active ? 'Family member reactivated' : 'Family member removed from course',
+            req.user.id
+        );
+
+        await connection.commit();
+
+        await auditLog(req.app.locals.db, req.user.id, active ? 'SHARE_REACTIVATE' : 'SHARE_REMOVE', 'course',
+                      sharedUser.course_id, { is_active: sharedUser.is_active }, { is_active: active ? 1 : 0, shared_user_id: id }, req);
+
+        res.json({
+            success: true,
+            message: active ? 'Family member reactivated successfully' : 'Family member removed successfully'
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Update course shared user error:', error);
+        res.status(500).json({ error: active ? 'Failed to reactivate shared user' : 'Failed to remove shared user' });
+    } finally {
+        connection.release();
+    }
+};
+
+// Get course sharing settings
+router.get('/courses/sharing-settings', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        res.json({ max_sharers_per_course: await getMaxSharersPerCourse(db) });
+    } catch (error) {
+        console.error('Get course sharing settings error:', error);
+        res.json({ max_sharers_per_course: DEFAULT_MAX_SHARERS_PER_COURSE });
+    }
+});
+
+// Update course sharing settings
+router.put('/courses/sharing-settings', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const maxSharers = parseInt(req.body.max_sharers_per_course);
+
+        if (isNaN(maxSharers) || maxSharers < 0 || maxSharers > 20) {
+            return res.status(400).json({ error: 'max_sharers_per_course must be between 0 and 20' });
+        }
+
+        const oldValue = await getMaxSharersPerCourse(db);
+
+        await db.execute(
+            `INSERT INTO system_settings (setting_key, setting_value, updated_by)
+             VALUES ('course_max_sharers', ?, ?)
+             ON DUPLICATE KEY UPDATE setting_value = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP`,
+            [String(maxSharers), req.user.id, String(maxSharers), req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'course_sharing_settings', 0,
+                      { max_sharers_per_course: oldValue }, { max_sharers_per_course: maxSharers }, req);
+
+        res.json({ success: true, message: 'Course sharing settings updated successfully' });
+    } catch (error) {
+        console.error('Update course sharing settings error:', error);
+        res.status(500).json({ error: 'Failed to update course sharing settings' });
+    }
+});
+
+// Course reconciliation: courses whose used_sessions differs from the net of
+// their USE/RETURN usage history, or whose remaining_sessions differs from
+// total - used (?clinic_id=, ?status=)
+router.get('/courses/reconciliation', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, status } = req.query;
+
+        let where = 'WHERE 1=1';
+        const params = [];
+        if (clinic_id) {
+            where += ' AND c.clinic_id = ?';
+            params.push(clinic_id);
+        }
+        if (status) {
+            where += ' AND c.status = ?';
+            params.push(status);
+        }
+
+        const [checked] = await db.execute(`SELECT COUNT(*) as count FROM courses c ${where}`, params);
+
+        const [courses] = await db.execute(`
+            SELECT
+                c.id, c.course_code, c.course_name, c.status, c.clinic_id,
+                cl.name as clinic_name,
+                p.hn as patient_hn,
+                CONCAT(COALESCE(p.first_name, ''), ' ', COALESCE(p.last_name, '')) as patient_name,
+                c.total_sessions, c.used_sessions, c.remaining_sessions,
+                COALESCE(l.ledger_used, 0) as ledger_used,
+                COALESCE(l.entries, 0) as ledger_entries,
+                l.last_entry_at
+            FROM courses c
+            LEFT JOIN (
+                SELECT course_id,
+                       SUM(CASE action_type WHEN 'USE' THEN sessions_used WHEN 'RETURN' THEN -sessions_used ELSE 0 END) as ledger_used,
+                       COUNT(*) as entries,
+                       MAX(created_at) as last_entry_at
+                FROM course_usage_history
+                GROUP BY course_id
+            ) l ON l.course_id = c.id
+            LEFT JOIN clinics cl ON c.clinic_id = cl.id
+            LEFT JOIN patients p ON c.patient_id = p.id
+            ${where}
+              AND (c.used_sessions != COALESCE(l.ledger_used, 0)
+                   OR c.remaining_sessions != c.total_sessions - c.used_sessions)
+            ORDER BY c.id
+        `, params);
+
+        const mismatches = courses.map(course => {
+            const ledgerUsed = Number(course.ledger_used);
+            const issues = [];
+            if (course.used_sessions !== ledgerUsed) issues.push('USED_SESSIONS_MISMATCH');
+            if (course.remaining_sessions !== course.total_sessions - course.used_sessions) issues.push('REMAINING_SESSIONS_MISMATCH');
+            return {
+                ...course,
+                ledger_used: ledgerUsed,
+                ledger_entries: Number(course.ledger_entries),
+                used_difference: course.used_sessions - ledgerUsed,
+                issues
+            };
+        });
+
+        res.json({
+            summary: {
+                courses_checked: checked[0].count,
+                mismatched: mismatches.length,
+                used_difference: mismatches.reduce((sum, course) => sum + course.used_difference, 0)
+            },
+            courses: mismatches
+        });
+    } catch (error) {
+        console.error('Course reconciliation error:', error);
+        res.status(500).json({ error: 'Failed to build course reconciliation report' });
+    }
+});
+
 // Get single course with details
 router.get('/courses/:id', authenticateToken, async (req, res) => {
     try {
@@ -130,15 +823,7 @@ router.get('/courses/:id', authenticateToken, async (req, res) => {
         `, [id]);
 
         // Get usage history
-        const [usageHistory] = await db.execute(`
-            SELECT
-                cuh.*,
-                CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name
-            FROM course_usage_history cuh
-            LEFT JOIN users u ON cuh.created_by = u.id
-            WHERE cuh.course_id = ?
-            ORDER BY cuh.usage_date DESC, cuh.created_at DESC
-        `, [id]);
+        const [usageHistory] = await db.execute(USAGE_HISTORY_QUERY, [id]);
 
         res.json({
             ...courses[0],
@@ -152,23 +837,25 @@ router.get('/courses/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Get course shared users
+// Get course shared users (?include_inactive=true also returns removed family members)
 router.get('/courses/:id/shared-users', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
         const { id } = req.params;
+        const includeInactive = req.query.include_inactive === 'true';
 
         const [sharedUsers] = await db.execute(`
             SELECT
                 csu.*,
                 CONCAT(COALESCE(p.first_name, ''), ' ', COALESCE(p.last_name, '')) as patient_name,
                 p.hn as patient_hn,
+                p.hn,
                 CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as shared_by_name
             FROM course_shared_users csu
             LEFT JOIN patients p ON csu.patient_id = p.id
             LEFT JOIN users u ON csu.shared_by = u.id
-            WHERE csu.course_id = ? AND csu.is_active = 1
-            ORDER BY csu.created_at DESC
+            WHERE csu.course_id = ? ${includeInactive ? '' : 'AND csu.is_active = 1'}
+            ORDER BY csu.is_active DESC, csu.created_at DESC
         `, [id]);
 
         res.json(sharedUsers);
@@ -178,21 +865,106 @@ router.get('/courses/:id/shared-users', authenticateToken, async (req, res) => {
     }
 });
 
+// Add a family member to a course
+router.post('/courses/:id/shared-users', authenticateToken, async (req, res) => {
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        const { id } = req.params;
+        const { patient_id, notes } = req.body;
+
+        if (!patient_id) {
+            return res.status(400).json({ error: 'patient_id is required' });
+        }
+
+        await connection.beginTransaction();
+
+        // Lock the course so concurrent adds cannot exceed the sharer limit
+        const [courses] = await connection.execute('SELECT * FROM courses WHERE id = ? FOR UPDATE', [id]);
+        const accessError = await checkSharingAllowed(req, courses[0]);
+        if (accessError) {
+            await connection.rollback();
+            return res.status(accessError.status).json({ error: accessError.error });
+        }
+        const course = courses[0];
+
+        if (parseInt(patient_id) === course.patient_id) {
+            await connection.rollback();
+            return res.status(400).json({ error: 'The course owner cannot be added as a shared user' });
+        }
+
+        const [patients] = await connection.execute('SELECT id FROM patients WHERE id = ?', [patient_id]);
+        if (patients.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const [existing] = await connection.execute(
+            'SELECT id, is_active FROM course_shared_users WHERE course_id = ? AND patient_id = ?',
+            [id, patient_id]
+        );
+        if (existing.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                error: existing[0].is_active
+                    ? 'This patient already shares the course'
+                    : 'This patient was removed from the course before. Reactivate them instead.',
+                shared_user_id: existing[0].id
+            });
+        }
+
+        const limitError = await checkSharerLimit(connection, course.id);
+        if (limitError) {
+            await connection.rollback();
+            return res.status(400).json(limitError);
+        }
+
+        const [result] = await connection.execute(
+            `INSERT INTO course_shared_users (course_id, patient_id, shared_by, shared_date, notes, is_active)
+             VALUES (?, ?, ?, CURDATE(), ?, 1)`,
+            [id, patient_id, req.user.id, notes || null]
+        );
+
+        await logSharingChange(connection, course.id, patient_id, 'SHARE_ADD', notes || 'Family member added to course', req.user.id);
+
+        await connection.commit();
+
+        await auditLog(req.app.locals.db, req.user.id, 'SHARE_ADD', 'course', id, null, { patient_id, shared_user_id: result.insertId }, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Family member added successfully',
+            id: result.insertId
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Add course shared user error:', error);
+        res.status(500).json({ error: 'Failed to add shared user' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Remove (deactivate) a family member from a course
+router.delete('/courses/shared-users/:id', authenticateToken, async (req, res) => {
+    await setSharedUserActive(req, res, false);
+});
+
+// Reactivate a removed family member (accepts both POST and PUT)
+router.post('/courses/shared-users/:id/reactivate', authenticateToken, async (req, res) => {
+    await setSharedUserActive(req, res, true);
+});
+
+router.put('/courses/shared-users/:id/reactivate', authenticateToken, async (req, res) => {
+    await setSharedUserActive(req, res, true);
+});
+
 // Get course usage history
 router.get('/courses/:id/usage-history', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
         const { id } = req.params;
 
-        const [usageHistory] = await db.execute(`
-            SELECT
-                cuh.*,
-                CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name
-            FROM course_usage_history cuh
-            LEFT JOIN users u ON cuh.created_by = u.id
-            WHERE cuh.course_id = ?
-            ORDER BY cuh.usage_date DESC, cuh.created_at DESC
-        `, [id]);
+        const [usageHistory] = await db.execute(USAGE_HISTORY_QUERY, [id]);
 
         res.json(usageHistory);
     } catch (error) {
@@ -204,8 +976,348 @@ router.get('/courses/:id/usage-history', authenticateToken, async (req, res) =>
 // ========================================
 // LOYALTY PROGRAM
 // ========================================
+// Scope member queries to the clinics a CLINIC user can access
+const appendMemberClinicScope = async (db, user, query, params) => {
+    if (user.role !== 'CLINIC') {
+        return { query, params };
+    }
+    const accessibleClinics = await getAccessibleClinicIds(db, user);
+    if (accessibleClinics.length === 0) {
+        return { query: query + ' AND 1=0', params };
+    }
+    return {
+        query: query + ` AND p.clinic_id IN (${accessibleClinics.map(() => '?').join(',')})`,
+        params: [...params, ...accessibleClinics]
+    };
+};
+
+const MEMBER_SELECT = `
+    SELECT
+        lm.*,
+        p.hn, p.first_name, p.last_name, p.phone, p.email, p.clinic_id,
+        cl.name as clinic_name
+    FROM loyalty_members lm
+    JOIN patients p ON lm.patient_id = p.id
+    LEFT JOIN clinics cl ON p.clinic_id = cl.id
+    WHERE 1=1
+`;
+
+// Program summary
 router.get('/loyalty', authenticateToken, async (req, res) => {
-    res.json({ message: 'Loyalty program endpoint' });
+    try {
+        const db = req.app.locals.db;
+
+        const { query, params } = await appendMemberClinicScope(db, req.user, `
+            SELECT lm.membership_tier, COUNT(*) as members, COALESCE(SUM(lm.available_points), 0) as available_points
+            FROM loyalty_members lm
+            JOIN patients p ON lm.patient_id = p.id
+            WHERE lm.status = 'ACTIVE'
+        `, []);
+
+        const [tiers] = await db.execute(query + ' GROUP BY lm.membership_tier', params);
+
+        res.json({ tiers, tier_evaluation_months: TIER_EVALUATION_MONTHS });
+    } catch (error) {
+        console.error('[LOYALTY] Summary error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loyalty summary' });
+    }
+});
+
+// Get tier rules
+router.get('/loyalty/tier-rules', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const rules = await getTierRules(db);
+        res.json(rules);
+    } catch (error) {
+        console.error('[LOYALTY] Get tier rules error:', error);
+        return res.json([]);
+    }
+});
+
+// Update a tier rule
+router.put('/loyalty/tier-rules/:tier', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { tier } = req.params;
+        const { min_spending, points_per_100_baht, discount_percentage, description } = req.body;
+
+        const [existing] = await db.execute(
+            'SELECT * FROM loyalty_tier_rules WHERE tier = ?',
+            [tier]
+        );
+
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Tier rule not found' });
+        }
+
+        const rule = existing[0];
+        const updated = {
+            min_spending: min_spending !== undefined ? parseFloat(min_spending) : rule.min_spending,
+            points_per_100_baht: points_per_100_baht !== undefined ? parseInt(points_per_100_baht) : rule.points_per_100_baht,
+            discount_percentage: discount_percentage !== undefined ? parseFloat(discount_percentage) : rule.discount_percentage,
+            description: description !== undefined ? description : rule.description
+        };
+
+        if (isNaN(updated.min_spending) || updated.min_spending < 0 ||
+            isNaN(updated.points_per_100_baht) || updated.points_per_100_baht < 0) {
+            return res.status(400).json({ error: 'min_spending and points_per_100_baht must be non-negative numbers' });
+        }
+
+        await db.execute(
+            `UPDATE loyalty_tier_rules
+             SET min_spending = ?, points_per_100_baht = ?, discount_percentage = ?, description = ?
+             WHERE tier = ?`,
+            [updated.min_spending, updated.points_per_100_baht, updated.discount_percentage, updated.description, tier]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'loyalty_tier_rule', rule.id, rule, updated, req);
+
+        res.json({ success: true, message: 'Tier rule updated successfully' });
+    } catch (error) {
+        console.error('[LOYALTY] Update tier rule error:', error);
+        res.status(500).json({ error: 'Failed to update tier rule' });
+    }
+});
+
+// Get loyalty members
+router.get('/loyalty/members', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { search, tier, status } = req.query;
+
+        let query = MEMBER_SELECT;
+        let params = [];
+
+        if (search) {
+            const searchPattern = `%${search.substring(0, 100)}%`;
+            query += ' AND (p.hn LIKE ? OR p.first_name LIKE ? OR p.last_name LIKE ? OR p.phone LIKE ?)';
+            params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+        }
+
+        if (tier) {
+            query += ' AND lm.membership_tier = ?';
+            params.push(tier);
+        }
+
+        if (status) {
+            query += ' AND lm.status = ?';
+            params.push(status);
+        }
+
+        ({ query, params } = await appendMemberClinicScope(db, req.user, query, params));
+
+        query += ' ORDER BY lm.lifetime_spending DESC, lm.member_since ASC';
+
+        const [members] = await db.execute(query, params);
+        res.json(members);
+    } catch (error) {
+        console.error('[LOYALTY] Get members error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loyalty members' });
+    }
+});
+
+// Get single loyalty member
+router.get('/loyalty/members/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { query, params } = await appendMemberClinicScope(
+            db, req.user, MEMBER_SELECT + ' AND lm.id = ?', [req.params.id]
+        );
+
+        const [members] = await db.execute(query, params);
+
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'Loyalty member not found' });
+        }
+
+        const [giftCards] = await db.execute(`
+            SELECT gc.*, gcc.name
+            FROM gift_cards gc
+            JOIN gift_card_catalog gcc ON gc.catalog_id = gcc.id
+            WHERE gc.member_id = ?
+            ORDER BY gc.created_at DESC
+        `, [req.params.id]);
+
+        res.json({ ...members[0], gift_cards: giftCards });
+    } catch (error) {
+        console.error('[LOYALTY] Get member error:', error);
+        res.status(500).json({ error: 'Failed to retrieve loyalty member' });
+    }
+});
+
+// Update member tier or status (manual override)
+router.put('/loyalty/members/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { membership_tier, status } = req.body;
+
+        const [members] = await db.execute('SELECT * FROM loyalty_members WHERE id = ?', [id]);
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'Loyalty member not found' });
+        }
+        const member = members[0];
+
+        if (membership_tier && !['BRONZE', 'SILVER', 'GOLD', 'PLATINUM'].includes(membership_tier)) {
+            return res.status(400).json({ error: 'Invalid membership tier' });
+        }
+        if (status && !['ACTIVE', 'INACTIVE', 'SUSPENDED'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid member status' });
+        }
+
+        const newTier = membership_tier || member.membership_tier;
+        const newStatus = status || member.status;
+
+        await db.execute(
+            `UPDATE loyalty_members
+             SET membership_tier = ?, status = ?,
+                 tier_updated_at = IF(membership_tier = ?, tier_updated_at, NOW())
+             WHERE id = ?`,
+            [newTier, newStatus, newTier, id]
+        );
+
+        if (newTier !== member.membership_tier) {
+            await db.execute(
+                `INSERT INTO loyalty_transactions
+                 (member_id, transaction_type, points, balance_after, description, created_by)
+                 VALUES (?, 'TIER_CHANGE', 0, ?, ?, ?)`,
+                [id, member.available_points, `Manual tier change from ${member.membership_tier} to ${newTier}`, req.user.id]
+            );
+        }
+
+        await auditLog(db, req.user.id, 'UPDATE', 'loyalty_member', id,
+                      { membership_tier: member.membership_tier, status: member.status },
+                      { membership_tier: newTier, status: newStatus }, req);
+
+        res.json({ success: true, message: 'Loyalty member updated successfully' });
+    } catch (error) {
+        console.error('[LOYALTY] Update member error:', error);
+        res.status(500).json({ error: 'Failed to update loyalty member' });
+    }
+});
+
+// Get member points transactions
+router.get('/loyalty/members/:id/transactions', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { query, params } = await appendMemberClinicScope(
+            db, req.user, MEMBER_SELECT + ' AND lm.id = ?', [req.params.id]
+        );
+
+        const [members] = await db.execute(query, params);
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'Loyalty member not found' });
+        }
+
+        const [transactions] = await db.execute(`
+            SELECT
+                lt.*,
+                b.bill_code,
+                CONCAT(COALESCE(u.first_name, ''), ' ', COALESCE(u.last_name, '')) as created_by_name
+            FROM loyalty_transactions lt
+            LEFT JOIN bills b ON lt.bill_id = b.id
+            LEFT JOIN users u ON lt.created_by = u.id
+            WHERE lt.member_id = ?
+            ORDER BY lt.transaction_date DESC, lt.id DESC
+            LIMIT 200
+        `, [req.params.id]);
+
+        res.json(transactions);
+    } catch (error) {
+        console.error('[LOYALTY] Get transactions error:', error);
+        return res.json([]);
+    }
+});
+
+// Manually adjust member points
+router.post('/loyalty/members/:id/adjust-points', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const points = parseInt(req.body.points);
+        const description = (req.body.description || '').trim();
+
+        if (isNaN(points) || points === 0) {
+            return res.status(400).json({ error: 'Points must be a non-zero number' });
+        }
+        if (!description) {
+            return res.status(400).json({ error: 'Adjustment reason is required' });
+        }
+
+        const result = await adjustPoints(db, id, points, description, req.user.id);
+
+        await auditLog(db, req.user.id, 'ADJUST_POINTS', 'loyalty_member', id,
+                      { available_points: result.old_available_points },
+                      { available_points: result.available_points, points, description }, req);
+
+        res.json({
+            success: true,
+            message: 'Points adjusted successfully',
+            available_points: result.available_points
+        });
+    } catch (error) {
+        console.error('[LOYALTY] Adjust points error:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to adjust points' });
+    }
+});
+
+// Redeem a gift card from the catalog
+router.post('/loyalty/members/:id/redeem-gift-card', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { catalog_id } = req.body;
+
+        if (!catalog_id) {
+            return res.status(400).json({ error: 'catalog_id is required' });
+        }
+
+        const result = await redeemGiftCard(db, id, catalog_id, req.user.id);
+
+        await auditLog(db, req.user.id, 'REDEEM_GIFT_CARD', 'loyalty_member', id, null, result, req);
+
+        res.json({
+            success: true,
+            message: 'Gift card redeemed successfully',
+            ...result
+        });
+    } catch (error) {
+        console.error('[LOYALTY] Redeem gift card error:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to redeem gift card' });
+    }
+});
+
+// Get gift card catalog
+router.get('/loyalty/gift-cards/catalog', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [catalog] = await db.execute(
+            'SELECT * FROM gift_card_catalog WHERE is_active = 1 ORDER BY points_required ASC'
+        );
+        res.json(catalog);
+    } catch (error) {
+        console.error('[LOYALTY] Get gift card catalog error:', error);
+        return res.json([]);
+    }
+});
+
+// Create members for every patient and award points for paid bills
+router.post('/loyalty/sync-all-patients', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        console.log('[LOYALTY] Syncing all patients into loyalty program');
+
+        const result = await syncAllPatients(db, req.user.id);
+
+        console.log('[LOYALTY] Sync completed:', result);
+        await auditLog(db, req.user.id, 'SYNC', 'loyalty_member', null, null, result, req);
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('[LOYALTY] Sync all patients error:', error);
+        res.status(500).json({ error: 'Failed to sync patients', details: error.message });
+    }
 });
 
 module.exports = router;
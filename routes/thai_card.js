@@ -1,17 +1,181 @@
 // routes/thai_card.js - Thai National ID Card Reader Integration
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const moment = require('moment');
+const { authenticateToken, getAccessibleClinicIds } = require('../middleware/auth');
+const { validateThaiNationalID } = require('../utils/helpers');
 
-// Thai card reader endpoint
+// Latest reading per user, picked up by GET /api/thai_card when Socket.IO is unavailable
+const latestReadings = new Map();
+const READING_TTL_MS = 2 * 60 * 1000;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+// First non-empty value among the field names used by different reader agents
+const pick = (data, ...keys) => {
+    for (const key of keys) {
+        if (data[key] !== undefined && data[key] !== null && String(data[key]).trim() !== '') {
+            return String(data[key]).trim();
+        }
+    }
+    return null;
+};
+
+// Card dates come as YYYYMMDD or YYYY-MM-DD / YYYY/MM/DD, usually in Buddhist Era
+const parseCardDate = (value) => {
+    if (!value) return null;
+    const digits = value.replace(/\D/g, '');
+    if (digits.length !== 8) return null;
+
+    let year = parseInt(digits.substring(0, 4));
+    if (year > 2400) year -= 543;
+    // Some cards only carry the birth year (month/day = 00)
+    const month = digits.substring(4, 6) === '00' ? '01' : digits.substring(4, 6);
+    const day = digits.substring(6, 8) === '00' ? '01' : digits.substring(6, 8);
+
+    const date = moment(`${year}-${month}-${day}`, 'YYYY-MM-DD', true);
+    return date.isValid() ? date.format('YYYY-MM-DD') : null;
+};
+
+// Raw chip format is "title#first#middle#last"
+const splitCardName = (value) => {
+    if (!value || !value.includes('#')) return null;
+    const [title, first, middle, last] = value.split('#');
+    return {
+        title: title || null,
+        first: [first, middle].filter(Boolean).join(' ') || null,
+        last: last || null
+    };
+};
+
+const parseGender = (value) => {
+    if (!value) return null;
+    const normalized = value.toLowerCase();
+    if (['1', 'm', 'male', 'ชาย'].includes(normalized)) return 'M';
+    if (['2', 'f', 'female', 'หญิง'].includes(normalized)) return 'F';
+    return null;
+};
+
+const parsePhoto = (value) => {
+    if (!value) return null;
+    if (value.startsWith('data:image/')) return value;
+    return /^[A-Za-z0-9+/=\s]+$/.test(value) ? `data:image/jpeg;base64,${value.replace(/\s/g, '')}` : null;
+};
+
+/**
+ * Normalise the payload of the front-desk card reader agent
+ */
+const parseCardPayload = (data) => {
+    const thName = splitCardName(pick(data, 'th_name', 'nameTH', 'name_th'));
+    const enName = splitCardName(pick(data, 'en_name', 'nameEN', 'name_en'));
+    const address = pick(data, 'address', 'addr');
+    const expiryDate = parseCardDate(pick(data, 'expire_date', 'expiry_date', 'expire', 'expiredDate'));
+
+    return {
+        citizen_id: (pick(data, 'cid', 'citizen_id', 'citizenID', 'citizenId', 'pid') || '').replace(/[\s-]/g, ''),
+        title_th: pick(data, 'th_title', 'title_th', 'titleTH', 'th_prefix', 'prefix', 'titlenameTH') || (thName && thName.title),
+        first_name_th: pick(data, 'th_fname', 'first_name_th', 'firstNameTH') || (thName && thName.first),
+        last_name_th: pick(data, 'th_lname', 'last_name_th', 'lastNameTH') || (thName && thName.last),
+        title_en: pick(data, 'en_title', 'title_en', 'titleEN') || (enName && enName.title),
+        first_name_en: pick(data, 'en_fname', 'first_name_en', 'firstNameEN') || (enName && enName.first),
+        last_name_en: pick(data, 'en_lname', 'last_name_en', 'lastNameEN') || (enName && enName.last),
+        dob: parseCardDate(pick(data, 'dob', 'birthday', 'birth_date', 'birthdate')),
+        gender: parseGender(pick(data, 'gender', 'sex')),
+        address: address ? address.replace(/#+/g, ' ').replace(/\s+/g, ' ').trim() : null,
+        issue_date: parseCardDate(pick(data, 'issue_date', 'issue', 'issuedDate')),
+        expiry_date: expiryDate,
+        expired: expiryDate ? moment(expiryDate).isBefore(moment(), 'day') : false,
+        photo: parsePhoto(pick(data, 'photo', 'image', 'picture'))
+    };
+};
+
+// Prefilled values for patient-register.ejs (field IDs of the form)
+const buildRegistrationDraft = (card) => ({
+    pid: card.citizen_id,
+    title: card.title_th || card.title_en,
+    first_name: card.first_name_th || card.first_name_en,
+    last_name: card.last_name_th || card.last_name_en,
+    dob: card.dob ? moment(card.dob).format('DD/MM/YYYY') : null,
+    gender: card.gender,
+    address_main: card.address
+});
+
+// ========================================
+// CARD READER ROUTES
+// ========================================
+
+// Thai card reader endpoint - the reader agent posts each card read here
 router.post('/thai_card', authenticateToken, async (req, res) => {
     try {
-        console.log('Thai card data received:', req.body);
-        res.json({ success: true, message: 'Thai card data received' });
+        const db = req.app.locals.db;
+        const card = parseCardPayload(req.body || {});
+
+        if (!card.citizen_id) {
+            return res.status(400).json({ error: 'Citizen ID is missing from card data' });
+        }
+
+        if (!validateThaiNationalID(card.citizen_id)) {
+            return res.status(400).json({ error: 'Invalid Thai National ID format or checksum' });
+        }
+
+        const [patients] = await db.execute(
+            `SELECT p.id, p.hn, p.pt_number, p.title, p.first_name, p.last_name, p.dob, p.gender,
+                    p.phone, p.clinic_id, c.name as clinic_name
+             FROM patients p
+             LEFT JOIN clinics c ON p.clinic_id = c.id
+             WHERE p.pid = ?
+             LIMIT 1`,
+            [card.citizen_id]
+        );
+
+        // A patient of a clinic this user cannot access is reported as registered
+        // elsewhere, without the record, so the card is not registered twice
+        const match = patients[0] || null;
+        let patient = match;
+        if (match && req.user.role !== 'ADMIN') {
+            const accessibleClinicIds = await getAccessibleClinicIds(db, req.user);
+            if (!accessibleClinicIds.includes(match.clinic_id)) patient = null;
+        }
+
+        const reading = {
+            status: 'ready',
+            matched: !!match,
+            other_clinic: !!match && !patient,
+            card,
+            patient,
+            draft: match ? null : buildRegistrationDraft(card),
+            read_at: new Date().toISOString()
+        };
+
+        latestReadings.set(req.user.id, { reading, expiresAt: Date.now() + READING_TTL_MS });
+
+        // Pop the record on the receptionist's screen
+        const io = req.app.locals.io;
+        if (io) {
+            io.to(`user:${req.user.id}`).emit('thai_card_read', reading);
+        }
+
+        console.log(`[THAI_CARD] Card read by user ${req.user.id}: ${match ? `matched patient ${match.id}` : 'new patient draft'}`);
+
+        res.json({ success: true, ...reading });
     } catch (error) {
         console.error('Thai card error:', error);
         res.status(500).json({ error: 'Failed to process Thai card data' });
     }
 });
 
+// Latest card read by this user (consumed once)
+router.get('/thai_card', authenticateToken, (req, res) => {
+    const entry = latestReadings.get(req.user.id);
+    latestReadings.delete(req.user.id);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+        return res.json({ status: 'waiting' });
+    }
+
+    res.json(entry.reading);
+});
+
 module.exports = router;
@@ -313,6 +313,27 @@ router.get('/public-home', (req, res) => {
     });
 });
 
+router.get('/waitlist-offer/:token', (req, res) => {
+    res.render('waitlist-offer', {
+        appName: res.locals.appName,
+        token: req.params.token.replace(/[^a-f0-9]/gi, '')
+    });
+});
+
+router.get('/manage-appointment/:token', (req, res) => {
+    res.render('manage-appointment', {
+        appName: res.locals.appName,
+        token: req.params.token.replace(/[^A-Za-z0-9._-]/g, '')
+    });
+});
+
+router.get('/unsubscribe/:token', (req, res) => {
+    res.render('unsubscribe', {
+        appName: res.locals.appName,
+        token: req.params.token.replace(/[^A-Za-z0-9._-]/g, '')
+    });
+});
+
 // ========================================
 // FAVICON
 // ========================================
@@ -0,0 +1,256 @@
+// routes/waitlist.js - Waitlist Management Routes (staff)
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const { authenticateToken, authorize, getAccessibleClinicIds, auditLog } = require('../middleware/auth');
+const { offerFreedSlot, declineOffer } = require('../utils/waitlist');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const ENTRY_STATUSES = ['WAITING', 'OFFERED', 'BOOKED', 'EXPIRED', 'CANCELLED'];
+
+const entrySelectClause = `
+    SELECT e.*,
+           DATE_FORMAT(e.date_from, '%Y-%m-%d') AS date_from,
+           DATE_FORMAT(e.date_to, '%Y-%m-%d') AS date_to,
+           COALESCE(e.walk_in_name, CONCAT_WS(' ', p.first_name, p.last_name)) AS name,
+           COALESCE(e.walk_in_phone, p.phone) AS phone,
+           COALESCE(e.walk_in_email, p.email) AS email,
+           p.hn,
+           c.name AS clinic_name,
+           CONCAT_WS(' ', u.first_name, u.last_name) AS pt_name
+    FROM waitlist_entries e
+    LEFT JOIN patients p ON e.patient_id = p.id
+    LEFT JOIN users u ON e.pt_id = u.id
+    JOIN clinics c ON e.clinic_id = c.id
+`;
+
+// ========================================
+// WAITLIST ROUTES
+// ========================================
+
+// Get waitlist entries (CLINIC users only see their clinics)
+router.get('/waitlist', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, pt_id, status } = req.query;
+
+        let query = `${entrySelectClause} WHERE 1=1`;
+        const params = [];
+
+        if (req.user.role === 'CLINIC') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (accessibleClinics.length === 0) {
+                return res.json([]);
+            }
+            query += ` AND e.clinic_id IN (${accessibleClinics.map(() => '?').join(',')})`;
+            params.push(...accessibleClinics);
+        }
+
+        if (clinic_id) {
+            query += ' AND e.clinic_id = ?';
+            params.push(clinic_id);
+        }
+
+        if (pt_id) {
+            query += ' AND (e.pt_id = ? OR e.pt_id IS NULL)';
+            params.push(pt_id);
+        }
+
+        if (status) {
+            if (!ENTRY_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of ${ENTRY_STATUSES.join(', ')}` });
+            }
+            query += ' AND e.status = ?';
+            params.push(status);
+        } else {
+            query += " AND e.status IN ('WAITING', 'OFFERED')";
+        }
+
+        query += ' ORDER BY e.created_at, e.id';
+
+        const [entries] = await db.execute(query, params);
+        res.json(entries);
+    } catch (error) {
+        console.error('Get waitlist error:', error);
+        res.status(500).json({ error: 'Failed to retrieve waitlist' });
+    }
+});
+
+// Add a patient or walk-in to the waitlist
+router.post('/waitlist', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const {
+            clinic_id,
+            pt_id,
+            patient_id,
+            walk_in_name,
+            walk_in_email,
+            walk_in_phone,
+            date_from,
+            date_to,
+            preferred_start_time,
+            preferred_end_time,
+            reason
+        } = req.body;
+
+        if (!clinic_id || !date_from || !date_to) {
+            return res.status(400).json({ error: 'clinic_id, date_from and date_to are required' });
+        }
+
+        if (!patient_id && !walk_in_name) {
+            return res.status(400).json({ error: 'patient_id or walk_in_name is required' });
+        }
+
+        const from = moment(date_from, 'YYYY-MM-DD', true);
+        const to = moment(date_to, 'YYYY-MM-DD', true);
+        if (!from.isValid() || !to.isValid() || to.isBefore(from) || to.isBefore(moment(), 'day')) {
+            return res.status(400).json({ error: 'Invalid date range' });
+        }
+
+        if ((preferred_start_time && !TIME_PATTERN.test(preferred_start_time)) ||
+            (preferred_end_time && !TIME_PATTERN.test(preferred_end_time)) ||
+            (preferred_start_time && preferred_end_time && preferred_start_time >= preferred_end_time)) {
+            return res.status(400).json({ error: 'Invalid preferred time range' });
+        }
+
+        if (patient_id) {
+            const [patients] = await db.execute('SELECT id FROM patients WHERE id = ?', [patient_id]);
+            if (patients.length === 0) {
+                return res.status(404).json({ error: 'Patient not found' });
+            }
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO waitlist_entries
+             (clinic_id, pt_id, patient_id, walk_in_name, walk_in_email, walk_in_phone, date_from, date_to,
+              preferred_start_time, preferred_end_time, reason, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [clinic_id, pt_id || null, patient_id || null,
+             patient_id ? null : walk_in_name.trim(),
+             walk_in_email ? walk_in_email.trim() : null,
+             walk_in_phone ? walk_in_phone.trim() : null,
+             date_from, date_to, preferred_start_time || null, preferred_end_time || null,
+             reason || null, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'waitlist_entry', result.insertId, null, req.body, req);
+
+        const [entries] = await db.execute(`${entrySelectClause} WHERE e.id = ?`, [result.insertId]);
+        res.status(201).json(entries[0]);
+    } catch (error) {
+        console.error('Create waitlist entry error:', error);
+        res.status(500).json({ error: 'Failed to add to waitlist' });
+    }
+});
+
+// Offer history of an entry
+router.get('/waitlist/:id/offers', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [entries] = await db.execute('SELECT clinic_id FROM waitlist_entries WHERE id = ?', [req.params.id]);
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+
+        if (req.user.role === 'CLINIC') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (!accessibleClinics.includes(entries[0].clinic_id)) {
+                return res.status(403).json({ error: 'No access to this clinic' });
+            }
+        }
+
+        const [offers] = await db.execute(
+            `SELECT o.id, o.status, o.pt_id, o.source_appointment_id, o.appointment_id, o.expires_at,
+                    o.responded_at, o.created_at,
+                    DATE_FORMAT(o.appointment_date, '%Y-%m-%d') AS appointment_date,
+                    TIME_FORMAT(o.start_time, '%H:%i:%s') AS start_time,
+                    TIME_FORMAT(o.end_time, '%H:%i:%s') AS end_time
+             FROM waitlist_offers o
+             WHERE o.entry_id = ?
+             ORDER BY o.created_at DESC`,
+            [req.params.id]
+        );
+
+        res.json(offers);
+    } catch (error) {
+        console.error('Get waitlist offers error:', error);
+        res.status(500).json({ error: 'Failed to retrieve waitlist offers' });
+    }
+});
+
+// Remove an entry from the waitlist (a pending offer passes to the next person)
+router.patch('/waitlist/:id/cancel', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [entries] = await db.execute('SELECT * FROM waitlist_entries WHERE id = ?', [req.params.id]);
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+
+        const entry = entries[0];
+        if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+            return res.status(400).json({ error: `Waitlist entry is already ${entry.status.toLowerCase()}` });
+        }
+
+        await db.execute("UPDATE waitlist_entries SET status = 'CANCELLED' WHERE id = ?", [entry.id]);
+
+        const [pendingOffers] = await db.execute(
+            "SELECT token FROM waitlist_offers WHERE entry_id = ? AND status = 'PENDING'",
+            [entry.id]
+        );
+        for (const offer of pendingOffers) {
+            await declineOffer(db, offer.token);
+        }
+
+        await auditLog(db, req.user.id, 'CANCEL', 'waitlist_entry', entry.id, entry, { status: 'CANCELLED' }, req);
+
+        res.json({ success: true, message: 'Removed from waitlist' });
+    } catch (error) {
+        console.error('Cancel waitlist entry error:', error);
+        res.status(500).json({ error: 'Failed to remove from waitlist' });
+    }
+});
+
+// Manually offer a free slot to the waitlist (e.g. after a no-show or extra shift)
+router.post('/waitlist/offer-slot', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, pt_id, appointment_date, start_time, end_time } = req.body;
+
+        if (!clinic_id || !appointment_date || !start_time || !end_time) {
+            return res.status(400).json({ error: 'clinic_id, appointment_date, start_time and end_time are required' });
+        }
+
+        if (!TIME_PATTERN.test(start_time) || !TIME_PATTERN.test(end_time) || start_time >= end_time) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+
+        const offer = await offerFreedSlot(db, {
+            clinicId: clinic_id,
+            ptId: pt_id || null,
+            date: appointment_date,
+            startTime: start_time,
+            endTime: end_time
+        });
+
+        if (!offer) {
+            return res.json({ success: false, message: 'No matching waitlist entry, or the slot is not free' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Slot offered to the waitlist',
+            entry_id: offer.entry_id,
+            expires_at: offer.expires_at,
+            channels: offer.channels
+        });
+    } catch (error) {
+        console.error('Offer waitlist slot error:', error);
+        res.status(500).json({ error: 'Failed to offer slot' });
+    }
+});
+
+module.exports = router;
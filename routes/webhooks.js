@@ -1,14 +1,430 @@
 // routes/webhooks.js - Webhook Handlers (LINE, etc.)
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
+const axios = require('axios');
+const moment = require('moment');
+const {
+    getLINEConfig,
+    replyLINEMessage
+} = require('../utils/notifications');
+const { isStopKeyword, optOutByPhone } = require('../utils/marketing-consent');
+const { cancelAppointment } = require('../utils/appointments');
+const { SELF_SERVICE_USER } = require('../utils/self-service');
+const { emitAppointmentEvent } = require('../utils/realtime');
+
+const MAX_LINK_FAILURES_PER_HOUR = 5;
+
+// Keyword commands (English and Thai), matched against the trimmed message text
+const COMMANDS = [
+    { command: 'LINK', pattern: /^(?:link|ผูกบัญชี|เชื่อมบัญชี)\s+(.+)$/i },
+    { command: 'UNLINK', pattern: /^(?:unlink|ยกเลิกการเชื่อม(?:ต่อ)?บัญชี)$/i },
+    { command: 'APPOINTMENTS', pattern: /^(?:my appointments?|appointments?|นัดหมาย|นัดของฉัน)$/i },
+    { command: 'CANCEL', pattern: /^(?:cancel|ยกเลิกนัด|ยกเลิก)(?:\s+#?(\d+))?$/i },
+    { command: 'COURSES', pattern: /^(?:course balance|courses?|คอร์ส|คอร์สคงเหลือ)$/i },
+    { command: 'HELP', pattern: /^(?:help|menu|เมนู|ช่วยเหลือ)$/i }
+];
+
+const HELP_MESSAGE = [
+    'RehabPlus LINE commands:',
+    '• link <code> - link with the code from the clinic',
+    '• link <HN> <date of birth DD/MM/YYYY> - link with your HN',
+    '• my appointments - upcoming appointments',
+    '• cancel - list appointments you can cancel',
+    '• cancel <#number> - cancel the appointment with that number',
+    '• course balance - remaining course sessions',
+    '• unlink - stop receiving messages'
+].join('\n');
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Verify X-Line-Signature (HMAC-SHA256 of the raw body, base64)
+ */
+const verifyLINESignature = (channelSecret, rawBody, signature) => {
+    if (!channelSecret || !rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', channelSecret).update(rawBody).digest();
+    const received = Buffer.from(signature, 'base64');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const parseCommand = (text) => {
+    const trimmed = (text || '').trim().replace(/\s+/g, ' ');
+    for (const { command, pattern } of COMMANDS) {
+        const match = trimmed.match(pattern);
+        if (match) return { command, argument: match[1] || null };
+    }
+    return null;
+};
+
+/**
+ * Parse date of birth typed by a patient; Buddhist Era years are converted
+ */
+const parseDateOfBirth = (value) => {
+    const date = moment(value, ['DD/MM/YYYY', 'D/M/YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD'], true);
+    if (!date.isValid()) return null;
+    if (date.year() > 2400) date.subtract(543, 'years');
+    return date.format('YYYY-MM-DD');
+};
+
+const logWebhookEvent = (db, event, command) => {
+    const source = event.source || {};
+    const sourceId = source.groupId || source.roomId || source.userId || null;
+    const text = event.message && event.message.type === 'text' ? event.message.text.substring(0, 500) : null;
+
+    return db.execute(
+        `INSERT INTO line_webhook_events (event_type, source_type, source_id, line_user_id, message_text, command)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [event.type, source.type || null, sourceId, source.userId || null, text, command || null]
+    ).catch(err => console.warn('[LINE] Failed to log webhook event:', err.message));
+};
+
+const getLinkedPatient = async (db, lineUserId) => {
+    const [rows] = await db.execute(
+        `SELECT p.id, p.hn, p.first_name, p.last_name
+         FROM patient_line_accounts pla
+         JOIN patients p ON pla.patient_id = p.id
+         WHERE pla.line_user_id = ? AND pla.is_active = 1`,
+        [lineUserId]
+    );
+    return rows[0] || null;
+};
+
+const getLINEDisplayName = async (db, lineUserId) => {
+    try {
+        const lineConfig = await getLINEConfig(db);
+        const response = await axios.get(`https://api.line.me/v2/bot/profile/${lineUserId}`, {
+            headers: { 'Authorization': `Bearer ${lineConfig.accessToken}` }
+        });
+        return response.data.displayName || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const linkPatient = async (db, lineUserId, patientId, linkedVia) => {
+    const displayName = await getLINEDisplayName(db, lineUserId);
+
+    await db.execute(
+        `INSERT INTO patient_line_accounts (patient_id, line_user_id, display_name, linked_via)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+            patient_id = VALUES(patient_id),
+            display_name = VALUES(display_name),
+            linked_via = VALUES(linked_via),
+            is_active = 1,
+            linked_at = NOW(),
+            unlinked_at = NULL`,
+        [patientId, lineUserId, displayName, linkedVia]
+    );
+};
+
+// Upcoming appointments the patient can still act on, or just the one with appointmentId
+const getUpcomingAppointments = async (db, patientId, appointmentId = null) => {
+    const [appointments] = await db.execute(
+        `SELECT a.id, a.appointment_date, a.start_time, a.end_time, a.status,
+                a.pn_case_id, a.calendar_event_id, pn.status as pn_status,
+                c.name as clinic_name,
+                CONCAT(COALESCE(pt.first_name, ''), ' ', COALESCE(pt.last_name, '')) as pt_name
+         FROM appointments a
+         LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
+         LEFT JOIN clinics c ON a.clinic_id = c.id
+         LEFT JOIN users pt ON a.pt_id = pt.id
+         WHERE a.patient_id = ?
+           AND a.status IN ('SCHEDULED', 'CONFIRMED')
+           AND TIMESTAMP(a.appointment_date, a.start_time) > NOW()
+           ${appointmentId ? 'AND a.id = ?' : ''}
+         ORDER BY a.appointment_date, a.start_time
+         LIMIT 5`,
+        appointmentId ? [patientId, appointmentId] : [patientId]
+    );
+    return appointments;
+};
+
+// Appointments are shown with their id, which "cancel <#number>" refers to
+const formatAppointment = (appointment) => {
+    const date = moment(appointment.appointment_date).format('ddd DD/MM/YYYY');
+    const time = `${appointment.start_time.substring(0, 5)}-${appointment.end_time.substring(0, 5)}`;
+    return `#${appointment.id} ${date} ${time}\n   ${appointment.clinic_name || ''}${appointment.pt_name.trim() ? ` - ${appointment.pt_name.trim()}` : ''}`;
+};
+
+// ========================================
+// COMMAND HANDLERS
+// ========================================
+
+const handleLink = async (db, lineUserId, argument) => {
+    const [failures] = await db.execute(
+        `SELECT COUNT(*) as count FROM line_webhook_events
+         WHERE line_user_id = ? AND command = 'LINK_FAILED' AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+        [lineUserId]
+    );
+    if (failures[0].count >= MAX_LINK_FAILURES_PER_HOUR) {
+        return { reply: 'Too many attempts. Please try again in an hour or ask the clinic for a link code.' };
+    }
+
+    const parts = argument.trim().split(' ');
+    let patient = null;
+    let linkedVia;
+
+    if (parts.length === 1) {
+        // One-time code issued by staff
+        linkedVia = 'CODE';
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [codes] = await connection.execute(
+                `SELECT lc.id, p.id as patient_id, p.first_name, p.last_name
+                 FROM line_link_codes lc
+                 JOIN patients p ON lc.patient_id = p.id
+                 WHERE lc.code = ? AND lc.used_at IS NULL AND lc.expires_at > NOW()
+                 FOR UPDATE`,
+                [parts[0].toUpperCase()]
+            );
+            if (codes.length > 0) {
+                await connection.execute(
+                    'UPDATE line_link_codes SET used_at = NOW(), used_by_line_user_id = ? WHERE id = ?',
+                    [lineUserId, codes[0].id]
+                );
+                patient = { id: codes[0].patient_id, first_name: codes[0].first_name, last_name: codes[0].last_name };
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    } else {
+        // HN plus date of birth
+        linkedVia = 'HN_DOB';
+        const dob = parseDateOfBirth(parts.slice(1).join(''));
+        if (dob) {
+            const [patients] = await db.execute(
+                'SELECT id, first_name, last_name FROM patients WHERE hn = ? AND dob = ?',
+                [parts[0].toUpperCase(), dob]
+            );
+            patient = patients.length === 1 ? patients[0] : null;
+        }
+    }
+
+    if (!patient) {
+        return {
+            command: 'LINK_FAILED',
+            reply: linkedVia === 'CODE'
+                ? 'This code is invalid or has expired. Please ask the clinic for a new code.'
+                : 'No patient matches this HN and date of birth. Please check and try again (e.g. "link HN0001 21/05/1990").'
+        };
+    }
+
+    await linkPatient(db, lineUserId, patient.id, linkedVia);
+    console.log(`[LINE] Linked LINE user ${lineUserId} to patient ${patient.id} via ${linkedVia}`);
+
+    return { reply: `Linked to ${patient.first_name} ${patient.last_name}. You will now receive appointment reminders here.\n\n${HELP_MESSAGE}` };
+};
+
+const handleUnlink = async (db, lineUserId) => {
+    await db.execute(
+        'UPDATE patient_line_accounts SET is_active = 0, unlinked_at = NOW() WHERE line_user_id = ? AND is_active = 1',
+        [lineUserId]
+    );
+    return { reply: 'Your LINE account has been unlinked. Send "link" with a code or your HN to link again.' };
+};
+
+const handleAppointments = async (db, patient) => {
+    const appointments = await getUpcomingAppointments(db, patient.id);
+    if (appointments.length === 0) {
+        return { reply: 'You have no upcoming appointments.' };
+    }
+    return { reply: `Upcoming appointments:\n${appointments.map(formatAppointment).join('\n')}` };
+};
+
+const handleCancel = async (db, patient, argument, io) => {
+    if (!argument) {
+        const appointments = await getUpcomingAppointments(db, patient.id);
+        if (appointments.length === 0) {
+            return { reply: 'You have no upcoming appointments to cancel.' };
+        }
+        return {
+            reply: `Reply "cancel <#number>" to cancel, e.g. "cancel ${appointments[0].id}":\n${appointments.map(formatAppointment).join('\n')}`
+        };
+    }
+
+    // Match the id from the list, not a position in it: the list may have
+    // changed since the patient read it
+    const [appointment] = await getUpcomingAppointments(db, patient.id, parseInt(argument));
+    if (!appointment) {
+        return { reply: `No upcoming appointment #${argument}. Send "cancel" to see the ones you can cancel.` };
+    }
+
+    // Treatment already started - staff must handle the course session
+    if (appointment.pn_status && !['PENDING', 'CANCELLED'].includes(appointment.pn_status)) {
+        return { reply: 'This appointment is already in treatment. Please contact the clinic to cancel.' };
+    }
+
+    // Same path as staff and self-service cancels: PN case, course session,
+    // calendar, clinic notification and the waitlist offer for the freed slot
+    await cancelAppointment(db, appointment.id, 'Cancelled by patient via LINE', SELF_SERVICE_USER);
+
+    await emitAppointmentEvent(io, db, appointment.id, 'cancelled', 'line')
+        .catch(err => console.warn('[REALTIME] Failed to emit appointment event:', err.message));
+
+    return { reply: `Cancelled:\n${formatAppointment(appointment)}` };
+};
+
+const handleCourses = async (db, patient) => {
+    const [courses] = await db.execute(
+        `SELECT DISTINCT c.id, c.course_code, c.course_name, c.total_sessions, c.remaining_sessions,
+                c.expiry_date, c.patient_id = ? as is_owner
+         FROM courses c
+         LEFT JOIN course_shared_users csu ON c.id = csu.course_id AND csu.patient_id = ? AND csu.is_active = 1
+         WHERE c.status = 'ACTIVE'
+           AND (c.patient_id = ? OR csu.id IS NOT NULL)
+         ORDER BY c.expiry_date IS NULL, c.expiry_date`,
+        [patient.id, patient.id, patient.id]
+    );
+
+    if (courses.length === 0) {
+        return { reply: 'You have no active courses.' };
+    }
+
+    const lines = courses.map(course => {
+        const expiry = course.expiry_date ? `, expires ${moment(course.expiry_date).format('DD/MM/YYYY')}` : '';
+        const shared = course.is_owner ? '' : ' (shared)';
+        return `• ${course.course_name}${shared}\n   ${course.remaining_sessions}/${course.total_sessions} sessions left${expiry}`;
+    });
+
+    return { reply: `Course balance:\n${lines.join('\n')}` };
+};
+
+const handleTextMessage = async (db, event, io) => {
+    const lineUserId = event.source.userId;
+    const parsed = parseCommand(event.message.text);
+
+    // Only commands in 1:1 chats are answered; anything else is just captured,
+    // so patients chatting with the clinic account do not get the menu every time
+    if (event.source.type !== 'user' || !parsed) {
+        return null;
+    }
+
+    let result;
+    if (parsed.command === 'LINK') {
+        result = await handleLink(db, lineUserId, parsed.argument);
+    } else if (parsed.command === 'HELP') {
+        result = { reply: HELP_MESSAGE };
+    } else {
+        const patient = await getLinkedPatient(db, lineUserId);
+        if (!patient) {
+            result = { reply: `Your LINE account is not linked yet.\n\n${HELP_MESSAGE}` };
+        } else if (parsed.command === 'UNLINK') {
+            result = await handleUnlink(db, lineUserId);
+        } else if (parsed.command === 'APPOINTMENTS') {
+            result = await handleAppointments(db, patient);
+        } else if (parsed.command === 'CANCEL') {
+            result = await handleCancel(db, patient, parsed.argument, io);
+        } else if (parsed.command === 'COURSES') {
+            result = await handleCourses(db, patient);
+        }
+    }
+
+    await replyLINEMessage(db, event.replyToken, result.reply);
+    return result.command || parsed.command;
+};
+
+const handleEvent = async (db, event, io) => {
+    let command = null;
+
+    if (event.type === 'message' && event.message.type === 'text') {
+        command = await handleTextMessage(db, event, io);
+    } else if (event.type === 'follow') {
+        await replyLINEMessage(db, event.replyToken, `Welcome to RehabPlus!\n\n${HELP_MESSAGE}`);
+    } else if (event.type === 'unfollow' && event.source.userId) {
+        // Blocked accounts cannot receive pushes
+        await db.execute(
+            'UPDATE patient_line_accounts SET is_active = 0, unlinked_at = NOW() WHERE line_user_id = ? AND is_active = 1',
+            [event.source.userId]
+        );
+    }
+
+    await logWebhookEvent(db, event, command);
+};
+
+// ========================================
+// LINE WEBHOOK
+// ========================================
 
 // LINE webhook handler
 router.post('/line', async (req, res) => {
     try {
-        console.log('LINE webhook received:', req.body);
+        const db = req.app.locals.db;
+        const lineConfig = await getLINEConfig(db);
+
+        if (!lineConfig || !lineConfig.channelSecret) {
+            console.error('[LINE] Webhook rejected: Channel Secret not configured');
+            return res.status(503).send('LINE channel not configured');
+        }
+
+        if (!verifyLINESignature(lineConfig.channelSecret, req.rawBody, req.headers['x-line-signature'])) {
+            console.warn('[LINE] Webhook rejected: invalid signature');
+            return res.status(401).send('Invalid signature');
+        }
+
+        // Acknowledge first; LINE retries if the response is slow
         res.status(200).send('OK');
+
+        for (const event of req.body.events || []) {
+            await handleEvent(db, event, req.app.locals.io).catch(err => console.error('[LINE] Event handling error:', err));
+        }
     } catch (error) {
         console.error('LINE webhook error:', error);
+        if (!res.headersSent) {
+            res.status(500).send('Error');
+        }
+    }
+});
+
+// ========================================
+// INBOUND SMS WEBHOOK
+// ========================================
+
+// Replies from patients forwarded by the SMS provider; STOP withdraws SMS
+// marketing consent. The provider calls /webhook/sms?secret=<sms_inbound_webhook_secret>
+// with the sender number (msisdn/from) and the text (message/text).
+router.post('/sms', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        const [settings] = await db.execute(
+            "SELECT setting_value FROM system_settings WHERE setting_key = 'sms_inbound_webhook_secret'"
+        );
+        const secret = settings.length > 0 ? settings[0].setting_value : '';
+
+        if (!secret) {
+            return res.status(503).send('Inbound SMS not configured');
+        }
+
+        // Compare bytes, not characters: timingSafeEqual throws on buffers of different lengths
+        const provided = Buffer.from(String(req.query.secret || ''));
+        const expected = Buffer.from(secret);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            console.warn('[SMS] Webhook rejected: invalid secret');
+            return res.status(401).send('Invalid secret');
+        }
+
+        const from = req.body.msisdn || req.body.from || req.body.phone;
+        const message = req.body.message || req.body.text;
+
+        if (from && isStopKeyword(message)) {
+            const optedOut = await optOutByPhone(db, from, req.ip);
+            console.log(`[SMS] STOP from ${from}: ${optedOut} patient(s) opted out`);
+        }
+
+        res.status(200).send('OK');
+    } catch (error) {
+        console.error('SMS webhook error:', error);
         res.status(500).send('Error');
     }
 });
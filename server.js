@@ -16,6 +16,9 @@ const rateLimit = require('express-rate-limit');
 // Import app configuration
 const app = require('./app');
 const { initializeSocketIO } = require('./socket-server');
+const { startWaitlistWorker } = require('./utils/waitlist');
+const { startReminderScheduler } = require('./utils/reminders');
+const { startBroadcastDispatcher } = require('./utils/broadcast');
 
 // Create necessary directories
 const createDirectories = async () => {
@@ -334,6 +337,18 @@ const initializeServer = async () => {
         console.log('  - rehabplus.lantavafix.com');
         console.log('  - famcare.lantavafix.com\n');
 
+        // Expire waitlist holds and pass their slots to the next person
+        startWaitlistWorker(pool);
+        console.log('✓ Waitlist worker started');
+
+        // Send appointment reminders at each configured offset
+        startReminderScheduler(pool);
+        console.log('✓ Reminder scheduler started');
+
+        // Start scheduled broadcast campaigns and work through the send queue
+        startBroadcastDispatcher(pool, io);
+        console.log('✓ Broadcast dispatcher started');
+
         // Setup graceful shutdown
         setupGracefulShutdown(server, pool);
         
@@ -1,11 +1,38 @@
 // socket-server.js - Socket.IO Server for Cross-Domain Chat
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const socketIO = require('socket.io');
+const { getClinicRooms } = require('./utils/realtime');
+const {
+    getConversation,
+    listConversations,
+    getOrCreateDirectConversation,
+    getConversationRooms,
+    conversationRoom,
+    notifyMembers,
+    emitNewMessage,
+    getOnlineMemberIds,
+    toSocketMessage,
+    createMessage,
+    markDelivered,
+    markRead,
+    notifyReceipts,
+    editMessage,
+    deleteMessage
+} = require('./utils/chat');
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMER_MS = 2147483647;
 
 /**
  * Initialize Socket.IO with cross-subdomain support
  * Supports chat between:
  * - rehabplus.lantavafix.com
  * - famcare.lantavafix.com
+ *
+ * Sockets are authenticated at the handshake with the same JWT the API
+ * accepts (Authorization header, authToken cookie or auth.token); the user is
+ * taken from the token, never from what the client sends.
  */
 function initializeSocketIO(server, db) {
     const io = socketIO(server, {
@@ -26,55 +53,108 @@ function initializeSocketIO(server, db) {
         pingInterval: 25000
     });
 
-    // Store active connections: { userId: socketId }
+    // Open sockets per user, for online/offline presence: { userId: Set<socketId> }
+    // Events are routed through rooms (user:, conversation:, clinic:), not this map
     const activeUsers = new Map();
 
     // Store user domains: { userId: domain }
     const userDomains = new Map();
 
-    io.on('connection', (socket) => {
-        console.log(`[SOCKET] New connection: ${socket.id}`);
+    // Handshake authentication
+    io.use(async (socket, next) => {
+        try {
+            const token = getHandshakeToken(socket.handshake);
+            if (!token) {
+                return next(new Error('Access token required'));
+            }
 
-        // User Authentication
-        socket.on('authenticate', async ({ userId, userRole, userEmail, domain }) => {
+            let payload;
             try {
-                // Verify user exists in database
-                const [users] = await db.execute(
-                    'SELECT id, email, role FROM users WHERE id = ?',
-                    [userId]
-                );
-
-                if (users.length === 0) {
-                    socket.emit('auth_error', { message: 'User not found' });
-                    return;
-                }
+                payload = jwt.verify(token, process.env.JWT_SECRET);
+            } catch (error) {
+                return next(new Error('Invalid or expired token'));
+            }
+
+            if (await isTokenRevoked(db, token)) {
+                return next(new Error('Invalid or expired token'));
+            }
+
+            const [users] = await db.execute(
+                'SELECT id, email, role, clinic_id FROM users WHERE id = ? AND active = 1',
+                [payload.id]
+            );
+            if (users.length === 0) {
+                return next(new Error('User not found'));
+            }
+
+            // socket.data is what fetchSockets() exposes, e.g. to revokeSocketToken
+            socket.data.user = users[0];
+            socket.data.tokenHash = hashToken(token);
+            socket.data.tokenExpiresAt = payload.exp ? payload.exp * 1000 : null;
+            socket.data.clinicRooms = await getClinicRooms(db, users[0]);
+            socket.data.conversationRooms = await getConversationRooms(db, users[0].id);
+            next();
+        } catch (error) {
+            console.error('[SOCKET] Handshake error:', error);
+            next(new Error('Authentication failed'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        const { id: userId, role: userRole, email: userEmail } = socket.data.user;
+        const domain = getHandshakeDomain(socket.handshake);
+
+        socket.userId = userId;
+        socket.userRole = userRole;
+        socket.userEmail = userEmail;
+        socket.domain = domain;
+
+        console.log(`[SOCKET] User ${userId} connected from ${domain}: ${socket.id}`);
+
+        // Close the socket when its token expires
+        let expiryTimer = null;
+        if (socket.data.tokenExpiresAt) {
+            expiryTimer = setTimeout(() => {
+                socket.emit('auth_error', { message: 'Session expired' });
+                socket.disconnect(true);
+            }, Math.min(MAX_TIMER_MS, Math.max(0, socket.data.tokenExpiresAt - Date.now())));
+        }
+
+        if (!activeUsers.has(userId)) {
+            activeUsers.set(userId, new Set());
+        }
+        activeUsers.get(userId).add(socket.id);
+        userDomains.set(userId, domain);
 
-                // Store user connection
-                socket.userId = userId;
-                socket.userRole = userRole;
-                socket.userEmail = userEmail;
-                socket.domain = domain;
+        // Join user's personal room
+        socket.join(`user:${userId}`);
 
-                activeUsers.set(userId, socket.id);
-                userDomains.set(userId, domain);
+        // Join domain room (for domain-specific broadcasts)
+        socket.join(`domain:${domain}`);
 
-                // Join user's personal room
-                socket.join(`user:${userId}`);
+        // Join role room (staff-wide updates such as broadcast progress)
+        socket.join(`role:${userRole}`);
 
-                // Join domain room (for domain-specific broadcasts)
-                socket.join(`domain:${domain}`);
+        // Join clinic rooms (appointment, PN and bill events of clinics the user can access)
+        socket.join(socket.data.clinicRooms);
 
-                console.log(`[SOCKET] User ${userId} authenticated from ${domain}`);
+        // Join conversation rooms (direct, group and clinic channel messages);
+        // membership changes later are applied with socketsJoin/socketsLeave
+        socket.join(socket.data.conversationRooms);
 
+        // Broadcast to all users that someone is online
+        io.emit('user_online', { userId, domain });
+
+        // Clients still announce themselves; the user is already known from
+        // the token, so anything they send here is ignored
+        socket.on('authenticate', async () => {
+            try {
                 // Notify user of successful connection
                 socket.emit('authenticated', {
                     userId,
                     connectedUsers: Array.from(activeUsers.keys())
                 });
 
-                // Broadcast to all users that someone is online
-                io.emit('user_online', { userId, domain });
-
                 // Load recent conversations for this user
                 await loadUserConversations(socket, userId, db);
             } catch (error) {
@@ -83,95 +163,93 @@ function initializeSocketIO(server, db) {
             }
         });
 
-        // Send Message
-        socket.on('send_message', async ({ recipientId, message, conversationId }) => {
+        // Messages sent while the user was offline are now delivered
+        markDelivered(db, userId)
+            .then(receipts => notifyReceipts(io, receipts, 'message_delivered', userId))
+            .catch(err => console.warn('[SOCKET] Failed to mark messages delivered:', err.message));
+
+        // Send Message (attachments go through POST /api/chat/conversations/:id/attachments)
+        socket.on('send_message', async ({ recipientId, message, conversationId } = {}) => {
             try {
-                if (!socket.userId) {
-                    socket.emit('error', { message: 'Not authenticated' });
+                if (!message || !String(message).trim()) {
+                    socket.emit('error', { message: 'Message is required' });
                     return;
                 }
 
-                const senderId = socket.userId;
-                const timestamp = new Date();
-
-                // Save message to database
-                const [result] = await db.execute(
-                    `INSERT INTO chat_messages
-                    (conversation_id, sender_id, recipient_id, message, created_at)
-                    VALUES (?, ?, ?, ?, ?)`,
-                    [conversationId || null, senderId, recipientId, message, timestamp]
-                );
-
-                const messageId = result.insertId;
-
-                // Get conversation ID if not provided
-                let finalConversationId = conversationId;
-                if (!conversationId) {
-                    // Create or get conversation
-                    const [conv] = await db.execute(
-                        `INSERT INTO chat_conversations
-                        (user1_id, user2_id, last_message_at, created_at)
-                        VALUES (?, ?, ?, ?)
-                        ON DUPLICATE KEY UPDATE
-                        last_message_at = VALUES(last_message_at),
-                        id = LAST_INSERT_ID(id)`,
-                        [Math.min(senderId, recipientId), Math.max(senderId, recipientId), timestamp, timestamp]
-                    );
-                    finalConversationId = conv.insertId;
+                const senderId = userId;
+                let conversation;
 
-                    // Update the message with conversation_id
-                    await db.execute(
-                        'UPDATE chat_messages SET conversation_id = ? WHERE id = ?',
-                        [finalConversationId, messageId]
+                if (conversationId) {
+                    conversation = await getConversation(db, conversationId, senderId);
+                    if (!conversation) {
+                        socket.emit('error', { message: 'Conversation not found' });
+                        return;
+                    }
+                } else {
+                    const finalRecipientId = parseInt(recipientId);
+                    const [recipients] = await db.execute(
+                        'SELECT id FROM users WHERE id = ? AND active = 1',
+                        [finalRecipientId || 0]
                     );
+                    if (recipients.length === 0 || finalRecipientId === senderId) {
+                        socket.emit('error', { message: 'Recipient not found' });
+                        return;
+                    }
+
+                    conversation = await getOrCreateDirectConversation(db, io, senderId, finalRecipientId);
                 }
 
-                const messageData = {
-                    id: messageId,
-                    conversationId: finalConversationId,
+                const saved = await createMessage(db, {
+                    conversation,
                     senderId,
-                    recipientId,
-                    message,
-                    timestamp: timestamp.toISOString(),
-                    senderDomain: socket.domain
-                };
-
-                // Send to sender (confirmation)
-                socket.emit('message_sent', messageData);
-
-                // Send to recipient (if online)
-                const recipientSocketId = activeUsers.get(recipientId);
-                if (recipientSocketId) {
-                    io.to(recipientSocketId).emit('new_message', messageData);
-                } else {
-                    console.log(`[SOCKET] Recipient ${recipientId} is offline`);
-                }
+                    message: String(message),
+                    deliveredTo: await getOnlineMemberIds(io, conversation.id)
+                });
 
-                // Update conversation last message time
-                await db.execute(
-                    'UPDATE chat_conversations SET last_message_at = ? WHERE id = ?',
-                    [timestamp, finalConversationId]
-                );
+                // message_sent to the sender's tabs, new_message to every other member's
+                emitNewMessage(io, saved, socket.domain);
 
             } catch (error) {
+                if (error.status) {
+                    socket.emit('error', { message: error.message });
+                    return;
+                }
                 console.error('[SOCKET] Send message error:', error);
                 socket.emit('error', { message: 'Failed to send message' });
             }
         });
 
-        // Mark Messages as Read
-        socket.on('mark_read', async ({ conversationId }) => {
+        // Edit / delete own message; every member's open sockets get the change
+        socket.on('edit_message', async ({ messageId, message } = {}) => {
+            try {
+                const result = await editMessage(db, messageId, userId, message);
+                notifyMembers(io, result.conversation, 'message_edited', toSocketMessage(result.message));
+            } catch (error) {
+                if (!error.status) console.error('[SOCKET] Edit message error:', error);
+                socket.emit('error', { message: error.status ? error.message : 'Failed to edit message' });
+            }
+        });
+
+        socket.on('delete_message', async ({ messageId } = {}) => {
             try {
-                if (!socket.userId) return;
+                const result = await deleteMessage(db, messageId, userId);
+                notifyMembers(io, result.conversation, 'message_deleted', toSocketMessage(result.message));
+            } catch (error) {
+                if (!error.status) console.error('[SOCKET] Delete message error:', error);
+                socket.emit('error', { message: error.status ? error.message : 'Failed to delete message' });
+            }
+        });
 
-                await db.execute(
-                    `UPDATE chat_messages
-                    SET read_at = NOW()
-                    WHERE conversation_id = ?
-                    AND recipient_id = ?
-                    AND read_at IS NULL`,
-                    [conversationId, socket.userId]
-                );
+        // Mark Messages as Read (up to messageId when given); senders get read receipts
+        socket.on('mark_read', async ({ conversationId, messageId } = {}) => {
+            try {
+                if (!await getConversation(db, conversationId, userId)) {
+                    socket.emit('error', { message: 'Conversation not found' });
+                    return;
+                }
+
+                const receipts = await markRead(db, conversationId, userId, parseInt(messageId) || null);
+                notifyReceipts(io, receipts, 'messages_read', userId);
 
                 socket.emit('messages_marked_read', { conversationId });
             } catch (error) {
@@ -179,62 +257,116 @@ function initializeSocketIO(server, db) {
             }
         });
 
-        // Typing Indicator
-        socket.on('typing', ({ recipientId, isTyping }) => {
-            const recipientSocketId = activeUsers.get(recipientId);
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('user_typing', {
-                    userId: socket.userId,
-                    isTyping
+        // Typing Indicator - to the other members of the conversation
+        socket.on('typing', async ({ conversationId, isTyping } = {}) => {
+            try {
+                if (!await getConversation(db, conversationId, userId)) return;
+
+                socket.to(conversationRoom(conversationId)).except(`user:${userId}`).emit('user_typing', {
+                    userId,
+                    conversationId: parseInt(conversationId),
+                    isTyping: !!isTyping
                 });
+            } catch (error) {
+                console.error('[SOCKET] Typing error:', error);
             }
         });
 
         // Disconnect
         socket.on('disconnect', () => {
-            if (socket.userId) {
-                activeUsers.delete(socket.userId);
-                userDomains.delete(socket.userId);
-
-                // Notify all users that someone went offline
-                io.emit('user_offline', { userId: socket.userId });
+            clearTimeout(expiryTimer);
 
-                console.log(`[SOCKET] User ${socket.userId} disconnected`);
+            const sockets = activeUsers.get(userId);
+            if (sockets) {
+                sockets.delete(socket.id);
+                if (sockets.size > 0) return;
             }
+
+            activeUsers.delete(userId);
+            userDomains.delete(userId);
+
+            // Notify all users that someone went offline
+            io.emit('user_offline', { userId });
+
+            console.log(`[SOCKET] User ${userId} disconnected`);
         });
     });
 
     return io;
 }
 
+// ========================================
+// HANDSHAKE HELPERS
+// ========================================
+
+// Same sources as authenticateToken: Authorization header, then authToken cookie
+function getHandshakeToken(handshake) {
+    const authHeader = handshake.headers.authorization;
+    const headerToken = authHeader && authHeader.split(' ')[1];
+    if (headerToken) return headerToken;
+
+    const cookieHeader = handshake.headers.cookie || '';
+    const cookie = cookieHeader.split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith('authToken='));
+    if (cookie) return decodeURIComponent(cookie.substring('authToken='.length));
+
+    // Non-browser clients: io(url, { auth: { token } })
+    return handshake.auth && handshake.auth.token ? handshake.auth.token : null;
+}
+
+// Domain rooms follow the page the socket was opened from
+function getHandshakeDomain(handshake) {
+    try {
+        return new URL(handshake.headers.origin).hostname;
+    } catch (error) {
+        return (handshake.headers.host || 'unknown').split(':')[0];
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function isTokenRevoked(db, token) {
+    const [rows] = await db.execute(
+        'SELECT 1 FROM revoked_tokens WHERE token_hash = ?',
+        [hashToken(token)]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * End a logged-out token for Socket.IO: it can no longer connect, and sockets
+ * opened with it are closed. Other sessions of the same user stay connected.
+ */
+async function revokeSocketToken(io, db, token, userId) {
+    const payload = jwt.decode(token);
+    const expiresAt = payload && payload.exp ? new Date(payload.exp * 1000) : new Date();
+    const tokenHash = hashToken(token);
+
+    await db.execute('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+    await db.execute(
+        'INSERT IGNORE INTO revoked_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+        [tokenHash, userId, expiresAt]
+    );
+
+    if (io) {
+        const sockets = await io.in(`user:${userId}`).fetchSockets();
+        sockets
+            .filter(socket => socket.data.tokenHash === tokenHash)
+            .forEach(socket => socket.disconnect(true));
+    }
+}
+
 // Helper function to load user conversations
 async function loadUserConversations(socket, userId, db) {
     try {
-        const [conversations] = await db.execute(
-            `SELECT
-                c.id as conversation_id,
-                c.last_message_at,
-                IF(c.user1_id = ?, c.user2_id, c.user1_id) as other_user_id,
-                u.first_name,
-                u.last_name,
-                u.email,
-                u.role,
-                (SELECT COUNT(*) FROM chat_messages
-                 WHERE conversation_id = c.id
-                 AND recipient_id = ?
-                 AND read_at IS NULL) as unread_count
-            FROM chat_conversations c
-            JOIN users u ON u.id = IF(c.user1_id = ?, c.user2_id, c.user1_id)
-            WHERE c.user1_id = ? OR c.user2_id = ?
-            ORDER BY c.last_message_at DESC
-            LIMIT 50`,
-            [userId, userId, userId, userId, userId]
-        );
-
+        const conversations = await listConversations(db, userId, { limit: 50 });
         socket.emit('conversations_loaded', { conversations });
     } catch (error) {
         console.error('[SOCKET] Load conversations error:', error);
     }
 }
 
-module.exports = { initializeSocketIO };
\ No newline at end of file
+module.exports = { initializeSocketIO, revokeSocketToken };
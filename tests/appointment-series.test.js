@@ -0,0 +1,95 @@
+// Appointment series - occurrences are re-checked inside the transaction and
+// cancelled occurrences go to the waitlist
+const { test } = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const appointmentsRoutes = require('../routes/appointments');
+
+const nextMonday = moment().add(1, 'week').isoWeekday(1).format('YYYY-MM-DD');
+
+const series = {
+    patient_id: 11,
+    pt_id: 4,
+    clinic_id: 1,
+    start_date: nextMonday,
+    start_time: '10:00:00',
+    end_time: '11:00:00',
+    days_of_week: [1],
+    end_type: 'COUNT',
+    occurrence_count: 2
+};
+
+test('a date booked after planning rolls the series back with 409', async () => {
+    const bookedMeanwhile = moment(nextMonday).add(1, 'week').format('YYYY-MM-DD');
+    const db = createFakeDb({
+        handlers: [[/FROM appointments[\s\S]*FOR UPDATE$/, (params) => params[1] === bookedMeanwhile ? [{ id: 50 }] : []]]
+    });
+    const app = await startApp(appointmentsRoutes, db);
+
+    try {
+        const response = await app.request('POST', '/api/appointment-series', {
+            user: { id: 1, role: 'ADMIN' },
+            body: series
+        });
+
+        assert.strictEqual(response.status, 409, response.text);
+        assert.deepStrictEqual(response.body.conflicts.map(c => c.appointment_date), [bookedMeanwhile]);
+        assert.strictEqual(db.find(/INSERT INTO appointment/).length, 0);
+        assert.strictEqual(db.find(/^ROLLBACK$/).length, 1);
+    } finally {
+        await app.close();
+    }
+});
+
+test('free dates are locked and booked in the same transaction', async () => {
+    const db = createFakeDb();
+    const app = await startApp(appointmentsRoutes, db);
+
+    try {
+        const response = await app.request('POST', '/api/appointment-series', {
+            user: { id: 1, role: 'ADMIN' },
+            body: series
+        });
+
+        assert.strictEqual(response.status, 201, response.text);
+        const statements = db.queries.map(q => q.sql);
+        const isLock = sql => /FROM appointments[\s\S]*FOR UPDATE$/.test(sql);
+        assert.strictEqual(statements.filter(isLock).length, 2);
+        assert.ok(statements.findIndex(isLock) > statements.indexOf('BEGIN'));
+        assert.ok(statements.findLastIndex(isLock) < statements.findIndex(sql => /INSERT INTO appointment_series/.test(sql)));
+    } finally {
+        await app.close();
+    }
+});
+
+test('cancelling a series offers every freed slot to the waitlist', async () => {
+    const dates = [1, 2].map(weeks => moment(nextMonday).add(weeks, 'weeks').format('YYYY-MM-DD'));
+    const db = createFakeDb({
+        handlers: [
+            [/FROM appointment_series s WHERE s\.id = \?/, [{ id: 3, clinic_id: 1, pt_id: 4, status: 'ACTIVE' }]],
+            [/WHERE series_id = \? AND [\s\S]*appointment_date >= \?/, dates.map((date, index) => ({
+                id: 60 + index, pt_id: 4, pn_case_id: null, appointment_date: date, start_time: '10:00:00', end_time: '11:00:00'
+            }))],
+            [/SELECT COUNT\(\*\) AS count FROM appointments/, [{ count: 0 }]]
+        ]
+    });
+    const app = await startApp(appointmentsRoutes, db);
+
+    try {
+        const response = await app.request('POST', '/api/appointment-series/3/cancel', {
+            user: { id: 1, role: 'ADMIN' },
+            body: { scope: 'ALL' }
+        });
+        assert.strictEqual(response.status, 200, response.text);
+
+        // The offers run after the response; give them a moment to query the waitlist
+        for (let i = 0; i < 20 && db.find(/FROM waitlist_entries e/).length < 2; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.deepStrictEqual(db.find(/FROM waitlist_entries e/).map(q => q.params[2]), dates);
+    } finally {
+        await app.close();
+    }
+});
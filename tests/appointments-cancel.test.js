@@ -0,0 +1,97 @@
+// DELETE and PUT /api/appointments/:id - staff cancel through the shared appointment helpers
+const { test } = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const appointmentsRoutes = require('../routes/appointments');
+
+const COLUMNS = {
+    appointments: ['status', 'cancellation_reason', 'cancelled_at', 'cancelled_by', 'updated_at', 'calendar_event_id'],
+    pn_cases: ['status', 'cancellation_reason', 'cancelled_at', 'updated_at'],
+    pn_status_history: ['pn_id', 'old_status', 'new_status', 'changed_by', 'change_reason', 'is_reversal']
+};
+
+const appointment = {
+    id: 7,
+    status: 'SCHEDULED',
+    booking_type: 'OLD_PATIENT',
+    patient_id: 11,
+    pt_id: 4,
+    clinic_id: 1,
+    pn_case_id: 21,
+    pn_status: 'PENDING',
+    course_id: null,
+    series_id: null,
+    calendar_event_id: null,
+    appointment_date: moment().add(3, 'days').format('YYYY-MM-DD'),
+    start_time: '10:00:00',
+    end_time: '11:00:00'
+};
+
+test('staff cancel stores the reason on the appointment and its PN case', async () => {
+    const db = createFakeDb({
+        columns: COLUMNS,
+        handlers: [
+            [/FROM appointments a\s+LEFT JOIN pn_cases pn[\s\S]*WHERE a\.id = \?/, [appointment]],
+            [/SELECT status FROM pn_cases WHERE id = \? FOR UPDATE/, [{ status: 'PENDING' }]]
+        ]
+    });
+    const app = await startApp(appointmentsRoutes, db);
+
+    try {
+        const response = await app.request('DELETE', '/api/appointments/7', {
+            user: { id: 1, role: 'ADMIN' },
+            body: { cancellation_reason: 'Patient is unwell' }
+        });
+
+        assert.strictEqual(response.status, 200, response.text);
+        assert.strictEqual(response.body.pn_synced, true);
+
+        const [appointmentUpdate] = db.find(/^\s*UPDATE appointments\s+SET status = 'CANCELLED'/);
+        assert.deepStrictEqual(appointmentUpdate.params, ['Patient is unwell', 1, '7']);
+
+        const [caseUpdate] = db.find(/^\s*UPDATE pn_cases\s+SET status = 'CANCELLED'/);
+        assert.deepStrictEqual(caseUpdate.params, ['Patient is unwell', 21]);
+    } finally {
+        await app.close();
+    }
+});
+
+test('cancelling an unknown appointment is a 404', async () => {
+    const db = createFakeDb({ columns: COLUMNS });
+    const app = await startApp(appointmentsRoutes, db);
+
+    try {
+        const response = await app.request('DELETE', '/api/appointments/99', { user: { id: 1, role: 'PT' } });
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(db.find(/^\s*UPDATE/).length, 0);
+    } finally {
+        await app.close();
+    }
+});
+
+test('cancelling through PUT offers the freed slot to the waitlist', async () => {
+    const db = createFakeDb({
+        handlers: [[/FROM appointments a\s+LEFT JOIN pn_cases pn[\s\S]*WHERE a\.id = \?/, [{ ...appointment, pn_case_id: null }]]]
+    });
+    const app = await startApp(appointmentsRoutes, db);
+
+    try {
+        const response = await app.request('PUT', '/api/appointments/7', {
+            user: { id: 1, role: 'ADMIN' },
+            body: { status: 'CANCELLED' }
+        });
+        assert.strictEqual(response.status, 200, response.text);
+
+        // The offer runs after the response; give it a moment to query the waitlist
+        for (let i = 0; i < 20 && db.find(/FROM waitlist_entries e/).length === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const [waitlistQuery] = db.find(/FROM waitlist_entries e/);
+        assert.ok(waitlistQuery, 'waitlist was not queried');
+        assert.deepStrictEqual(waitlistQuery.params.slice(0, 3), [1, 4, appointment.appointment_date]);
+    } finally {
+        await app.close();
+    }
+});
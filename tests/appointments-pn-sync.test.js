@@ -0,0 +1,73 @@
+// PUT /api/appointments/:id - PN case and course ledger follow the appointment in one transaction
+const { test } = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const appointmentsRoutes = require('../routes/appointments');
+
+const appointment = {
+    id: 7,
+    status: 'SCHEDULED',
+    booking_type: 'OLD_PATIENT',
+    patient_id: 11,
+    pt_id: 4,
+    clinic_id: 1,
+    pn_case_id: 21,
+    pn_status: 'PENDING',
+    course_id: 5,
+    series_id: null,
+    calendar_event_id: null,
+    appointment_date: moment().add(3, 'days').format('YYYY-MM-DD'),
+    start_time: '10:00:00',
+    end_time: '11:00:00'
+};
+
+const caseHandlers = [
+    [/FROM appointments a\s+LEFT JOIN pn_cases pn[\s\S]*WHERE a\.id = \?/, [appointment]],
+    [/SELECT status FROM pn_cases WHERE id = \? FOR UPDATE/, [{ status: 'PENDING' }]],
+    [/SELECT id FROM courses WHERE id = \? FOR UPDATE/, [{ id: 5 }]],
+    // Accepted once, then returned to pending: a USE row exists but the case holds no session
+    [/SUM\(CASE action_type/, [{ net: 0 }]],
+    [/action_type = 'USE'\s+LIMIT 1/, [{ id: 90 }]]
+];
+
+const complete = (db) => startApp(appointmentsRoutes, db).then(async (app) => {
+    try {
+        return await app.request('PUT', '/api/appointments/7', {
+            user: { id: 1, role: 'ADMIN' },
+            body: { status: 'COMPLETED' }
+        });
+    } finally {
+        await app.close();
+    }
+});
+
+test('completing after a returned session deducts the course again inside the transaction', async () => {
+    const db = createFakeDb({ handlers: caseHandlers });
+    const response = await complete(db);
+    assert.strictEqual(response.status, 200, response.text);
+
+    const statements = db.queries.map(q => q.sql);
+    const begin = statements.indexOf('BEGIN');
+    const commit = statements.indexOf('COMMIT');
+    const deduct = statements.findIndex(sql => /SET used_sessions = used_sessions \+ 1/.test(sql));
+    const usage = statements.findIndex(sql => /INSERT INTO course_usage_history[\s\S]*'USE'/.test(sql));
+
+    assert.ok(begin !== -1 && begin < deduct && deduct < usage && usage < commit, statements.join('\n---\n'));
+    assert.deepStrictEqual(db.queries[deduct].params, [5]);
+});
+
+test('a failed status history insert rolls the whole change back', async () => {
+    const db = createFakeDb({
+        handlers: [
+            [/INSERT INTO pn_status_history/, () => { throw new Error('Lock wait timeout exceeded'); }],
+            ...caseHandlers
+        ]
+    });
+    const response = await complete(db);
+
+    assert.strictEqual(response.status, 500, response.text);
+    assert.strictEqual(db.find(/^ROLLBACK$/).length, 1);
+    assert.strictEqual(db.find(/^COMMIT$/).length, 0);
+});
@@ -0,0 +1,60 @@
+// Bill CSV import: rows are checked against the clinics the user can access
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { validateBillRows, insertBills } = require('../utils/bill-import');
+
+const row = {
+    _row: 2, bill_ref: 'A', bill_date: '2026-10-01', clinic_id: '1', patient_hn: 'HN0042',
+    service_id: '3', quantity: '1', unit_price: '500'
+};
+
+test('a patient of another clinic is rejected even when the bill clinic is accessible', async () => {
+    const db = createFakeDb({
+        handlers: [
+            [/FROM patients WHERE hn = \?/, [{ id: 42, hn: 'HN0042', clinic_id: 2, name: 'Somchai Jaidee' }]],
+            [/FROM clinics WHERE id = \?/, [{ id: 1 }]]
+        ]
+    });
+
+    const { bills, report } = await validateBillRows(db, [row], [1]);
+
+    assert.strictEqual(bills.length, 0);
+    assert.match(JSON.stringify(report), /No access to patient HN0042/);
+});
+
+const importDb = () => createFakeDb({
+    handlers: [
+        [/FROM patients WHERE hn = \?/, [{ id: 42, hn: 'HN0042', clinic_id: 1, name: 'Somchai Jaidee' }]],
+        [/FROM clinics WHERE id = \?/, [{ id: 1 }]],
+        [/FROM services WHERE id = \?/, [{ id: 3, service_name: 'Physiotherapy', price: 500 }]],
+        [/SELECT bill_code FROM bills/, []],
+        [/INSERT INTO bills/, { insertId: 7 }],
+        [/INSERT INTO bill_items/, { insertId: 1 }]
+    ]
+});
+
+test('a PAID row is imported as paid, on its bill date when no payment_date is given', async () => {
+    const db = importDb();
+
+    const { bills, report } = await validateBillRows(db, [{ ...row, payment_status: 'paid' }], [1]);
+    assert.strictEqual(bills.length, 1, JSON.stringify(report));
+    assert.strictEqual(bills[0].payment_status, 'PAID');
+    assert.strictEqual(bills[0].payment_date, '2026-10-01');
+
+    const created = await insertBills(db, bills, 1);
+    const [insert] = db.find(/INSERT INTO bills/);
+    assert.ok(insert.params.includes('PAID'));
+    assert.ok(insert.params.includes('2026-10-01'));
+    assert.strictEqual(created[0].payment_status, 'PAID');
+});
+
+test('rows without payment_status stay UNPAID and unknown statuses are rejected', async () => {
+    const unpaid = await validateBillRows(importDb(), [row], [1]);
+    assert.strictEqual(unpaid.bills[0].payment_status, 'UNPAID');
+    assert.strictEqual(unpaid.bills[0].payment_date, null);
+
+    const invalid = await validateBillRows(importDb(), [{ ...row, payment_status: 'SETTLED' }], [1]);
+    assert.strictEqual(invalid.bills.length, 0);
+    assert.match(JSON.stringify(invalid.report), /payment_status must be one of/);
+});
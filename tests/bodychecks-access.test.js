@@ -0,0 +1,45 @@
+// Body check and annotation reads are scoped to the PN case's clinics
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const bodychecksRoutes = require('../routes/bodychecks');
+
+const handlers = [
+    [/FROM body_annotations ba\s+LEFT JOIN users u[\s\S]*WHERE ba\.id = \?/, [{
+        id: 3, entity_type: 'pn_case', entity_id: 21, version: 1, appointment_id: null,
+        strokes_json: '[]', created_by: 9, created_at: '2026-10-01 10:00:00'
+    }]],
+    [/FROM pn_cases WHERE id = \?/, [{ source_clinic_id: 1, target_clinic_id: 2 }]],
+    [/FROM user_clinic_grants/, []]
+];
+
+test('a CLINIC user of another clinic cannot read or render an annotation', async () => {
+    const db = createFakeDb({ handlers });
+    const app = await startApp(bodychecksRoutes, db);
+
+    try {
+        const user = { id: 5, role: 'CLINIC', clinic_id: 3 };
+        const read = await app.request('GET', '/api/body-annotations/3', { user });
+        assert.strictEqual(read.status, 403);
+
+        const render = await app.request('GET', '/api/body-annotations/3/render', { user });
+        assert.strictEqual(render.status, 403);
+        assert.strictEqual(db.find(/JOIN patients p ON pn.patient_id = p.id/).length, 0);
+    } finally {
+        await app.close();
+    }
+});
+
+test('a CLINIC user of the target clinic can read the annotation', async () => {
+    const db = createFakeDb({ handlers });
+    const app = await startApp(bodychecksRoutes, db);
+
+    try {
+        const read = await app.request('GET', '/api/body-annotations/3', { user: { id: 5, role: 'CLINIC', clinic_id: 2 } });
+        assert.strictEqual(read.status, 200, read.text);
+        assert.strictEqual(read.body.id, 3);
+    } finally {
+        await app.close();
+    }
+});
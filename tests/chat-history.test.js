@@ -0,0 +1,40 @@
+// GET /api/chat/messages/:id/history - deleted text stays with the sender and ADMIN
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const chatRoutes = require('../routes/chat');
+
+const setup = () => createFakeDb({
+    handlers: [
+        [/FROM chat_messages WHERE id = \?/, [{ conversation_id: 4, sender_id: 5, deleted_at: '2026-10-10 09:00:00' }]],
+        [/FROM chat_conversations c\s+JOIN chat_conversation_members cm/, [{ id: 4, type: 'group' }]],
+        [/FROM chat_message_edits e/, [{ id: 1, action: 'DELETE', previous_message: 'private text' }]]
+    ]
+});
+
+test('another member cannot read the history of a deleted message', async () => {
+    const app = await startApp(chatRoutes, setup(), '/api/chat');
+
+    try {
+        const response = await app.request('GET', '/api/chat/messages/9/history', { user: { id: 6, role: 'PT' } });
+        assert.strictEqual(response.status, 403);
+        assert.doesNotMatch(response.text, /private text/);
+    } finally {
+        await app.close();
+    }
+});
+
+test('the sender and ADMIN can read it', async () => {
+    const app = await startApp(chatRoutes, setup(), '/api/chat');
+
+    try {
+        for (const user of [{ id: 5, role: 'PT' }, { id: 1, role: 'ADMIN' }]) {
+            const response = await app.request('GET', '/api/chat/messages/9/history', { user });
+            assert.strictEqual(response.status, 200, response.text);
+            assert.strictEqual(response.body.history[0].previous_message, 'private text');
+        }
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,38 @@
+// GET /api/chat/search - message search scoped to the user's conversations
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb, boundTo } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const chatRoutes = require('../routes/chat');
+
+test('search binds the user to the membership join and the text to MATCH', async () => {
+    const db = createFakeDb();
+    const app = await startApp(chatRoutes, db, '/api/chat');
+
+    try {
+        const response = await app.request('GET', '/api/chat/search?q=12%20x', { user: { id: 5, role: 'PT' } });
+        assert.strictEqual(response.status, 200, response.text);
+
+        const [search] = db.find(/FROM chat_messages m/);
+        assert.strictEqual(boundTo(search, 'cm.user_id = ?'), 5);
+        assert.strictEqual(boundTo(search, 'c.user1_id = ?'), 5);
+        assert.strictEqual(boundTo(search, 'MATCH(m.message) AGAINST (? IN BOOLEAN MODE) as relevance'), '12 x');
+        assert.strictEqual(boundTo(search, 'AND (MATCH(m.message) AGAINST (?'), '12 x');
+        assert.strictEqual(boundTo(search, 'file_name LIKE ?'), '%12 x%');
+    } finally {
+        await app.close();
+    }
+});
+
+test('search needs at least 2 characters', async () => {
+    const db = createFakeDb();
+    const app = await startApp(chatRoutes, db, '/api/chat');
+
+    try {
+        const response = await app.request('GET', '/api/chat/search?q=a', { user: { id: 5, role: 'PT' } });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(db.find(/FROM chat_messages m/).length, 0);
+    } finally {
+        await app.close();
+    }
+});
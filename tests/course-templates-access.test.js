@@ -0,0 +1,38 @@
+// GET /course-templates/:id is scoped like the template list
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const specializedRoutes = require('../routes/specialized');
+
+const handlers = [
+    [/FROM course_templates ct[\s\S]*WHERE ct\.id = \?/, (params) => [{
+        id: Number(params[0]), template_name: '10 x Physiotherapy', clinic_id: params[0] === '1' ? null : 2, clinic_name: null
+    }]],
+    [/FROM user_clinic_grants/, []]
+];
+
+test('a CLINIC user cannot read a template sold only at another clinic', async () => {
+    const app = await startApp(specializedRoutes, createFakeDb({ handlers }));
+
+    try {
+        const response = await app.request('GET', '/api/course-templates/2', { user: { id: 5, role: 'CLINIC', clinic_id: 3 } });
+        assert.strictEqual(response.status, 403, response.text);
+    } finally {
+        await app.close();
+    }
+});
+
+test('templates of the user\'s clinic and templates without a clinic are readable', async () => {
+    const app = await startApp(specializedRoutes, createFakeDb({ handlers }));
+
+    try {
+        const own = await app.request('GET', '/api/course-templates/2', { user: { id: 5, role: 'CLINIC', clinic_id: 2 } });
+        assert.strictEqual(own.status, 200, own.text);
+
+        const everywhere = await app.request('GET', '/api/course-templates/1', { user: { id: 5, role: 'CLINIC', clinic_id: 3 } });
+        assert.strictEqual(everywhere.status, 200, everywhere.text);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,44 @@
+// tests/helpers/app.js - Mount one router on a bare app and call it over HTTP
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const tokenFor = (user) => jwt.sign(user, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+/**
+ * Start an app serving `router` at `mountPath` with app.locals.db = db
+ * @returns {Promise<Object>} { request(method, path, { user, body }), close() }
+ */
+const startApp = async (router, db, mountPath = '/api') => {
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.locals.db = db;
+    app.use(mountPath, router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { user, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (user) headers.Authorization = `Bearer ${tokenFor(user)}`;
+
+        const response = await fetch(base + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+        return { status: response.status, body: json, text };
+    };
+
+    return { request, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+module.exports = { startApp, tokenFor };
@@ -0,0 +1,74 @@
+// tests/helpers/fake-db.js - In-memory stand-in for the mysql2 pool
+// Handlers are [pattern, result | (params, sql) => result]; the first whose
+// pattern matches the SQL answers it. Unanswered SELECTs return no rows and
+// other statements { affectedRows: 1 }. `columns` lists the columns of the
+// tables a test cares about: an UPDATE or INSERT naming any other column
+// fails the way MySQL does, so a misspelt column cannot pass unnoticed.
+
+const badField = (column) => Object.assign(
+    new Error(`Unknown column '${column}' in 'field list'`),
+    { code: 'ER_BAD_FIELD_ERROR' }
+);
+
+// Columns written by an UPDATE ... SET or INSERT INTO ... (...)
+const writtenColumns = (sql) => {
+    const update = sql.match(/^\s*UPDATE\s+(\w+)(?:\s+\w+)?\s+SET\s+([\s\S]+?)\s+WHERE\s/i);
+    if (update) {
+        const columns = [...`,${update[2]}`.matchAll(/,\s*(?:\w+\.)?(\w+)\s*=/g)].map(match => match[1]);
+        return { table: update[1], columns };
+    }
+    const insert = sql.match(/^\s*INSERT\s+(?:IGNORE\s+)?INTO\s+(\w+)\s*\(([^)]*)\)/i);
+    if (insert) {
+        return { table: insert[1], columns: insert[2].split(',').map(column => column.trim()) };
+    }
+    return null;
+};
+
+// Value bound to the first placeholder in `fragment` (e.g. 'cm.user_id = ?')
+const boundTo = (query, fragment) => {
+    const at = query.sql.indexOf(fragment);
+    if (at === -1) throw new Error(`"${fragment}" is not in the query`);
+    const index = (query.sql.slice(0, at + fragment.indexOf('?')).match(/\?/g) || []).length;
+    return query.params[index];
+};
+
+const createFakeDb = ({ handlers = [], columns = {} } = {}) => {
+    const queries = [];
+
+    const execute = async (sql, params = []) => {
+        queries.push({ sql, params });
+
+        const written = writtenColumns(sql);
+        if (written && columns[written.table]) {
+            const unknown = written.columns.find(column => !columns[written.table].includes(column));
+            if (unknown) throw badField(unknown);
+        }
+
+        const handler = handlers.find(([pattern]) => pattern.test(sql));
+        if (handler) {
+            const result = typeof handler[1] === 'function' ? handler[1](params, sql) : handler[1];
+            return [result, []];
+        }
+        return /^\s*SELECT/i.test(sql) ? [[], []] : [{ affectedRows: 1, insertId: 1 }, []];
+    };
+
+    const connection = {
+        execute,
+        query: execute,
+        beginTransaction: async () => { queries.push({ sql: 'BEGIN', params: [] }); },
+        commit: async () => { queries.push({ sql: 'COMMIT', params: [] }); },
+        rollback: async () => { queries.push({ sql: 'ROLLBACK', params: [] }); },
+        release: () => {}
+    };
+
+    return {
+        execute,
+        query: execute,
+        getConnection: async () => connection,
+        queries,
+        // Queries whose SQL matches a pattern
+        find: (pattern) => queries.filter(query => pattern.test(query.sql))
+    };
+};
+
+module.exports = { createFakeDb, boundTo };
@@ -0,0 +1,84 @@
+// POST /webhook/line - keyword replies to patients
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { createFakeDb } = require('./helpers/fake-db');
+const webhooksRoutes = require('../routes/webhooks');
+
+const CHANNEL_SECRET = 'line-secret';
+
+// Replies go out through axios; keep them here instead of calling LINE
+const replies = [];
+axios.post = async (url, body) => {
+    replies.push(...body.messages.map(message => message.text));
+    return { data: {} };
+};
+
+const lineDb = (handlers = []) => createFakeDb({
+    handlers: [
+        [/setting_type = 'line'/, [{ setting_value: JSON.stringify({ channelSecret: CHANNEL_SECRET, accessToken: 'token' }) }]],
+        [/FROM patient_line_accounts pla/, [{ id: 42, hn: 'HN0042', first_name: 'Somchai', last_name: 'Jaidee' }]],
+        [/INSERT INTO line_webhook_events/, { insertId: 1 }],
+        ...handlers
+    ]
+});
+
+// Send one text message and wait for the event to be handled (it runs after the 200)
+const sendText = async (db, text) => {
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.locals.db = db;
+    app.use('/webhook', webhooksRoutes);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    const logged = db.find(/INSERT INTO line_webhook_events/).length;
+    try {
+        const body = JSON.stringify({
+            events: [{ type: 'message', replyToken: 'reply', source: { type: 'user', userId: 'U1' }, message: { type: 'text', text } }]
+        });
+        const signature = crypto.createHmac('sha256', CHANNEL_SECRET).update(body).digest('base64');
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook/line`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Line-Signature': signature },
+            body
+        });
+        assert.strictEqual(response.status, 200);
+
+        for (let i = 0; i < 50 && db.find(/INSERT INTO line_webhook_events/).length === logged; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+const upcoming = {
+    id: 57, appointment_date: '2026-11-02', start_time: '10:00:00', end_time: '11:00:00', status: 'SCHEDULED',
+    pn_status: null, clinic_name: 'RehabPlus Silom', pt_name: 'Nok Dee'
+};
+
+test('a message that is not a command gets no reply', async () => {
+    replies.length = 0;
+    await sendText(lineDb(), 'Thank you, see you tomorrow');
+
+    assert.deepStrictEqual(replies, []);
+});
+
+test('the cancel list shows appointment ids and "cancel <id>" matches on the id', async () => {
+    replies.length = 0;
+    const db = lineDb([[/FROM appointments a/, (params) => (params.length === 1 || params[1] === 57 ? [upcoming] : [])]]);
+
+    await sendText(db, 'cancel');
+    assert.match(replies[0], /#57 Mon 02\/11\/2026 10:00-11:00/);
+
+    // Position 1 in the list is not appointment #1
+    await sendText(db, 'cancel 1');
+    assert.match(replies[1], /No upcoming appointment #1/);
+    const [lookup] = db.find(/FROM appointments a/).slice(-1);
+    assert.deepStrictEqual(lookup.params, [42, 1]);
+    assert.strictEqual(db.find(/UPDATE appointments/).length, 0);
+});
@@ -0,0 +1,91 @@
+// Bill points ledger: a paid bill counts once until its payment is reversed
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { syncBillPoints, reverseBillPoints } = require('../utils/loyalty');
+
+// A member, one bill and the bill's ledger rows; spending tracks lifetime_spending
+const setup = (totalAmount) => {
+    const state = { paymentStatus: 'PAID', totalAmount, ledger: [], spending: 0 };
+    const member = { id: 1, patient_id: 11, membership_tier: 'BRONZE', available_points: 0 };
+
+    const db = createFakeDb({
+        handlers: [
+            [/FROM bills WHERE id = \?/, () => [{
+                id: 5, bill_code: 'B-5', patient_id: 11, total_amount: state.totalAmount, payment_status: state.paymentStatus
+            }]],
+            [/FROM loyalty_members WHERE patient_id = \? FOR UPDATE/, () => [{ ...member }]],
+            [/FROM loyalty_tier_rules/, [{ tier: 'BRONZE', min_spending: 0, points_per_100_baht: 1 }]],
+            [/FROM loyalty_transactions\s+WHERE member_id = \? AND bill_id = \?/, () => state.ledger],
+            [/INSERT INTO loyalty_transactions/, (params) => {
+                state.ledger.push({ transaction_type: params[1], points: params[2], amount: params[3] });
+                return { affectedRows: 1 };
+            }],
+            [/lifetime_spending = lifetime_spending \+ \?/, (params) => {
+                state.spending += parseFloat(params[2]);
+                return { affectedRows: 1 };
+            }],
+            [/lifetime_spending = GREATEST\(0, lifetime_spending - \?\)/, (params) => {
+                state.spending -= parseFloat(params[2]);
+                return { affectedRows: 1 };
+            }],
+            [/qualifying_spending/, [{ qualifying_spending: 0 }]]
+        ]
+    });
+    return { db, state };
+};
+
+test('a 0-point paid bill adds its spending once however often it is synced', async () => {
+    const { db, state } = setup(50);
+
+    await syncBillPoints(db, 5, 'PAID');
+    await syncBillPoints(db, 5, 'PAID');
+    await syncBillPoints(db, 5, 'PAID');
+
+    assert.strictEqual(state.spending, 50);
+    assert.deepStrictEqual(state.ledger.map(row => row.transaction_type), ['EARN']);
+});
+
+test('reversing a 0-point bill takes its spending back, and paying again re-adds it', async () => {
+    const { db, state } = setup(50);
+
+    await syncBillPoints(db, 5, 'PAID');
+    state.paymentStatus = 'UNPAID';
+    await syncBillPoints(db, 5, 'UNPAID');
+    await syncBillPoints(db, 5, 'UNPAID');
+    assert.strictEqual(state.spending, 0);
+
+    state.paymentStatus = 'PAID';
+    await syncBillPoints(db, 5, 'PAID');
+    assert.strictEqual(state.spending, 50);
+    assert.deepStrictEqual(state.ledger.map(row => row.transaction_type), ['EARN', 'REVERSAL', 'EARN']);
+});
+
+test('changing a paid bill\'s total reverses the old credit and earns the new one', async () => {
+    const { db, state } = setup(500);
+
+    await syncBillPoints(db, 5, 'PAID');
+    state.totalAmount = 300;
+    await syncBillPoints(db, 5, 'PAID');
+    assert.strictEqual(state.spending, 300);
+    assert.deepStrictEqual(state.ledger.map(row => [row.transaction_type, row.points]),
+        [['EARN', 5], ['REVERSAL', -5], ['EARN', 3]]);
+
+    // Unpaying takes back what was credited, not the bill's current total
+    state.totalAmount = 900;
+    state.paymentStatus = 'UNPAID';
+    await syncBillPoints(db, 5, 'UNPAID');
+    assert.strictEqual(state.spending, 0);
+});
+
+test('reversing a deleted bill takes back its points on the caller\'s connection', async () => {
+    const { db, state } = setup(500);
+    await syncBillPoints(db, 5, 'PAID');
+
+    const connection = await db.getConnection();
+    const result = await reverseBillPoints(connection, { id: 5, bill_code: 'B-5', patient_id: 11 }, 'deleted');
+
+    assert.deepStrictEqual(result, { member_id: 1, points: -5 });
+    assert.strictEqual(state.spending, 0);
+    assert.strictEqual(state.ledger[state.ledger.length - 1].transaction_type, 'REVERSAL');
+});
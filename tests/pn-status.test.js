@@ -0,0 +1,85 @@
+// PATCH /api/pn/:id/status - workflow transitions run in one transaction
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const pnCasesRoutes = require('../routes/pn-cases');
+
+const pnCase = (status) => ({
+    id: 21, status, source_clinic_id: 1, target_clinic_id: 1,
+    final_course_id: 8, appointment_id: 7, appointment_status: 'SCHEDULED',
+    source_workflow_id: null, target_workflow_id: null
+});
+
+const setup = (status) => createFakeDb({
+    handlers: [
+        [/FROM pn_cases pn\s+JOIN clinics sc/, [pnCase(status)]],
+        [/SELECT status FROM pn_cases WHERE id = \? FOR UPDATE/, [{ status }]],
+        [/SELECT id FROM courses WHERE id = \? FOR UPDATE/, [{ id: 8 }]],
+        [/as net\s+FROM course_usage_history/, [{ net: 1 }]]
+    ]
+});
+
+test('an IN_PROGRESS case can be cancelled, as before workflows', async () => {
+    const db = setup('IN_PROGRESS');
+    const app = await startApp(pnCasesRoutes, db, '/api/pn');
+
+    try {
+        const response = await app.request('PATCH', '/api/pn/21/status', {
+            user: { id: 1, role: 'PT' },
+            body: { status: 'CANCELLED', cancellation_reason: 'Moved away' }
+        });
+
+        assert.strictEqual(response.status, 200, response.text);
+        assert.strictEqual(response.body.action, 'cancel');
+        // Only a case cancelled from ACCEPTED gives its course session back
+        assert.strictEqual(db.find(/UPDATE courses/).length, 0);
+        assert.deepStrictEqual(db.queries.filter(q => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(q.sql)).map(q => q.sql), ['BEGIN', 'COMMIT']);
+    } finally {
+        await app.close();
+    }
+});
+
+test('cancelling an ACCEPTED case returns its session inside the transaction', async () => {
+    const db = setup('ACCEPTED');
+    const app = await startApp(pnCasesRoutes, db, '/api/pn');
+
+    try {
+        const response = await app.request('PATCH', '/api/pn/21/status', {
+            user: { id: 1, role: 'ADMIN' },
+            body: { status: 'CANCELLED' }
+        });
+
+        assert.strictEqual(response.status, 200, response.text);
+        assert.strictEqual(response.body.action, 'cancel_accepted');
+
+        const order = db.queries.map(q => q.sql);
+        const begin = order.indexOf('BEGIN');
+        const commit = order.indexOf('COMMIT');
+        const courseUpdate = order.findIndex(sql => /UPDATE courses/.test(sql));
+        const usage = order.findIndex(sql => /INSERT INTO course_usage_history/.test(sql));
+        assert.ok(begin < courseUpdate && courseUpdate < usage && usage < commit);
+    } finally {
+        await app.close();
+    }
+});
+
+test('status changes the old PATCH allowed without side effects still go through', async () => {
+    for (const [from, to, action] of [['PENDING', 'IN_PROGRESS', 'set_in_progress'], ['PENDING', 'COMPLETED', 'set_completed']]) {
+        const db = setup(from);
+        const app = await startApp(pnCasesRoutes, db, '/api/pn');
+
+        try {
+            const response = await app.request('PATCH', '/api/pn/21/status', {
+                user: { id: 1, role: 'PT' },
+                body: { status: to }
+            });
+
+            assert.strictEqual(response.status, 200, response.text);
+            assert.strictEqual(response.body.action, action);
+            assert.strictEqual(db.find(/UPDATE courses|UPDATE appointments/).length, 0);
+        } finally {
+            await app.close();
+        }
+    }
+});
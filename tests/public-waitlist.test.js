@@ -0,0 +1,53 @@
+// POST /api/public/waitlist - sign-ups are throttled per contact and per IP
+const { test } = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const publicRoutes = require('../routes/public');
+
+const signUp = {
+    walk_in_name: 'Somchai',
+    walk_in_phone: '0812345678',
+    clinic_id: 1,
+    date_from: moment().add(1, 'day').format('YYYY-MM-DD'),
+    date_to: moment().add(7, 'days').format('YYYY-MM-DD')
+};
+
+test('a contact that signed up three times today is turned away', async () => {
+    const db = createFakeDb({
+        handlers: [[/SELECT COUNT\(\*\) AS count FROM waitlist_entries/, [{ count: 3 }]]]
+    });
+    const app = await startApp(publicRoutes, db, '/api/public');
+
+    try {
+        const response = await app.request('POST', '/api/public/waitlist', { body: signUp });
+        assert.strictEqual(response.status, 429, response.text);
+        assert.strictEqual(db.find(/INSERT INTO waitlist_entries/).length, 0);
+    } finally {
+        await app.close();
+    }
+});
+
+test('one IP cannot keep adding contacts', async () => {
+    const db = createFakeDb({
+        handlers: [[/SELECT COUNT\(\*\) AS count FROM waitlist_entries/, [{ count: 0 }]]]
+    });
+    const app = await startApp(publicRoutes, db, '/api/public');
+
+    try {
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            const response = await app.request('POST', '/api/public/waitlist', {
+                body: { ...signUp, walk_in_phone: `08100000${i}` }
+            });
+            statuses.push(response.status);
+        }
+
+        // The previous test used one request of this IP's five
+        assert.deepStrictEqual(statuses, [201, 201, 201, 201, 429, 429]);
+        assert.strictEqual(db.find(/INSERT INTO waitlist_entries/).length, 4);
+    } finally {
+        await app.close();
+    }
+});
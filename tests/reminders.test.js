@@ -0,0 +1,43 @@
+// Reminder attempts are kept per appointment start
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { processDueReminders } = require('../utils/reminders');
+
+const rule = { id: 2, name: 'SMS 24 hours before', channel: 'SMS', template: 'Reminder {date} {time}', enabled: 1 };
+
+const setup = (appointmentStart) => createFakeDb({
+    handlers: [
+        [/FROM appointment_reminder_rules r\s+JOIN appointments a/, [
+            { appointment_id: 7, rule_id: 2, scheduled_for: '2026-11-02 10:00:00' }
+        ]],
+        [/FROM appointment_reminder_rules WHERE enabled = 1/, [rule]],
+        [/FROM appointment_reminder_log\s+WHERE appointment_id = \? AND rule_id = \?/, []],
+        [/INSERT IGNORE INTO appointment_reminder_log/, { affectedRows: 1, insertId: 40 }],
+        [/FROM appointments a\s+LEFT JOIN patients p[\s\S]*WHERE a\.id = \?/, [{
+            id: 7, patient_id: 11, clinic_id: 1, status: 'SCHEDULED', phone: null,
+            appointment_date: appointmentStart.date, start_time: appointmentStart.time, end_time: '11:00:00'
+        }]]
+    ]
+});
+
+test('an attempt is claimed for the appointment start it reminds about', async () => {
+    const db = setup({ date: '2026-11-02', time: '10:00:00' });
+    await processDueReminders(db);
+
+    const [claim] = db.find(/INSERT IGNORE INTO appointment_reminder_log/);
+    assert.deepStrictEqual(claim.params.slice(0, 3), [7, 2, '2026-11-02 10:00:00']);
+
+    const [lookup] = db.find(/FROM appointment_reminder_log\s+WHERE appointment_id = \?/);
+    assert.deepStrictEqual(lookup.params, [7, 2, '2026-11-02 10:00:00']);
+});
+
+test('an appointment moved after the due query is skipped for its old time', async () => {
+    const db = setup({ date: '2026-11-03', time: '09:00:00' });
+    const summary = await processDueReminders(db);
+
+    assert.strictEqual(summary.skipped, 1);
+    const [outcome] = db.find(/SET status = \?, recipient = \?/);
+    assert.strictEqual(outcome.params[0], 'SKIPPED');
+    assert.strictEqual(outcome.params[3], 'Appointment was rescheduled');
+});
@@ -0,0 +1,32 @@
+// POST /webhook/sms - inbound SMS secret check
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDb } = require('./helpers/fake-db');
+const { startApp } = require('./helpers/app');
+const webhooksRoutes = require('../routes/webhooks');
+
+const withSecret = (secret) => createFakeDb({
+    handlers: [[/setting_key = 'sms_inbound_webhook_secret'/, [{ setting_value: secret }]]]
+});
+
+test('a secret with the same characters but different bytes is a 401', async () => {
+    const app = await startApp(webhooksRoutes, withSecret('pässwörd'), '/webhook');
+
+    try {
+        const response = await app.request('POST', '/webhook/sms?secret=password', { body: {} });
+        assert.strictEqual(response.status, 401, response.text);
+    } finally {
+        await app.close();
+    }
+});
+
+test('the configured secret is accepted', async () => {
+    const app = await startApp(webhooksRoutes, withSecret('pässwörd'), '/webhook');
+
+    try {
+        const response = await app.request('POST', `/webhook/sms?secret=${encodeURIComponent('pässwörd')}`, { body: {} });
+        assert.strictEqual(response.status, 200, response.text);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,605 @@
+// utils/appointments.js - Shared appointment update and cancellation
+// Used by the staff appointment routes and the patient self-service links so
+// both go through the same conflict checks, calendar updates and PN/course sync.
+const moment = require('moment');
+const { checkPTAvailability } = require('./availability');
+const { syncSeriesCalendar } = require('./recurrence');
+const { offerFreedSlot } = require('./waitlist');
+const { checkAcceptRules, deductCourseSession, returnCourseSession } = require('./pn-workflow');
+const { sendLINENotification, sendSMSNotification, updateGoogleCalendarEvent, deleteGoogleCalendarEvent } = require('./notifications');
+
+// Base query for appointment data with patient, PT and clinic details
+const appointmentSelectClause = `
+    SELECT
+        a.id,
+        a.patient_id,
+        a.pt_id,
+        a.clinic_id,
+        DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+        TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
+        TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
+        a.status,
+        a.appointment_type,
+        a.booking_type,
+        a.walk_in_name,
+        a.walk_in_email,
+        a.walk_in_phone,
+        CASE
+            WHEN a.booking_type = 'WALK_IN' THEN CONCAT('W', LPAD(a.id, 6, '0'))
+            ELSE NULL
+        END AS walk_in_id,
+        a.pn_case_id,
+        a.auto_created_pn,
+        a.series_id,
+        a.series_index,
+        a.reason,
+        a.notes,
+        a.created_by,
+        DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+        DATE_FORMAT(a.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at,
+        a.cancellation_reason,
+        DATE_FORMAT(a.cancelled_at, '%Y-%m-%d %H:%i:%s') AS cancelled_at,
+        a.cancelled_by,
+        p.hn,
+        p.pt_number,
+        p.first_name AS patient_first_name,
+        p.last_name AS patient_last_name,
+        p.email AS patient_email,
+        p.phone AS patient_phone,
+        p.gender,
+        p.dob,
+        CASE
+            WHEN a.booking_type = 'WALK_IN' THEN a.walk_in_name
+            ELSE CONCAT_WS(' ', p.first_name, p.last_name)
+        END AS patient_name,
+        CONCAT_WS(' ', pt.first_name, pt.last_name) AS pt_name,
+        c.name AS clinic_name,
+        c.code AS clinic_code,
+        c.email AS clinic_email,
+        CONCAT_WS(' ', creator.first_name, creator.last_name) AS created_by_name,
+        CONCAT_WS(' ', canceller.first_name, canceller.last_name) AS cancelled_by_name,
+        pn.pn_code,
+        pn.status AS pn_status
+    FROM appointments a
+    LEFT JOIN patients p ON a.patient_id = p.id
+    LEFT JOIN users pt ON a.pt_id = pt.id
+    JOIN clinics c ON a.clinic_id = c.id
+    LEFT JOIN users creator ON a.created_by = creator.id
+    LEFT JOIN users canceller ON a.cancelled_by = canceller.id
+    LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
+`;
+
+// ========================================
+// UPDATE AND CANCEL
+// ========================================
+
+/**
+ * Bring an appointment's PN case and course ledger in line with its new status
+ * Runs in the caller's transaction with the case row locked. A completed
+ * appointment accepts the case and takes a course session, reopening it
+ * returns the case to PENDING and cancelling cancels it; sessions follow the
+ * case's net usage in course_usage_history, so they are never taken twice.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} appointment - Appointment as it was before the change
+ * @param {string} status - The appointment's new status
+ * @param {Object} options - { assessment, saveAssessment } when completing, { reason } when cancelling
+ * @param {Object} user - Acting user { id, role }
+ */
+const syncPNCase = async (connection, appointment, status, options, user) => {
+    const pnId = appointment.pn_case_id;
+    const courseId = appointment.course_id;
+
+    const [locked] = await connection.execute('SELECT status FROM pn_cases WHERE id = ? FOR UPDATE', [pnId]);
+    if (locked.length === 0) return;
+    const oldStatus = locked[0].status;
+
+    // COMPLETED → ACCEPTED
+    if (status === 'COMPLETED') {
+        const { pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score } = options.assessment || {};
+
+        if (options.saveAssessment) {
+            await connection.execute(
+                `UPDATE pn_cases
+                 SET status = 'ACCEPTED',
+                     accepted_at = NOW(),
+                     pt_diagnosis = COALESCE(?, pt_diagnosis),
+                     pt_chief_complaint = COALESCE(?, pt_chief_complaint),
+                     pt_present_history = COALESCE(?, pt_present_history),
+                     pt_pain_score = COALESCE(?, pt_pain_score),
+                     updated_at = NOW()
+                 WHERE id = ?`,
+                [pt_diagnosis ?? null, pt_chief_complaint ?? null, pt_present_history ?? null,
+                 pt_pain_score ?? null, pnId]
+            );
+        } else {
+            await connection.execute(
+                `UPDATE pn_cases
+                 SET status = 'ACCEPTED',
+                     accepted_at = NOW(),
+                     updated_at = NOW()
+                 WHERE id = ?`,
+                [pnId]
+            );
+        }
+
+        if (courseId) {
+            await deductCourseSession(connection, {
+                courseId, pnId, userId: user.id, note: 'Appointment completed - PN case accepted - session deducted'
+            });
+        }
+
+        await connection.execute(
+            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
+             VALUES (?, ?, 'ACCEPTED', ?, FALSE)`,
+            [pnId, oldStatus, user.id]
+        );
+    }
+    // SCHEDULED ← COMPLETED: Reverse to PENDING
+    else if (status === 'SCHEDULED' && appointment.status === 'COMPLETED') {
+        await connection.execute(
+            `UPDATE pn_cases
+             SET status = 'PENDING',
+                 accepted_at = NULL,
+                 pt_diagnosis = NULL,
+                 pt_chief_complaint = NULL,
+                 pt_present_history = NULL,
+                 pt_pain_score = NULL,
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [pnId]
+        );
+
+        if (courseId) {
+            await returnCourseSession(connection, {
+                courseId, pnId, userId: user.id, note: 'Appointment reversed - session returned'
+            });
+        }
+
+        await connection.execute(
+            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
+             VALUES (?, ?, 'PENDING', ?, TRUE)`,
+            [pnId, oldStatus, user.id]
+        );
+    }
+    // CANCELLED: Return the course session the case holds
+    else if (status === 'CANCELLED') {
+        if (courseId) {
+            await returnCourseSession(connection, {
+                courseId, pnId, userId: user.id, note: 'Appointment cancelled - session returned'
+            });
+        }
+
+        await connection.execute(
+            `UPDATE pn_cases
+             SET status = 'CANCELLED',
+                 cancelled_at = NOW(),
+                 cancellation_reason = COALESCE(?, cancellation_reason),
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [options.reason || null, pnId]
+        );
+
+        await connection.execute(
+            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
+             VALUES (?, ?, 'CANCELLED', ?, ?, FALSE)`,
+            [pnId, oldStatus, user.id, options.reason || null]
+        );
+    }
+};
+
+/**
+ * Apply changes to an appointment (reschedule, status, details, booking type)
+ * Reschedules notify staff and move the Google Calendar event; status changes
+ * keep the linked PN case and course sessions in step. Cancelling offers the
+ * freed slot to the waitlist.
+ * @param {Object} db - Database connection
+ * @param {number|string} id - Appointment ID
+ * @param {Object} changes - Fields accepted by PUT /api/appointments/:id
+ * @param {Object} user - Acting user { id, role }
+ * @returns {Promise<Object>} The appointment as it was before the change
+ * @throws {Error} with status 400/403/404/409 (and optional details) when the change is rejected
+ */
+const updateAppointment = async (db, id, changes, user) => {
+    const {
+        appointment_date,
+        start_time,
+        end_time,
+        status,
+        appointment_type,
+        reason,
+        notes,
+        booking_type,
+        patient_id,
+        walk_in_name,
+        walk_in_email,
+        walk_in_phone,
+        pt_diagnosis,
+        pt_chief_complaint,
+        pt_present_history,
+        pt_pain_score
+    } = changes;
+
+    const [appointments] = await db.execute(
+        `SELECT a.*,
+                p.id as patient_id,
+                COALESCE(a.course_id, pn.course_id) as course_id,
+                pn.status as pn_status,
+                sc.code as source_clinic_code,
+                tc.code as target_clinic_code,
+                c.code as clinic_code,
+                c.name as clinic_name
+         FROM appointments a
+         LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
+         LEFT JOIN patients p ON a.patient_id = p.id
+         LEFT JOIN clinics sc ON pn.source_clinic_id = sc.id
+         LEFT JOIN clinics tc ON pn.target_clinic_id = tc.id
+         LEFT JOIN clinics c ON a.clinic_id = c.id
+         WHERE a.id = ?`,
+        [id]
+    );
+
+    if (appointments.length === 0) {
+        throw Object.assign(new Error('Appointment not found'), { status: 404 });
+    }
+
+    const appointment = appointments[0];
+
+    // Check for time conflicts if rescheduling
+    if (appointment_date && start_time && end_time) {
+        const [conflicts] = await db.execute(
+            `SELECT id FROM appointments
+             WHERE pt_id = ? AND appointment_date = ? AND status != 'CANCELLED' AND id != ?
+               AND (
+                   (start_time < ? AND end_time > ?) OR
+                   (start_time < ? AND end_time > ?) OR
+                   (start_time >= ? AND end_time <= ?)
+               )`,
+            [appointment.pt_id, appointment_date, id, end_time, start_time, end_time, start_time, start_time, end_time]
+        );
+
+        if (conflicts.length > 0) {
+            throw Object.assign(new Error('Time slot conflict detected'), { status: 409 });
+        }
+
+        const unavailable = await checkPTAvailability(db, appointment.pt_id, appointment.clinic_id, appointment_date, start_time, end_time);
+        if (unavailable) {
+            throw Object.assign(new Error(unavailable.message), { status: 409, details: { reason: unavailable.reason } });
+        }
+    }
+
+    // Build dynamic update query
+    const updates = [];
+    const params = [];
+
+    if (appointment_date) {
+        updates.push('appointment_date = ?');
+        params.push(appointment_date);
+    }
+    if (start_time) {
+        updates.push('start_time = ?');
+        params.push(start_time);
+    }
+    if (end_time) {
+        updates.push('end_time = ?');
+        params.push(end_time);
+    }
+    if (status) {
+        updates.push('status = ?');
+        params.push(status);
+    }
+    if (appointment_type !== undefined) {
+        updates.push('appointment_type = ?');
+        params.push(appointment_type);
+    }
+    if (reason !== undefined) {
+        updates.push('reason = ?');
+        params.push(reason);
+    }
+    if (notes !== undefined) {
+        updates.push('notes = ?');
+        params.push(notes);
+    }
+
+    const normalizedBookingType = booking_type ? booking_type.toUpperCase() : null;
+    if (normalizedBookingType && !['OLD_PATIENT', 'WALK_IN'].includes(normalizedBookingType)) {
+        throw Object.assign(new Error('Invalid booking_type'), { status: 400 });
+    }
+
+    const trimmedWalkInName = typeof walk_in_name === 'string' ? walk_in_name.trim() : walk_in_name;
+    const trimmedWalkInEmail = typeof walk_in_email === 'string' ? walk_in_email.trim() : walk_in_email;
+    const trimmedWalkInPhone = typeof walk_in_phone === 'string' ? walk_in_phone.trim() : walk_in_phone;
+
+    if (normalizedBookingType) {
+        updates.push('booking_type = ?');
+        params.push(normalizedBookingType);
+
+        if (normalizedBookingType === 'OLD_PATIENT') {
+            if (!patient_id) {
+                throw Object.assign(new Error('patient_id is required for OLD_PATIENT bookings'), { status: 400 });
+            }
+            updates.push('patient_id = ?');
+            params.push(patient_id);
+            updates.push('walk_in_name = NULL');
+            updates.push('walk_in_email = NULL');
+            updates.push('walk_in_phone = NULL');
+        } else if (normalizedBookingType === 'WALK_IN') {
+            if (!trimmedWalkInName) {
+                throw Object.assign(new Error('walk_in_name is required for WALK_IN bookings'), { status: 400 });
+            }
+            updates.push('patient_id = NULL');
+            updates.push('walk_in_name = ?');
+            params.push(trimmedWalkInName);
+            updates.push('walk_in_email = ?');
+            params.push(trimmedWalkInEmail || null);
+            updates.push('walk_in_phone = ?');
+            params.push(trimmedWalkInPhone || null);
+        }
+    }
+
+    // PN case rules are checked before anything is written
+    let acceptRules = null;
+    if (appointment.pn_case_id && status === 'COMPLETED') {
+        // The case's workflow decides whether accepting needs a PT assessment
+        acceptRules = await checkAcceptRules(db, appointment.pn_case_id,
+            { pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score });
+
+        if (acceptRules.missing.length > 0) {
+            throw Object.assign(new Error(`PT assessment required: ${acceptRules.missing.join(', ')}`), {
+                status: 400,
+                details: { required_fields: acceptRules.required, missing_fields: acceptRules.missing }
+            });
+        }
+    }
+
+    if (appointment.pn_case_id && status === 'SCHEDULED' && appointment.status === 'COMPLETED' && user.role !== 'ADMIN') {
+        throw Object.assign(new Error('Only ADMIN can reverse completed appointments'), { status: 403 });
+    }
+
+    // The appointment, its PN case and the course ledger change together
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        if (updates.length > 0) {
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+
+            await connection.execute(
+                `UPDATE appointments SET ${updates.join(', ')} WHERE id = ?`,
+                params
+            );
+        }
+
+        if (appointment.pn_case_id) {
+            await syncPNCase(connection, appointment, status, {
+                assessment: { pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score },
+                saveAssessment: acceptRules ? acceptRules.savesAssessment : false
+            }, user);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    // Send LINE notification if appointment is rescheduled
+    if (appointment_date || start_time || end_time) {
+        try {
+            // Get updated appointment data with patient/PT details
+            const [updatedAppointments] = await db.execute(
+                `${appointmentSelectClause} WHERE a.id = ?`,
+                [id]
+            );
+
+            if (updatedAppointments.length > 0) {
+                const updatedApt = updatedAppointments[0];
+                const finalDate = appointment_date || appointment.appointment_date;
+                const finalStartTime = start_time || appointment.start_time;
+                const finalEndTime = end_time || appointment.end_time;
+                const patientName = updatedApt.patient_name || updatedApt.walk_in_name || 'Walk-in Patient';
+                const ptName = updatedApt.pt_name || 'PT';
+                const clinicName = updatedApt.clinic_name || '';
+
+                // Send notifications for reschedule
+                try {
+                    const notificationMessage = `Appointment Rescheduled\n\nAppointment ID: ${id}\nPatient: ${patientName}\nPhysiotherapist: ${ptName}\nClinic: ${clinicName}\nNew Date: ${moment(finalDate).format('DD/MM/YYYY')}\nNew Time: ${finalStartTime} - ${finalEndTime}`;
+                    await sendLINENotification(db, 'appointmentRescheduled', notificationMessage);
+                    await sendSMSNotification(db, 'appointmentRescheduled', notificationMessage);
+                    console.log('✅ Notifications sent for reschedule');
+                } catch (notifError) {
+                    console.error('Failed to send notifications for reschedule:', notifError);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to send reschedule notification:', error);
+        }
+    }
+
+    // Update Google Calendar event if appointment is rescheduled and has calendar event
+    if ((appointment_date || start_time || end_time) && appointment.calendar_event_id) {
+        try {
+            // Get updated appointment data with patient/PT details
+            const [updatedAppointments] = await db.execute(
+                `${appointmentSelectClause} WHERE a.id = ?`,
+                [id]
+            );
+
+            if (updatedAppointments.length > 0) {
+                const updatedApt = updatedAppointments[0];
+                const calendarData = {
+                    appointment_date: appointment_date || appointment.appointment_date,
+                    start_time: start_time || appointment.start_time,
+                    end_time: end_time || appointment.end_time,
+                    patient_name: updatedApt.patient_name || updatedApt.walk_in_name || 'Walk-in Patient',
+                    patient_email: updatedApt.patient_email || updatedApt.walk_in_email,
+                    pt_name: updatedApt.pt_name || 'PT',
+                    clinic_name: updatedApt.clinic_name || '',
+                    clinic_email: updatedApt.clinic_email,
+                    reason: reason || appointment.reason
+                };
+
+                console.log('Updating calendar event for rescheduled appointment:', id);
+                const updated = await updateGoogleCalendarEvent(db, appointment.calendar_event_id, calendarData);
+
+                if (updated) {
+                    console.log('✅ Calendar event updated with reschedule notification sent to attendees');
+                } else {
+                    console.warn('⚠️ Failed to update calendar event, but appointment was rescheduled');
+                }
+            }
+        } catch (calendarError) {
+            console.error('Failed to update Google Calendar event:', calendarError);
+            // Don't fail the appointment update if calendar update fails
+        }
+    }
+
+    // Keep the recurring calendar event of a series in step with this occurrence
+    if (appointment.series_id && (appointment_date || start_time || end_time || status)) {
+        syncSeriesCalendar(db, appointment.series_id)
+            .catch(err => console.warn('Failed to sync series calendar:', err.message));
+    }
+
+    // Offer the freed slot to the first matching waitlist entry
+    if (status === 'CANCELLED' && appointment.status !== 'CANCELLED') {
+        offerFreedSlot(db, {
+            clinicId: appointment.clinic_id,
+            ptId: appointment.pt_id,
+            date: appointment.appointment_date,
+            startTime: appointment.start_time,
+            endTime: appointment.end_time,
+            sourceAppointmentId: appointment.id
+        }).catch(err => console.warn('Failed to offer slot to waitlist:', err.message));
+    }
+
+    // Note: Patient SMS for reschedule is sent via calendar invitation if patient has email
+    // Manual SMS option not needed for reschedule since patient already knows appointment exists
+
+    return appointment;
+};
+
+/**
+ * Cancel an appointment, return its course session and cancel the linked PN case
+ * The freed slot is offered to the waitlist.
+ * @param {Object} db - Database connection
+ * @param {number|string} id - Appointment ID
+ * @param {string} cancellationReason - Reason shown to staff and stored on the PN case
+ * @param {Object} user - Acting user { id, role }
+ * @returns {Promise<Object>} The appointment as it was before cancelling
+ */
+const cancelAppointment = async (db, id, cancellationReason, user) => {
+    const [appointments] = await db.execute(
+        `SELECT a.*,
+                COALESCE(a.course_id, pn.course_id) as course_id,
+                pn.status as pn_status,
+                p.first_name as patient_first_name,
+                p.last_name as patient_last_name,
+                pt.first_name as pt_first_name,
+                pt.last_name as pt_last_name,
+                c.name as clinic_name
+         FROM appointments a
+         LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
+         LEFT JOIN patients p ON a.patient_id = p.id
+         LEFT JOIN users pt ON a.pt_id = pt.id
+         LEFT JOIN clinics c ON a.clinic_id = c.id
+         WHERE a.id = ?`,
+        [id]
+    );
+
+    if (appointments.length === 0) {
+        throw Object.assign(new Error('Appointment not found'), { status: 404 });
+    }
+
+    const appointment = appointments[0];
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+            `UPDATE appointments
+             SET status = 'CANCELLED',
+                 cancellation_reason = ?,
+                 cancelled_at = NOW(),
+                 cancelled_by = ?,
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [cancellationReason || '', user.id, id]
+        );
+
+        if (appointment.pn_case_id) {
+            await syncPNCase(connection, appointment, 'CANCELLED',
+                { reason: cancellationReason || 'Cancelled from appointment' }, user);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    // Send LINE notification
+    try {
+        const patientName = appointment.booking_type === 'WALK_IN'
+            ? appointment.walk_in_name
+            : `${appointment.patient_first_name || ''} ${appointment.patient_last_name || ''}`.trim();
+        const ptName = `${appointment.pt_first_name || ''} ${appointment.pt_last_name || ''}`.trim() || 'PT';
+        const clinicName = appointment.clinic_name || 'N/A';
+
+        const notificationMessage = `Appointment Cancelled\n\nAppointment ID: ${id}\nPatient: ${patientName || 'N/A'}\nPhysiotherapist: ${ptName}\nClinic: ${clinicName}\nDate: ${moment(appointment.appointment_date).format('DD/MM/YYYY')}\nTime: ${appointment.start_time} - ${appointment.end_time}\n${cancellationReason ? `Reason: ${cancellationReason}` : ''}\n${appointment.pn_case_id ? 'Linked PN Case also cancelled' : ''}`;
+
+        await sendLINENotification(db, 'appointmentCancelled', notificationMessage);
+        await sendSMSNotification(db, 'appointmentCancelled', notificationMessage);
+    } catch (notifError) {
+        console.error('Failed to send notifications:', notifError);
+    }
+
+    // Delete Google Calendar event and send cancellation emails
+    try {
+        if (appointment.calendar_event_id) {
+            console.log('Deleting calendar event and sending cancellation emails:', appointment.calendar_event_id);
+            const deleted = await deleteGoogleCalendarEvent(db, appointment.calendar_event_id);
+            if (deleted) {
+                await db.execute(
+                    'UPDATE appointments SET calendar_event_id = NULL WHERE id = ?',
+                    [id]
+                );
+                console.log('✅ Calendar event deleted and cancellation emails sent to attendees');
+            }
+        }
+    } catch (calendarError) {
+        console.error('Failed to delete Google Calendar event:', calendarError);
+    }
+
+    if (appointment.series_id) {
+        syncSeriesCalendar(db, appointment.series_id)
+            .catch(err => console.warn('Failed to sync series calendar:', err.message));
+    }
+
+    // Offer the freed slot to the first matching waitlist entry
+    if (appointment.status !== 'CANCELLED') {
+        offerFreedSlot(db, {
+            clinicId: appointment.clinic_id,
+            ptId: appointment.pt_id,
+            date: appointment.appointment_date,
+            startTime: appointment.start_time,
+            endTime: appointment.end_time,
+            sourceAppointmentId: appointment.id
+        }).catch(err => console.warn('Failed to offer slot to waitlist:', err.message));
+    }
+
+    // Note: Patient SMS for cancellation is sent via calendar event deletion if patient has email
+    // Manual SMS option not needed for cancellation
+
+    return appointment;
+};
+
+module.exports = {
+    appointmentSelectClause,
+    updateAppointment,
+    cancelAppointment
+};
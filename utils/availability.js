@@ -0,0 +1,423 @@
+// utils/availability.js - Shared slot availability engine
+// Used by the public booking page (/api/public/time-slots), the staff
+// calendar (/api/appointments/available-slots) and appointment conflict
+// checks so they always agree. Combines clinic hours with PT rosters,
+// approved leave and blocked time.
+const moment = require('moment');
+
+const DEFAULT_OPEN_TIME = '09:00:00';
+const DEFAULT_CLOSE_TIME = '20:00:00';
+const DEFAULT_SLOT_MINUTES = 30;
+
+const PT_UNAVAILABLE_MESSAGES = {
+    OFF_SHIFT: 'PT is not on shift at this time',
+    LEAVE: 'PT is on leave',
+    BLOCKED: 'PT time is blocked'
+};
+
+// ========================================
+// TIME HELPERS
+// ========================================
+
+// 'HH:mm[:ss]' -> minutes since midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+// minutes since midnight -> 'HH:mm:ss'
+const toTime = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+// ========================================
+// SCHEDULE LOOKUP
+// ========================================
+
+/**
+ * Resolve a clinic's schedule for one date
+ * @returns {Promise<Object>} { open, closed_reason, open_time, close_time, blocked: [{start, end, reason, label}] }
+ */
+const getClinicDaySchedule = async (db, clinicId, date) => {
+    const dayOfWeek = moment(date, 'YYYY-MM-DD').day();
+
+    // Holidays and closures (all-day closures win over everything else)
+    const [closures] = await db.execute(
+        `SELECT closure_type, start_time, end_time, reason
+         FROM clinic_closures
+         WHERE closure_date = ? AND (clinic_id = ? OR clinic_id IS NULL)`,
+        [date, clinicId]
+    );
+
+    const fullDay = closures.find(c => !c.start_time || !c.end_time);
+    if (fullDay) {
+        return {
+            open: false,
+            closed_reason: fullDay.reason || (fullDay.closure_type === 'HOLIDAY' ? 'Public holiday' : 'Clinic closed'),
+            blocked: []
+        };
+    }
+
+    // Clinics without a weekly schedule keep the default opening hours
+    const [weekly] = await db.execute(
+        'SELECT day_of_week, is_closed, open_time, close_time FROM clinic_opening_hours WHERE clinic_id = ?',
+        [clinicId]
+    );
+
+    let openTime = DEFAULT_OPEN_TIME;
+    let closeTime = DEFAULT_CLOSE_TIME;
+
+    if (weekly.length > 0) {
+        const day = weekly.find(h => h.day_of_week === dayOfWeek);
+        if (!day || day.is_closed || !day.open_time || !day.close_time) {
+            return { open: false, closed_reason: 'Clinic closed on this day', blocked: [] };
+        }
+        openTime = day.open_time;
+        closeTime = day.close_time;
+    }
+
+    const [breaks] = await db.execute(
+        `SELECT start_time, end_time, label
+         FROM clinic_breaks
+         WHERE clinic_id = ? AND (day_of_week = ? OR day_of_week IS NULL)`,
+        [clinicId, dayOfWeek]
+    );
+
+    const blocked = [
+        ...breaks.map(b => ({ start: toMinutes(b.start_time), end: toMinutes(b.end_time), reason: 'BREAK', label: b.label })),
+        ...closures.map(c => ({ start: toMinutes(c.start_time), end: toMinutes(c.end_time), reason: 'CLOSED', label: c.reason }))
+    ];
+
+    return {
+        open: true,
+        closed_reason: null,
+        open_time: openTime,
+        close_time: closeTime,
+        blocked
+    };
+};
+
+/**
+ * Slot length: explicit value > service slot length > clinic default
+ */
+const resolveSlotMinutes = async (db, clinicId, serviceId) => {
+    if (serviceId) {
+        const [services] = await db.execute('SELECT slot_minutes FROM services WHERE id = ?', [serviceId]);
+        if (services.length > 0 && services[0].slot_minutes) {
+            return services[0].slot_minutes;
+        }
+    }
+
+    const [clinics] = await db.execute('SELECT slot_minutes FROM clinics WHERE id = ?', [clinicId]);
+    return (clinics.length > 0 && clinics[0].slot_minutes) || DEFAULT_SLOT_MINUTES;
+};
+
+// ========================================
+// PT SCHEDULES
+// ========================================
+
+/**
+ * Load shifts, approved leave and blocked time of every PT for one date
+ * @returns {Promise<Map>} ptId -> { rostered, shifts: [{clinic_id, start, end}], leave: [...], blocks: [...] }
+ */
+const loadPTSchedules = async (db, date) => {
+    const dayOfWeek = moment(date, 'YYYY-MM-DD').day();
+    const schedules = new Map();
+    const entry = (ptId) => {
+        if (!schedules.has(ptId)) {
+            schedules.set(ptId, { rostered: false, shifts: [], leave: [], blocks: [] });
+        }
+        return schedules.get(ptId);
+    };
+
+    const [shifts] = await db.execute(
+        `SELECT pt_id, clinic_id, day_of_week, start_time, end_time
+         FROM pt_shifts
+         WHERE (effective_from IS NULL OR effective_from <= ?)
+           AND (effective_to IS NULL OR effective_to >= ?)`,
+        [date, date]
+    );
+    shifts.forEach(shift => {
+        const pt = entry(shift.pt_id);
+        pt.rostered = true;
+        if (shift.day_of_week === dayOfWeek) {
+            pt.shifts.push({ clinic_id: shift.clinic_id, start: toMinutes(shift.start_time), end: toMinutes(shift.end_time) });
+        }
+    });
+
+    const [leave] = await db.execute(
+        `SELECT pt_id, start_time, end_time, leave_type
+         FROM pt_leave_requests
+         WHERE status = 'APPROVED' AND ? BETWEEN start_date AND end_date`,
+        [date]
+    );
+    leave.forEach(l => entry(l.pt_id).leave.push({
+        start: l.start_time ? toMinutes(l.start_time) : 0,
+        end: l.end_time ? toMinutes(l.end_time) : 24 * 60,
+        label: l.leave_type
+    }));
+
+    const [blocks] = await db.execute(
+        'SELECT pt_id, clinic_id, start_time, end_time, reason FROM pt_blocked_times WHERE block_date = ?',
+        [date]
+    );
+    blocks.forEach(b => entry(b.pt_id).blocks.push({
+        clinic_id: b.clinic_id,
+        start: toMinutes(b.start_time),
+        end: toMinutes(b.end_time),
+        label: b.reason
+    }));
+
+    return schedules;
+};
+
+/**
+ * Why a PT cannot take [start, end) at a clinic, or null when free of roster/leave/blocks
+ * PTs without any roster are treated as working whenever the clinic is open
+ */
+const getPTUnavailability = (schedules, ptId, clinicId, start, end) => {
+    const pt = schedules.get(parseInt(ptId));
+    if (!pt) return null;
+
+    const leave = pt.leave.find(l => overlaps(start, end, l.start, l.end));
+    if (leave) return { reason: 'LEAVE', label: leave.label };
+
+    // Without a clinic, blocks and shifts at any clinic count
+    const atClinic = (id) => !clinicId || !id || id === parseInt(clinicId);
+
+    const block = pt.blocks.find(b => atClinic(b.clinic_id) && overlaps(start, end, b.start, b.end));
+    if (block) return { reason: 'BLOCKED', label: block.label };
+
+    if (pt.rostered) {
+        const onShift = pt.shifts.some(s => atClinic(s.clinic_id) && s.start <= start && s.end >= end);
+        if (!onShift) return { reason: 'OFF_SHIFT', label: null };
+    }
+
+    return null;
+};
+
+const describeUnavailability = (unavailable) => {
+    const message = PT_UNAVAILABLE_MESSAGES[unavailable.reason];
+    return unavailable.label ? `${message} (${unavailable.label})` : message;
+};
+
+/**
+ * Check a PT's roster, approved leave and blocked time for an appointment
+ * @returns {Promise<Object|null>} { reason, message } or null when the PT can be booked
+ */
+const checkPTAvailability = async (db, ptId, clinicId, date, startTime, endTime) => {
+    const schedules = await loadPTSchedules(db, date);
+    const unavailable = getPTUnavailability(schedules, ptId, clinicId, toMinutes(startTime), toMinutes(endTime));
+    return unavailable ? { reason: unavailable.reason, message: describeUnavailability(unavailable) } : null;
+};
+
+// PTs rostered at a clinic on a date (empty when the clinic has no roster)
+const getRosteredPTIds = (schedules, clinicId) => {
+    const ptIds = [];
+    schedules.forEach((pt, ptId) => {
+        if (pt.shifts.some(s => s.clinic_id === parseInt(clinicId))) ptIds.push(ptId);
+    });
+    return ptIds;
+};
+
+// ========================================
+// AVAILABILITY
+// ========================================
+
+/**
+ * Build the slot list for a clinic and date
+ * With ptId the slots follow that PT's roster, leave, blocked time and bookings.
+ * Without ptId a slot is free while at least one rostered PT is free (clinics
+ * without a roster fall back to one booking per slot).
+ * @param {Object} db - Database connection
+ * @param {Object} options - { clinicId, date, ptId, serviceId, slotMinutes, excludeAppointmentId }
+ *   excludeAppointmentId leaves one booking out, e.g. the appointment being rescheduled
+ * @returns {Promise<Object>} { date, clinic_id, pt_id, open, closed_reason, slot_minutes, open_time, close_time, slots }
+ *   Each slot: { start_time, end_time, label, duration_minutes, available, booked, reason, free_pt_ids }
+ *   reason is null when available, otherwise PAST, BREAK, CLOSED, OFF_SHIFT, LEAVE, BLOCKED or BOOKED
+ */
+const getAvailableSlots = async (db, { clinicId, date, ptId = null, serviceId = null, slotMinutes = null, excludeAppointmentId = null }) => {
+    const schedule = await getClinicDaySchedule(db, clinicId, date);
+    const length = parseInt(slotMinutes) || await resolveSlotMinutes(db, clinicId, serviceId);
+
+    const result = {
+        date,
+        clinic_id: clinicId,
+        pt_id: ptId || null,
+        open: schedule.open,
+        closed_reason: schedule.closed_reason,
+        slot_minutes: length,
+        open_time: schedule.open_time || null,
+        close_time: schedule.close_time || null,
+        slots: []
+    };
+
+    if (!schedule.open) {
+        return result;
+    }
+
+    const [appointments] = await db.execute(
+        `SELECT start_time, end_time, pt_id
+         FROM appointments
+         WHERE appointment_date = ?
+           AND clinic_id = ?
+           AND status != 'CANCELLED'
+           AND id != ?`,
+        [date, clinicId, excludeAppointmentId || 0]
+    );
+    // Slots held for a waitlisted patient count as booked until the hold lapses
+    const [holds] = await db.execute(
+        `SELECT start_time, end_time, pt_id
+         FROM waitlist_offers
+         WHERE appointment_date = ?
+           AND clinic_id = ?
+           AND status = 'PENDING' AND expires_at > NOW()`,
+        [date, clinicId]
+    );
+    const booked = [...appointments, ...holds].map(a => ({ pt_id: a.pt_id, start: toMinutes(a.start_time), end: toMinutes(a.end_time) }));
+
+    const schedules = await loadPTSchedules(db, date);
+    const rosteredPTIds = ptId ? [] : getRosteredPTIds(schedules, clinicId);
+
+    const now = moment();
+    const isToday = now.format('YYYY-MM-DD') === date;
+    const nowMinutes = now.hours() * 60 + now.minutes();
+    const closeMinutes = toMinutes(schedule.close_time);
+
+    for (let start = toMinutes(schedule.open_time); start + length <= closeMinutes; start += length) {
+        const end = start + length;
+        const block = schedule.blocked.find(b => overlaps(start, end, b.start, b.end));
+        const overlapping = booked.filter(b => overlaps(start, end, b.start, b.end));
+
+        let isBooked;
+        let ptReason = null;
+        let freePTIds;
+
+        if (ptId) {
+            isBooked = overlapping.some(b => b.pt_id === parseInt(ptId));
+            const unavailable = getPTUnavailability(schedules, ptId, clinicId, start, end);
+            ptReason = unavailable ? unavailable.reason : null;
+        } else if (rosteredPTIds.length > 0) {
+            // Unassigned bookings (public walk-ins) each take one free PT
+            freePTIds = rosteredPTIds.filter(id =>
+                !getPTUnavailability(schedules, id, clinicId, start, end) &&
+                !overlapping.some(b => b.pt_id === id)
+            );
+            const unassigned = overlapping.filter(b => !b.pt_id).length;
+            isBooked = overlapping.length > 0 && freePTIds.length <= unassigned;
+            if (freePTIds.length === 0 && !isBooked) ptReason = 'OFF_SHIFT';
+        } else {
+            isBooked = overlapping.length > 0;
+        }
+
+        let reason = null;
+        if (isToday && end <= nowMinutes) reason = 'PAST';
+        else if (block) reason = block.reason;
+        else if (ptReason) reason = ptReason;
+        else if (isBooked) reason = 'BOOKED';
+
+        const slot = {
+            start_time: toTime(start),
+            end_time: toTime(end),
+            label: `${toTime(start).substring(0, 5)} - ${toTime(end).substring(0, 5)}`,
+            duration_minutes: length,
+            available: reason === null,
+            booked: isBooked,
+            reason
+        };
+        if (freePTIds) slot.free_pt_ids = freePTIds;
+
+        result.slots.push(slot);
+    }
+
+    return result;
+};
+
+/**
+ * Free/busy status of every active PT for a time window at a clinic
+ * @returns {Promise<Object>} { clinic_open, closed_reason, pts: [{ pt_id, name, available, reason, message, rostered }] }
+ */
+const getPTsAvailability = async (db, clinicId, date, startTime, endTime) => {
+    const clinicClosed = await checkClinicOpen(db, clinicId, date, startTime, endTime);
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+
+    const [pts] = await db.execute(
+        `SELECT id, first_name, last_name
+         FROM users
+         WHERE role = 'PT' AND active = 1
+         ORDER BY first_name, last_name`
+    );
+
+    const [appointments] = await db.execute(
+        `SELECT pt_id, start_time, end_time
+         FROM appointments
+         WHERE appointment_date = ? AND status != 'CANCELLED' AND pt_id IS NOT NULL`,
+        [date]
+    );
+
+    const schedules = await loadPTSchedules(db, date);
+
+    return {
+        clinic_open: !clinicClosed,
+        closed_reason: clinicClosed,
+        pts: pts.map(pt => {
+            const unavailable = getPTUnavailability(schedules, pt.id, clinicId, start, end);
+            const isBooked = appointments.some(a =>
+                a.pt_id === pt.id && overlaps(start, end, toMinutes(a.start_time), toMinutes(a.end_time))
+            );
+            const reason = unavailable ? unavailable.reason : (isBooked ? 'BOOKED' : null);
+
+            return {
+                pt_id: pt.id,
+                name: `${pt.first_name || ''} ${pt.last_name || ''}`.trim(),
+                available: !clinicClosed && reason === null,
+                reason,
+                message: unavailable ? describeUnavailability(unavailable) : (isBooked ? 'PT already has an appointment' : null),
+                rostered: schedules.has(pt.id) && schedules.get(pt.id).rostered
+            };
+        })
+    };
+};
+
+/**
+ * Check that a requested time lies inside opening hours and outside breaks/closures
+ * @returns {Promise<string|null>} Error message or null when the clinic is open
+ */
+const checkClinicOpen = async (db, clinicId, date, startTime, endTime) => {
+    const schedule = await getClinicDaySchedule(db, clinicId, date);
+
+    if (!schedule.open) {
+        return schedule.closed_reason;
+    }
+
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+
+    if (start < toMinutes(schedule.open_time) || end > toMinutes(schedule.close_time)) {
+        return `Outside opening hours (${schedule.open_time.substring(0, 5)} - ${schedule.close_time.substring(0, 5)})`;
+    }
+
+    const block = schedule.blocked.find(b => overlaps(start, end, b.start, b.end));
+    if (block) {
+        return block.reason === 'BREAK'
+            ? `Clinic is on a break${block.label ? ` (${block.label})` : ''}`
+            : `Clinic is closed at this time${block.label ? ` (${block.label})` : ''}`;
+    }
+
+    return null;
+};
+
+module.exports = {
+    DEFAULT_SLOT_MINUTES,
+    toMinutes,
+    toTime,
+    getClinicDaySchedule,
+    getAvailableSlots,
+    checkClinicOpen,
+    checkPTAvailability,
+    getPTsAvailability
+};
@@ -0,0 +1,334 @@
+// utils/bill-import.js - Bill CSV import (POST /api/bills/import)
+// One CSV row is one bill item. Rows sharing a bill_ref become one bill; a row
+// without bill_ref is a bill of its own. Bill-level columns (date, clinic,
+// patient, discount, tax, total, payment) are read from the first row of each
+// bill. Receipts migrated from other systems can arrive PAID; they earn loyalty
+// points like any other paid bill (POST /api/bills/import awards them).
+// Every row is checked before anything is written, so a dry run and a real
+// import report the same problems.
+const moment = require('moment');
+const { generateBillCode } = require('./helpers');
+const { getServicePrice } = require('./service-pricing');
+
+const MAX_ROWS = 2000;
+const TOTAL_TOLERANCE = 0.01;
+const PAYMENT_STATUSES = ['UNPAID', 'PAID', 'PARTIAL', 'CANCELLED'];
+
+const TEMPLATE_HEADERS = [
+    'bill_ref', 'bill_date', 'clinic_id',
+    'patient_hn', 'patient_pid', 'patient_phone', 'walk_in_name', 'walk_in_phone',
+    'service_id', 'service_name', 'quantity', 'unit_price', 'item_notes',
+    'discount', 'tax', 'total_amount', 'payment_method', 'payment_status', 'payment_date', 'bill_notes'
+];
+
+const TEMPLATE_EXAMPLE = [
+    'A1', moment().format('YYYY-MM-DD'), '1',
+    'HN0001', '', '', '', '',
+    '', 'Physical Therapy Session', '1', '800', '',
+    '0', '0', '800', 'CASH', 'PAID', moment().format('YYYY-MM-DD'), 'Imported bill'
+];
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const money = (value) => Math.round(value * 100) / 100;
+
+// Empty means "not given"; anything else must be a number
+const parseNumber = (value) => {
+    const raw = text(value).replace(/,/g, '');
+    if (raw === '') return null;
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : NaN;
+};
+
+// ========================================
+// MATCHING
+// ========================================
+
+/**
+ * Find the patient a row refers to, by HN, then PID, then phone
+ * @returns {Promise<Object|null>} { id, hn, clinic_id, name } or null when the row has no patient columns
+ * @throws {Error} when the identifiers match nobody or more than one patient
+ */
+const matchPatient = async (db, row) => {
+    const lookups = [
+        ['hn', text(row.patient_hn || row.hn)],
+        ['pid', text(row.patient_pid || row.pid)],
+        ['phone', text(row.patient_phone || row.phone)]
+    ].filter(([, value]) => value);
+
+    if (lookups.length === 0) return null;
+
+    for (const [column, value] of lookups) {
+        const [patients] = await db.execute(
+            `SELECT id, hn, clinic_id, CONCAT_WS(' ', first_name, last_name) as name
+             FROM patients WHERE ${column} = ? LIMIT 2`,
+            [value]
+        );
+        if (patients.length > 1) {
+            throw new Error(`More than one patient has ${column.toUpperCase()} ${value}`);
+        }
+        if (patients.length === 1) return patients[0];
+    }
+
+    throw new Error(`No patient found for ${lookups.map(([column, value]) => `${column.toUpperCase()} ${value}`).join(' / ')}`);
+};
+
+/**
+ * Find the service of an item row by service_id, or by exact name
+ * @param {Map} cache - lookups already made during this import
+ */
+const matchService = async (db, row, cache) => {
+    const id = text(row.service_id);
+    const name = text(row.service_name);
+    if (!id && !name) throw new Error('service_id or service_name is required');
+
+    const key = id ? `id:${id}` : `name:${name.toLowerCase()}`;
+    if (!cache.has(key)) {
+        const [services] = id
+            ? await db.execute('SELECT * FROM services WHERE id = ?', [id])
+            : await db.execute('SELECT * FROM services WHERE LOWER(service_name) = LOWER(?) LIMIT 2', [name]);
+        cache.set(key, services);
+    }
+
+    const services = cache.get(key);
+    if (services.length === 0) throw new Error(id ? `Service #${id} not found` : `Service "${name}" not found`);
+    if (services.length > 1) throw new Error(`More than one service is named "${name}"; use service_id`);
+    return services[0];
+};
+
+// ========================================
+// VALIDATION
+// ========================================
+
+// Rows grouped into bills, keeping CSV row numbers (header is row 1)
+const groupRows = (rows) => {
+    const groups = new Map();
+    rows.forEach((row, index) => {
+        const rowNumber = parseInt(row._row, 10) || index + 2;
+        const ref = text(row.bill_ref);
+        const key = ref ? `ref:${ref}` : `row:${rowNumber}`;
+        if (!groups.has(key)) groups.set(key, { ref: ref || null, rows: [] });
+        groups.get(key).rows.push({ ...row, rowNumber });
+    });
+    return Array.from(groups.values());
+};
+
+// Price comes from the row, else from the clinic's price on the bill date
+// (default price while the bill header itself is invalid)
+const validateItem = async (db, row, serviceCache, bill) => {
+    const service = await matchService(db, row, serviceCache);
+    const priced = bill ? await getServicePrice(db, bill.clinic_id, service.id, bill.bill_date) : null;
+    if (priced && !priced.is_enabled) {
+        throw new Error(`${service.service_name} is not available at clinic #${bill.clinic_id} on ${bill.bill_date}`);
+    }
+
+    const quantity = parseNumber(row.quantity);
+    const qty = quantity === null ? 1 : quantity;
+    if (!Number.isInteger(qty) || qty <= 0) throw new Error('quantity must be a whole number above 0');
+
+    const given = parseNumber(row.unit_price);
+    const unitPrice = given === null ? (priced ? priced.price : parseFloat(service.default_price)) : given;
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+        throw new Error(given === null ? `Service "${service.service_name}" has no price` : 'unit_price must be a number of 0 or more');
+    }
+
+    return {
+        service_id: service.id,
+        service_name: service.service_name,
+        quantity: qty,
+        unit_price: money(unitPrice),
+        total_price: money(unitPrice * qty),
+        notes: text(row.item_notes) || null
+    };
+};
+
+const validateHeader = async (db, first, accessibleClinicIds) => {
+    const billDate = text(first.bill_date);
+    if (!moment(billDate, 'YYYY-MM-DD', true).isValid()) {
+        throw new Error('bill_date must be YYYY-MM-DD');
+    }
+
+    const patient = await matchPatient(db, first);
+    // Patients are matched across all clinics; billing one needs access to its clinic
+    if (patient && accessibleClinicIds && !accessibleClinicIds.includes(patient.clinic_id)) {
+        throw new Error(`No access to patient ${patient.hn}`);
+    }
+    const walkInName = text(first.walk_in_name);
+    if (!patient && !walkInName) {
+        throw new Error('Give patient_hn, patient_pid or patient_phone, or walk_in_name for a walk-in');
+    }
+
+    const clinicId = parseInt(text(first.clinic_id), 10) || patient?.clinic_id || null;
+    if (!clinicId) throw new Error('clinic_id is required');
+    const [clinics] = await db.execute('SELECT id FROM clinics WHERE id = ?', [clinicId]);
+    if (clinics.length === 0) throw new Error(`Clinic #${clinicId} not found`);
+    if (accessibleClinicIds && !accessibleClinicIds.includes(clinicId)) {
+        throw new Error(`No access to clinic #${clinicId}`);
+    }
+
+    // Not given = UNPAID; a PAID bill without payment_date was paid on its bill date
+    const paymentStatus = text(first.payment_status).toUpperCase() || 'UNPAID';
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+        throw new Error(`payment_status must be one of ${PAYMENT_STATUSES.join(', ')}`);
+    }
+    const paymentDate = text(first.payment_date) || (paymentStatus === 'PAID' ? billDate : '');
+    if (paymentDate && !moment(paymentDate, 'YYYY-MM-DD', true).isValid()) {
+        throw new Error('payment_date must be YYYY-MM-DD');
+    }
+
+    const discount = parseNumber(first.discount);
+    const tax = parseNumber(first.tax);
+    const totalAmount = parseNumber(first.total_amount);
+    if (Number.isNaN(discount) || discount < 0) throw new Error('discount must be a number of 0 or more');
+    if (Number.isNaN(tax) || tax < 0) throw new Error('tax must be a number of 0 or more');
+    if (Number.isNaN(totalAmount)) throw new Error('total_amount must be a number');
+
+    return {
+        patient,
+        bill: {
+            patient_id: patient ? patient.id : null,
+            walk_in_name: patient ? null : walkInName,
+            walk_in_phone: patient ? null : (text(first.walk_in_phone) || null),
+            clinic_id: clinicId,
+            bill_date: billDate,
+            discount: discount || 0,
+            tax: tax || 0,
+            payment_status: paymentStatus,
+            payment_method: text(first.payment_method) || null,
+            payment_date: paymentDate || null,
+            bill_notes: text(first.bill_notes) || null
+        },
+        expectedTotal: totalAmount
+    };
+};
+
+/**
+ * Check every row and build the bills to create
+ * @param {Array<Object>} rows - CSV rows keyed by header (optional _row = CSV line number)
+ * @param {Array<number>|null} accessibleClinicIds - clinics the user may bill for (null = all)
+ * @returns {Promise<Object>} { bills, report } where report has one entry per CSV row
+ */
+const validateBillRows = async (db, rows, accessibleClinicIds = null) => {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw Object.assign(new Error('No rows to import'), { status: 400 });
+    }
+    if (rows.length > MAX_ROWS) {
+        throw Object.assign(new Error(`Import is limited to ${MAX_ROWS} rows`), { status: 400 });
+    }
+
+    const serviceCache = new Map();
+    const bills = [];
+    const report = [];
+
+    for (const group of groupRows(rows)) {
+        const rowErrors = new Map(group.rows.map(row => [row.rowNumber, []]));
+        const first = group.rows[0];
+        let header = null;
+
+        try {
+            header = await validateHeader(db, first, accessibleClinicIds);
+        } catch (error) {
+            rowErrors.get(first.rowNumber).push(error.message);
+        }
+
+        const items = [];
+        for (const row of group.rows) {
+            try {
+                items.push(await validateItem(db, row, serviceCache, header?.bill));
+            } catch (error) {
+                rowErrors.get(row.rowNumber).push(error.message);
+            }
+        }
+
+        let totals = null;
+        if (header && items.length === group.rows.length) {
+            const subtotal = money(items.reduce((sum, item) => sum + item.total_price, 0));
+            const totalAmount = money(subtotal - header.bill.discount + header.bill.tax);
+            if (totalAmount < 0) {
+                rowErrors.get(first.rowNumber).push('discount is larger than the bill subtotal');
+            } else if (header.expectedTotal !== null && Math.abs(header.expectedTotal - totalAmount) > TOTAL_TOLERANCE) {
+                rowErrors.get(first.rowNumber).push(
+                    `total_amount ${header.expectedTotal.toFixed(2)} does not match items (${subtotal.toFixed(2)} - discount + tax = ${totalAmount.toFixed(2)})`
+                );
+            }
+            totals = { subtotal, total_amount: totalAmount };
+        }
+
+        const groupOk = Array.from(rowErrors.values()).every(errors => errors.length === 0);
+
+        // A bad row fails the whole bill it belongs to
+        group.rows.forEach(row => {
+            const errors = rowErrors.get(row.rowNumber);
+            report.push({
+                row: row.rowNumber,
+                bill_ref: group.ref,
+                status: groupOk ? 'ok' : 'error',
+                errors: groupOk || errors.length > 0 ? errors : ['Another row of this bill has errors'],
+                patient: header?.patient ? { id: header.patient.id, hn: header.patient.hn, name: header.patient.name } : null,
+                walk_in_name: header && !header.patient ? header.bill.walk_in_name : null,
+                total_amount: totals ? totals.total_amount : null
+            });
+        });
+
+        if (groupOk) {
+            bills.push({ ref: group.ref, rows: group.rows.map(row => row.rowNumber), ...header.bill, ...totals, items });
+        }
+    }
+
+    report.sort((a, b) => a.row - b.row);
+    return { bills, report };
+};
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Insert validated bills. Run inside the caller's transaction so the whole
+ * file commits or rolls back together.
+ * @returns {Promise<Array>} [{ id, bill_code, ref, rows, payment_status }]
+ */
+const insertBills = async (connection, bills, userId) => {
+    const created = [];
+
+    for (const bill of bills) {
+        // Read inside the transaction, so each bill sees the code given to the one before
+        const billCode = await generateBillCode(connection);
+
+        const [result] = await connection.execute(`
+            INSERT INTO bills (
+                bill_code, patient_id, walk_in_name, walk_in_phone, clinic_id, bill_date,
+                subtotal, discount, tax, total_amount,
+                payment_status, payment_method, payment_date, payment_notes, bill_notes,
+                appointment_id, pn_case_id, course_id, is_course_cutting, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            billCode, bill.patient_id, bill.walk_in_name, bill.walk_in_phone, bill.clinic_id, bill.bill_date,
+            bill.subtotal, bill.discount, bill.tax, bill.total_amount,
+            bill.payment_status, bill.payment_method, bill.payment_date, null, bill.bill_notes,
+            null, null, null, 0, userId
+        ]);
+
+        for (const item of bill.items) {
+            await connection.execute(`
+                INSERT INTO bill_items (
+                    bill_id, service_id, service_name, quantity, unit_price, total_price, notes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [result.insertId, item.service_id, item.service_name, item.quantity, item.unit_price, item.total_price, item.notes]);
+        }
+
+        created.push({ id: result.insertId, bill_code: billCode, ref: bill.ref, rows: bill.rows, payment_status: bill.payment_status });
+    }
+
+    return created;
+};
+
+// CSV template with headers and one example row
+const buildTemplateCSV = () => `${TEMPLATE_HEADERS.join(',')}\n${TEMPLATE_EXAMPLE.join(',')}\n`;
+
+module.exports = {
+    TEMPLATE_HEADERS,
+    validateBillRows,
+    insertBills,
+    buildTemplateCSV
+};
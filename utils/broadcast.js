@@ -0,0 +1,889 @@
+// utils/broadcast.js - Broadcast campaign audiences and delivery
+// Builds the recipient list of a campaign (all patients, hand-picked patients
+// or a segment of patient data) and delivers it through a persistent queue:
+// starting a campaign writes one broadcast_logs row per recipient, and the
+// dispatcher sends due rows within per-channel rate limits, retrying failures
+// with exponential backoff. Recipients without marketing consent on a channel
+// are suppressed, and nothing is sent during quiet hours.
+const os = require('os');
+const moment = require('moment');
+const nodemailer = require('nodemailer');
+const { sendPatientSMS } = require('./notifications');
+const { getUnsubscribeUrl, getOneClickUnsubscribeUrl } = require('./marketing-consent');
+
+const DISPATCH_INTERVAL_MS = 15 * 1000;
+const ENQUEUE_BATCH_SIZE = 500;
+const MAX_ATTEMPTS = 5;
+// Retries wait 2, 4, 8 then 16 minutes
+const RETRY_BASE_MINUTES = 2;
+// A row left processing this long was interrupted (e.g. the server stopped mid-send)
+const STALE_PROCESSING_MINUTES = 10;
+// Messages per minute when not set in system_settings
+const DEFAULT_RATE_LIMITS = { email: 60, phone: 30 };
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const patientSelectClause = `
+    SELECT
+        p.id,
+        CONCAT(COALESCE(p.first_name, ''), ' ', COALESCE(p.last_name, '')) as name,
+        p.first_name,
+        p.last_name,
+        p.hn,
+        p.dob,
+        p.email,
+        p.phone,
+        p.address,
+        p.emergency_contact,
+        p.emergency_phone,
+        (SELECT mc.consented FROM patient_marketing_consent mc
+         WHERE mc.patient_id = p.id AND mc.channel = 'email') as email_consent,
+        (SELECT mc.consented FROM patient_marketing_consent mc
+         WHERE mc.patient_id = p.id AND mc.channel = 'sms') as sms_consent
+    FROM patients p
+`;
+
+// ========================================
+// AUDIENCE SEGMENTS
+// ========================================
+
+const positiveInt = (value) => {
+    const number = parseInt(value);
+    return number > 0 ? number : null;
+};
+
+/**
+ * Validate and clean segment filters; empty values are dropped
+ * @param {Object|string} filters - Filters object or its JSON
+ * @returns {Object} { clinic_id, last_visit_within_days, last_visit_over_days, has_active_course,
+ *                     diagnosis, body_area, age_min, age_max, birth_month }
+ * @throws {Error} with status 400 when a filter is invalid
+ */
+const normalizeSegmentFilters = (filters) => {
+    let raw = filters || {};
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch (error) {
+            throw Object.assign(new Error('segment_filters must be valid JSON'), { status: 400 });
+        }
+    }
+
+    const clean = {};
+
+    if (raw.clinic_id) clean.clinic_id = positiveInt(raw.clinic_id);
+    if (raw.last_visit_within_days) clean.last_visit_within_days = positiveInt(raw.last_visit_within_days);
+    if (raw.last_visit_over_days) clean.last_visit_over_days = positiveInt(raw.last_visit_over_days);
+    if (raw.has_active_course !== undefined && raw.has_active_course !== null && raw.has_active_course !== '') {
+        clean.has_active_course = raw.has_active_course === true || raw.has_active_course === 'true' || raw.has_active_course === 1 || raw.has_active_course === '1';
+    }
+    if (typeof raw.diagnosis === 'string' && raw.diagnosis.trim()) clean.diagnosis = raw.diagnosis.trim();
+    if (typeof raw.body_area === 'string' && raw.body_area.trim()) clean.body_area = raw.body_area.trim();
+    if (raw.age_min !== undefined && raw.age_min !== '' && raw.age_min !== null) clean.age_min = parseInt(raw.age_min);
+    if (raw.age_max !== undefined && raw.age_max !== '' && raw.age_max !== null) clean.age_max = parseInt(raw.age_max);
+    if (raw.birth_month) clean.birth_month = parseInt(raw.birth_month);
+
+    for (const key of ['clinic_id', 'last_visit_within_days', 'last_visit_over_days']) {
+        if (key in clean && !clean[key]) {
+            throw Object.assign(new Error(`${key} must be a positive number`), { status: 400 });
+        }
+    }
+    for (const key of ['age_min', 'age_max']) {
+        if (key in clean && (isNaN(clean[key]) || clean[key] < 0 || clean[key] > 130)) {
+            throw Object.assign(new Error(`${key} must be between 0 and 130`), { status: 400 });
+        }
+    }
+    if ('age_min' in clean && 'age_max' in clean && clean.age_min > clean.age_max) {
+        throw Object.assign(new Error('age_min cannot be greater than age_max'), { status: 400 });
+    }
+    if ('birth_month' in clean && !(clean.birth_month >= 1 && clean.birth_month <= 12)) {
+        throw Object.assign(new Error('birth_month must be between 1 and 12'), { status: 400 });
+    }
+
+    return clean;
+};
+
+/**
+ * SQL conditions on patients p for a segment
+ * @returns {Object} { conditions: [], params: [] }
+ */
+const buildSegmentConditions = (filters) => {
+    const conditions = [];
+    const params = [];
+    const lastVisit = `(SELECT MAX(v.appointment_date) FROM appointments v
+                        WHERE v.patient_id = p.id AND v.status = 'COMPLETED')`;
+
+    if (filters.clinic_id) {
+        conditions.push('p.clinic_id = ?');
+        params.push(filters.clinic_id);
+    }
+    if (filters.last_visit_within_days) {
+        conditions.push(`${lastVisit} >= DATE_SUB(CURDATE(), INTERVAL ? DAY)`);
+        params.push(filters.last_visit_within_days);
+    }
+    if (filters.last_visit_over_days) {
+        // Patients who have visited before but not recently
+        conditions.push(`${lastVisit} < DATE_SUB(CURDATE(), INTERVAL ? DAY)`);
+        params.push(filters.last_visit_over_days);
+    }
+    if (filters.has_active_course !== undefined) {
+        conditions.push(`${filters.has_active_course ? '' : 'NOT '}EXISTS (
+            SELECT 1 FROM courses c
+            LEFT JOIN course_shared_users cs ON cs.course_id = c.id AND cs.patient_id = p.id AND cs.is_active = 1
+            WHERE (c.patient_id = p.id OR cs.id IS NOT NULL)
+              AND c.status = 'ACTIVE' AND c.remaining_sessions > 0
+              AND (c.expiry_date IS NULL OR c.expiry_date >= CURDATE())
+        )`);
+    }
+    if (filters.diagnosis) {
+        conditions.push('p.diagnosis LIKE ?');
+        params.push(`%${filters.diagnosis}%`);
+    }
+    if (filters.body_area) {
+        conditions.push('p.body_area LIKE ?');
+        params.push(`%${filters.body_area}%`);
+    }
+    if (filters.age_min !== undefined) {
+        conditions.push('TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) >= ?');
+        params.push(filters.age_min);
+    }
+    if (filters.age_max !== undefined) {
+        conditions.push('TIMESTAMPDIFF(YEAR, p.dob, CURDATE()) <= ?');
+        params.push(filters.age_max);
+    }
+    if (filters.birth_month) {
+        conditions.push('MONTH(p.dob) = ?');
+        params.push(filters.birth_month);
+    }
+
+    return { conditions, params };
+};
+
+// ========================================
+// RECIPIENTS
+// ========================================
+
+/**
+ * Patients a campaign targets, with the fields used by template variables
+ * @param {Object} db - Database connection
+ * @param {Object} campaign - { target_audience, custom_recipients, segment_filters }
+ * @returns {Promise<Array>} Patient rows
+ */
+const getAudiencePatients = async (db, campaign) => {
+    if (campaign.target_audience === 'custom') {
+        const customList = JSON.parse(campaign.custom_recipients || '[]');
+        const patientIds = customList.map(r => r.id).filter(Boolean);
+        if (patientIds.length === 0) return [];
+
+        const [patients] = await db.execute(
+            `${patientSelectClause} WHERE p.id IN (${patientIds.map(() => '?').join(',')})`,
+            patientIds
+        );
+        return patients;
+    }
+
+    let query = `${patientSelectClause} WHERE 1=1`;
+    let params = [];
+
+    if (campaign.target_audience === 'segment') {
+        const { conditions, params: segmentParams } = buildSegmentConditions(normalizeSegmentFilters(campaign.segment_filters));
+        if (conditions.length > 0) {
+            query += ` AND ${conditions.join(' AND ')}`;
+        }
+        params = segmentParams;
+    }
+
+    const [patients] = await db.execute(`${query} ORDER BY p.id`, params);
+    return patients;
+};
+
+// null = may be sent; otherwise why the recipient is suppressed
+const suppressionReason = (consent) => {
+    if (consent === null || consent === undefined) return 'no_consent';
+    return consent ? null : 'opted_out';
+};
+
+/**
+ * Email and SMS recipients for a list of patients, one per channel per patient
+ * @returns {Array} [{ type: 'email'|'phone', value, patientData, suppressed }]
+ */
+const buildRecipients = (patients, campaignType) => {
+    const recipients = [];
+
+    for (const patient of patients) {
+        if ((campaignType === 'email' || campaignType === 'both') && patient.email) {
+            recipients.push({
+                type: 'email',
+                value: patient.email,
+                patientData: patient,
+                suppressed: suppressionReason(patient.email_consent)
+            });
+        }
+        if ((campaignType === 'sms' || campaignType === 'both') && patient.phone) {
+            recipients.push({
+                type: 'phone',
+                value: patient.phone,
+                patientData: patient,
+                suppressed: suppressionReason(patient.sms_consent)
+            });
+        }
+    }
+
+    return recipients;
+};
+
+/**
+ * Recipient counts for the preview shown before sending; email and sms count
+ * only recipients who will actually receive the message
+ * @returns {Promise<Object>} { patients, recipients, email, sms, suppressed: { no_consent, opted_out }, sample }
+ */
+const previewAudience = async (db, campaign) => {
+    const patients = await getAudiencePatients(db, campaign);
+    const recipients = buildRecipients(patients, campaign.campaign_type);
+    const sendable = recipients.filter(r => !r.suppressed);
+
+    return {
+        patients: patients.length,
+        recipients: sendable.length,
+        email: sendable.filter(r => r.type === 'email').length,
+        sms: sendable.filter(r => r.type === 'phone').length,
+        suppressed: {
+            no_consent: recipients.filter(r => r.suppressed === 'no_consent').length,
+            opted_out: recipients.filter(r => r.suppressed === 'opted_out').length
+        },
+        sample: patients.slice(0, 5).map(p => p.name.trim())
+    };
+};
+
+// ========================================
+// QUIET HOURS
+// ========================================
+
+/**
+ * Quiet hours from system settings
+ * @returns {Promise<Object|null>} { start: 'HH:mm', end: 'HH:mm' } or null when disabled
+ */
+const getQuietHours = async (db) => {
+    const [rows] = await db.execute(
+        `SELECT setting_key, setting_value FROM system_settings
+         WHERE setting_key IN ('broadcast_quiet_hours_start', 'broadcast_quiet_hours_end')`
+    );
+    const settings = Object.fromEntries(rows.map(row => [row.setting_key, row.setting_value]));
+    const start = settings.broadcast_quiet_hours_start;
+    const end = settings.broadcast_quiet_hours_end;
+    const valid = (time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '');
+
+    return valid(start) && valid(end) && start !== end ? { start, end } : null;
+};
+
+/**
+ * When the current quiet period ends; quiet hours may span midnight
+ * @param {Object|null} quietHours - { start, end }
+ * @param {Object} now - moment
+ * @returns {Object|null} moment of the end, or null when not in quiet hours
+ */
+const getQuietHoursEnd = (quietHours, now = moment()) => {
+    if (!quietHours) return null;
+
+    const time = now.format('HH:mm');
+    const { start, end } = quietHours;
+    const inQuietHours = start < end
+        ? time >= start && time < end
+        : time >= start || time < end;
+    if (!inQuietHours) return null;
+
+    const endToday = moment(`${now.format('YYYY-MM-DD')} ${end}`, 'YYYY-MM-DD HH:mm');
+    return endToday.isAfter(now) ? endToday : endToday.add(1, 'day');
+};
+
+// ========================================
+// SENDING
+// ========================================
+
+/**
+ * Fill {variables} of a broadcast message from the patient record
+ */
+const replaceTemplateVariables = (text, patientData, clinicName = 'PhysioConext') => {
+    if (!text || !patientData) return text;
+
+    const values = {
+        patientName: patientData.name,
+        firstName: patientData.first_name,
+        lastName: patientData.last_name,
+        email: patientData.email,
+        phone: patientData.phone,
+        hn: patientData.hn,
+        dob: patientData.dob ? moment(patientData.dob).format('DD/MM/YYYY') : '',
+        address: patientData.address,
+        emergencyContact: patientData.emergency_contact,
+        emergencyPhone: patientData.emergency_phone,
+        unsubscribeLink: patientData.unsubscribe_link,
+        clinicName
+    };
+
+    return Object.entries(values).reduce(
+        (result, [key, value]) => result.replace(new RegExp(`{${key}}`, 'g'), value || ''),
+        text
+    );
+};
+
+// Patients are always told how to stop receiving broadcasts
+const UNSUBSCRIBE_FOOTER_HTML = (url) =>
+    `<p style="font-size: 12px; color: #888;">You received this because you agreed to news from us. <a href="${url}">Unsubscribe</a></p>`;
+
+const sendBroadcastEmail = async (db, smtpConfig, recipient, campaign, clinicName) => {
+    try {
+        if (!smtpConfig || smtpConfig.enabled !== 1) {
+            console.log('SMTP not enabled');
+            return false;
+        }
+
+        const transporter = nodemailer.createTransport({
+            host: smtpConfig.host,
+            port: parseInt(smtpConfig.port),
+            secure: smtpConfig.secure === 'ssl',
+            auth: {
+                user: smtpConfig.user,
+                pass: smtpConfig.password
+            },
+            tls: {
+                rejectUnauthorized: false
+            }
+        });
+
+        const patientId = recipient.patientData.id;
+        const unsubscribeUrl = getUnsubscribeUrl(patientId, 'email');
+        const patientData = { ...recipient.patientData, unsubscribe_link: unsubscribeUrl };
+
+        // Replace template variables in subject and content
+        const personalizedSubject = replaceTemplateVariables(campaign.subject, patientData, clinicName);
+        let personalizedText = replaceTemplateVariables(campaign.message_text, patientData, clinicName);
+        let personalizedHtml = campaign.message_html
+            ? replaceTemplateVariables(campaign.message_html, patientData, clinicName)
+            : personalizedText.replace(/\n/g, '<br>');
+
+        if (!personalizedHtml.includes(unsubscribeUrl)) {
+            personalizedHtml += UNSUBSCRIBE_FOOTER_HTML(unsubscribeUrl);
+        }
+        if (!personalizedText.includes(unsubscribeUrl)) {
+            personalizedText += `\n\nUnsubscribe: ${unsubscribeUrl}`;
+        }
+
+        await transporter.sendMail({
+            from: `"${smtpConfig.fromName || 'Broadcast'}" <${smtpConfig.fromEmail}>`,
+            to: recipient.value,
+            subject: personalizedSubject,
+            text: personalizedText,
+            html: personalizedHtml,
+            // One-click unsubscribe from the mail client (RFC 8058)
+            headers: {
+                'List-Unsubscribe': `<${getOneClickUnsubscribeUrl(patientId, 'email')}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
+        return true;
+    } catch (error) {
+        console.error('Broadcast email error:', error);
+        return false;
+    }
+};
+
+/**
+ * SMS text with the way to opt out: the STOP keyword when inbound SMS is set
+ * up, otherwise the unsubscribe link
+ */
+const personalizeSMS = (campaign, patient, clinicName, stopKeywordEnabled) => {
+    const unsubscribeUrl = getUnsubscribeUrl(patient.id, 'sms');
+    const message = replaceTemplateVariables(campaign.message_text, { ...patient, unsubscribe_link: unsubscribeUrl }, clinicName);
+
+    if (message.includes(unsubscribeUrl)) return message;
+    return stopKeywordEnabled
+        ? `${message}\nReply STOP to opt out`
+        : `${message}\nOpt out: ${unsubscribeUrl}`;
+};
+
+/**
+ * Settings shared by every message of a queue run
+ * @returns {Promise<Object>} { smtpConfig, clinicName, stopKeywordEnabled }
+ */
+const loadSendContext = async (db) => {
+    let smtpConfig = null;
+    const [settings] = await db.execute(`
+        SELECT setting_value FROM notification_settings WHERE setting_type = 'smtp' LIMIT 1
+    `);
+    if (settings.length > 0) {
+        smtpConfig = JSON.parse(settings[0].setting_value);
+    }
+
+    // Get clinic name for template variables
+    const [clinicSettings] = await db.execute(`
+        SELECT setting_value FROM notification_settings WHERE setting_type = 'clinic_info' LIMIT 1
+    `);
+    const clinicName = clinicSettings.length > 0
+        ? (JSON.parse(clinicSettings[0].setting_value).name || 'PhysioConext')
+        : 'PhysioConext';
+
+    const [webhookSecret] = await db.execute(
+        "SELECT setting_value FROM system_settings WHERE setting_key = 'sms_inbound_webhook_secret'"
+    );
+    const stopKeywordEnabled = webhookSecret.length > 0 && !!webhookSecret[0].setting_value;
+
+    return { smtpConfig, clinicName, stopKeywordEnabled };
+};
+
+const sendQueuedMessage = async (db, campaign, recipient, context) => {
+    if (recipient.type === 'email') {
+        return sendBroadcastEmail(db, context.smtpConfig, recipient, campaign, context.clinicName);
+    }
+    const message = personalizeSMS(campaign, recipient.patientData, context.clinicName, context.stopKeywordEnabled);
+    return sendPatientSMS(db, recipient.value, message);
+};
+
+// ========================================
+// PROGRESS
+// ========================================
+
+/**
+ * Per-status counts of a campaign's queue, also written to the campaign row
+ * @returns {Promise<Object|null>} { campaign_id, status, total, sent, failed, suppressed, pending, cancelled }
+ */
+const refreshCampaignProgress = async (db, campaignId) => {
+    const [campaigns] = await db.execute('SELECT id, status FROM broadcast_campaigns WHERE id = ?', [campaignId]);
+    if (campaigns.length === 0) return null;
+
+    const [rows] = await db.execute(
+        'SELECT status, COUNT(*) as count FROM broadcast_logs WHERE campaign_id = ? GROUP BY status',
+        [campaignId]
+    );
+    const counts = Object.fromEntries(rows.map(row => [row.status, Number(row.count)]));
+    const progress = {
+        campaign_id: Number(campaignId),
+        status: campaigns[0].status,
+        total: rows.reduce((sum, row) => sum + Number(row.count), 0),
+        sent: counts.sent || 0,
+        failed: counts.failed || 0,
+        suppressed: counts.suppressed || 0,
+        pending: (counts.pending || 0) + (counts.processing || 0),
+        cancelled: counts.cancelled || 0
+    };
+
+    // A running campaign is done once nothing is left to send
+    const finished = progress.status === 'sending' && progress.pending === 0;
+    if (finished) progress.status = 'sent';
+
+    await db.execute(`
+        UPDATE broadcast_campaigns SET
+            sent_count = ?,
+            failed_count = ?,
+            suppressed_count = ?
+            ${finished ? ", status = 'sent', sent_at = NOW()" : ''}
+        WHERE id = ?
+    `, [progress.sent, progress.failed, progress.suppressed, campaignId]);
+
+    if (finished) {
+        console.log(`Broadcast ${campaignId} completed: ${progress.sent} sent, ${progress.failed} failed, ${progress.suppressed} suppressed`);
+    }
+
+    return progress;
+};
+
+// Staff on the broadcast page follow sending live
+const emitProgress = (io, progress) => {
+    if (io && progress) {
+        io.to('role:ADMIN').to('role:PT').emit('broadcast_progress', progress);
+    }
+};
+
+// ========================================
+// SEND QUEUE
+// ========================================
+
+/**
+ * Write one queue row per recipient; suppressed recipients are recorded as such
+ * @returns {Promise<Object>} { total, suppressed }
+ */
+const enqueueRecipients = async (connection, campaignId, recipients) => {
+    for (let i = 0; i < recipients.length; i += ENQUEUE_BATCH_SIZE) {
+        const batch = recipients.slice(i, i + ENQUEUE_BATCH_SIZE);
+        await connection.execute(
+            `INSERT INTO broadcast_logs (campaign_id, patient_id, recipient_type, recipient, status, suppression_reason)
+             VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+            batch.flatMap(r => [
+                campaignId,
+                r.patientData.id,
+                r.type,
+                r.value,
+                r.suppressed ? 'suppressed' : 'pending',
+                r.suppressed || null
+            ])
+        );
+    }
+
+    return {
+        total: recipients.length,
+        suppressed: recipients.filter(r => r.suppressed).length
+    };
+};
+
+/**
+ * Messages per minute for each recipient type
+ * @returns {Promise<Object>} { email, phone }
+ */
+const getRateLimits = async (db) => {
+    const [rows] = await db.execute(
+        `SELECT setting_key, setting_value FROM system_settings
+         WHERE setting_key IN ('broadcast_email_per_minute', 'broadcast_sms_per_minute')`
+    );
+    const settings = Object.fromEntries(rows.map(row => [row.setting_key, parseInt(row.setting_value)]));
+
+    return {
+        email: settings.broadcast_email_per_minute > 0 ? settings.broadcast_email_per_minute : DEFAULT_RATE_LIMITS.email,
+        phone: settings.broadcast_sms_per_minute > 0 ? settings.broadcast_sms_per_minute : DEFAULT_RATE_LIMITS.phone
+    };
+};
+
+/**
+ * Claim queue rows of one recipient type, within what the rate limit allows
+ * this minute. Attempts by every instance count towards the limit.
+ * @returns {Promise<Array>} Claimed rows
+ */
+const claimQueueRows = async (db, recipientType, perMinute) => {
+    const [recent] = await db.execute(
+        `SELECT COUNT(*) as count FROM broadcast_logs
+         WHERE recipient_type = ? AND locked_at >= DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+        [recipientType]
+    );
+    const budget = perMinute - Number(recent[0].count);
+    if (budget <= 0) return [];
+
+    // LIMIT cannot be a placeholder in a prepared statement
+    await db.execute(
+        `UPDATE broadcast_logs
+         SET status = 'processing', locked_by = ?, locked_at = NOW(), attempts = attempts + 1
+         WHERE status = 'pending' AND recipient_type = ?
+           AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+           AND campaign_id IN (SELECT id FROM broadcast_campaigns WHERE status = 'sending')
+         ORDER BY id
+         LIMIT ${parseInt(budget)}`,
+        [INSTANCE_ID, recipientType]
+    );
+
+    const [rows] = await db.execute(
+        `SELECT * FROM broadcast_logs
+         WHERE status = 'processing' AND locked_by = ? AND recipient_type = ?
+         ORDER BY id`,
+        [INSTANCE_ID, recipientType]
+    );
+    return rows;
+};
+
+// Rows claimed by an instance that stopped mid-send are retried
+const releaseStaleRows = async (db) => {
+    await db.execute(
+        `UPDATE broadcast_logs
+         SET status = IF(attempts >= ?, 'failed', 'pending'),
+             error_message = 'Interrupted before completion',
+             next_attempt_at = NOW(), locked_by = NULL
+         WHERE status = 'processing' AND locked_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [MAX_ATTEMPTS, STALE_PROCESSING_MINUTES]
+    );
+};
+
+/**
+ * Record the outcome of one attempt; failures are retried with exponential
+ * backoff until MAX_ATTEMPTS
+ */
+const completeQueueRow = async (db, row, outcome) => {
+    if (outcome.status === 'sent') {
+        await db.execute(
+            `UPDATE broadcast_logs SET status = 'sent', sent_at = NOW(), error_message = NULL, locked_by = NULL
+             WHERE id = ?`,
+            [row.id]
+        );
+    } else if (outcome.status === 'failed' && row.attempts < MAX_ATTEMPTS) {
+        await db.execute(
+            `UPDATE broadcast_logs
+             SET status = 'pending', error_message = ?, locked_by = NULL,
+                 next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+             WHERE id = ?`,
+            [outcome.error, RETRY_BASE_MINUTES * Math.pow(2, row.attempts - 1), row.id]
+        );
+    } else {
+        await db.execute(
+            `UPDATE broadcast_logs SET status = ?, suppression_reason = ?, error_message = ?, locked_by = NULL
+             WHERE id = ?`,
+            [outcome.status, outcome.reason || null, outcome.error || null, row.id]
+        );
+    }
+};
+
+/**
+ * Send due queue rows of every running campaign
+ * @param {Object} db - Database connection
+ * @param {Object} io - Socket.IO server for progress updates (optional)
+ * @returns {Promise<Object>} { sent, failed, suppressed }
+ */
+const processQueue = async (db, io = null) => {
+    const summary = { sent: 0, failed: 0, suppressed: 0 };
+
+    // Nothing goes out during quiet hours; the queue resumes when they end
+    if (getQuietHoursEnd(await getQuietHours(db))) return summary;
+
+    await releaseStaleRows(db);
+
+    const limits = await getRateLimits(db);
+    const rows = [
+        ...await claimQueueRows(db, 'email', limits.email),
+        ...await claimQueueRows(db, 'phone', limits.phone)
+    ];
+
+    const touched = new Set();
+
+    if (rows.length > 0) {
+        const context = await loadSendContext(db);
+        const campaignIds = [...new Set(rows.map(row => row.campaign_id))];
+        const patientIds = [...new Set(rows.map(row => row.patient_id).filter(Boolean))];
+
+        const [campaigns] = await db.execute(
+            `SELECT * FROM broadcast_campaigns WHERE id IN (${campaignIds.map(() => '?').join(',')})`,
+            campaignIds
+        );
+        const campaignsById = new Map(campaigns.map(c => [c.id, c]));
+
+        const [patients] = patientIds.length > 0
+            ? await db.execute(
+                `${patientSelectClause} WHERE p.id IN (${patientIds.map(() => '?').join(',')})`,
+                patientIds
+            )
+            : [[]];
+        const patientsById = new Map(patients.map(p => [p.id, p]));
+
+        for (const row of rows) {
+            const campaign = campaignsById.get(row.campaign_id);
+            touched.add(row.campaign_id);
+
+            // Paused or cancelled after the rows were claimed
+            if (!campaign || campaign.status !== 'sending') {
+                await db.execute(
+                    `UPDATE broadcast_logs
+                     SET status = ?, attempts = attempts - 1, locked_by = NULL, locked_at = NULL
+                     WHERE id = ?`,
+                    [campaign && campaign.status === 'paused' ? 'pending' : 'cancelled', row.id]
+                );
+                continue;
+            }
+
+            // Consent is checked again at send time; it may have been withdrawn since queueing
+            const patient = patientsById.get(row.patient_id);
+            const reason = patient
+                ? suppressionReason(row.recipient_type === 'email' ? patient.email_consent : patient.sms_consent)
+                : 'no_consent';
+
+            let outcome;
+            if (reason) {
+                outcome = { status: 'suppressed', reason };
+            } else {
+                try {
+                    const success = await sendQueuedMessage(db, campaign, {
+                        type: row.recipient_type,
+                        value: row.recipient,
+                        patientData: patient
+                    }, context);
+                    outcome = success ? { status: 'sent' } : { status: 'failed', error: 'Send failed' };
+                } catch (error) {
+                    outcome = { status: 'failed', error: error.message };
+                }
+            }
+            // Ids only: recipients' contact details stay out of the logs
+            if (outcome.status === 'failed') {
+                console.warn(`[BROADCAST] Campaign ${row.campaign_id} row ${row.id} ${row.recipient_type} failed: ${outcome.error}`);
+            }
+
+            await completeQueueRow(db, row, outcome);
+            summary[outcome.status]++;
+        }
+    }
+
+    // Campaigns with nothing left to send (e.g. every recipient suppressed)
+    const [idle] = await db.execute(
+        `SELECT c.id FROM broadcast_campaigns c
+         WHERE c.status = 'sending'
+           AND NOT EXISTS (SELECT 1 FROM broadcast_logs l
+                           WHERE l.campaign_id = c.id AND l.status IN ('pending', 'processing'))`
+    );
+    idle.forEach(campaign => touched.add(campaign.id));
+
+    for (const campaignId of touched) {
+        emitProgress(io, await refreshCampaignProgress(db, campaignId));
+    }
+
+    return summary;
+};
+
+// ========================================
+// CAMPAIGN CONTROL
+// ========================================
+
+/**
+ * Queue a campaign for sending
+ * Claiming the campaign and writing its queue happen in one transaction, so
+ * a campaign is never queued twice by the send button and the dispatcher (or
+ * by two server instances). During quiet hours the campaign is scheduled for
+ * when they end instead.
+ * @returns {Promise<Object|null>} { total_recipients, suppressed } or { held_until } or null when already claimed
+ */
+const dispatchCampaign = async (db, campaign, io = null) => {
+    const quietUntil = getQuietHoursEnd(await getQuietHours(db));
+    if (quietUntil) {
+        const [held] = await db.execute(
+            `UPDATE broadcast_campaigns SET status = 'scheduled', schedule_type = 'scheduled', scheduled_time = ?
+             WHERE id = ? AND status IN ('draft', 'scheduled', 'failed')`,
+            [quietUntil.format('YYYY-MM-DD HH:mm:ss'), campaign.id]
+        );
+        return held.affectedRows > 0 ? { held_until: quietUntil.format('YYYY-MM-DD HH:mm:ss') } : null;
+    }
+
+    const connection = await db.getConnection();
+    let queued;
+    try {
+        await connection.beginTransaction();
+
+        const [claimed] = await connection.execute(
+            "UPDATE broadcast_campaigns SET status = 'sending' WHERE id = ? AND status IN ('draft', 'scheduled', 'failed')",
+            [campaign.id]
+        );
+        if (claimed.affectedRows === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        const recipients = buildRecipients(await getAudiencePatients(connection, campaign), campaign.campaign_type);
+        queued = await enqueueRecipients(connection, campaign.id, recipients);
+
+        await connection.execute(
+            'UPDATE broadcast_campaigns SET total_recipients = ?, sent_count = 0, failed_count = 0, suppressed_count = ? WHERE id = ?',
+            [queued.total, queued.suppressed, campaign.id]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        await db.execute(
+            "UPDATE broadcast_campaigns SET status = 'failed', error_log = ? WHERE id = ? AND status != 'sending'",
+            [error.message, campaign.id]
+        );
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`[BROADCAST] Campaign ${campaign.id} queued for ${queued.total} recipients (${queued.suppressed} suppressed)`);
+    emitProgress(io, await refreshCampaignProgress(db, campaign.id));
+
+    return { total_recipients: queued.total, suppressed: queued.suppressed };
+};
+
+const CONTROL_TRANSITIONS = {
+    pause: { from: ['sending'], to: 'paused' },
+    resume: { from: ['paused'], to: 'sending' },
+    cancel: { from: ['sending', 'paused', 'scheduled'], to: 'cancelled' }
+};
+
+/**
+ * Pause, resume or cancel a campaign; cancelling drops its unsent messages
+ * @param {string} action - pause | resume | cancel
+ * @returns {Promise<Object>} Campaign progress
+ * @throws {Error} with status 404 or 409
+ */
+const controlCampaign = async (db, campaignId, action, io = null) => {
+    const transition = CONTROL_TRANSITIONS[action];
+
+    const [campaigns] = await db.execute('SELECT id, status FROM broadcast_campaigns WHERE id = ?', [campaignId]);
+    if (campaigns.length === 0) {
+        throw Object.assign(new Error('Campaign not found'), { status: 404 });
+    }
+
+    const [result] = await db.execute(
+        `UPDATE broadcast_campaigns SET status = ?
+         WHERE id = ? AND status IN (${transition.from.map(() => '?').join(',')})`,
+        [transition.to, campaignId, ...transition.from]
+    );
+    if (result.affectedRows === 0) {
+        throw Object.assign(new Error(`Cannot ${action} a campaign that is ${campaigns[0].status}`), { status: 409 });
+    }
+
+    if (action === 'cancel') {
+        await db.execute(
+            "UPDATE broadcast_logs SET status = 'cancelled' WHERE campaign_id = ? AND status = 'pending'",
+            [campaignId]
+        );
+    }
+
+    const progress = await refreshCampaignProgress(db, campaignId);
+    emitProgress(io, progress);
+    return progress;
+};
+
+// ========================================
+// DISPATCHER
+// ========================================
+
+const dispatchScheduledCampaigns = async (db, io = null) => {
+    // Due campaigns wait for the end of quiet hours
+    if (getQuietHoursEnd(await getQuietHours(db))) return 0;
+
+    const [campaigns] = await db.execute(
+        `SELECT * FROM broadcast_campaigns
+         WHERE status = 'scheduled' AND schedule_type = 'scheduled' AND scheduled_time <= NOW()
+         ORDER BY scheduled_time`
+    );
+
+    for (const campaign of campaigns) {
+        try {
+            const result = await dispatchCampaign(db, campaign, io);
+            if (result && result.total_recipients !== undefined) {
+                console.log(`[BROADCAST] Scheduled campaign ${campaign.id} started for ${result.total_recipients} recipients`);
+            }
+        } catch (error) {
+            console.error(`[BROADCAST] Scheduled campaign ${campaign.id} failed:`, error.message);
+        }
+    }
+
+    return campaigns.length;
+};
+
+/**
+ * Start scheduled campaigns and work through the send queue
+ * Queued messages survive restarts: the next run continues where the last stopped.
+ */
+const startBroadcastDispatcher = (db, io = null) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        // A slow run (large campaign, slow provider) must not overlap the next
+        if (running) return;
+        running = true;
+        try {
+            await dispatchScheduledCampaigns(db, io);
+            await processQueue(db, io);
+        } catch (error) {
+            console.error('Broadcast dispatcher error:', error);
+        } finally {
+            running = false;
+        }
+    }, DISPATCH_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    normalizeSegmentFilters,
+    previewAudience,
+    getQuietHours,
+    replaceTemplateVariables,
+    dispatchCampaign,
+    controlCampaign,
+    refreshCampaignProgress,
+    processQueue,
+    startBroadcastDispatcher
+};
@@ -0,0 +1,373 @@
+// utils/chat-groups.js - Group conversations and clinic channels
+// Groups have a name and members with an admin or member role; admins rename
+// the group and manage members, anyone can leave. Each clinic has one channel
+// whose members follow users.clinic_id and user_clinic_grants - it is kept in
+// sync by syncUserClinicChannels/syncClinicChannel, never edited by hand.
+const {
+    getConversation,
+    joinConversationRoom,
+    leaveConversationRoom,
+    notifyMembers
+} = require('./chat');
+
+const MAX_GROUP_NAME_LENGTH = 255;
+
+const notFound = () => Object.assign(new Error('Conversation not found'), { status: 404 });
+
+// ========================================
+// HELPERS
+// ========================================
+
+const getMembers = async (db, conversationId) => {
+    const [members] = await db.execute(
+        `SELECT cm.user_id, cm.role, cm.joined_at,
+                CONCAT_WS(' ', u.first_name, u.last_name) as name,
+                u.email, u.role as user_role
+         FROM chat_conversation_members cm
+         JOIN users u ON u.id = cm.user_id
+         WHERE cm.conversation_id = ?
+         ORDER BY cm.role, u.first_name, u.last_name`,
+        [conversationId]
+    );
+    return members;
+};
+
+// Group the user can manage; throws 404/409/403
+const getManagedGroup = async (db, conversationId, userId) => {
+    const conversation = await getConversation(db, conversationId, userId);
+    if (!conversation) throw notFound();
+
+    if (conversation.type !== 'group') {
+        throw Object.assign(new Error('Only group conversations can be managed'), { status: 409 });
+    }
+    if (conversation.member_role !== 'admin') {
+        throw Object.assign(new Error('Only group admins can do this'), { status: 403 });
+    }
+    return conversation;
+};
+
+const parseUserIds = (userIds) => [...new Set([].concat(userIds || []).map(id => parseInt(id)).filter(Boolean))];
+
+// Only active users can be added to a conversation
+const getActiveUserIds = async (db, userIds) => {
+    if (userIds.length === 0) return [];
+
+    const [users] = await db.execute(
+        `SELECT id FROM users WHERE active = 1 AND id IN (${userIds.map(() => '?').join(',')})`,
+        userIds
+    );
+    return users.map(u => u.id);
+};
+
+const validateName = (name) => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw Object.assign(new Error('Group name is required'), { status: 400 });
+    }
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+        throw Object.assign(new Error(`Group name must be at most ${MAX_GROUP_NAME_LENGTH} characters`), { status: 400 });
+    }
+    return trimmed;
+};
+
+const addMemberRows = async (db, conversationId, userIds, role, addedBy) => {
+    for (const userId of userIds) {
+        await db.execute(
+            `INSERT IGNORE INTO chat_conversation_members (conversation_id, user_id, role, added_by)
+             VALUES (?, ?, ?, ?)`,
+            [conversationId, userId, role, addedBy]
+        );
+    }
+};
+
+// Tell new members about the conversation and existing members about the change
+const announceMembership = (io, conversation, addedIds = [], removedIds = []) => {
+    if (!io) return;
+
+    joinConversationRoom(io, conversation.id, addedIds);
+    if (addedIds.length > 0) {
+        io.to(addedIds.map(id => `user:${id}`)).emit('conversation_added', { conversationId: conversation.id });
+    }
+    if (removedIds.length > 0) {
+        io.to(removedIds.map(id => `user:${id}`)).emit('conversation_removed', { conversationId: conversation.id });
+    }
+    leaveConversationRoom(io, conversation.id, removedIds);
+
+    notifyMembers(io, conversation, 'conversation_updated', { conversationId: conversation.id });
+};
+
+// ========================================
+// GROUPS
+// ========================================
+
+/**
+ * Create a group; the creator is its first admin
+ * @param {Object} params - { name, memberIds }
+ * @returns {Promise<Object>} The group with its members
+ */
+const createGroup = async (db, io, userId, { name, memberIds } = {}) => {
+    const groupName = validateName(name);
+    const members = (await getActiveUserIds(db, parseUserIds(memberIds))).filter(id => id !== userId);
+    if (members.length === 0) {
+        throw Object.assign(new Error('A group needs at least one other member'), { status: 400 });
+    }
+
+    const connection = await db.getConnection();
+    let conversationId;
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            `INSERT INTO chat_conversations (type, name, created_by, created_at, last_message_at)
+             VALUES ('group', ?, ?, NOW(), NOW())`,
+            [groupName, userId]
+        );
+        conversationId = result.insertId;
+
+        await addMemberRows(connection, conversationId, [userId], 'admin', userId);
+        await addMemberRows(connection, conversationId, members, 'member', userId);
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    const conversation = await getConversation(db, conversationId, userId);
+    announceMembership(io, conversation, [userId, ...members]);
+
+    return { ...conversation, members: await getMembers(db, conversationId) };
+};
+
+const renameGroup = async (db, io, conversationId, userId, name) => {
+    const conversation = await getManagedGroup(db, conversationId, userId);
+    const groupName = validateName(name);
+
+    await db.execute('UPDATE chat_conversations SET name = ? WHERE id = ?', [groupName, conversation.id]);
+    notifyMembers(io, conversation, 'conversation_updated', { conversationId: conversation.id });
+
+    return { ...conversation, name: groupName };
+};
+
+/**
+ * Members of a conversation the user takes part in
+ */
+const listMembers = async (db, conversationId, userId) => {
+    const conversation = await getConversation(db, conversationId, userId);
+    if (!conversation) throw notFound();
+
+    return getMembers(db, conversation.id);
+};
+
+/**
+ * Add members to a group (admins only)
+ * @returns {Promise<Array<number>>} Ids that were added
+ */
+const addMembers = async (db, io, conversationId, userId, userIds, role = 'member') => {
+    const conversation = await getManagedGroup(db, conversationId, userId);
+    if (!['admin', 'member'].includes(role)) {
+        throw Object.assign(new Error('Role must be admin or member'), { status: 400 });
+    }
+
+    const current = new Set((await getMembers(db, conversation.id)).map(m => m.user_id));
+    const added = (await getActiveUserIds(db, parseUserIds(userIds))).filter(id => !current.has(id));
+    if (added.length === 0) {
+        throw Object.assign(new Error('No new active users to add'), { status: 400 });
+    }
+
+    await addMemberRows(db, conversation.id, added, role, userId);
+    announceMembership(io, conversation, added);
+
+    return added;
+};
+
+// A group whose last admin left gets its longest-standing member as admin
+const ensureAdmin = async (db, conversationId) => {
+    const [admins] = await db.execute(
+        "SELECT 1 FROM chat_conversation_members WHERE conversation_id = ? AND role = 'admin' LIMIT 1",
+        [conversationId]
+    );
+    if (admins.length > 0) return;
+
+    await db.execute(
+        `UPDATE chat_conversation_members SET role = 'admin'
+         WHERE conversation_id = ?
+         ORDER BY joined_at, user_id
+         LIMIT 1`,
+        [conversationId]
+    );
+};
+
+/**
+ * Change a member's role (admins only)
+ */
+const setMemberRole = async (db, io, conversationId, userId, memberId, role) => {
+    const conversation = await getManagedGroup(db, conversationId, userId);
+    if (!['admin', 'member'].includes(role)) {
+        throw Object.assign(new Error('Role must be admin or member'), { status: 400 });
+    }
+
+    if (role === 'member') {
+        const [otherAdmins] = await db.execute(
+            "SELECT 1 FROM chat_conversation_members WHERE conversation_id = ? AND role = 'admin' AND user_id != ? LIMIT 1",
+            [conversation.id, memberId]
+        );
+        if (otherAdmins.length === 0) {
+            throw Object.assign(new Error('A group needs at least one admin'), { status: 409 });
+        }
+    }
+
+    const [result] = await db.execute(
+        'UPDATE chat_conversation_members SET role = ? WHERE conversation_id = ? AND user_id = ?',
+        [role, conversation.id, memberId]
+    );
+    if (result.affectedRows === 0) {
+        throw Object.assign(new Error('Member not found'), { status: 404 });
+    }
+
+    notifyMembers(io, conversation, 'conversation_updated', { conversationId: conversation.id });
+};
+
+/**
+ * Remove a member (admins) or leave the group (anyone, memberId = own id).
+ * The group is deleted when its last member leaves.
+ */
+const removeMember = async (db, io, conversationId, userId, memberId) => {
+    const conversation = await getConversation(db, conversationId, userId);
+    if (!conversation) throw notFound();
+
+    if (conversation.type !== 'group') {
+        throw Object.assign(new Error('Only group conversations can be managed'), { status: 409 });
+    }
+    if (memberId !== userId && conversation.member_role !== 'admin') {
+        throw Object.assign(new Error('Only group admins can do this'), { status: 403 });
+    }
+
+    const [result] = await db.execute(
+        'DELETE FROM chat_conversation_members WHERE conversation_id = ? AND user_id = ?',
+        [conversation.id, memberId]
+    );
+    if (result.affectedRows === 0) {
+        throw Object.assign(new Error('Member not found'), { status: 404 });
+    }
+
+    const [remaining] = await db.execute(
+        'SELECT COUNT(*) as count FROM chat_conversation_members WHERE conversation_id = ?',
+        [conversation.id]
+    );
+    if (remaining[0].count === 0) {
+        await db.execute('DELETE FROM chat_conversations WHERE id = ?', [conversation.id]);
+    } else {
+        await ensureAdmin(db, conversation.id);
+    }
+
+    announceMembership(io, conversation, [], [memberId]);
+};
+
+// ========================================
+// CLINIC CHANNELS
+// ========================================
+
+/**
+ * Make a clinic's channel match its staff (users.clinic_id and grants, active users only)
+ * @returns {Promise<Object|null>} { conversationId, added, removed }, or null when the clinic does not exist
+ */
+const syncClinicChannel = async (db, io, clinicId) => {
+    const [clinics] = await db.execute('SELECT id, name FROM clinics WHERE id = ?', [clinicId]);
+    if (clinics.length === 0) return null;
+
+    const [result] = await db.execute(
+        `INSERT INTO chat_conversations (type, name, clinic_id, created_at, last_message_at)
+         VALUES ('clinic', ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), name = VALUES(name)`,
+        [clinics[0].name, clinicId]
+    );
+    const conversationId = result.insertId;
+
+    const [staff] = await db.execute(
+        `SELECT id as user_id FROM users WHERE clinic_id = ? AND active = 1
+         UNION
+         SELECT g.user_id FROM user_clinic_grants g
+         JOIN users u ON u.id = g.user_id AND u.active = 1
+         WHERE g.clinic_id = ?`,
+        [clinicId, clinicId]
+    );
+    const [members] = await db.execute(
+        'SELECT user_id FROM chat_conversation_members WHERE conversation_id = ?',
+        [conversationId]
+    );
+
+    const wanted = new Set(staff.map(s => s.user_id));
+    const current = new Set(members.map(m => m.user_id));
+    const added = [...wanted].filter(id => !current.has(id));
+    const removed = [...current].filter(id => !wanted.has(id));
+
+    await addMemberRows(db, conversationId, added, 'member', null);
+    if (removed.length > 0) {
+        await db.execute(
+            `DELETE FROM chat_conversation_members
+             WHERE conversation_id = ? AND user_id IN (${removed.map(() => '?').join(',')})`,
+            [conversationId, ...removed]
+        );
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+        announceMembership(io, { id: conversationId }, added, removed);
+    }
+
+    return { conversationId, added, removed };
+};
+
+/**
+ * Re-sync every clinic channel a user is in or should be in; call after
+ * changing the user's clinic_id, grants or active flag
+ */
+const syncUserClinicChannels = async (db, io, userId) => {
+    const [clinics] = await db.execute(
+        `SELECT clinic_id FROM users WHERE id = ? AND clinic_id IS NOT NULL
+         UNION
+         SELECT clinic_id FROM user_clinic_grants WHERE user_id = ?
+         UNION
+         SELECT c.clinic_id FROM chat_conversations c
+         JOIN chat_conversation_members cm ON cm.conversation_id = c.id
+         WHERE c.type = 'clinic' AND cm.user_id = ?`,
+        [userId, userId, userId]
+    );
+
+    for (const { clinic_id } of clinics) {
+        await syncClinicChannel(db, io, clinic_id);
+    }
+};
+
+/**
+ * Take a deleted user out of every conversation (groups keep an admin)
+ */
+const removeUserFromConversations = async (db, io, userId) => {
+    const [memberships] = await db.execute(
+        `SELECT c.id, c.type FROM chat_conversation_members cm
+         JOIN chat_conversations c ON c.id = cm.conversation_id
+         WHERE cm.user_id = ?`,
+        [userId]
+    );
+
+    await db.execute('DELETE FROM chat_conversation_members WHERE user_id = ?', [userId]);
+
+    for (const conversation of memberships) {
+        if (conversation.type === 'group') await ensureAdmin(db, conversation.id);
+        announceMembership(io, conversation, [], [userId]);
+    }
+};
+
+module.exports = {
+    createGroup,
+    renameGroup,
+    listMembers,
+    addMembers,
+    setMemberRole,
+    removeMember,
+    syncClinicChannel,
+    syncUserClinicChannels,
+    removeUserFromConversations
+};
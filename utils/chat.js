@@ -0,0 +1,602 @@
+// utils/chat.js - Chat messages shared by the Socket.IO server and routes/chat.js
+// Every function checks that the acting user takes part in the conversation
+// (chat_conversation_members, for direct, group and clinic conversations).
+// Sockets join a room per conversation, so events reach every open tab.
+// Each message gets a receipt row per receiving user (delivered/read), edits
+// and deletes keep the previous text in chat_message_edits, and attachments
+// are stored under UPLOAD_DIR like pn_attachments.
+const fs = require('fs');
+const path = require('path');
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_SEARCH_RESULTS = 50;
+
+const notFound = () => Object.assign(new Error('Message not found'), { status: 404 });
+
+// ========================================
+// CONVERSATIONS
+// ========================================
+
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+/**
+ * Conversation the user takes part in
+ * @returns {Promise<Object|null>} Conversation row with the user's member_role, or null when not a member
+ */
+const getConversation = async (db, conversationId, userId) => {
+    if (!conversationId) return null;
+
+    const [conversations] = await db.execute(
+        `SELECT c.*, cm.role as member_role
+         FROM chat_conversations c
+         JOIN chat_conversation_members cm ON cm.conversation_id = c.id AND cm.user_id = ?
+         WHERE c.id = ?`,
+        [userId, conversationId]
+    );
+    return conversations[0] || null;
+};
+
+const getMemberIds = async (db, conversationId) => {
+    const [members] = await db.execute(
+        'SELECT user_id FROM chat_conversation_members WHERE conversation_id = ?',
+        [conversationId]
+    );
+    return members.map(m => m.user_id);
+};
+
+/**
+ * Conversations of a user, most recent first; direct ones carry the other user
+ */
+const listConversations = async (db, userId, { limit = 100 } = {}) => {
+    const [conversations] = await db.execute(
+        `SELECT
+            c.id,
+            c.type,
+            c.name,
+            c.clinic_id,
+            c.last_message_at,
+            c.created_at,
+            cm.role as member_role,
+            ou.id as other_user_id,
+            CONCAT_WS(' ', ou.first_name, ou.last_name) as other_user_name,
+            ou.email as other_user_email,
+            ou.role as other_user_role,
+            (SELECT COUNT(*) FROM chat_conversation_members WHERE conversation_id = c.id) as member_count,
+            (SELECT IF(deleted_at IS NULL, message, NULL) FROM chat_messages
+             WHERE conversation_id = c.id
+             ORDER BY created_at DESC LIMIT 1) as last_message,
+            (SELECT COUNT(*) FROM chat_message_receipts r
+             JOIN chat_messages m ON m.id = r.message_id
+             WHERE m.conversation_id = c.id
+             AND r.user_id = cm.user_id
+             AND r.read_at IS NULL
+             AND m.deleted_at IS NULL) as unread_count
+        FROM chat_conversation_members cm
+        JOIN chat_conversations c ON c.id = cm.conversation_id
+        LEFT JOIN users ou ON c.type = 'direct' AND ou.id = IF(c.user1_id = cm.user_id, c.user2_id, c.user1_id)
+        WHERE cm.user_id = ?
+        ORDER BY c.last_message_at DESC
+        LIMIT ${Math.min(parseInt(limit) || 100, 500)}`,
+        [userId]
+    );
+    return conversations;
+};
+
+/**
+ * One-to-one conversation between two users, created on first use
+ * @returns {Promise<Object>} Conversation row
+ */
+const getOrCreateDirectConversation = async (db, io, userId, otherUserId) => {
+    const [result] = await db.execute(
+        `INSERT INTO chat_conversations (type, user1_id, user2_id, created_by, created_at, last_message_at)
+         VALUES ('direct', ?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+        [Math.min(userId, otherUserId), Math.max(userId, otherUserId), userId]
+    );
+    const conversationId = result.insertId;
+
+    await db.execute(
+        'INSERT IGNORE INTO chat_conversation_members (conversation_id, user_id) VALUES (?, ?), (?, ?)',
+        [conversationId, userId, conversationId, otherUserId]
+    );
+    joinConversationRoom(io, conversationId, [userId, otherUserId]);
+
+    return getConversation(db, conversationId, userId);
+};
+
+// ========================================
+// SOCKET ROOMS
+// ========================================
+
+// Put every open socket of the users into (or out of) a conversation room
+const joinConversationRoom = (io, conversationId, userIds) => {
+    if (!io || userIds.length === 0) return;
+    io.in(userIds.map(id => `user:${id}`)).socketsJoin(conversationRoom(conversationId));
+};
+
+const leaveConversationRoom = (io, conversationId, userIds) => {
+    if (!io || userIds.length === 0) return;
+    io.in(userIds.map(id => `user:${id}`)).socketsLeave(conversationRoom(conversationId));
+};
+
+// Rooms a newly connected socket joins
+const getConversationRooms = async (db, userId) => {
+    const [memberships] = await db.execute(
+        'SELECT conversation_id FROM chat_conversation_members WHERE user_id = ?',
+        [userId]
+    );
+    return memberships.map(m => conversationRoom(m.conversation_id));
+};
+
+// Send an event to every open socket in the conversation
+const notifyMembers = (io, conversation, event, payload) => {
+    if (!io) return;
+    io.to(conversationRoom(conversation.id)).emit(event, payload);
+};
+
+// New message: message_sent to the sender's tabs, new_message to everyone else
+const emitNewMessage = (io, message, senderDomain = null) => {
+    if (!io) return;
+    const messageData = toSocketMessage(message, senderDomain);
+    io.to(`user:${message.sender_id}`).emit('message_sent', messageData);
+    io.to(conversationRoom(message.conversation_id)).except(`user:${message.sender_id}`).emit('new_message', messageData);
+};
+
+// Members with at least one open socket in the conversation room
+const getOnlineMemberIds = async (io, conversationId) => {
+    if (!io) return [];
+    const sockets = await io.in(conversationRoom(conversationId)).fetchSockets();
+    return [...new Set(sockets.map(socket => socket.data.user.id))];
+};
+
+// ========================================
+// READING MESSAGES
+// ========================================
+
+// Deleted messages are returned without their text. delivered_at/read_at are
+// set once every receiving member has it (the sender's ticks); read_count
+// tells how many have read it so far
+const messageSelectClause = `
+    SELECT
+        m.id,
+        m.conversation_id,
+        m.sender_id,
+        m.recipient_id,
+        IF(m.deleted_at IS NULL, m.message, NULL) as message,
+        m.created_at,
+        m.edited_at,
+        m.deleted_at,
+        (SELECT IF(COUNT(*) = COUNT(r.delivered_at), MAX(r.delivered_at), NULL)
+         FROM chat_message_receipts r WHERE r.message_id = m.id) as delivered_at,
+        (SELECT IF(COUNT(*) = COUNT(r.read_at), MAX(r.read_at), NULL)
+         FROM chat_message_receipts r WHERE r.message_id = m.id) as read_at,
+        (SELECT COUNT(r.read_at) FROM chat_message_receipts r WHERE r.message_id = m.id) as read_count,
+        CONCAT_WS(' ', u.first_name, u.last_name) as sender_name,
+        u.email as sender_email
+    FROM chat_messages m
+    JOIN users u ON u.id = m.sender_id
+`;
+
+/**
+ * Add the attachments of each message as message.attachments
+ * @returns {Promise<Array>} The same messages
+ */
+const withAttachments = async (db, messages) => {
+    const ids = messages.filter(m => !m.deleted_at).map(m => m.id);
+    const byMessage = new Map();
+
+    if (ids.length > 0) {
+        const [attachments] = await db.execute(
+            `SELECT id, message_id, file_name, mime_type, file_size
+             FROM chat_attachments
+             WHERE message_id IN (${ids.map(() => '?').join(',')})
+             ORDER BY id`,
+            ids
+        );
+        for (const attachment of attachments) {
+            if (!byMessage.has(attachment.message_id)) byMessage.set(attachment.message_id, []);
+            byMessage.get(attachment.message_id).push({
+                ...attachment,
+                download_url: `/api/chat/attachments/${attachment.id}/download`
+            });
+        }
+    }
+
+    messages.forEach(m => { m.attachments = byMessage.get(m.id) || []; });
+    return messages;
+};
+
+const getMessage = async (db, messageId) => {
+    const [messages] = await db.execute(`${messageSelectClause} WHERE m.id = ?`, [messageId]);
+    if (messages.length === 0) return null;
+    return (await withAttachments(db, messages))[0];
+};
+
+/**
+ * Page of a conversation's messages, oldest first
+ */
+const listMessages = async (db, conversationId, { limit = 50, offset = 0 } = {}) => {
+    // LIMIT/OFFSET cannot be placeholders in a prepared statement
+    const [messages] = await db.execute(
+        `${messageSelectClause}
+         WHERE m.conversation_id = ?
+         ORDER BY m.created_at DESC, m.id DESC
+         LIMIT ${Math.min(parseInt(limit) || 50, 200)} OFFSET ${Math.max(parseInt(offset) || 0, 0)}`,
+        [conversationId]
+    );
+    return withAttachments(db, messages.reverse());
+};
+
+// Message as pushed over Socket.IO (camelCase, like the original chat events)
+const toSocketMessage = (message, senderDomain = null) => ({
+    id: message.id,
+    conversationId: message.conversation_id,
+    senderId: message.sender_id,
+    recipientId: message.recipient_id,
+    message: message.message,
+    attachments: message.attachments || [],
+    timestamp: new Date(message.created_at).toISOString(),
+    editedAt: message.edited_at,
+    deletedAt: message.deleted_at,
+    deliveredAt: message.delivered_at,
+    readAt: message.read_at,
+    readCount: message.read_count,
+    senderName: message.sender_name,
+    senderDomain
+});
+
+// ========================================
+// SENDING
+// ========================================
+
+/**
+ * Save a message (and any uploaded files) and create receipts for the other members
+ * @param {Object} db - Database connection
+ * @param {Object} params - { conversation, senderId, message, files, deliveredTo }
+ *   files are multer files; deliveredTo lists member ids with an open socket
+ *   (getOnlineMemberIds). recipient_id is only set in direct conversations.
+ * @returns {Promise<Object>} The saved message with attachments
+ * @throws {Error} with status 400 when there is neither text nor a file
+ */
+const createMessage = async (db, { conversation, senderId, message, files = [], deliveredTo = [] }) => {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text && files.length === 0) {
+        throw Object.assign(new Error('Message is required'), { status: 400 });
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        throw Object.assign(new Error(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`), { status: 400 });
+    }
+
+    const recipientIds = (await getMemberIds(db, conversation.id)).filter(id => id !== senderId);
+    const connection = await db.getConnection();
+    let messageId;
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            `INSERT INTO chat_messages (conversation_id, sender_id, recipient_id, message, created_at)
+             VALUES (?, ?, ?, ?, NOW())`,
+            [conversation.id, senderId, conversation.type === 'direct' ? recipientIds[0] || null : null, text]
+        );
+        messageId = result.insertId;
+
+        for (const file of files) {
+            await connection.execute(
+                `INSERT INTO chat_attachments (message_id, file_name, file_path, mime_type, file_size, uploaded_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [messageId, file.originalname, file.path, file.mimetype, file.size, senderId]
+            );
+        }
+
+        for (const recipientId of recipientIds) {
+            await connection.execute(
+                `INSERT INTO chat_message_receipts (message_id, user_id, delivered_at)
+                 VALUES (?, ?, ${deliveredTo.includes(recipientId) ? 'NOW()' : 'NULL'})`,
+                [messageId, recipientId]
+            );
+        }
+
+        await connection.execute(
+            'UPDATE chat_conversations SET last_message_at = NOW() WHERE id = ?',
+            [conversation.id]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    return getMessage(db, messageId);
+};
+
+// ========================================
+// RECEIPTS
+// ========================================
+
+// Group receipt rows into one notice per conversation and sender
+const groupReceipts = (rows) => {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = `${row.conversation_id}:${row.sender_id}`;
+        if (!groups.has(key)) {
+            groups.set(key, { conversationId: row.conversation_id, senderId: row.sender_id, messageIds: [] });
+        }
+        groups.get(key).messageIds.push(row.message_id);
+    }
+    return Array.from(groups.values());
+};
+
+/**
+ * Mark everything waiting for the user as delivered (they just came online)
+ * @returns {Promise<Array>} [{ conversationId, senderId, messageIds }]
+ */
+const markDelivered = async (db, userId) => {
+    const [pending] = await db.execute(
+        `SELECT r.message_id, m.conversation_id, m.sender_id
+         FROM chat_message_receipts r
+         JOIN chat_messages m ON m.id = r.message_id
+         WHERE r.user_id = ? AND r.delivered_at IS NULL`,
+        [userId]
+    );
+    if (pending.length === 0) return [];
+
+    await db.execute(
+        'UPDATE chat_message_receipts SET delivered_at = NOW() WHERE user_id = ? AND delivered_at IS NULL',
+        [userId]
+    );
+    return groupReceipts(pending);
+};
+
+/**
+ * Mark a conversation's messages as read by the user, up to a message when given
+ * @returns {Promise<Array>} [{ conversationId, senderId, messageIds }] newly read
+ */
+const markRead = async (db, conversationId, userId, upToMessageId = null) => {
+    const [unread] = await db.execute(
+        `SELECT r.message_id, m.conversation_id, m.sender_id
+         FROM chat_message_receipts r
+         JOIN chat_messages m ON m.id = r.message_id
+         WHERE m.conversation_id = ? AND r.user_id = ? AND r.read_at IS NULL
+         ${upToMessageId ? 'AND r.message_id <= ?' : ''}`,
+        upToMessageId ? [conversationId, userId, upToMessageId] : [conversationId, userId]
+    );
+    if (unread.length === 0) return [];
+
+    const ids = unread.map(row => row.message_id);
+    await db.execute(
+        `UPDATE chat_message_receipts
+         SET read_at = NOW(), delivered_at = COALESCE(delivered_at, NOW())
+         WHERE user_id = ? AND message_id IN (${ids.map(() => '?').join(',')})`,
+        [userId, ...ids]
+    );
+    return groupReceipts(unread);
+};
+
+/**
+ * Tell senders their messages were delivered or read
+ * @param {string} event - message_delivered | messages_read
+ */
+const notifyReceipts = (io, receipts, event, userId) => {
+    if (!io) return;
+    const at = new Date().toISOString();
+    for (const receipt of receipts) {
+        io.to(`user:${receipt.senderId}`).emit(event, {
+            conversationId: receipt.conversationId,
+            messageIds: receipt.messageIds,
+            userId,
+            at
+        });
+    }
+};
+
+// ========================================
+// EDIT / DELETE
+// ========================================
+
+// Message the user sent, with its conversation; throws 404/403/409
+const getOwnMessage = async (db, messageId, userId) => {
+    const [messages] = await db.execute('SELECT * FROM chat_messages WHERE id = ?', [messageId]);
+    if (messages.length === 0) throw notFound();
+
+    const message = messages[0];
+    const conversation = await getConversation(db, message.conversation_id, userId);
+    if (!conversation) throw notFound();
+
+    if (message.sender_id !== userId) {
+        throw Object.assign(new Error('You can only change your own messages'), { status: 403 });
+    }
+    if (message.deleted_at) {
+        throw Object.assign(new Error('Message has been deleted'), { status: 409 });
+    }
+    return { message, conversation };
+};
+
+/**
+ * Replace the text of the user's own message, keeping the previous text
+ * @returns {Promise<Object>} { message, conversation }
+ */
+const editMessage = async (db, messageId, userId, newText) => {
+    const text = typeof newText === 'string' ? newText.trim() : '';
+    if (!text) {
+        throw Object.assign(new Error('Message is required'), { status: 400 });
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        throw Object.assign(new Error(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`), { status: 400 });
+    }
+
+    const { message, conversation } = await getOwnMessage(db, messageId, userId);
+    if (message.message !== text) {
+        await db.execute(
+            `INSERT INTO chat_message_edits (message_id, action, previous_message, edited_by)
+             VALUES (?, 'edit', ?, ?)`,
+            [messageId, message.message, userId]
+        );
+        await db.execute(
+            'UPDATE chat_messages SET message = ?, edited_at = NOW() WHERE id = ?',
+            [text, messageId]
+        );
+    }
+
+    return { message: await getMessage(db, messageId), conversation };
+};
+
+/**
+ * Delete the user's own message; the text stays in the edit history
+ * @returns {Promise<Object>} { message, conversation }
+ */
+const deleteMessage = async (db, messageId, userId) => {
+    const { message, conversation } = await getOwnMessage(db, messageId, userId);
+
+    await db.execute(
+        `INSERT INTO chat_message_edits (message_id, action, previous_message, edited_by)
+         VALUES (?, 'delete', ?, ?)`,
+        [messageId, message.message, userId]
+    );
+    await db.execute('UPDATE chat_messages SET deleted_at = NOW() WHERE id = ?', [messageId]);
+
+    return { message: await getMessage(db, messageId), conversation };
+};
+
+/**
+ * Edit and delete history of a message, newest first; members only. Once a
+ * message is deleted its history (which holds the deleted text) is only
+ * shown to the sender and ADMIN.
+ * @param {Object} user - { id, role }
+ */
+const getMessageHistory = async (db, messageId, user) => {
+    const [messages] = await db.execute('SELECT conversation_id, sender_id, deleted_at FROM chat_messages WHERE id = ?', [messageId]);
+    if (messages.length === 0 || !await getConversation(db, messages[0].conversation_id, user.id)) {
+        throw notFound();
+    }
+    if (messages[0].deleted_at && messages[0].sender_id !== user.id && user.role !== 'ADMIN') {
+        throw Object.assign(new Error('Only the sender can see the history of a deleted message'), { status: 403 });
+    }
+
+    const [history] = await db.execute(
+        `SELECT e.id, e.action, e.previous_message, e.edited_at,
+                CONCAT_WS(' ', u.first_name, u.last_name) as edited_by_name
+         FROM chat_message_edits e
+         JOIN users u ON u.id = e.edited_by
+         WHERE e.message_id = ?
+         ORDER BY e.edited_at DESC, e.id DESC`,
+        [messageId]
+    );
+    return history;
+};
+
+// ========================================
+// SEARCH
+// ========================================
+
+/**
+ * Full-text search across the user's conversations (message text and file names)
+ * @param {Object} options - { conversationId }
+ * @returns {Promise<Array>} Matching messages, newest first
+ * @throws {Error} with status 400 when the query is shorter than 2 characters
+ */
+const searchMessages = async (db, userId, query, { conversationId = null } = {}) => {
+    // Boolean-mode operators are not offered to users
+    const terms = String(query || '').replace(/[+\-<>()~*"@]/g, ' ').trim();
+    if (terms.length < 2) {
+        throw Object.assign(new Error('Search needs at least 2 characters'), { status: 400 });
+    }
+
+    const params = [userId, terms, userId, terms, `%${terms}%`];
+    let sql = `
+        SELECT m.id, m.conversation_id, m.sender_id, m.message, m.created_at, m.edited_at,
+               c.type as conversation_type, c.name as conversation_name,
+               IF(c.type = 'direct', IF(c.user1_id = ?, c.user2_id, c.user1_id), NULL) as other_user_id,
+               CONCAT_WS(' ', u.first_name, u.last_name) as sender_name,
+               MATCH(m.message) AGAINST (? IN BOOLEAN MODE) as relevance
+        FROM chat_messages m
+        JOIN chat_conversations c ON c.id = m.conversation_id
+        JOIN chat_conversation_members cm ON cm.conversation_id = c.id AND cm.user_id = ?
+        JOIN users u ON u.id = m.sender_id
+        WHERE m.deleted_at IS NULL
+          AND (MATCH(m.message) AGAINST (? IN BOOLEAN MODE)
+               OR EXISTS (SELECT 1 FROM chat_attachments a WHERE a.message_id = m.id AND a.file_name LIKE ?))
+    `;
+
+    if (conversationId) {
+        sql += ' AND m.conversation_id = ?';
+        params.push(conversationId);
+    }
+
+    sql += ` ORDER BY m.created_at DESC LIMIT ${MAX_SEARCH_RESULTS}`;
+
+    const [messages] = await db.execute(sql, params);
+    return withAttachments(db, messages);
+};
+
+// ========================================
+// ATTACHMENTS
+// ========================================
+
+/**
+ * Attachment the user may download
+ * @returns {Promise<Object>} Attachment row with its resolved file path
+ * @throws {Error} with status 404 (also when not a member or the message was deleted) or 403 on a path outside UPLOAD_DIR
+ */
+const getAttachmentForDownload = async (db, attachmentId, userId) => {
+    const [attachments] = await db.execute(
+        `SELECT a.*, m.conversation_id, m.deleted_at
+         FROM chat_attachments a
+         JOIN chat_messages m ON m.id = a.message_id
+         WHERE a.id = ?`,
+        [attachmentId]
+    );
+
+    const attachment = attachments[0];
+    if (!attachment || attachment.deleted_at || !await getConversation(db, attachment.conversation_id, userId)) {
+        throw Object.assign(new Error('Attachment not found'), { status: 404 });
+    }
+
+    const uploadDir = path.resolve(process.env.UPLOAD_DIR || './uploads');
+    const filePath = path.resolve(attachment.file_path);
+    if (!filePath.startsWith(uploadDir)) {
+        console.error('Path traversal attempt detected:', filePath);
+        throw Object.assign(new Error('Invalid file path'), { status: 403 });
+    }
+
+    try {
+        await fs.promises.access(filePath);
+    } catch {
+        throw Object.assign(new Error('File not found on server'), { status: 404 });
+    }
+
+    return { ...attachment, file_path: filePath };
+};
+
+// Remove uploaded files when their message could not be saved
+const discardUploads = (files = []) => Promise.all(files.map(file =>
+    fs.promises.unlink(file.path).catch(err => console.warn('Failed to remove upload:', err.message))
+));
+
+module.exports = {
+    conversationRoom,
+    getConversation,
+    getMemberIds,
+    listConversations,
+    getOrCreateDirectConversation,
+    joinConversationRoom,
+    leaveConversationRoom,
+    getConversationRooms,
+    notifyMembers,
+    emitNewMessage,
+    getOnlineMemberIds,
+    listMessages,
+    toSocketMessage,
+    createMessage,
+    markDelivered,
+    markRead,
+    notifyReceipts,
+    editMessage,
+    deleteMessage,
+    getMessageHistory,
+    searchMessages,
+    getAttachmentForDownload,
+    discardUploads
+};
@@ -0,0 +1,178 @@
+// utils/google-auth.js - Google OAuth state, account link history and pending 2FA
+// The OAuth state is a random id signed with JWT_SECRET, stored hashed in
+// oauth_states and usable once, only from the browser that started the flow
+// (its nonce cookie) and only for the purpose it was made for. A Google sign-in
+// for a user with TOTP enabled ends in a short-lived pending-2FA cookie instead
+// of a session; /api/auth/login/verify-2fa completes it.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { auditLog } = require('../middleware/auth');
+
+const STATE_TTL_MINUTES = 10;
+const PENDING_2FA_MINUTES = 5;
+const STATE_COOKIE = 'googleOAuthNonce';
+const PENDING_2FA_COOKIE = 'pendingGoogle2FA';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const sign = (id, purpose) => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${id}.${purpose}`)
+    .digest('hex');
+
+const cookieOptions = (path, minutes) => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax', // sent on the top-level redirect back from Google
+    path,
+    maxAge: minutes * 60 * 1000
+});
+
+const invalidState = () => Object.assign(new Error('Invalid or expired OAuth state'), { status: 400, code: 'invalid_state' });
+
+// ========================================
+// OAUTH STATE
+// ========================================
+
+/**
+ * Create a single-use state for an OAuth redirect and bind it to this browser
+ * @param {Object} params - { purpose: 'link' | 'signin', userId } (userId for link)
+ * @returns {Promise<string>} Value for the OAuth state parameter
+ */
+const createOAuthState = async (db, req, res, { purpose, userId = null }) => {
+    const id = crypto.randomBytes(32).toString('hex');
+    const state = `${id}.${sign(id, purpose)}`;
+
+    // Reuse the browser's nonce so a second tab does not invalidate the first
+    const nonce = req.cookies?.[STATE_COOKIE] || crypto.randomBytes(32).toString('hex');
+
+    await db.execute('DELETE FROM oauth_states WHERE expires_at < NOW()');
+    await db.execute(
+        `INSERT INTO oauth_states (state_hash, purpose, user_id, session_hash, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ${STATE_TTL_MINUTES} MINUTE))`,
+        [sha256(state), purpose, userId, sha256(nonce)]
+    );
+
+    res.cookie(STATE_COOKIE, nonce, cookieOptions('/api/google', STATE_TTL_MINUTES));
+    return state;
+};
+
+/**
+ * Check and use up the state returned by Google
+ * @returns {Promise<Object>} { userId } the state was created for
+ * @throws {Error} with status 400 and code invalid_state
+ */
+const consumeOAuthState = async (db, req, purpose) => {
+    const state = typeof req.query.state === 'string' ? req.query.state : '';
+    const nonce = req.cookies?.[STATE_COOKIE];
+    const [id, signature] = state.split('.');
+
+    if (!id || !signature || !nonce) throw invalidState();
+
+    const expected = sign(id, purpose);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw invalidState();
+    }
+
+    // The update is what makes the state single-use
+    const [result] = await db.execute(
+        `UPDATE oauth_states SET used_at = NOW()
+         WHERE state_hash = ? AND purpose = ? AND session_hash = ?
+         AND used_at IS NULL AND expires_at > NOW()`,
+        [sha256(state), purpose, sha256(nonce)]
+    );
+    if (result.affectedRows === 0) throw invalidState();
+
+    const [states] = await db.execute('SELECT user_id FROM oauth_states WHERE state_hash = ?', [sha256(state)]);
+    return { userId: states[0].user_id };
+};
+
+// ========================================
+// LINK HISTORY
+// ========================================
+
+/**
+ * Record a link, relink or unlink of a Google account (history table and audit log)
+ * @param {Object} params - { userId, action, googleId, googleEmail, previousGoogleId,
+ *   previousGoogleEmail, source: 'profile' | 'signin', performedBy }
+ */
+const recordGoogleLink = async (db, req, params) => {
+    const {
+        userId, action, googleId = null, googleEmail = null,
+        previousGoogleId = null, previousGoogleEmail = null, source, performedBy = userId
+    } = params;
+
+    await db.execute(
+        `INSERT INTO google_account_links
+         (user_id, action, google_id, google_email, previous_google_id, previous_google_email,
+          source, performed_by, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId, action, googleId, googleEmail, previousGoogleId, previousGoogleEmail,
+            source, performedBy,
+            req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+            (req.headers['user-agent'] || '').substring(0, 500)
+        ]
+    );
+
+    await auditLog(
+        db, performedBy, `GOOGLE_${action.toUpperCase()}`, 'user', userId,
+        previousGoogleId ? { google_id: previousGoogleId, google_email: previousGoogleEmail } : null,
+        googleId ? { google_id: googleId, google_email: googleEmail, source } : { source },
+        req
+    );
+};
+
+const getGoogleLinkHistory = async (db, userId) => {
+    const [history] = await db.execute(
+        `SELECT l.id, l.action, l.google_email, l.previous_google_email, l.source,
+                l.ip_address, l.created_at,
+                CONCAT_WS(' ', u.first_name, u.last_name) as performed_by_name
+         FROM google_account_links l
+         LEFT JOIN users u ON u.id = l.performed_by
+         WHERE l.user_id = ?
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT 100`,
+        [userId]
+    );
+    return history;
+};
+
+// ========================================
+// PENDING 2FA AFTER GOOGLE SIGN-IN
+// ========================================
+
+const setPending2FA = (res, userId) => {
+    const token = jwt.sign({ id: userId, purpose: 'google_2fa' }, process.env.JWT_SECRET, {
+        expiresIn: `${PENDING_2FA_MINUTES}m`
+    });
+    res.cookie(PENDING_2FA_COOKIE, token, cookieOptions('/api/auth', PENDING_2FA_MINUTES));
+};
+
+// User waiting for their second factor, or null
+const getPending2FAUserId = (req) => {
+    const token = req.cookies?.[PENDING_2FA_COOKIE];
+    if (!token) return null;
+
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.purpose === 'google_2fa' ? payload.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const clearPending2FA = (res) => {
+    res.clearCookie(PENDING_2FA_COOKIE, { path: '/api/auth' });
+};
+
+module.exports = {
+    createOAuthState,
+    consumeOAuthState,
+    recordGoogleLink,
+    getGoogleLinkHistory,
+    setPending2FA,
+    getPending2FAUserId,
+    clearPending2FA
+};
@@ -51,6 +51,45 @@ const generatePNCode = async (db) => {
     return `PN${year}${month}${sequenceStr}`;
 };
 
+// Generate bill codes
+const generateBillCode = async (db) => {
+    // Format: BILL-{year}-{sequence}
+    // Pass the transaction connection so the code is read in the same transaction as the insert
+    const currentYear = new Date().getFullYear();
+    const [lastBill] = await db.execute(`
+        SELECT bill_code FROM bills
+        WHERE bill_code LIKE ?
+        ORDER BY bill_code DESC
+        LIMIT 1
+    `, [`BILL-${currentYear}-%`]);
+
+    let sequence = 1;
+    if (lastBill.length > 0) {
+        const lastCode = lastBill[0].bill_code;
+        const lastSequence = parseInt(lastCode.split('-')[2]);
+        sequence = lastSequence + 1;
+    }
+    return `BILL-${currentYear}-${String(sequence).padStart(3, '0')}`;
+};
+
+// Generate course codes
+const generateCourseCode = async (db) => {
+    // Format: CRS-{year}-{sequence}, sequence resets every year
+    const currentYear = new Date().getFullYear();
+    const [result] = await db.execute(
+        `SELECT MAX(CAST(SUBSTRING_INDEX(course_code, '-', -1) AS UNSIGNED)) as max_sequence
+         FROM courses
+         WHERE course_code LIKE ?`,
+        [`CRS-${currentYear}-%`]
+    );
+
+    const sequence = (result.length > 0 && result[0].max_sequence !== null)
+        ? result[0].max_sequence + 1
+        : 1;
+
+    return `CRS-${currentYear}-${String(sequence).padStart(4, '0')}`;
+};
+
 // ========================================
 // VALIDATION HELPERS
 // ========================================
@@ -73,6 +112,20 @@ const safeParseInt = (value, defaultValue = 0, min = null, max = null) => {
     return parsed;
 };
 
+// Validate Thai National ID checksum
+const validateThaiNationalID = (pid) => {
+    if (!pid || typeof pid !== 'string') return false;
+    pid = pid.replace(/[\s-]/g, '');
+    if (!/^\d{13}$/.test(pid)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += parseInt(pid[i]) * (13 - i);
+    }
+    const checksum = (11 - (sum % 11)) % 10;
+    return checksum === parseInt(pid[12]);
+};
+
 // Validate pagination parameters
 const validatePagination = (page, limit, maxLimit = 100) => {
     const validPage = safeParseInt(page, 1, 1);
@@ -111,7 +164,10 @@ const validateDateRange = (fromDate, toDate) => {
 module.exports = {
     generatePTNumber,
     generatePNCode,
+    generateBillCode,
+    generateCourseCode,
     safeParseInt,
+    validateThaiNationalID,
     validatePagination,
     validateDateRange
 };
@@ -0,0 +1,458 @@
+// utils/loyalty.js - Loyalty Program Points Ledger
+const crypto = require('crypto');
+
+// Tier is evaluated on paid spending over this rolling window, so members
+// are downgraded automatically when they stop visiting
+const TIER_EVALUATION_MONTHS = 12;
+
+// ========================================
+// TIER RULES
+// ========================================
+
+// Get tier rules ordered from lowest to highest threshold
+const getTierRules = async (db) => {
+    const [rules] = await db.execute(
+        'SELECT * FROM loyalty_tier_rules ORDER BY min_spending ASC'
+    );
+    return rules;
+};
+
+// Highest tier whose threshold the spending reaches
+const resolveTier = (rules, spending) => {
+    let tier = 'BRONZE';
+    for (const rule of rules) {
+        if (parseFloat(spending) >= parseFloat(rule.min_spending)) {
+            tier = rule.tier;
+        }
+    }
+    return tier;
+};
+
+// Points earned for a paid amount at the member's current tier
+const calculateEarnedPoints = (rules, tier, amount) => {
+    const rule = rules.find(r => r.tier === tier);
+    const rate = rule ? rule.points_per_100_baht : 1;
+    return Math.floor((parseFloat(amount) || 0) / 100) * rate;
+};
+
+// ========================================
+// MEMBER HELPERS (connection must be inside a transaction)
+// ========================================
+
+// Get the member row for a patient, creating it if needed, locked for update
+const lockMemberForPatient = async (connection, patientId) => {
+    const [result] = await connection.execute(
+        'INSERT IGNORE INTO loyalty_members (patient_id) VALUES (?)',
+        [patientId]
+    );
+    const [members] = await connection.execute(
+        'SELECT * FROM loyalty_members WHERE patient_id = ? FOR UPDATE',
+        [patientId]
+    );
+    return { member: members[0], created: result.affectedRows > 0 };
+};
+
+const lockMember = async (connection, memberId) => {
+    const [members] = await connection.execute(
+        'SELECT * FROM loyalty_members WHERE id = ? FOR UPDATE',
+        [memberId]
+    );
+    return members[0] || null;
+};
+
+const insertTransaction = async (connection, memberId, type, points, balanceAfter, extra = {}) => {
+    await connection.execute(
+        `INSERT INTO loyalty_transactions
+         (member_id, transaction_type, points, amount, balance_after, bill_id, gift_card_id, description, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            memberId,
+            type,
+            points,
+            extra.amount ?? null,
+            balanceAfter,
+            extra.billId || null,
+            extra.giftCardId || null,
+            extra.description || null,
+            extra.userId || null
+        ]
+    );
+};
+
+// Re-evaluate the member's tier against paid spending in the evaluation window
+const recalculateTier = async (connection, member, rules, userId = null) => {
+    const [spending] = await connection.execute(
+        `SELECT COALESCE(SUM(total_amount), 0) as qualifying_spending
+         FROM bills
+         WHERE patient_id = ?
+         AND payment_status = 'PAID'
+         AND COALESCE(payment_date, bill_date) >= DATE_SUB(CURDATE(), INTERVAL ? MONTH)`,
+        [member.patient_id, TIER_EVALUATION_MONTHS]
+    );
+
+    const newTier = resolveTier(rules, spending[0].qualifying_spending);
+    if (newTier === member.membership_tier) {
+        return newTier;
+    }
+
+    const oldRank = rules.findIndex(r => r.tier === member.membership_tier);
+    const newRank = rules.findIndex(r => r.tier === newTier);
+
+    await connection.execute(
+        'UPDATE loyalty_members SET membership_tier = ?, tier_updated_at = NOW() WHERE id = ?',
+        [newTier, member.id]
+    );
+    await insertTransaction(connection, member.id, 'TIER_CHANGE', 0, member.available_points, {
+        description: `${newRank > oldRank ? 'Upgraded' : 'Downgraded'} from ${member.membership_tier} to ${newTier}`,
+        userId
+    });
+
+    member.membership_tier = newTier;
+    return newTier;
+};
+
+// Whether a bill currently counts towards the member: its latest EARN or
+// REVERSAL row is an EARN. A 0-point EARN still counts, so its spending is
+// added and taken back once. netPoints and netAmount are what the bill's rows
+// have credited (EARN minus REVERSAL), so a reversal takes back exactly that
+// even after the bill's total has changed.
+const getBillLedgerState = async (connection, memberId, billId) => {
+    const [rows] = await connection.execute(
+        `SELECT transaction_type, points, amount
+         FROM loyalty_transactions
+         WHERE member_id = ? AND bill_id = ? AND transaction_type IN ('EARN', 'REVERSAL')
+         ORDER BY id`,
+        [memberId, billId]
+    );
+    return {
+        earned: rows.length > 0 && rows[rows.length - 1].transaction_type === 'EARN',
+        netPoints: rows.reduce((sum, row) => sum + parseInt(row.points), 0),
+        netAmount: rows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0)
+    };
+};
+
+// Credit a paid bill's points and spending to a locked member
+const creditBill = async (connection, member, bill, rules, userId) => {
+    const points = calculateEarnedPoints(rules, member.membership_tier, bill.total_amount);
+    const balanceAfter = member.available_points + points;
+
+    await connection.execute(
+        `UPDATE loyalty_members
+         SET total_points = total_points + ?,
+             available_points = available_points + ?,
+             lifetime_spending = lifetime_spending + ?
+         WHERE id = ?`,
+        [points, points, bill.total_amount, member.id]
+    );
+    member.available_points = balanceAfter;
+
+    await insertTransaction(connection, member.id, 'EARN', points, balanceAfter, {
+        billId: bill.id,
+        amount: bill.total_amount,
+        description: `Bill ${bill.bill_code} paid (฿${parseFloat(bill.total_amount).toFixed(2)})`,
+        userId
+    });
+    return points;
+};
+
+// Take back what a bill's ledger rows credited to a locked member
+const reverseBillCredit = async (connection, member, bill, ledger, description, userId) => {
+    const netPoints = Math.max(0, ledger.netPoints);
+    const netAmount = Math.max(0, ledger.netAmount);
+    const balanceAfter = Math.max(0, member.available_points - netPoints);
+
+    await connection.execute(
+        `UPDATE loyalty_members
+         SET total_points = GREATEST(0, total_points - ?),
+             available_points = ?,
+             lifetime_spending = GREATEST(0, lifetime_spending - ?)
+         WHERE id = ?`,
+        [netPoints, balanceAfter, netAmount, member.id]
+    );
+    member.available_points = balanceAfter;
+
+    await insertTransaction(connection, member.id, 'REVERSAL', -netPoints, balanceAfter, {
+        billId: bill.id,
+        amount: -netAmount,
+        description,
+        userId
+    });
+    return -netPoints;
+};
+
+// ========================================
+// LEDGER OPERATIONS
+// ========================================
+
+// Run fn(connection) in its own transaction
+const withTransaction = async (db, fn) => {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await fn(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+// Earn points for a PAID bill. Safe to call repeatedly: a bill earns once
+// until its payment is reversed, and when a paid bill's total changes its
+// earlier credit is reversed and the new total earned instead.
+const awardPointsForBill = async (db, billId, userId = null) => {
+    return withTransaction(db, async (connection) => {
+        const [bills] = await connection.execute(
+            'SELECT id, bill_code, patient_id, total_amount, payment_status FROM bills WHERE id = ?',
+            [billId]
+        );
+        const bill = bills[0];
+        if (!bill || bill.payment_status !== 'PAID' || !bill.patient_id) {
+            return null;
+        }
+
+        const { member } = await lockMemberForPatient(connection, bill.patient_id);
+        const ledger = await getBillLedgerState(connection, member.id, bill.id);
+        const totalChanged = ledger.earned && Math.abs(ledger.netAmount - parseFloat(bill.total_amount)) >= 0.005;
+        if (ledger.earned && !totalChanged) {
+            return null;
+        }
+
+        const rules = await getTierRules(connection);
+        let points = 0;
+        if (totalChanged) {
+            points += await reverseBillCredit(connection, member, bill, ledger,
+                `Bill ${bill.bill_code} total changed (฿${ledger.netAmount.toFixed(2)} → ฿${parseFloat(bill.total_amount).toFixed(2)})`,
+                userId);
+        }
+        points += await creditBill(connection, member, bill, rules, userId);
+
+        await recalculateTier(connection, member, rules, userId);
+
+        return { member_id: member.id, points };
+    });
+};
+
+/**
+ * Reverse a bill's credit on the caller's transaction, e.g. before the bill is deleted
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} bill - { id, bill_code, patient_id }
+ * @param {string} reason - Shown in the REVERSAL description
+ * @returns {Promise<Object|null>} { member_id, points } or null when the bill holds no credit
+ */
+const reverseBillPoints = async (connection, bill, reason, userId = null) => {
+    if (!bill.patient_id) {
+        return null;
+    }
+
+    const [members] = await connection.execute(
+        'SELECT * FROM loyalty_members WHERE patient_id = ? FOR UPDATE',
+        [bill.patient_id]
+    );
+    const member = members[0];
+    if (!member) {
+        return null;
+    }
+
+    const ledger = await getBillLedgerState(connection, member.id, bill.id);
+    if (!ledger.earned) {
+        return null;
+    }
+
+    const points = await reverseBillCredit(connection, member, bill, ledger,
+        `Bill ${bill.bill_code} ${reason}`, userId);
+
+    const rules = await getTierRules(connection);
+    await recalculateTier(connection, member, rules, userId);
+
+    return { member_id: member.id, points };
+};
+
+// Take back points when a PAID bill is changed to another status
+const revokePointsForBill = async (db, billId, userId = null) => {
+    return withTransaction(db, async (connection) => {
+        const [bills] = await connection.execute(
+            'SELECT id, bill_code, patient_id, total_amount, payment_status FROM bills WHERE id = ?',
+            [billId]
+        );
+        const bill = bills[0];
+        if (!bill || bill.payment_status === 'PAID') {
+            return null;
+        }
+
+        return reverseBillPoints(connection, bill, `payment reversed (${bill.payment_status})`, userId);
+    });
+};
+
+// Keep the ledger in step with a bill's payment status
+const syncBillPoints = async (db, billId, paymentStatus, userId = null) => {
+    if (paymentStatus === 'PAID') {
+        return awardPointsForBill(db, billId, userId);
+    }
+    return revokePointsForBill(db, billId, userId);
+};
+
+// Manual adjustment by staff (positive or negative)
+const adjustPoints = async (db, memberId, points, description, userId) => {
+    return withTransaction(db, async (connection) => {
+        const member = await lockMember(connection, memberId);
+        if (!member) {
+            throw Object.assign(new Error('Loyalty member not found'), { status: 404 });
+        }
+
+        const balanceAfter = member.available_points + points;
+        if (balanceAfter < 0) {
+            throw Object.assign(new Error(`Insufficient points. Available: ${member.available_points}`), { status: 400 });
+        }
+
+        await connection.execute(
+            `UPDATE loyalty_members
+             SET available_points = ?,
+                 total_points = GREATEST(0, total_points + ?)
+             WHERE id = ?`,
+            [balanceAfter, points > 0 ? points : 0, member.id]
+        );
+
+        await insertTransaction(connection, member.id, 'ADJUST', points, balanceAfter, {
+            description,
+            userId
+        });
+
+        return { member_id: member.id, available_points: balanceAfter, old_available_points: member.available_points };
+    });
+};
+
+// Generate a gift card code: GC-XXXX-XXXX
+const generateGiftCardCode = () => {
+    const raw = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `GC-${raw.substring(0, 4)}-${raw.substring(4)}`;
+};
+
+// Redeem a catalog item, deducting points and issuing a gift card
+const redeemGiftCard = async (db, memberId, catalogId, userId) => {
+    return withTransaction(db, async (connection) => {
+        const member = await lockMember(connection, memberId);
+        if (!member) {
+            throw Object.assign(new Error('Loyalty member not found'), { status: 404 });
+        }
+        if (member.status !== 'ACTIVE') {
+            throw Object.assign(new Error('Only active members can redeem gift cards'), { status: 400 });
+        }
+
+        const [items] = await connection.execute(
+            'SELECT * FROM gift_card_catalog WHERE id = ? AND is_active = 1',
+            [catalogId]
+        );
+        const item = items[0];
+        if (!item) {
+            throw Object.assign(new Error('Gift card not found in catalog'), { status: 404 });
+        }
+        if (member.available_points < item.points_required) {
+            throw Object.assign(new Error(`Insufficient points. Required: ${item.points_required}, available: ${member.available_points}`), { status: 400 });
+        }
+
+        const giftCardCode = generateGiftCardCode();
+        const balanceAfter = member.available_points - item.points_required;
+
+        const [result] = await connection.execute(
+            `INSERT INTO gift_cards
+             (gift_card_code, member_id, catalog_id, points_spent, value, expires_at, created_by)
+             VALUES (?, ?, ?, ?, ?, DATE_ADD(CURDATE(), INTERVAL ? DAY), ?)`,
+            [giftCardCode, member.id, item.id, item.points_required, item.gift_card_value, item.validity_days, userId]
+        );
+
+        await connection.execute(
+            'UPDATE loyalty_members SET available_points = ? WHERE id = ?',
+            [balanceAfter, member.id]
+        );
+
+        await insertTransaction(connection, member.id, 'REDEEM', -item.points_required, balanceAfter, {
+            giftCardId: result.insertId,
+            description: `Redeemed ${item.name} (${giftCardCode})`,
+            userId
+        });
+
+        return {
+            gift_card_id: result.insertId,
+            gift_card_code: giftCardCode,
+            value: item.gift_card_value,
+            available_points: balanceAfter
+        };
+    });
+};
+
+// Create a member for every patient and catch up on any paid bills
+// that have not earned points yet
+const syncAllPatients = async (db, userId) => {
+    const [patients] = await db.execute('SELECT id FROM patients');
+    const [paidBills] = await db.execute(
+        `SELECT b.id, b.patient_id
+         FROM bills b
+         WHERE b.payment_status = 'PAID' AND b.patient_id IS NOT NULL
+         ORDER BY COALESCE(b.payment_date, b.bill_date) ASC, b.id ASC`
+    );
+
+    const billsByPatient = new Map();
+    for (const bill of paidBills) {
+        if (!billsByPatient.has(bill.patient_id)) {
+            billsByPatient.set(bill.patient_id, []);
+        }
+        billsByPatient.get(bill.patient_id).push(bill.id);
+    }
+
+    let membersCreated = 0;
+    let membersUpdated = 0;
+
+    for (const patient of patients) {
+        const created = await withTransaction(db, async (connection) => {
+            const result = await lockMemberForPatient(connection, patient.id);
+            return result.created;
+        });
+
+        let awarded = 0;
+        for (const billId of billsByPatient.get(patient.id) || []) {
+            if (await awardPointsForBill(db, billId, userId)) {
+                awarded++;
+            }
+        }
+
+        // Downgrades also need a pass for members without new bills
+        await withTransaction(db, async (connection) => {
+            const { member } = await lockMemberForPatient(connection, patient.id);
+            const rules = await getTierRules(connection);
+            await recalculateTier(connection, member, rules, userId);
+        });
+
+        if (created) {
+            membersCreated++;
+        } else if (awarded > 0) {
+            membersUpdated++;
+        }
+    }
+
+    const [total] = await db.execute('SELECT COUNT(*) as count FROM loyalty_members');
+
+    return {
+        patients_with_bills: billsByPatient.size,
+        members_created: membersCreated,
+        members_updated: membersUpdated,
+        total_members: total[0].count
+    };
+};
+
+module.exports = {
+    TIER_EVALUATION_MONTHS,
+    getTierRules,
+    resolveTier,
+    calculateEarnedPoints,
+    awardPointsForBill,
+    revokePointsForBill,
+    reverseBillPoints,
+    syncBillPoints,
+    adjustPoints,
+    redeemGiftCard,
+    syncAllPatients
+};
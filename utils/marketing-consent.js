@@ -0,0 +1,180 @@
+// utils/marketing-consent.js - Patient consent to marketing messages (PDPA)
+// Consent is opt-in and kept per channel: a patient without a consent row
+// receives no broadcasts on that channel. Every change is logged with its
+// source. Unsubscribe links are "<patientId>.<channel>.<signature>" signed
+// with JWT_SECRET; they do not expire, so old emails keep working.
+const crypto = require('crypto');
+
+const CONSENT_CHANNELS = ['email', 'sms'];
+const CONSENT_SOURCES = ['staff', 'unsubscribe_link', 'sms_keyword'];
+
+const TOKEN_PATTERN = /^(\d+)\.(email|sms)\.([A-Za-z0-9_-]+)$/;
+
+// Inbound SMS that withdraw consent (English and Thai)
+const STOP_KEYWORDS = /^(?:stop|unsubscribe|stopall|cancel|หยุด|ยกเลิก)$/i;
+
+// ========================================
+// CONSENT RECORDS
+// ========================================
+
+/**
+ * Current consent of a patient on each channel
+ * @returns {Promise<Object>} { email: {...}|null, sms: {...}|null }
+ */
+const getConsent = async (db, patientId) => {
+    const [rows] = await db.execute(
+        `SELECT mc.channel, mc.consented, mc.source, mc.note, mc.updated_at,
+                CONCAT(u.first_name, ' ', u.last_name) AS recorded_by_name
+         FROM patient_marketing_consent mc
+         LEFT JOIN users u ON mc.recorded_by = u.id
+         WHERE mc.patient_id = ?`,
+        [patientId]
+    );
+
+    const consent = { email: null, sms: null };
+    for (const row of rows) {
+        consent[row.channel] = { ...row, consented: row.consented === 1 };
+    }
+    return consent;
+};
+
+/**
+ * Record a consent decision and keep it in the consent log
+ * @param {Object} db - Database connection
+ * @param {Object} change - { patientId, channel, consented, source, note, recordedBy, ipAddress }
+ * @returns {Promise<boolean>} true when the consent changed
+ * @throws {Error} with status 400 on an unknown channel or source
+ */
+const setConsent = async (db, { patientId, channel, consented, source, note = null, recordedBy = null, ipAddress = null }) => {
+    if (!CONSENT_CHANNELS.includes(channel)) {
+        throw Object.assign(new Error(`Channel must be one of: ${CONSENT_CHANNELS.join(', ')}`), { status: 400 });
+    }
+    if (!CONSENT_SOURCES.includes(source)) {
+        throw Object.assign(new Error(`Source must be one of: ${CONSENT_SOURCES.join(', ')}`), { status: 400 });
+    }
+
+    const value = consented ? 1 : 0;
+    const [current] = await db.execute(
+        'SELECT consented FROM patient_marketing_consent WHERE patient_id = ? AND channel = ?',
+        [patientId, channel]
+    );
+    if (current.length > 0 && current[0].consented === value) return false;
+
+    await db.execute(
+        `INSERT INTO patient_marketing_consent (patient_id, channel, consented, source, note, recorded_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE consented = VALUES(consented), source = VALUES(source),
+                                 note = VALUES(note), recorded_by = VALUES(recorded_by)`,
+        [patientId, channel, value, source, note, recordedBy]
+    );
+    await db.execute(
+        `INSERT INTO patient_marketing_consent_log (patient_id, channel, consented, source, note, recorded_by, ip_address)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [patientId, channel, value, source, note, recordedBy, ipAddress]
+    );
+
+    return true;
+};
+
+const getConsentHistory = async (db, patientId) => {
+    const [rows] = await db.execute(
+        `SELECT l.channel, l.consented, l.source, l.note, l.created_at,
+                CONCAT(u.first_name, ' ', u.last_name) AS recorded_by_name
+         FROM patient_marketing_consent_log l
+         LEFT JOIN users u ON l.recorded_by = u.id
+         WHERE l.patient_id = ?
+         ORDER BY l.created_at DESC, l.id DESC`,
+        [patientId]
+    );
+    return rows;
+};
+
+// ========================================
+// UNSUBSCRIBE LINKS
+// ========================================
+
+const sign = (patientId, channel) =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET || '')
+        .update(`marketing-unsubscribe:${patientId}:${channel}`)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+const createUnsubscribeToken = (patientId, channel) => `${patientId}.${channel}.${sign(patientId, channel)}`;
+
+const getUnsubscribeUrl = (patientId, channel) =>
+    `${process.env.APP_BASE_URL || ''}/unsubscribe/${createUnsubscribeToken(patientId, channel)}`;
+
+// Target of the List-Unsubscribe email header; mail clients POST to it directly
+const getOneClickUnsubscribeUrl = (patientId, channel) =>
+    `${process.env.APP_BASE_URL || ''}/api/public/unsubscribe/${createUnsubscribeToken(patientId, channel)}`;
+
+/**
+ * Check an unsubscribe token
+ * @returns {Object} { patientId, channel } when valid
+ * @throws {Error} with status 404 when malformed or forged
+ */
+const verifyUnsubscribeToken = (token) => {
+    const match = TOKEN_PATTERN.exec(String(token || ''));
+    const expected = match ? sign(match[1], match[2]) : '';
+
+    if (!match || match[3].length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(match[3]), Buffer.from(expected))) {
+        throw Object.assign(new Error('This link is not valid'), { status: 404 });
+    }
+
+    return { patientId: parseInt(match[1]), channel: match[2] };
+};
+
+// ========================================
+// SMS KEYWORDS
+// ========================================
+
+// Thai numbers arrive as 66XXXXXXXXX from the provider and are stored as 0XXXXXXXXX
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.startsWith('66') ? `0${digits.substring(2)}` : digits;
+};
+
+const isStopKeyword = (message) => STOP_KEYWORDS.test(String(message || '').trim());
+
+/**
+ * Withdraw SMS consent for every patient with this phone number
+ * @returns {Promise<number>} Number of patients opted out
+ */
+const optOutByPhone = async (db, phone, ipAddress = null) => {
+    const normalized = normalizePhone(phone);
+    if (normalized.length < 9) return 0;
+
+    // Narrow by the last 9 digits, then compare the normalized numbers
+    const [candidates] = await db.execute(
+        'SELECT id, phone FROM patients WHERE phone LIKE ?',
+        [`%${normalized.slice(-9).split('').join('%')}`]
+    );
+
+    let optedOut = 0;
+    for (const patient of candidates.filter(p => normalizePhone(p.phone) === normalized)) {
+        await setConsent(db, {
+            patientId: patient.id,
+            channel: 'sms',
+            consented: false,
+            source: 'sms_keyword',
+            ipAddress
+        });
+        optedOut++;
+    }
+    return optedOut;
+};
+
+module.exports = {
+    CONSENT_CHANNELS,
+    getConsent,
+    setConsent,
+    getConsentHistory,
+    getUnsubscribeUrl,
+    getOneClickUnsubscribeUrl,
+    verifyUnsubscribeToken,
+    isStopKeyword,
+    optOutByPhone
+};
@@ -314,10 +314,145 @@ const sendPatientSMS = async (db, phoneNumber, message) => {
     }
 };
 
+/**
+ * Load LINE Messaging API settings (enabled flag is not checked here)
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object|null>} - LINE config or null when not configured
+ */
+const getLINEConfig = async (db) => {
+    const [settings] = await db.execute(`
+        SELECT setting_value FROM notification_settings WHERE setting_type = 'line' LIMIT 1
+    `);
+
+    if (settings.length === 0) {
+        return null;
+    }
+
+    const lineConfig = JSON.parse(settings[0].setting_value);
+    // Channel secret may be kept out of the database
+    lineConfig.channelSecret = lineConfig.channelSecret || process.env.LINE_CHANNEL_SECRET || '';
+    return lineConfig;
+};
+
+/**
+ * Send LINE message to every LINE account linked to a patient
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {string} message - Message to send
+ * @returns {Promise<boolean>} - True if at least one account received the message
+ */
+const sendPatientLINE = async (db, patientId, message) => {
+    try {
+        const lineConfig = await getLINEConfig(db);
+
+        if (!lineConfig || lineConfig.enabled !== 1 || !lineConfig.accessToken) {
+            console.log('Patient LINE: Service is disabled or not configured');
+            return false;
+        }
+
+        const [accounts] = await db.execute(
+            'SELECT line_user_id FROM patient_line_accounts WHERE patient_id = ? AND is_active = 1',
+            [patientId]
+        );
+
+        if (accounts.length === 0) {
+            console.log(`Patient LINE: Patient ${patientId} has no linked LINE account`);
+            return false;
+        }
+
+        // Multicast accepts up to 500 recipients, far more than one patient will link
+        const response = await axios.post(
+            'https://api.line.me/v2/bot/message/multicast',
+            {
+                to: accounts.map(a => a.line_user_id),
+                messages: [{ type: 'text', text: message }]
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${lineConfig.accessToken}`
+                }
+            }
+        );
+
+        if (response.status === 200) {
+            console.log(`✅ Patient LINE sent to patient ${patientId} (${accounts.length} account(s))`);
+            return true;
+        } else {
+            console.error(`Patient LINE failed: Status ${response.status}`);
+            return false;
+        }
+    } catch (error) {
+        console.error(`❌ Patient LINE error for patient ${patientId}:`, error.message);
+        if (error.response) {
+            console.error('LINE API error:', error.response.data);
+        }
+        return false;
+    }
+};
+
+/**
+ * Reply to a LINE webhook event
+ * @param {Object} db - Database connection
+ * @param {string} replyToken - Reply token from the webhook event
+ * @param {string|string[]} messages - Text message(s), at most 5
+ * @returns {Promise<boolean>} - Success status
+ */
+const replyLINEMessage = async (db, replyToken, messages) => {
+    try {
+        const lineConfig = await getLINEConfig(db);
+
+        if (!lineConfig || !lineConfig.accessToken) {
+            console.error('LINE reply: Channel Access Token not configured');
+            return false;
+        }
+
+        const texts = (Array.isArray(messages) ? messages : [messages]).slice(0, 5);
+
+        await axios.post(
+            'https://api.line.me/v2/bot/message/reply',
+            {
+                replyToken,
+                messages: texts.map(text => ({ type: 'text', text }))
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${lineConfig.accessToken}`
+                }
+            }
+        );
+
+        return true;
+    } catch (error) {
+        console.error('LINE reply error:', error.message);
+        if (error.response) {
+            console.error('LINE API error:', error.response.data);
+        }
+        return false;
+    }
+};
+
+/**
+ * Build the recurrence lines of a recurring calendar event
+ * @param {Object} recurrence - { rrule: 'RRULE:...', exdates: ['YYYY-MM-DD'] }
+ * @param {string} startTime - Occurrence start time (HH:mm[:ss])
+ * @param {string} timeZone - Calendar time zone
+ * @returns {Array<string>} - RRULE line followed by an EXDATE line for skipped dates
+ */
+const buildRecurrenceLines = (recurrence, startTime, timeZone) => {
+    const lines = [recurrence.rrule];
+    if (recurrence.exdates && recurrence.exdates.length > 0) {
+        const time = `${startTime}:00`.substring(0, 8).replace(/:/g, '');
+        lines.push(`EXDATE;TZID=${timeZone}:${recurrence.exdates.map(date => `${date.replace(/-/g, '')}T${time}`).join(',')}`);
+    }
+    return lines;
+};
+
 /**
  * Create Google Calendar event for appointment
  * @param {Object} db - Database connection
- * @param {Object} appointmentData - Appointment details
+ * @param {Object} appointmentData - Appointment details (recurrence makes it a recurring event starting on appointment_date)
  * @returns {Promise<string|null>} - Google Calendar Event ID or null
  */
 const createGoogleCalendarEvent = async (db, appointmentData) => {
@@ -416,6 +551,10 @@ const createGoogleCalendarEvent = async (db, appointmentData) => {
             guestsCanSeeOtherGuests: false,
         };
 
+        if (appointmentData.recurrence) {
+            event.recurrence = buildRecurrenceLines(appointmentData.recurrence, appointmentData.start_time, calendarConfig.timeZone || 'Asia/Bangkok');
+        }
+
         // Add patient email if available and if sending invites is enabled
         // Handle both integer (1) and string ('1') values
         const isSendInvitesEnabled = calendarConfig.sendInvites === 1 || calendarConfig.sendInvites === '1';
@@ -477,7 +616,7 @@ const createGoogleCalendarEvent = async (db, appointmentData) => {
  * Update Google Calendar event
  * @param {Object} db - Database connection
  * @param {string} eventId - Google Calendar Event ID
- * @param {Object} appointmentData - Updated appointment details
+ * @param {Object} appointmentData - Updated appointment details (recurrence replaces the recurrence rule)
  * @returns {Promise<boolean>} - Success status
  */
 const updateGoogleCalendarEvent = async (db, eventId, appointmentData) => {
@@ -547,6 +686,10 @@ const updateGoogleCalendarEvent = async (db, eventId, appointmentData) => {
             guestsCanSeeOtherGuests: false,
         };
 
+        if (appointmentData.recurrence) {
+            event.recurrence = buildRecurrenceLines(appointmentData.recurrence, appointmentData.start_time, calendarConfig.timeZone || 'Asia/Bangkok');
+        }
+
         // Handle both integer and string for sendInvites
         const isSendInvitesEnabled = calendarConfig.sendInvites === 1 || calendarConfig.sendInvites === '1';
 
@@ -907,14 +1050,81 @@ const sendAppointmentConfirmationEmail = async (db, appointmentId, recipientEmai
     }
 };
 
+/**
+ * Send a plain notification email to a patient or walk-in
+ * @param {Object} db - Database connection
+ * @param {string} recipientEmail - Recipient email address
+ * @param {string} subject - Email subject
+ * @param {string} html - Email body (HTML)
+ * @param {Array} [attachments] - Nodemailer attachments (e.g. an .ics file)
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendPatientEmail = async (db, recipientEmail, subject, html, attachments = []) => {
+    try {
+        if (!recipientEmail || !recipientEmail.includes('@')) {
+            console.log('Email: No valid recipient email provided');
+            return false;
+        }
+
+        const [settings] = await db.execute(`
+            SELECT setting_value FROM notification_settings
+            WHERE setting_type = 'smtp' LIMIT 1
+        `);
+
+        if (settings.length === 0) {
+            console.log('Email: No SMTP settings configured');
+            return false;
+        }
+
+        const smtpConfig = JSON.parse(settings[0].setting_value);
+
+        if (smtpConfig.enabled !== 1) {
+            console.log('Email: SMTP is disabled');
+            return false;
+        }
+
+        const transporter = nodemailer.createTransport({
+            host: smtpConfig.host,
+            port: parseInt(smtpConfig.port),
+            secure: smtpConfig.secure === 'ssl',
+            auth: {
+                user: smtpConfig.user,
+                pass: smtpConfig.password
+            },
+            tls: {
+                rejectUnauthorized: false
+            }
+        });
+
+        const info = await transporter.sendMail({
+            from: `"${smtpConfig.fromName || 'RehabPlus'}" <${smtpConfig.fromEmail}>`,
+            to: recipientEmail,
+            subject,
+            html,
+            attachments
+        });
+
+        console.log('Email sent successfully:', info.messageId);
+        return true;
+
+    } catch (error) {
+        console.error('Failed to send email:', error);
+        return false;
+    }
+};
+
 // Export all notification functions
 module.exports = {
     sendLINENotification,
     sendSMSNotification,
     sendPatientSMS,
+    getLINEConfig,
+    sendPatientLINE,
+    replyLINEMessage,
     createGoogleCalendarEvent,
     updateGoogleCalendarEvent,
     deleteGoogleCalendarEvent,
     generateICSFile,
-    sendAppointmentConfirmationEmail
+    sendAppointmentConfirmationEmail,
+    sendPatientEmail
 };
\ No newline at end of file
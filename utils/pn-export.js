@@ -0,0 +1,267 @@
+// utils/pn-export.js - PN case export (GET /api/pn/export)
+// Takes the filters of GET /api/pn and writes one row per PN case as CSV or
+// XLSX, straight to the response. Cases are read in batches by id, and the
+// status history, bills and SOAP notes of each batch are looked up in one
+// query each, so a year of cases never sits in memory at once.
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+
+const BATCH_SIZE = 500;
+const DATETIME = '%Y-%m-%d %H:%i:%s';
+
+const COLUMNS = [
+    { header: 'PN Code', key: 'pn_code', width: 14 },
+    { header: 'Patient HN', key: 'hn', width: 12 },
+    { header: 'Patient Name', key: 'patient_name', width: 28 },
+    { header: 'Diagnosis', key: 'diagnosis', width: 30 },
+    { header: 'Purpose', key: 'purpose', width: 30 },
+    { header: 'Source Clinic', key: 'source_clinic', width: 24 },
+    { header: 'Target Clinic', key: 'target_clinic', width: 24 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Created At', key: 'created_at', width: 20 },
+    { header: 'Accepted At', key: 'accepted_at', width: 20 },
+    { header: 'In Progress At', key: 'in_progress_at', width: 20 },
+    { header: 'Completed At', key: 'completed_at', width: 20 },
+    { header: 'Cancelled At', key: 'cancelled_at', width: 20 },
+    { header: 'Last Status Change', key: 'last_status_change_at', width: 20 },
+    { header: 'Bills', key: 'bill_count', width: 8 },
+    { header: 'Billed Total', key: 'billed_total', width: 14 },
+    { header: 'Paid Total', key: 'paid_total', width: 14 },
+    { header: 'SOAP Notes', key: 'soap_count', width: 11 },
+    { header: 'SOAP Complete', key: 'soap_complete', width: 14 }
+];
+
+// ========================================
+// QUERY
+// ========================================
+
+/**
+ * WHERE clause for the export, with the same filters as GET /api/pn
+ * (date_from/date_to are accepted as well as from_date/to_date)
+ * @throws {Error} 403 for a CLINIC user without a clinic
+ */
+const buildFilter = (user, query) => {
+    const { status, clinic_id, search } = query;
+    const fromDate = query.from_date || query.date_from;
+    const toDate = query.to_date || query.date_to;
+
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    // Role-based filtering
+    if (user.role === 'CLINIC') {
+        if (!user.clinic_id) {
+            throw Object.assign(new Error('CLINIC user must be assigned to a clinic'), { status: 403 });
+        }
+        where += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
+        params.push(user.clinic_id, user.clinic_id);
+    }
+
+    if (clinic_id) {
+        where += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
+        params.push(clinic_id, clinic_id);
+    }
+
+    if (status) {
+        where += ' AND pn.status = ?';
+        params.push(status);
+    } else {
+        where += ' AND pn.status != ?';
+        params.push('CANCELLED');
+    }
+
+    // Same date as the PN list: latest appointment, else the day the case was opened
+    const caseDate = `COALESCE(
+        (SELECT appointment_date FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1),
+        DATE(pn.created_at)
+    )`;
+    for (const [value, operator] of [[fromDate, '>='], [toDate, '<=']]) {
+        if (!value) continue;
+        if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+            throw Object.assign(new Error('Dates must be YYYY-MM-DD'), { status: 400 });
+        }
+        where += ` AND ${caseDate} ${operator} ?`;
+        params.push(value);
+    }
+
+    if (search) {
+        where += ` AND (p.hn LIKE ? OR p.first_name LIKE ? OR p.last_name LIKE ?
+                   OR pn.pn_code LIKE ? OR pn.diagnosis LIKE ? OR pn.purpose LIKE ?)`;
+        params.push(...Array(6).fill(`%${search}%`));
+    }
+
+    return { where, params };
+};
+
+const fetchCases = async (db, filter, afterId) => {
+    const [cases] = await db.execute(
+        `SELECT pn.id, pn.pn_code, pn.status, pn.diagnosis, pn.purpose,
+                p.hn, CONCAT_WS(' ', p.first_name, p.last_name) as patient_name,
+                CONCAT_WS(' - ', sc.code, sc.name) as source_clinic,
+                CONCAT_WS(' - ', tc.code, tc.name) as target_clinic,
+                DATE_FORMAT(pn.created_at, '${DATETIME}') as created_at
+         FROM pn_cases pn
+         JOIN patients p ON pn.patient_id = p.id
+         JOIN clinics sc ON pn.source_clinic_id = sc.id
+         JOIN clinics tc ON pn.target_clinic_id = tc.id
+         ${filter.where} AND pn.id > ?
+         ORDER BY pn.id
+         LIMIT ${BATCH_SIZE}`,
+        [...filter.params, afterId]
+    );
+    return cases;
+};
+
+// Status timestamps, bill totals and SOAP completion for a batch of cases
+const fetchDetails = async (db, ids) => {
+    const placeholders = ids.map(() => '?').join(',');
+
+    // Latest forward change into each status; reversals only move the last-change time
+    const [statuses] = await db.execute(
+        `SELECT pn_id,
+                DATE_FORMAT(MAX(CASE WHEN new_status = 'ACCEPTED' AND COALESCE(is_reversal, 0) = 0 THEN created_at END), '${DATETIME}') as accepted_at,
+                DATE_FORMAT(MAX(CASE WHEN new_status = 'IN_PROGRESS' AND COALESCE(is_reversal, 0) = 0 THEN created_at END), '${DATETIME}') as in_progress_at,
+                DATE_FORMAT(MAX(CASE WHEN new_status = 'COMPLETED' AND COALESCE(is_reversal, 0) = 0 THEN created_at END), '${DATETIME}') as completed_at,
+                DATE_FORMAT(MAX(CASE WHEN new_status = 'CANCELLED' AND COALESCE(is_reversal, 0) = 0 THEN created_at END), '${DATETIME}') as cancelled_at,
+                DATE_FORMAT(MAX(created_at), '${DATETIME}') as last_status_change_at
+         FROM pn_status_history
+         WHERE pn_id IN (${placeholders})
+         GROUP BY pn_id`,
+        ids
+    );
+
+    const [bills] = await db.execute(
+        `SELECT pn_case_id as pn_id, COUNT(*) as bill_count,
+                SUM(total_amount) as billed_total,
+                SUM(CASE WHEN payment_status = 'PAID' THEN total_amount ELSE 0 END) as paid_total
+         FROM bills
+         WHERE pn_case_id IN (${placeholders})
+         GROUP BY pn_case_id`,
+        ids
+    );
+
+    const [soap] = await db.execute(
+        `SELECT pn_id, COUNT(*) as soap_count,
+                SUM(CASE WHEN COALESCE(subjective, '') != '' AND COALESCE(objective, '') != ''
+                          AND COALESCE(assessment, '') != '' AND COALESCE(plan, '') != ''
+                    THEN 1 ELSE 0 END) as complete_count
+         FROM pn_soap_notes
+         WHERE pn_id IN (${placeholders})
+         GROUP BY pn_id`,
+        ids
+    );
+
+    const byPn = (rows) => new Map(rows.map(row => [row.pn_id, row]));
+    return { statuses: byPn(statuses), bills: byPn(bills), soap: byPn(soap) };
+};
+
+const toExportRow = (pnCase, details) => {
+    const status = details.statuses.get(pnCase.id) || {};
+    const bill = details.bills.get(pnCase.id) || {};
+    const soap = details.soap.get(pnCase.id) || {};
+
+    return {
+        ...pnCase,
+        accepted_at: status.accepted_at || null,
+        in_progress_at: status.in_progress_at || null,
+        completed_at: status.completed_at || null,
+        cancelled_at: status.cancelled_at || null,
+        last_status_change_at: status.last_status_change_at || null,
+        bill_count: Number(bill.bill_count || 0),
+        billed_total: Number(bill.billed_total || 0),
+        paid_total: Number(bill.paid_total || 0),
+        soap_count: Number(soap.soap_count || 0),
+        soap_complete: Number(soap.complete_count || 0) > 0 ? 'Yes' : 'No'
+    };
+};
+
+// Export rows, one batch at a time
+async function* exportRows(db, filter) {
+    let afterId = 0;
+    for (;;) {
+        const cases = await fetchCases(db, filter, afterId);
+        if (cases.length === 0) return;
+
+        const details = await fetchDetails(db, cases.map(pnCase => pnCase.id));
+        for (const pnCase of cases) {
+            yield toExportRow(pnCase, details);
+        }
+
+        if (cases.length < BATCH_SIZE) return;
+        afterId = cases[cases.length - 1].id;
+    }
+}
+
+// ========================================
+// WRITERS
+// ========================================
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the response has drained, so large exports respect backpressure
+const write = (res, chunk) => new Promise(resolve => {
+    if (res.write(chunk)) resolve();
+    else res.once('drain', resolve);
+});
+
+const writeCSV = async (res, rows) => {
+    let count = 0;
+    await write(res, '﻿' + COLUMNS.map(column => csvValue(column.header)).join(',') + '\r\n');
+    for await (const row of rows) {
+        await write(res, COLUMNS.map(column => csvValue(row[column.key])).join(',') + '\r\n');
+        count++;
+    }
+    res.end();
+    return count;
+};
+
+const writeXLSX = async (res, rows) => {
+    let count = 0;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('PN Cases', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    for (const key of ['billed_total', 'paid_total']) {
+        sheet.getColumn(key).numFmt = '#,##0.00';
+    }
+
+    for await (const row of rows) {
+        sheet.addRow(row).commit();
+        count++;
+    }
+
+    await sheet.commit();
+    await workbook.commit();
+    return count;
+};
+
+/**
+ * Write the export to the response
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<number>} Number of cases written
+ * @throws {Error} 400/403 before anything is sent, for bad filters or scope
+ */
+const streamPNExport = async (db, user, query, format, res) => {
+    if (!['csv', 'xlsx'].includes(format)) {
+        throw Object.assign(new Error('format must be csv or xlsx'), { status: 400 });
+    }
+
+    const filter = buildFilter(user, query);
+    const filename = `pn-cases-${moment().format('YYYYMMDD-HHmm')}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', format === 'csv'
+        ? 'text/csv; charset=utf-8'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const rows = exportRows(db, filter);
+    return format === 'csv' ? writeCSV(res, rows) : writeXLSX(res, rows);
+};
+
+module.exports = {
+    streamPNExport
+};
@@ -0,0 +1,538 @@
+// utils/pn-workflow.js - Per-clinic PN case workflows
+// A workflow lists the status transitions a PN case may take. Each transition
+// names the roles allowed to make it, the request fields it requires and the
+// side effects it runs; fields and effects are picked from the registries
+// below, so a workflow is data (pn_workflows.definition) and the code of each
+// effect lives here once. A case follows its target clinic's workflow, else
+// its source clinic's, else the default one. A transition's database writes
+// share one transaction, so a failure midway leaves the case, its appointment
+// and the course ledger as they were.
+const { auditLog } = require('../middleware/auth');
+const { emitPNStatusEvent, emitAppointmentEvent } = require('./realtime');
+
+const STATUSES = ['PENDING', 'ACCEPTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+const SOAP_PARTS = ['subjective', 'objective', 'assessment', 'plan'];
+
+// Used only if pn_workflows has no default row; same as the seeded 'Standard'
+const FALLBACK_DEFINITION = {
+    transitions: [
+        {
+            key: 'accept', label: 'Accept', from: ['PENDING'], to: 'ACCEPTED', roles: ['ADMIN', 'PT'],
+            required_fields: ['pt_diagnosis', 'pt_chief_complaint', 'pt_present_history', 'pt_pain_score'],
+            effects: ['save_body_annotation', 'save_pt_assessment', 'sync_appointment', 'deduct_course_session', 'notify']
+        },
+        {
+            key: 'return_to_pending', label: 'Return to Pending', from: ['ACCEPTED'], to: 'PENDING', roles: ['ADMIN', 'PT'],
+            required_fields: [],
+            effects: ['return_course_session', 'sync_appointment', 'notify']
+        },
+        {
+            key: 'complete', label: 'Complete', from: ['ACCEPTED'], to: 'COMPLETED', roles: ['ADMIN', 'PT'],
+            required_fields: ['soap_notes'],
+            effects: ['save_soap_notes', 'sync_appointment', 'notify']
+        },
+        {
+            key: 'cancel', label: 'Cancel', from: ['PENDING', 'IN_PROGRESS', 'COMPLETED'], to: 'CANCELLED', roles: ['ADMIN', 'PT'],
+            required_fields: [],
+            effects: ['save_cancellation_reason', 'sync_appointment', 'notify']
+        },
+        {
+            key: 'cancel_accepted', label: 'Cancel', from: ['ACCEPTED'], to: 'CANCELLED', roles: ['ADMIN', 'PT'],
+            required_fields: [],
+            effects: ['save_cancellation_reason', 'return_course_session', 'sync_appointment', 'notify']
+        },
+        // The old PATCH also took any other status change, updating only the status
+        {
+            key: 'set_pending', label: 'Set to Pending', from: ['IN_PROGRESS', 'COMPLETED', 'CANCELLED'], to: 'PENDING', roles: ['ADMIN', 'PT'],
+            required_fields: [], effects: ['notify']
+        },
+        {
+            key: 'set_accepted', label: 'Set to Accepted', from: ['IN_PROGRESS', 'COMPLETED', 'CANCELLED'], to: 'ACCEPTED', roles: ['ADMIN', 'PT'],
+            required_fields: [], effects: ['notify']
+        },
+        {
+            key: 'set_in_progress', label: 'Set to In Progress', from: ['PENDING', 'ACCEPTED', 'COMPLETED', 'CANCELLED'], to: 'IN_PROGRESS', roles: ['ADMIN', 'PT'],
+            required_fields: [], effects: ['notify']
+        },
+        {
+            key: 'set_completed', label: 'Set to Completed', from: ['PENDING', 'IN_PROGRESS', 'CANCELLED'], to: 'COMPLETED', roles: ['ADMIN', 'PT'],
+            required_fields: [], effects: ['notify']
+        }
+    ]
+};
+
+const workflowError = (message, status, details) => Object.assign(new Error(message), { status, details });
+
+// ========================================
+// REQUIRED FIELDS
+// ========================================
+
+const present = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Field name -> check against the request body
+const FIELD_RULES = {
+    pt_diagnosis: (input) => present(input.pt_diagnosis),
+    pt_chief_complaint: (input) => present(input.pt_chief_complaint),
+    pt_present_history: (input) => present(input.pt_present_history),
+    pt_pain_score: (input) => present(input.pt_pain_score),
+    soap_notes: (input) => !!input.soap_notes && SOAP_PARTS.every(part => present(input.soap_notes[part])),
+    body_annotation_id: (input) => present(input.body_annotation_id),
+    cancellation_reason: (input) => present(input.cancellation_reason)
+};
+
+// Names as clients see them in required_fields
+const fieldNames = (fields) => fields.flatMap(field =>
+    field === 'soap_notes' ? SOAP_PARTS.map(part => `soap_notes.${part}`) : [field]
+);
+
+const missingFields = (transition, input) =>
+    (transition.required_fields || []).filter(field => !FIELD_RULES[field](input || {}));
+
+// ========================================
+// SIDE EFFECTS
+// ========================================
+
+// Appointment status that follows each PN status
+const APPOINTMENT_STATUS = {
+    PENDING: 'SCHEDULED',
+    ACCEPTED: 'COMPLETED',
+    COMPLETED: 'COMPLETED',
+    CANCELLED: 'CANCELLED'
+};
+
+// Sessions this case has taken from a course and not given back, from the
+// usage ledger. Call with the course row locked.
+const netSessionsUsed = async (connection, courseId, pnId) => {
+    const [rows] = await connection.execute(
+        `SELECT COALESCE(SUM(CASE action_type WHEN 'USE' THEN sessions_used WHEN 'RETURN' THEN -sessions_used ELSE 0 END), 0) as net
+         FROM course_usage_history
+         WHERE course_id = ? AND pn_id = ?`,
+        [courseId, pnId]
+    );
+    return Number(rows[0].net);
+};
+
+// Lock the course row until the transaction ends; false if the course is gone
+const lockCourse = async (connection, courseId) => {
+    const [courses] = await connection.execute('SELECT id FROM courses WHERE id = ? FOR UPDATE', [courseId]);
+    return courses.length > 0;
+};
+
+/**
+ * Take one session from a course for a PN case, unless the case already holds one
+ * Runs on the caller's transaction connection; the ledger row is part of it.
+ * @returns {Promise<boolean>} Whether a session was deducted
+ */
+const deductCourseSession = async (connection, { courseId, pnId, userId, note }) => {
+    if (!await lockCourse(connection, courseId)) return false;
+    if (await netSessionsUsed(connection, courseId, pnId) > 0) return false;
+
+    await connection.execute(
+        `UPDATE courses
+         SET used_sessions = used_sessions + 1,
+             remaining_sessions = remaining_sessions - 1,
+             status = CASE
+                 WHEN remaining_sessions - 1 = 0 THEN 'COMPLETED'
+                 WHEN remaining_sessions - 1 < 0 THEN 'COMPLETED'
+                 ELSE status
+             END,
+             updated_at = NOW()
+         WHERE id = ?`,
+        [courseId]
+    );
+
+    await connection.execute(
+        `INSERT INTO course_usage_history
+         (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
+         VALUES (?, NULL, ?, 1, CURDATE(), 'USE', ?, ?)`,
+        [courseId, pnId, note, userId]
+    );
+    return true;
+};
+
+/**
+ * Give back the session a PN case holds from a course; nothing if it holds none
+ * @returns {Promise<boolean>} Whether a session was returned
+ */
+const returnCourseSession = async (connection, { courseId, pnId, userId, note }) => {
+    if (!await lockCourse(connection, courseId)) return false;
+    if (await netSessionsUsed(connection, courseId, pnId) <= 0) return false;
+
+    await connection.execute(
+        `UPDATE courses
+         SET used_sessions = GREATEST(0, used_sessions - 1),
+             remaining_sessions = remaining_sessions + 1,
+             status = CASE
+                 WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
+                 ELSE status
+             END,
+             updated_at = NOW()
+         WHERE id = ?`,
+        [courseId]
+    );
+
+    await connection.execute(
+        `INSERT INTO course_usage_history
+         (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
+         VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', ?, ?)`,
+        [courseId, pnId, note, userId]
+    );
+    return true;
+};
+
+// Effect name -> async (ctx). ctx.db is the transaction's connection;
+// ctx.sets/ctx.params collect columns for the pn_cases UPDATE; ctx.after
+// collects (db) => work to run on the pool once the change is committed.
+const EFFECTS = {
+    save_body_annotation: async (ctx) => {
+        if (!present(ctx.input.body_annotation_id)) return;
+        ctx.sets.push('body_annotation_id = ?');
+        ctx.params.push(ctx.input.body_annotation_id);
+    },
+
+    save_pt_assessment: async (ctx) => {
+        for (const field of ['pt_diagnosis', 'pt_chief_complaint', 'pt_present_history', 'pt_pain_score']) {
+            if (ctx.input[field] === undefined) continue;
+            ctx.sets.push(`${field} = ?`);
+            ctx.params.push(ctx.input[field]);
+        }
+    },
+
+    save_soap_notes: async (ctx) => {
+        if (!FIELD_RULES.soap_notes(ctx.input)) return;
+        const { soap_notes } = ctx.input;
+        await ctx.db.execute(
+            `INSERT INTO pn_soap_notes (pn_id, subjective, objective, assessment, plan, timestamp, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, NOW(), ?, ?)`,
+            [ctx.pnCase.id, soap_notes.subjective, soap_notes.objective, soap_notes.assessment,
+             soap_notes.plan, soap_notes.notes || '', ctx.user.id]
+        );
+    },
+
+    save_cancellation_reason: async (ctx) => {
+        if (!present(ctx.input.cancellation_reason)) return;
+        ctx.sets.push('cancellation_reason = ?');
+        ctx.params.push(ctx.input.cancellation_reason);
+    },
+
+    sync_appointment: async (ctx) => {
+        const appointmentStatus = APPOINTMENT_STATUS[ctx.to];
+        if (!ctx.pnCase.appointment_id || !appointmentStatus) return;
+
+        if (appointmentStatus === 'CANCELLED') {
+            await ctx.db.execute(
+                `UPDATE appointments
+                 SET status = 'CANCELLED',
+                     cancellation_reason = ?,
+                     cancelled_at = NOW(),
+                     updated_at = NOW()
+                 WHERE id = ?`,
+                [ctx.input.cancellation_reason || 'Cancelled from Dashboard', ctx.pnCase.appointment_id]
+            );
+            ctx.after.push((db) => emitAppointmentEvent(ctx.io, db, ctx.pnCase.appointment_id, 'cancelled'));
+            return;
+        }
+
+        await ctx.db.execute(
+            'UPDATE appointments SET status = ?, updated_at = NOW() WHERE id = ?',
+            [appointmentStatus, ctx.pnCase.appointment_id]
+        );
+    },
+
+    // One session per PN, only for cases booked through an appointment
+    deduct_course_session: async (ctx) => {
+        const { course_id: courseId, appointment_id: appointmentId, id } = ctx.pnCase;
+        if (!courseId || !appointmentId) return;
+
+        await deductCourseSession(ctx.db, {
+            courseId, pnId: id, userId: ctx.user.id, note: `PN case ${ctx.to.toLowerCase()} - session deducted`
+        });
+    },
+
+    // Only a session this case actually took is given back
+    return_course_session: async (ctx) => {
+        const { course_id: courseId, appointment_id: appointmentId, id } = ctx.pnCase;
+        if (!courseId || !appointmentId) return;
+
+        await returnCourseSession(ctx.db, {
+            courseId, pnId: id, userId: ctx.user.id, note: `PN case ${ctx.to.toLowerCase()} - session returned`
+        });
+    },
+
+    notify: async (ctx) => {
+        ctx.after.push((db) => emitPNStatusEvent(ctx.io, db, ctx.pnCase.id, ctx.from));
+    }
+};
+
+// Timestamp columns kept by every transition into a status
+const STATUS_COLUMNS = {
+    PENDING: 'accepted_at = NULL',
+    ACCEPTED: 'accepted_at = NOW()',
+    COMPLETED: 'completed_at = NOW()',
+    CANCELLED: 'cancelled_at = NOW()'
+};
+
+// ========================================
+// DEFINITIONS
+// ========================================
+
+/**
+ * Check a workflow definition before it is stored
+ * @returns {Object} The definition with defaults filled in
+ * @throws {Error} 400 listing every problem found
+ */
+const validateDefinition = (definition) => {
+    const problems = [];
+    const transitions = definition && Array.isArray(definition.transitions) ? definition.transitions : null;
+    if (!transitions || transitions.length === 0) {
+        throw workflowError('Workflow needs at least one transition', 400);
+    }
+
+    const keys = new Set();
+    const pairs = new Set();
+
+    const normalized = transitions.map((transition, index) => {
+        const where = `Transition ${index + 1}${transition && transition.key ? ` (${transition.key})` : ''}`;
+        const t = {
+            key: transition?.key,
+            label: transition?.label || transition?.key,
+            from: Array.isArray(transition?.from) ? transition.from : [],
+            to: transition?.to,
+            roles: Array.isArray(transition?.roles) ? transition.roles : [],
+            required_fields: Array.isArray(transition?.required_fields) ? transition.required_fields : [],
+            effects: Array.isArray(transition?.effects) ? transition.effects : []
+        };
+
+        if (!/^[a-z][a-z0-9_]{0,49}$/.test(t.key || '')) {
+            problems.push(`${where}: key must be lower_snake_case`);
+        } else if (keys.has(t.key)) {
+            problems.push(`${where}: duplicate key`);
+        }
+        keys.add(t.key);
+
+        if (!STATUSES.includes(t.to)) problems.push(`${where}: unknown target status ${t.to}`);
+        if (t.from.length === 0) problems.push(`${where}: from needs at least one status`);
+        t.from.forEach(status => {
+            if (!STATUSES.includes(status)) problems.push(`${where}: unknown status ${status}`);
+            if (status === t.to) problems.push(`${where}: cannot go from ${status} to itself`);
+            // The PATCH body names only the target status, so each pair must be unambiguous
+            if (pairs.has(`${status}>${t.to}`)) problems.push(`${where}: another transition already goes ${status} -> ${t.to}`);
+            pairs.add(`${status}>${t.to}`);
+        });
+
+        if (t.roles.length === 0) problems.push(`${where}: roles needs at least one role`);
+        t.roles.forEach(role => {
+            if (typeof role !== 'string' || !/^[A-Z_]+$/.test(role)) problems.push(`${where}: invalid role ${role}`);
+        });
+        t.required_fields.forEach(field => {
+            if (!FIELD_RULES[field]) problems.push(`${where}: unknown required field ${field}`);
+        });
+        t.effects.forEach(effect => {
+            if (!EFFECTS[effect]) problems.push(`${where}: unknown effect ${effect}`);
+        });
+
+        return t;
+    });
+
+    if (problems.length > 0) {
+        throw workflowError('Invalid workflow definition', 400, { problems });
+    }
+    return { transitions: normalized };
+};
+
+const parseDefinition = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// ========================================
+// CASES
+// ========================================
+
+/**
+ * Load a PN case with what the workflow needs: latest appointment, course
+ * (appointment's, else the case's) and both clinics' workflow ids
+ */
+const loadCase = async (db, id) => {
+    const [cases] = await db.execute(
+        `SELECT pn.*,
+                COALESCE((SELECT course_id FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1), pn.course_id) as final_course_id,
+                sc.code as source_clinic_code,
+                tc.code as target_clinic_code,
+                sc.pn_workflow_id as source_workflow_id,
+                tc.pn_workflow_id as target_workflow_id,
+                (SELECT id FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1) as appointment_id,
+                (SELECT status FROM appointments WHERE pn_case_id = pn.id ORDER BY appointment_date DESC, created_at DESC LIMIT 1) as appointment_status
+         FROM pn_cases pn
+         JOIN clinics sc ON pn.source_clinic_id = sc.id
+         JOIN clinics tc ON pn.target_clinic_id = tc.id
+         WHERE pn.id = ?`,
+        [id]
+    );
+    if (cases.length === 0) return null;
+
+    const pnCase = cases[0];
+    pnCase.course_id = pnCase.final_course_id;
+    return pnCase;
+};
+
+/**
+ * Workflow a case follows
+ * @returns {Promise<Object>} { id, name, definition }
+ */
+const getCaseWorkflow = async (db, pnCase) => {
+    const workflowId = pnCase.target_workflow_id || pnCase.source_workflow_id;
+    const [workflows] = workflowId
+        ? await db.execute('SELECT id, name, definition FROM pn_workflows WHERE id = ?', [workflowId])
+        : await db.execute('SELECT id, name, definition FROM pn_workflows WHERE is_default = 1 ORDER BY id LIMIT 1');
+
+    if (workflows.length === 0) {
+        return { id: null, name: 'Standard', definition: FALLBACK_DEFINITION };
+    }
+    return { ...workflows[0], definition: parseDefinition(workflows[0].definition) };
+};
+
+const describe = (transition) => ({
+    action: transition.key,
+    label: transition.label,
+    to: transition.to,
+    required_fields: fieldNames(transition.required_fields || [])
+});
+
+// Transitions out of the case's status that this user's role may make
+const getAvailableActions = (workflow, pnCase, user) =>
+    workflow.definition.transitions
+        .filter(transition => transition.from.includes(pnCase.status) && transition.roles.includes(user.role))
+        .map(describe);
+
+/**
+ * Transition matching a request, by action key or by target status
+ * @throws {Error} 409 when the workflow has no such transition from the case's status
+ */
+const findTransition = (workflow, pnCase, { action, status }) => {
+    const transition = workflow.definition.transitions.find(t =>
+        t.from.includes(pnCase.status) && (action ? t.key === action : t.to === status)
+    );
+    if (!transition) {
+        throw workflowError(
+            `Cannot ${action ? `run "${action}"` : `change status to ${status}`} from ${pnCase.status} in the ${workflow.name} workflow`,
+            409,
+            { current_status: pnCase.status, workflow: workflow.name }
+        );
+    }
+    return transition;
+};
+
+/**
+ * Check and run one transition: roles, required fields, then in one
+ * transaction the side effects, status update and history; then the audit
+ * log and notifications
+ * @param {Object} params - { pnCase, workflow, action | status, input, user, req, io }
+ * @returns {Promise<Object>} { from, to, action }
+ * @throws {Error} 409 when the case changed status since it was loaded
+ */
+const runTransition = async (db, params) => {
+    const { pnCase, workflow, input = {}, user, req, io } = params;
+    const transition = findTransition(workflow, pnCase, params);
+
+    if (!transition.roles.includes(user.role)) {
+        throw workflowError(`Your role cannot ${transition.label.toLowerCase()} this PN case`, 403, {
+            allowed_roles: transition.roles
+        });
+    }
+
+    const missing = missingFields(transition, input);
+    if (missing.length > 0) {
+        throw workflowError(`${transition.label} requires: ${fieldNames(missing).join(', ')}`, 400, {
+            required_fields: fieldNames(transition.required_fields),
+            missing_fields: fieldNames(missing)
+        });
+    }
+
+    const connection = await db.getConnection();
+    const ctx = {
+        db: connection, io, pnCase, input, user,
+        from: pnCase.status,
+        to: transition.to,
+        sets: [],
+        params: [],
+        after: []
+    };
+
+    try {
+        await connection.beginTransaction();
+
+        // Lock the case so two requests cannot both move it out of the same status
+        const [locked] = await connection.execute('SELECT status FROM pn_cases WHERE id = ? FOR UPDATE', [pnCase.id]);
+        if (locked.length === 0) {
+            throw workflowError('PN case not found', 404);
+        }
+        if (locked[0].status !== pnCase.status) {
+            throw workflowError(`PN case is now ${locked[0].status}; reload and try again`, 409, {
+                current_status: locked[0].status
+            });
+        }
+
+        for (const effect of transition.effects) {
+            await EFFECTS[effect](ctx);
+        }
+
+        const sets = ['status = ?', 'updated_at = NOW()', ...(STATUS_COLUMNS[ctx.to] ? [STATUS_COLUMNS[ctx.to]] : []), ...ctx.sets];
+        await connection.execute(`UPDATE pn_cases SET ${sets.join(', ')} WHERE id = ?`, [ctx.to, ...ctx.params, pnCase.id]);
+
+        await connection.execute(
+            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
+             VALUES (?, ?, ?, ?, FALSE)`,
+            [pnCase.id, ctx.from, ctx.to, user.id]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    await auditLog(db, user.id, 'UPDATE_STATUS', 'pn_case', pnCase.id,
+        { status: ctx.from }, { status: ctx.to, action: transition.key, workflow: workflow.name }, req);
+
+    for (const task of ctx.after) {
+        await task(db).catch(err => console.warn('[PN WORKFLOW] Failed to run after-effect:', err.message));
+    }
+
+    return { from: ctx.from, to: ctx.to, action: transition.key };
+};
+
+/**
+ * Accept rules of a case's workflow, for status changes that start outside
+ * PATCH /api/pn/:id/status (completing the linked appointment)
+ * @returns {Promise<Object>} { missing: [field names], savesAssessment }
+ */
+const checkAcceptRules = async (db, pnCaseId, input) => {
+    const pnCase = await loadCase(db, pnCaseId);
+    if (!pnCase) return { missing: [], required: [], savesAssessment: true };
+
+    const workflow = await getCaseWorkflow(db, pnCase);
+    const transition = workflow.definition.transitions.find(t => t.from.includes('PENDING') && t.to === 'ACCEPTED');
+    if (!transition) return { missing: [], required: [], savesAssessment: false };
+
+    return {
+        required: fieldNames(transition.required_fields || []),
+        missing: fieldNames(missingFields(transition, input)),
+        savesAssessment: transition.effects.includes('save_pt_assessment')
+    };
+};
+
+module.exports = {
+    STATUSES,
+    FIELD_RULES,
+    EFFECTS,
+    deductCourseSession,
+    returnCourseSession,
+    validateDefinition,
+    parseDefinition,
+    loadCase,
+    getCaseWorkflow,
+    getAvailableActions,
+    runTransition,
+    checkAcceptRules
+};
@@ -0,0 +1,105 @@
+// utils/realtime.js - Operational events pushed to staff over Socket.IO
+// Sockets join a room per clinic the user can access (getAccessibleClinicIds);
+// ADMIN joins the all-clinics room. Events carry ids and statuses only, so
+// pages refetch what they show through the API with the usual access checks.
+const { getAccessibleClinicIds } = require('../middleware/auth');
+
+const ALL_CLINICS_ROOM = 'clinic:all';
+
+const clinicRoom = (clinicId) => `clinic:${clinicId}`;
+
+/**
+ * Rooms a user's sockets join
+ * @param {Object} db - Database connection
+ * @param {Object} user - { id, role, clinic_id } as stored in the database
+ * @returns {Promise<Array<string>>} Room names
+ */
+const getClinicRooms = async (db, user) => {
+    if (user.role === 'ADMIN') return [ALL_CLINICS_ROOM];
+
+    const clinicIds = await getAccessibleClinicIds(db, user);
+    return clinicIds.map(clinicRoom);
+};
+
+/**
+ * Send an event to everyone who can see the given clinic(s)
+ * @param {Object} io - Socket.IO server (app.locals.io); nothing is sent without it
+ * @param {number|Array<number>} clinicIds - Clinic(s) the change belongs to
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitClinicEvent = (io, clinicIds, event, payload) => {
+    if (!io) return;
+
+    const rooms = [...new Set([].concat(clinicIds).filter(Boolean))].map(clinicRoom);
+    io.to([ALL_CLINICS_ROOM, ...rooms]).emit(event, {
+        ...payload,
+        emitted_at: new Date().toISOString()
+    });
+};
+
+// ========================================
+// EVENTS
+// ========================================
+
+/**
+ * appointment_created / appointment_updated / appointment_cancelled, one per appointment
+ * @param {number|Array<number>} appointmentIds - Appointment(s) that changed
+ * @param {string} action - created | updated | cancelled
+ * @param {string} source - staff | public_booking | self_service | line
+ */
+const emitAppointmentEvent = async (io, db, appointmentIds, action, source = 'staff') => {
+    const ids = [].concat(appointmentIds).filter(Boolean);
+    if (!io || ids.length === 0) return;
+
+    const [appointments] = await db.execute(
+        `SELECT id, clinic_id, pt_id, patient_id, pn_case_id, series_id, booking_type,
+                appointment_date, start_time, end_time, status
+         FROM appointments WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+    );
+
+    for (const appointment of appointments) {
+        emitClinicEvent(io, appointment.clinic_id, `appointment_${action}`, { appointment, source });
+    }
+};
+
+// pn_status_changed, to both the source and the target clinic
+const emitPNStatusEvent = async (io, db, pnId, oldStatus) => {
+    if (!io) return;
+
+    const [cases] = await db.execute(
+        'SELECT id, pn_code, source_clinic_id, target_clinic_id, status FROM pn_cases WHERE id = ?',
+        [pnId]
+    );
+    if (cases.length === 0) return;
+
+    const pnCase = cases[0];
+    emitClinicEvent(io, [pnCase.source_clinic_id, pnCase.target_clinic_id], 'pn_status_changed', {
+        pn_case: pnCase,
+        old_status: oldStatus
+    });
+};
+
+// bill_payment_changed
+const emitBillPaymentEvent = async (io, db, billId) => {
+    if (!io) return;
+
+    const [bills] = await db.execute(
+        `SELECT id, bill_code, clinic_id, patient_id, pn_case_id, total_amount,
+                payment_status, payment_method, payment_date
+         FROM bills WHERE id = ?`,
+        [billId]
+    );
+    if (bills.length === 0) return;
+
+    emitClinicEvent(io, bills[0].clinic_id, 'bill_payment_changed', { bill: bills[0] });
+};
+
+module.exports = {
+    getClinicRooms,
+    emitClinicEvent,
+    emitAppointmentEvent,
+    emitPNStatusEvent,
+    emitBillPaymentEvent
+};
@@ -0,0 +1,266 @@
+// utils/recurrence.js - Recurring appointment series
+// Expands a weekly rule into occurrence dates, checks each occurrence against
+// clinic hours, PT availability and existing bookings, and keeps the series'
+// recurring Google Calendar event in sync with its occurrences.
+const moment = require('moment');
+const { checkClinicOpen, checkPTAvailability } = require('./availability');
+const { createGoogleCalendarEvent, updateGoogleCalendarEvent, deleteGoogleCalendarEvent } = require('./notifications');
+
+// ISO weekday (1 = Monday) -> RRULE BYDAY code
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Hard limits so a bad rule cannot create years of bookings
+const MAX_OCCURRENCES = 104;
+const MAX_HORIZON_MONTHS = 24;
+
+// ========================================
+// RULE EXPANSION
+// ========================================
+
+/**
+ * Normalise days_of_week from an array or '2,4' string
+ * @returns {Array<number>|null} Sorted ISO weekdays or null when invalid
+ */
+const parseDaysOfWeek = (days) => {
+    const list = Array.isArray(days) ? days : String(days || '').split(',');
+    const parsed = [...new Set(list.map(d => parseInt(d)))].sort((a, b) => a - b);
+    if (parsed.length === 0 || parsed.some(d => isNaN(d) || d < 1 || d > 7)) return null;
+    return parsed;
+};
+
+/**
+ * Yield candidate dates of a weekly rule in order
+ * Weeks start on Monday and every interval_weeks-th week from the week of
+ * start_date is used, matching RRULE FREQ=WEEKLY;WKST=MO semantics.
+ * @param {Object} rule - { start_date, days_of_week, interval_weeks, until_date }
+ */
+function* iterateRuleDates(rule) {
+    const days = parseDaysOfWeek(rule.days_of_week);
+    const interval = Math.max(1, parseInt(rule.interval_weeks) || 1);
+    const start = moment(rule.start_date, 'YYYY-MM-DD');
+    const horizon = moment(start).add(MAX_HORIZON_MONTHS, 'months');
+    const until = rule.until_date ? moment.min(moment(rule.until_date, 'YYYY-MM-DD'), horizon) : horizon;
+
+    for (let week = moment(start).startOf('isoWeek'); week.isSameOrBefore(until, 'day'); week.add(interval, 'weeks')) {
+        for (const day of days) {
+            const date = moment(week).isoWeekday(day);
+            if (date.isBefore(start, 'day')) continue;
+            if (date.isAfter(until, 'day')) return;
+            yield date.format('YYYY-MM-DD');
+        }
+    }
+}
+
+// Booked appointments overlapping an occurrence; `lock` takes locking reads inside a transaction
+const findOverlapping = async (db, { ptId, date, startTime, endTime, excludeIds = [] }, lock = false) => {
+    let query = `SELECT id FROM appointments
+                 WHERE pt_id = ? AND appointment_date = ? AND status != 'CANCELLED'
+                   AND start_time < ? AND end_time > ?`;
+    const params = [ptId, date, endTime, startTime];
+
+    if (excludeIds.length > 0) {
+        query += ` AND id NOT IN (${excludeIds.map(() => '?').join(',')})`;
+        params.push(...excludeIds);
+    }
+    if (lock) query += ' FOR UPDATE';
+
+    const [conflicts] = await db.execute(query, params);
+    return conflicts;
+};
+
+const CONFLICT = { reason: 'CONFLICT', message: 'PT already has an appointment at this time' };
+
+/**
+ * Why an occurrence cannot be booked, or null when it can
+ * @returns {Promise<Object|null>} { reason: CLINIC_CLOSED|PT_UNAVAILABLE|CONFLICT, message }
+ */
+const checkOccurrence = async (db, { ptId, clinicId, date, startTime, endTime, excludeIds = [] }) => {
+    const closed = await checkClinicOpen(db, clinicId, date, startTime, endTime);
+    if (closed) return { reason: 'CLINIC_CLOSED', message: closed };
+
+    const unavailable = await checkPTAvailability(db, ptId, clinicId, date, startTime, endTime);
+    if (unavailable) return { reason: 'PT_UNAVAILABLE', message: unavailable.message };
+
+    const conflicts = await findOverlapping(db, { ptId, date, startTime, endTime, excludeIds });
+    if (conflicts.length > 0) return CONFLICT;
+
+    return null;
+};
+
+/**
+ * Re-check occurrences for double bookings inside the transaction that writes them
+ * The PT row is locked first so concurrent series bookings for the same PT wait
+ * for each other, then overlapping appointments are read with locks held until commit.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} ptId - PT the occurrences are booked with
+ * @param {Array<Object>} occurrences - [{ date, startTime, endTime, excludeIds }]
+ * @returns {Promise<Array>} [{ appointment_date, reason, message }] for occurrences booked meanwhile
+ */
+const lockOccurrences = async (connection, ptId, occurrences) => {
+    await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [ptId]);
+
+    const conflicts = [];
+    for (const occurrence of occurrences) {
+        const overlapping = await findOverlapping(connection, { ptId, ...occurrence }, true);
+        if (overlapping.length > 0) conflicts.push({ appointment_date: occurrence.date, ...CONFLICT });
+    }
+    return conflicts;
+};
+
+/**
+ * Expand a rule into bookable occurrences and skipped dates
+ * COUNT/COURSE rules keep going past skipped dates until `target` occurrences are found.
+ * @param {Object} db - Database connection
+ * @param {Object} rule - { start_date, days_of_week, interval_weeks, until_date, pt_id, clinic_id, start_time, end_time }
+ * @param {Object} options - { target, lastDate } target = occurrences wanted (null = every date until until_date),
+ *   lastDate = no occurrences after this date (course expiry)
+ * @returns {Promise<Object>} { occurrences: [date], skipped: [{ date, reason, message }] }
+ */
+const planOccurrences = async (db, rule, { target = null, lastDate = null } = {}) => {
+    const occurrences = [];
+    const skipped = [];
+    const limit = Math.min(target || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+    for (const date of iterateRuleDates(rule)) {
+        if (occurrences.length >= limit) break;
+
+        if (lastDate && date > lastDate) {
+            skipped.push({ date, reason: 'COURSE_EXPIRED', message: 'Course expires before this date' });
+            break;
+        }
+
+        const problem = await checkOccurrence(db, {
+            ptId: rule.pt_id,
+            clinicId: rule.clinic_id,
+            date,
+            startTime: rule.start_time,
+            endTime: rule.end_time
+        });
+
+        if (problem) {
+            skipped.push({ date, ...problem });
+        } else {
+            occurrences.push(date);
+        }
+    }
+
+    return { occurrences, skipped };
+};
+
+// ========================================
+// GOOGLE CALENDAR SYNC
+// ========================================
+
+const sameTime = (a, b) => String(a).substring(0, 5) === String(b).substring(0, 5);
+
+/**
+ * RRULE for a series covering [firstDate, lastDate], with every rule date
+ * not in `dates` listed as an exception
+ * @returns {Object} { rrule, exdates } for createGoogleCalendarEvent
+ */
+const buildRecurrence = (series, dates) => {
+    const firstDate = dates[0];
+    const lastDate = dates[dates.length - 1];
+    const included = new Set(dates);
+
+    const ruleDates = [];
+    for (const date of iterateRuleDates({ ...series, start_date: firstDate, until_date: lastDate })) {
+        ruleDates.push(date);
+    }
+
+    const byDay = parseDaysOfWeek(series.days_of_week).map(d => WEEKDAY_CODES[d - 1]).join(',');
+    return {
+        rrule: `RRULE:FREQ=WEEKLY;WKST=MO;INTERVAL=${series.interval_weeks || 1};BYDAY=${byDay};COUNT=${ruleDates.length}`,
+        exdates: ruleDates.filter(date => !included.has(date))
+    };
+};
+
+/**
+ * Bring Google Calendar in line with a series
+ * Occurrences still at the series time and PT share one recurring event;
+ * occurrences moved individually get their own single event.
+ */
+const syncSeriesCalendar = async (db, seriesId) => {
+    const [seriesRows] = await db.execute(
+        `SELECT s.*, DATE_FORMAT(s.start_date, '%Y-%m-%d') AS start_date,
+                CONCAT_WS(' ', p.first_name, p.last_name) AS patient_name, p.email AS patient_email,
+                c.name AS clinic_name, c.email AS clinic_email
+         FROM appointment_series s
+         JOIN patients p ON s.patient_id = p.id
+         JOIN clinics c ON s.clinic_id = c.id
+         WHERE s.id = ?`,
+        [seriesId]
+    );
+    if (seriesRows.length === 0) return;
+    const series = seriesRows[0];
+
+    const [occurrences] = await db.execute(
+        `SELECT a.id, DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+                TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time, TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
+                a.pt_id, a.status, a.reason, a.calendar_event_id, CONCAT_WS(' ', pt.first_name, pt.last_name) AS pt_name
+         FROM appointments a
+         LEFT JOIN users pt ON a.pt_id = pt.id
+         WHERE a.series_id = ?
+         ORDER BY a.appointment_date`,
+        [seriesId]
+    );
+
+    const active = occurrences.filter(o => o.status !== 'CANCELLED');
+    const isRegular = (o) => o.pt_id === series.pt_id && sameTime(o.start_time, series.start_time) && sameTime(o.end_time, series.end_time);
+    const regular = active.filter(isRegular);
+
+    const eventData = (occurrence) => ({
+        appointment_date: occurrence.appointment_date,
+        start_time: occurrence.start_time,
+        end_time: occurrence.end_time,
+        patient_name: series.patient_name,
+        patient_email: series.patient_email,
+        pt_name: occurrence.pt_name || 'PT',
+        clinic_name: series.clinic_name || '',
+        clinic_email: series.clinic_email,
+        reason: occurrence.reason || series.reason
+    });
+
+    // Recurring event for the regular occurrences
+    if (regular.length > 0) {
+        const data = { ...eventData(regular[0]), recurrence: buildRecurrence(series, regular.map(o => o.appointment_date)) };
+        const updated = series.calendar_event_id && await updateGoogleCalendarEvent(db, series.calendar_event_id, data);
+        if (!updated) {
+            const eventId = await createGoogleCalendarEvent(db, data);
+            if (eventId) {
+                await db.execute('UPDATE appointment_series SET calendar_event_id = ? WHERE id = ?', [eventId, seriesId]);
+            }
+        }
+    } else if (series.calendar_event_id) {
+        await deleteGoogleCalendarEvent(db, series.calendar_event_id);
+        await db.execute('UPDATE appointment_series SET calendar_event_id = NULL WHERE id = ?', [seriesId]);
+    }
+
+    // Single events for moved occurrences, none for regular or cancelled ones
+    for (const occurrence of occurrences) {
+        const needsOwnEvent = occurrence.status !== 'CANCELLED' && !isRegular(occurrence);
+
+        if (needsOwnEvent) {
+            const updated = occurrence.calendar_event_id && await updateGoogleCalendarEvent(db, occurrence.calendar_event_id, eventData(occurrence));
+            if (!updated) {
+                const eventId = await createGoogleCalendarEvent(db, eventData(occurrence));
+                if (eventId) {
+                    await db.execute('UPDATE appointments SET calendar_event_id = ? WHERE id = ?', [eventId, occurrence.id]);
+                }
+            }
+        } else if (occurrence.calendar_event_id) {
+            await deleteGoogleCalendarEvent(db, occurrence.calendar_event_id);
+            await db.execute('UPDATE appointments SET calendar_event_id = NULL WHERE id = ?', [occurrence.id]);
+        }
+    }
+};
+
+module.exports = {
+    MAX_OCCURRENCES,
+    parseDaysOfWeek,
+    iterateRuleDates,
+    checkOccurrence,
+    lockOccurrences,
+    planOccurrences,
+    syncSeriesCalendar
+};
@@ -0,0 +1,265 @@
+// utils/reminders.js - Automated appointment reminders
+// Each rule sends one reminder at a fixed offset before the appointment over
+// its own channel. Every attempt is claimed with a unique (appointment, rule,
+// appointment start, attempt) row before sending, so restarts and multiple
+// server instances never send the same reminder twice, and a rescheduled
+// appointment is reminded again for its new time.
+const os = require('os');
+const moment = require('moment');
+const { sendPatientSMS, sendPatientLINE, sendPatientEmail, generateICSFile } = require('./notifications');
+const { getManageUrl } = require('./self-service');
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5;
+// An attempt left PENDING this long was interrupted (e.g. the server stopped mid-send)
+const STALE_PENDING_MINUTES = 10;
+const REMINDER_CHANNELS = ['SMS', 'LINE', 'EMAIL'];
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Fill {placeholders} in a reminder template; unknown placeholders are left as-is
+ */
+const renderTemplate = (template, values) =>
+    String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    );
+
+const getAppointmentDetails = async (db, appointmentId) => {
+    const [appointments] = await db.execute(
+        `SELECT a.id, a.patient_id, a.clinic_id, a.status, a.reason,
+                DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+                TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
+                TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
+                COALESCE(a.walk_in_name, CONCAT_WS(' ', p.first_name, p.last_name)) AS patient_name,
+                COALESCE(a.walk_in_phone, p.phone) AS phone,
+                COALESCE(a.walk_in_email, p.email) AS email,
+                c.name AS clinic_name, c.phone AS clinic_phone, c.address AS clinic_address,
+                CONCAT_WS(' ', u.first_name, u.last_name) AS pt_name
+         FROM appointments a
+         LEFT JOIN patients p ON a.patient_id = p.id
+         LEFT JOIN users u ON a.pt_id = u.id
+         JOIN clinics c ON a.clinic_id = c.id
+         WHERE a.id = ?`,
+        [appointmentId]
+    );
+    return appointments[0] || null;
+};
+
+const templateValues = (appointment) => ({
+    patient_name: appointment.patient_name || 'patient',
+    date: moment(appointment.appointment_date).format('DD/MM/YYYY'),
+    time: appointment.start_time.substring(0, 5),
+    end_time: appointment.end_time.substring(0, 5),
+    pt_name: appointment.pt_name || 'your therapist',
+    clinic_name: appointment.clinic_name,
+    clinic_phone: appointment.clinic_phone || '',
+    clinic_address: appointment.clinic_address || '',
+    manage_link: getManageUrl(appointment)
+});
+
+/**
+ * Deliver one reminder over the rule's channel
+ * @returns {Promise<Object>} { status: SENT|FAILED|SKIPPED, recipient, message, error }
+ */
+const deliverReminder = async (db, rule, appointment) => {
+    const values = templateValues(appointment);
+    let message = renderTemplate(rule.template, values);
+
+    // Every reminder carries the confirm/cancel/reschedule link
+    if (!String(rule.template).includes('{manage_link}')) {
+        message += `\nConfirm, cancel or reschedule: ${values.manage_link}`;
+    }
+
+    if (rule.channel === 'SMS') {
+        if (!appointment.phone) {
+            return { status: 'SKIPPED', recipient: null, message, error: 'No phone number on file' };
+        }
+        const sent = await sendPatientSMS(db, appointment.phone, message);
+        return { status: sent ? 'SENT' : 'FAILED', recipient: appointment.phone, message, error: sent ? null : 'SMS provider did not accept the message' };
+    }
+
+    if (rule.channel === 'LINE') {
+        if (!appointment.patient_id) {
+            return { status: 'SKIPPED', recipient: null, message, error: 'Walk-in appointments have no LINE account' };
+        }
+        const [accounts] = await db.execute(
+            'SELECT id FROM patient_line_accounts WHERE patient_id = ? AND is_active = 1 LIMIT 1',
+            [appointment.patient_id]
+        );
+        if (accounts.length === 0) {
+            return { status: 'SKIPPED', recipient: null, message, error: 'Patient has no linked LINE account' };
+        }
+        const sent = await sendPatientLINE(db, appointment.patient_id, message);
+        return { status: sent ? 'SENT' : 'FAILED', recipient: `patient:${appointment.patient_id}`, message, error: sent ? null : 'LINE message could not be sent' };
+    }
+
+    if (!appointment.email || !appointment.email.includes('@')) {
+        return { status: 'SKIPPED', recipient: null, message, error: 'No email address on file' };
+    }
+
+    const subject = renderTemplate(rule.subject || 'Appointment reminder - {date} {time}', values);
+    const html = message.split('\n')
+        .map(line => `<p>${line.replace(values.manage_link, `<a href="${values.manage_link}">${values.manage_link}</a>`)}</p>`)
+        .join('');
+    const attachments = [];
+
+    if (rule.attach_ics) {
+        const icsContent = generateICSFile(appointment);
+        if (icsContent) {
+            attachments.push({
+                filename: 'appointment.ics',
+                content: icsContent,
+                contentType: 'text/calendar; charset=utf-8; method=REQUEST'
+            });
+        }
+    }
+
+    const sent = await sendPatientEmail(db, appointment.email, subject, html, attachments);
+    return { status: sent ? 'SENT' : 'FAILED', recipient: appointment.email, message, error: sent ? null : 'Email could not be sent' };
+};
+
+/**
+ * Claim the next attempt for an appointment/rule pair at the appointment's current start
+ * @param {string} scheduledFor - Appointment start, YYYY-MM-DD HH:mm:ss
+ * @returns {Promise<number|null>} Log row ID, or null when not due yet or another instance has it
+ */
+const claimAttempt = async (db, appointmentId, rule, scheduledFor) => {
+    const [attempts] = await db.execute(
+        `SELECT id, attempt_no, status,
+                TIMESTAMPDIFF(MINUTE, created_at, NOW()) AS age_minutes
+         FROM appointment_reminder_log
+         WHERE appointment_id = ? AND rule_id = ? AND scheduled_for = ?
+         ORDER BY attempt_no DESC
+         LIMIT 1`,
+        [appointmentId, rule.id, scheduledFor]
+    );
+
+    const last = attempts[0];
+    if (last) {
+        // Another instance finished it since the due query ran
+        if (last.status === 'SENT' || last.status === 'SKIPPED') return null;
+
+        if (last.status === 'PENDING') {
+            if (last.age_minutes < STALE_PENDING_MINUTES) return null;
+            await db.execute(
+                `UPDATE appointment_reminder_log
+                 SET status = 'FAILED', error_message = 'Interrupted before completion', completed_at = NOW()
+                 WHERE id = ? AND status = 'PENDING'`,
+                [last.id]
+            );
+        } else if (last.status === 'FAILED' && last.age_minutes < RETRY_DELAY_MINUTES) {
+            return null;
+        }
+    }
+
+    const attemptNo = last ? last.attempt_no + 1 : 1;
+    if (attemptNo > MAX_ATTEMPTS) return null;
+
+    // The unique key makes this the lock: only one instance inserts the attempt
+    const [result] = await db.execute(
+        `INSERT IGNORE INTO appointment_reminder_log (appointment_id, rule_id, scheduled_for, attempt_no, channel, instance_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [appointmentId, rule.id, scheduledFor, attemptNo, rule.channel, INSTANCE_ID]
+    );
+
+    return result.affectedRows > 0 ? result.insertId : null;
+};
+
+// ========================================
+// SCHEDULER
+// ========================================
+
+/**
+ * Send every reminder that is due
+ * A reminder is due once the appointment is within the rule's offset. Appointments
+ * booked after that point (e.g. booked 1 hour ahead for a 24h rule) do not get it.
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object>} { sent, failed, skipped }
+ */
+const processDueReminders = async (db) => {
+    const [due] = await db.execute(
+        `SELECT a.id AS appointment_id, r.id AS rule_id,
+                DATE_FORMAT(TIMESTAMP(a.appointment_date, a.start_time), '%Y-%m-%d %H:%i:%s') AS scheduled_for
+         FROM appointment_reminder_rules r
+         JOIN appointments a
+           ON a.status IN ('SCHEDULED', 'CONFIRMED')
+          AND TIMESTAMP(a.appointment_date, a.start_time) > NOW()
+          AND TIMESTAMP(a.appointment_date, a.start_time) <= DATE_ADD(NOW(), INTERVAL r.offset_minutes MINUTE)
+          AND a.created_at <= DATE_SUB(TIMESTAMP(a.appointment_date, a.start_time), INTERVAL r.offset_minutes MINUTE)
+         WHERE r.enabled = 1
+           AND NOT EXISTS (
+               SELECT 1 FROM appointment_reminder_log l
+               WHERE l.appointment_id = a.id AND l.rule_id = r.id
+                 AND l.scheduled_for = TIMESTAMP(a.appointment_date, a.start_time)
+                 AND (l.status IN ('SENT', 'SKIPPED') OR l.attempt_no >= ?)
+           )
+         ORDER BY a.appointment_date, a.start_time`,
+        [MAX_ATTEMPTS]
+    );
+
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+    if (due.length === 0) return summary;
+
+    const [rules] = await db.execute('SELECT * FROM appointment_reminder_rules WHERE enabled = 1');
+    const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+
+    for (const { appointment_id: appointmentId, rule_id: ruleId, scheduled_for: scheduledFor } of due) {
+        const rule = rulesById.get(ruleId);
+        if (!rule) continue;
+
+        const logId = await claimAttempt(db, appointmentId, rule, scheduledFor);
+        if (!logId) continue;
+
+        let outcome;
+        try {
+            const appointment = await getAppointmentDetails(db, appointmentId);
+            if (!appointment || !['SCHEDULED', 'CONFIRMED'].includes(appointment.status)) {
+                outcome = { status: 'SKIPPED', recipient: null, message: null, error: 'Appointment is no longer active' };
+            } else if (`${appointment.appointment_date} ${appointment.start_time}` !== scheduledFor) {
+                // Moved since the due query ran; the new time gets its own reminder
+                outcome = { status: 'SKIPPED', recipient: null, message: null, error: 'Appointment was rescheduled' };
+            } else {
+                outcome = await deliverReminder(db, rule, appointment);
+            }
+        } catch (error) {
+            outcome = { status: 'FAILED', recipient: null, message: null, error: error.message };
+        }
+
+        await db.execute(
+            `UPDATE appointment_reminder_log
+             SET status = ?, recipient = ?, message = ?, error_message = ?, completed_at = NOW()
+             WHERE id = ?`,
+            [outcome.status, outcome.recipient, outcome.message,
+             outcome.error ? String(outcome.error).substring(0, 500) : null, logId]
+        );
+
+        summary[outcome.status.toLowerCase()]++;
+    }
+
+    if (summary.sent || summary.failed) {
+        console.log(`[REMINDERS] Sent ${summary.sent}, failed ${summary.failed}, skipped ${summary.skipped}`);
+    }
+
+    return summary;
+};
+
+const startReminderScheduler = (db) => {
+    const timer = setInterval(() => {
+        processDueReminders(db).catch(err => console.error('Reminder scheduler error:', err));
+    }, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    REMINDER_CHANNELS,
+    renderTemplate,
+    processDueReminders,
+    startReminderScheduler
+};
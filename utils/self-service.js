@@ -0,0 +1,118 @@
+// utils/self-service.js - Signed patient links to manage one appointment
+// A link lets the patient confirm, cancel or reschedule without logging in.
+// Tokens are "<appointmentId>.<expiry>.<signature>" signed with JWT_SECRET and
+// expire when the appointment starts; they are not JWTs, so they can never be
+// used as a login token.
+const crypto = require('crypto');
+const moment = require('moment');
+const { getAvailableSlots } = require('./availability');
+
+const TOKEN_PATTERN = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/;
+
+// Public actions are recorded against the admin user, as with public bookings
+const SELF_SERVICE_USER = { id: 1, role: 'PATIENT' };
+
+// ========================================
+// SIGNED LINKS
+// ========================================
+
+const sign = (appointmentId, expiresAt) =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET || '')
+        .update(`appointment-manage:${appointmentId}:${expiresAt}`)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+/**
+ * Create a manage token for an appointment, valid until the appointment starts
+ * @param {Object} appointment - { id, appointment_date, start_time }
+ * @returns {string} Token
+ */
+const createManageToken = (appointment) => {
+    const start = moment(`${moment(appointment.appointment_date).format('YYYY-MM-DD')} ${appointment.start_time}`, 'YYYY-MM-DD HH:mm:ss');
+    const expiresAt = start.unix();
+    return `${appointment.id}.${expiresAt}.${sign(appointment.id, expiresAt)}`;
+};
+
+const getManageUrl = (appointment) =>
+    `${process.env.APP_BASE_URL || ''}/manage-appointment/${createManageToken(appointment)}`;
+
+/**
+ * Check a manage token
+ * @returns {Object} { appointmentId } when valid
+ * @throws {Error} with status 404 (malformed or forged) or 410 (expired)
+ */
+const verifyManageToken = (token) => {
+    const match = TOKEN_PATTERN.exec(String(token || ''));
+    const expected = match ? sign(match[1], match[2]) : '';
+
+    if (!match || match[3].length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(match[3]), Buffer.from(expected))) {
+        throw Object.assign(new Error('This link is not valid'), { status: 404 });
+    }
+
+    if (parseInt(match[2]) <= moment().unix()) {
+        throw Object.assign(new Error('This link has expired'), { status: 410 });
+    }
+
+    return { appointmentId: parseInt(match[1]) };
+};
+
+// ========================================
+// RESCHEDULING
+// ========================================
+
+/**
+ * Start times on a date that fit the whole appointment, using the same slot
+ * availability as public booking (same PT when one is assigned)
+ * @param {Object} db - Database connection
+ * @param {Object} appointment - { id, clinic_id, pt_id, appointment_date, start_time, end_time }
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array>} [{ start_time, end_time }]
+ */
+const getRescheduleOptions = async (db, appointment, date) => {
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const duration = toMinutes(appointment.end_time) - toMinutes(appointment.start_time);
+
+    const availability = await getAvailableSlots(db, {
+        clinicId: appointment.clinic_id,
+        date,
+        ptId: appointment.pt_id || null,
+        excludeAppointmentId: appointment.id
+    });
+
+    const slots = availability.slots;
+    const options = [];
+
+    for (let i = 0; i < slots.length; i++) {
+        const start = toMinutes(slots[i].start_time);
+        let covered = start;
+        // Consecutive free slots must cover the appointment's length
+        for (let j = i; j < slots.length && covered < start + duration; j++) {
+            if (!slots[j].available || toMinutes(slots[j].start_time) !== covered) break;
+            covered = toMinutes(slots[j].end_time);
+        }
+        if (covered < start + duration) continue;
+
+        const endTime = moment(slots[i].start_time, 'HH:mm:ss').add(duration, 'minutes').format('HH:mm:ss');
+        const isCurrent = date === moment(appointment.appointment_date).format('YYYY-MM-DD') &&
+            slots[i].start_time === appointment.start_time;
+        if (!isCurrent) {
+            options.push({ start_time: slots[i].start_time, end_time: endTime });
+        }
+    }
+
+    return options;
+};
+
+module.exports = {
+    SELF_SERVICE_USER,
+    createManageToken,
+    getManageUrl,
+    verifyManageToken,
+    getRescheduleOptions
+};
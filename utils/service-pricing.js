@@ -0,0 +1,240 @@
+// utils/service-pricing.js - Per-clinic service prices and availability
+// A clinic can override the price of a service and switch it off. Overrides
+// are versions with an effective_from date (clinic_service_prices), so a price
+// change can be scheduled ahead and old bills keep resolving to the price of
+// their bill_date. Without a version a service is enabled at default_price.
+const moment = require('moment');
+
+const today = () => moment().format('YYYY-MM-DD');
+
+const toDate = (value) => {
+    if (!value) return today();
+    const date = moment(value, 'YYYY-MM-DD', true);
+    if (!date.isValid()) {
+        throw Object.assign(new Error('Dates must be YYYY-MM-DD'), { status: 400 });
+    }
+    return date.format('YYYY-MM-DD');
+};
+
+// Version of (clinic, service) in force on a date; `s` is the services alias
+const VERSION_JOIN = `
+    LEFT JOIN clinic_service_prices v ON v.id = (
+        SELECT x.id FROM clinic_service_prices x
+        WHERE x.clinic_id = ? AND x.service_id = s.id AND x.effective_from <= ?
+        ORDER BY x.effective_from DESC
+        LIMIT 1
+    )`;
+
+const resolve = (service) => {
+    const { clinic_enabled, ...rest } = service;
+    const clinicPrice = service.clinic_price === null || service.clinic_price === undefined
+        ? null
+        : parseFloat(service.clinic_price);
+
+    return {
+        ...rest,
+        clinic_price: clinicPrice,
+        price: clinicPrice !== null ? clinicPrice : parseFloat(service.default_price),
+        is_enabled: clinic_enabled === null || clinic_enabled === undefined ? true : !!clinic_enabled
+    };
+};
+
+// ========================================
+// PRICE LOOKUP
+// ========================================
+
+/**
+ * All services with the price and availability in force at a clinic on a date
+ * @param {number|null} clinicId - null gives default prices, all enabled
+ * @param {string} date - YYYY-MM-DD, defaults to today
+ * @returns {Promise<Array>} services with price, clinic_price, is_enabled, price_effective_from
+ */
+const getServicesForClinic = async (db, clinicId, date) => {
+    const [services] = await db.execute(
+        `SELECT s.*, v.clinic_price, v.is_enabled as clinic_enabled, v.effective_from as price_effective_from
+         FROM services s
+         ${VERSION_JOIN}
+         ORDER BY s.service_name`,
+        [clinicId || 0, toDate(date)]
+    );
+    return services.map(resolve);
+};
+
+const getServicePrice = async (db, clinicId, serviceId, date) => {
+    const [services] = await db.execute(
+        `SELECT s.*, v.clinic_price, v.is_enabled as clinic_enabled, v.effective_from as price_effective_from
+         FROM services s
+         ${VERSION_JOIN}
+         WHERE s.id = ?`,
+        [clinicId || 0, toDate(date), serviceId]
+    );
+    return services.length > 0 ? resolve(services[0]) : null;
+};
+
+/**
+ * Fill in bill item prices for a clinic and bill date. Items without a
+ * unit_price get the resolved price (total = quantity x price - item discount);
+ * items with one keep it, as a manual override.
+ * @throws {Error} 400 when a service is unknown or switched off at the clinic on that date
+ */
+const priceBillItems = async (db, clinicId, billDate, items) => {
+    const priced = [];
+
+    for (const item of items || []) {
+        if (!item.service_id) {
+            priced.push(item);
+            continue;
+        }
+
+        const service = await getServicePrice(db, clinicId, item.service_id, billDate);
+        if (!service) {
+            throw Object.assign(new Error(`Service #${item.service_id} not found`), { status: 400 });
+        }
+        if (!service.is_enabled) {
+            throw Object.assign(
+                new Error(`${service.service_name} is not available at this clinic on ${toDate(billDate)}`),
+                { status: 400 }
+            );
+        }
+
+        const hasPrice = item.unit_price !== undefined && item.unit_price !== null && item.unit_price !== '';
+        if (hasPrice) {
+            priced.push({ ...item, service_name: item.service_name || service.service_name });
+            continue;
+        }
+
+        const quantity = parseInt(item.quantity) || 1;
+        priced.push({
+            ...item,
+            service_name: item.service_name || service.service_name,
+            quantity,
+            unit_price: service.price,
+            total_price: Math.round((quantity * service.price - (parseFloat(item.discount) || 0)) * 100) / 100
+        });
+    }
+
+    return priced;
+};
+
+// ========================================
+// CLINIC PRICING MANAGEMENT
+// ========================================
+
+/**
+ * Pricing of one service at every clinic: the version in force on a date and
+ * the versions scheduled after it
+ * @returns {Promise<Array>} [{ clinic_id, clinic_name, clinic_price, is_enabled, effective_from, scheduled: [] }]
+ */
+const getClinicPricing = async (db, serviceId, date) => {
+    const onDate = toDate(date);
+
+    const [current] = await db.execute(
+        `SELECT c.id as clinic_id, c.name as clinic_name, v.id, v.clinic_price,
+                v.is_enabled as clinic_enabled, v.effective_from, s.default_price
+         FROM clinics c
+         JOIN services s ON s.id = ?
+         LEFT JOIN clinic_service_prices v ON v.id = (
+             SELECT x.id FROM clinic_service_prices x
+             WHERE x.clinic_id = c.id AND x.service_id = s.id AND x.effective_from <= ?
+             ORDER BY x.effective_from DESC
+             LIMIT 1
+         )
+         ORDER BY c.name`,
+        [serviceId, onDate]
+    );
+
+    const [scheduled] = await db.execute(
+        `SELECT id, clinic_id, clinic_price, is_enabled, effective_from, created_at
+         FROM clinic_service_prices
+         WHERE service_id = ? AND effective_from > ?
+         ORDER BY effective_from`,
+        [serviceId, onDate]
+    );
+
+    return current.map(row => ({
+        ...resolve(row),
+        scheduled: scheduled
+            .filter(version => version.clinic_id === row.clinic_id)
+            .map(version => ({
+                ...version,
+                clinic_price: version.clinic_price === null ? null : parseFloat(version.clinic_price),
+                is_enabled: !!version.is_enabled
+            }))
+    }));
+};
+
+/**
+ * Set a clinic's price and availability for a service from a date on.
+ * A version that would change nothing is not stored.
+ * @param {Object} params - { clinicId, serviceId, clinicPrice (null = default), isEnabled, effectiveFrom, userId }
+ * @returns {Promise<Object>} { changed, id, previous }
+ */
+const setClinicPricing = async (db, params) => {
+    const { clinicId, serviceId, userId } = params;
+    const effectiveFrom = toDate(params.effectiveFrom);
+    const isEnabled = params.isEnabled === undefined ? true : !!params.isEnabled;
+    const clinicPrice = params.clinicPrice === null || params.clinicPrice === undefined || params.clinicPrice === ''
+        ? null
+        : parseFloat(params.clinicPrice);
+
+    if (clinicPrice !== null && (isNaN(clinicPrice) || clinicPrice < 0)) {
+        throw Object.assign(new Error('clinic_price must be a number of 0 or more'), { status: 400 });
+    }
+    if (effectiveFrom < today()) {
+        throw Object.assign(new Error('effective_from cannot be in the past'), { status: 400 });
+    }
+
+    const [clinics] = await db.execute('SELECT id FROM clinics WHERE id = ?', [clinicId]);
+    if (clinics.length === 0) {
+        throw Object.assign(new Error('Clinic not found'), { status: 404 });
+    }
+
+    const previous = await getServicePrice(db, clinicId, serviceId, effectiveFrom);
+    if (!previous) {
+        throw Object.assign(new Error('Service not found'), { status: 404 });
+    }
+
+    if (previous.clinic_price === clinicPrice && previous.is_enabled === isEnabled) {
+        return { changed: false, id: null, previous };
+    }
+
+    const [result] = await db.execute(
+        `INSERT INTO clinic_service_prices
+         (clinic_id, service_id, clinic_price, is_enabled, effective_from, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+             clinic_price = VALUES(clinic_price),
+             is_enabled = VALUES(is_enabled),
+             created_by = VALUES(created_by),
+             id = LAST_INSERT_ID(id)`,
+        [clinicId, serviceId, clinicPrice, isEnabled ? 1 : 0, effectiveFrom, userId]
+    );
+
+    return { changed: true, id: result.insertId, previous };
+};
+
+/**
+ * Cancel a scheduled version. Versions already in force stay, so bills keep
+ * resolving to the price they were made with.
+ */
+const deleteScheduledPricing = async (db, id) => {
+    const [versions] = await db.execute('SELECT * FROM clinic_service_prices WHERE id = ?', [id]);
+    if (versions.length === 0) {
+        throw Object.assign(new Error('Pricing change not found'), { status: 404 });
+    }
+    if (moment(versions[0].effective_from).format('YYYY-MM-DD') <= today()) {
+        throw Object.assign(new Error('Only future pricing changes can be cancelled'), { status: 409 });
+    }
+
+    await db.execute('DELETE FROM clinic_service_prices WHERE id = ?', [id]);
+    return versions[0];
+};
+
+module.exports = {
+    getServicesForClinic,
+    getServicePrice,
+    priceBillItems,
+    getClinicPricing,
+    setClinicPricing,
+    deleteScheduledPricing
+};
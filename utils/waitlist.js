@@ -0,0 +1,373 @@
+// utils/waitlist.js - Waitlist offers for freed appointment slots
+// When an appointment is cancelled the slot is held for the first matching
+// waitlist entry; if that person declines or lets the hold expire, the slot
+// moves on to the next entry.
+const crypto = require('crypto');
+const moment = require('moment');
+const { sendPatientSMS, sendPatientLINE, sendPatientEmail, sendLINENotification } = require('./notifications');
+
+const DEFAULT_HOLD_MINUTES = 30;
+const WORKER_INTERVAL_MS = 60 * 1000;
+
+const offerSelectClause = `
+    SELECT o.id, o.entry_id, o.clinic_id, o.pt_id, o.token, o.status, o.expires_at,
+           o.source_appointment_id, o.appointment_id,
+           DATE_FORMAT(o.appointment_date, '%Y-%m-%d') AS appointment_date,
+           TIME_FORMAT(o.start_time, '%H:%i:%s') AS start_time,
+           TIME_FORMAT(o.end_time, '%H:%i:%s') AS end_time
+    FROM waitlist_offers o
+`;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+const getHoldMinutes = async (db) => {
+    const [rows] = await db.execute(
+        "SELECT setting_value FROM system_settings WHERE setting_key = 'waitlist_hold_minutes'"
+    );
+    const minutes = rows.length > 0 ? parseInt(rows[0].setting_value) : NaN;
+    return minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+};
+
+const slotStartMoment = (date, time) => moment(`${date} ${time}`, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm']);
+
+// Slots without a PT (public walk-ins) are taken clinic-wide, as in public booking
+const isSlotTaken = async (db, { clinicId, ptId, date, startTime, endTime }) => {
+    let query = `SELECT id FROM appointments
+                 WHERE clinic_id = ? AND appointment_date = ? AND status != 'CANCELLED'
+                   AND start_time < ? AND end_time > ?`;
+    const params = [clinicId, date, endTime, startTime];
+
+    if (ptId) {
+        query += ' AND pt_id = ?';
+        params.push(ptId);
+    }
+
+    const [appointments] = await db.execute(query, params);
+    return appointments.length > 0;
+};
+
+/**
+ * Pending offer holding an overlapping slot, or null
+ * Without ptId any hold at the clinic counts; with ptId only holds for that PT or unassigned holds
+ */
+const findActiveHold = async (db, { clinicId, ptId = null, date, startTime, endTime }) => {
+    const [holds] = await db.execute(
+        `SELECT id, pt_id, DATE_FORMAT(expires_at, '%H:%i') AS held_until
+         FROM waitlist_offers
+         WHERE clinic_id = ? AND appointment_date = ? AND status = 'PENDING' AND expires_at > NOW()
+           AND start_time < ? AND end_time > ?
+           AND (? IS NULL OR pt_id IS NULL OR pt_id = ?)`,
+        [clinicId, date, endTime, startTime, ptId || null, ptId || null]
+    );
+    return holds[0] || null;
+};
+
+// Name and contact details of a waitlist entry
+const getEntryContact = async (db, entry) => {
+    if (!entry.patient_id) {
+        return { name: entry.walk_in_name, phone: entry.walk_in_phone, email: entry.walk_in_email, patientId: null };
+    }
+
+    const [patients] = await db.execute(
+        'SELECT first_name, last_name, phone, email FROM patients WHERE id = ?',
+        [entry.patient_id]
+    );
+    const patient = patients[0] || {};
+
+    return {
+        name: `${patient.first_name || ''} ${patient.last_name || ''}`.trim(),
+        phone: entry.walk_in_phone || patient.phone,
+        email: entry.walk_in_email || patient.email,
+        patientId: entry.patient_id
+    };
+};
+
+// Send the offer link over every channel the person can be reached on
+const sendOffer = async (db, offer, entry) => {
+    const contact = await getEntryContact(db, entry);
+    const [clinics] = await db.execute('SELECT name FROM clinics WHERE id = ?', [offer.clinic_id]);
+    const clinicName = clinics.length > 0 ? clinics[0].name : 'the clinic';
+
+    const link = `${process.env.APP_BASE_URL || ''}/waitlist-offer/${offer.token}`;
+    const when = `${moment(offer.appointment_date).format('DD/MM/YYYY')} ${offer.start_time.substring(0, 5)}-${offer.end_time.substring(0, 5)}`;
+    const heldUntil = moment(offer.expires_at).format('DD/MM/YYYY HH:mm');
+    const message = `A slot has opened at ${clinicName} on ${when}. It is held for you until ${heldUntil}.\nConfirm or decline: ${link}`;
+
+    const channels = [];
+
+    if (contact.phone && await sendPatientSMS(db, contact.phone, message)) {
+        channels.push('SMS');
+    }
+
+    if (contact.patientId && await sendPatientLINE(db, contact.patientId, message)) {
+        channels.push('LINE');
+    }
+
+    if (contact.email) {
+        const html = `
+            <p>Dear ${contact.name || 'patient'},</p>
+            <p>A slot has opened at <strong>${clinicName}</strong> on <strong>${when}</strong>.</p>
+            <p>It is held for you until <strong>${heldUntil}</strong>. After that it is offered to the next person on the waitlist.</p>
+            <p><a href="${link}">Confirm or decline this appointment</a></p>
+        `;
+        if (await sendPatientEmail(db, contact.email, `Appointment slot available - ${when}`, html)) {
+            channels.push('EMAIL');
+        }
+    }
+
+    return channels;
+};
+
+// ========================================
+// OFFERS
+// ========================================
+
+/**
+ * Hold a freed slot for the first matching waitlist entry
+ * @param {Object} db - Database connection
+ * @param {Object} slot - { clinicId, ptId, date, startTime, endTime, sourceAppointmentId }
+ * @returns {Promise<Object|null>} Created offer or null when nobody matches or the slot is gone
+ */
+const offerFreedSlot = async (db, { clinicId, ptId = null, date, startTime, endTime, sourceAppointmentId = null }) => {
+    const slot = { clinicId, ptId, date: moment(date).format('YYYY-MM-DD'), startTime, endTime };
+    const slotStart = slotStartMoment(slot.date, startTime);
+
+    if (!slotStart.isAfter(moment())) return null;
+    if (await isSlotTaken(db, slot) || await findActiveHold(db, slot)) return null;
+
+    // First in line, skipping anyone already offered this exact slot
+    const [entries] = await db.execute(
+        `SELECT e.*
+         FROM waitlist_entries e
+         WHERE e.status = 'WAITING' AND e.clinic_id = ?
+           AND (e.pt_id IS NULL OR e.pt_id = ?)
+           AND ? BETWEEN e.date_from AND e.date_to
+           AND (e.preferred_start_time IS NULL OR e.preferred_start_time <= ?)
+           AND (e.preferred_end_time IS NULL OR e.preferred_end_time >= ?)
+           AND NOT EXISTS (
+               SELECT 1 FROM waitlist_offers o
+               WHERE o.entry_id = e.id AND o.clinic_id = e.clinic_id
+                 AND o.appointment_date = ? AND o.start_time = ?
+           )
+         ORDER BY e.created_at, e.id
+         LIMIT 1`,
+        [clinicId, ptId || null, slot.date, startTime, endTime, slot.date, startTime]
+    );
+
+    if (entries.length === 0) return null;
+
+    const entry = entries[0];
+    const holdMinutes = await getHoldMinutes(db);
+    // Never hold past the start of the appointment itself
+    const expiresAt = moment.min(moment().add(holdMinutes, 'minutes'), slotStart);
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const [result] = await db.execute(
+        `INSERT INTO waitlist_offers
+         (entry_id, clinic_id, pt_id, appointment_date, start_time, end_time, source_appointment_id, token, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [entry.id, clinicId, ptId || null, slot.date, startTime, endTime, sourceAppointmentId,
+         token, expiresAt.format('YYYY-MM-DD HH:mm:ss')]
+    );
+
+    await db.execute("UPDATE waitlist_entries SET status = 'OFFERED' WHERE id = ?", [entry.id]);
+
+    const offer = {
+        id: result.insertId,
+        entry_id: entry.id,
+        clinic_id: clinicId,
+        pt_id: ptId || null,
+        appointment_date: slot.date,
+        start_time: startTime,
+        end_time: endTime,
+        token,
+        expires_at: expiresAt.toDate()
+    };
+
+    const channels = await sendOffer(db, offer, entry);
+    console.log(`[WAITLIST] Offered ${slot.date} ${startTime} at clinic ${clinicId} to entry ${entry.id} via ${channels.join(', ') || 'no channel'}`);
+
+    return { ...offer, channels };
+};
+
+/**
+ * Close a pending offer and pass the slot to the next person in line
+ * @param {string} status - DECLINED or EXPIRED
+ */
+const releaseOffer = async (db, offer, status) => {
+    const [updated] = await db.execute(
+        "UPDATE waitlist_offers SET status = ?, responded_at = NOW() WHERE id = ? AND status = 'PENDING'",
+        [status, offer.id]
+    );
+    if (updated.affectedRows === 0) return null;
+
+    // The person stays on the list for other slots until their date range ends
+    await db.execute(
+        `UPDATE waitlist_entries
+         SET status = IF(date_to >= CURDATE(), 'WAITING', 'EXPIRED')
+         WHERE id = ? AND status = 'OFFERED'`,
+        [offer.entry_id]
+    );
+
+    return offerFreedSlot(db, {
+        clinicId: offer.clinic_id,
+        ptId: offer.pt_id,
+        date: offer.appointment_date,
+        startTime: offer.start_time,
+        endTime: offer.end_time,
+        sourceAppointmentId: offer.source_appointment_id
+    });
+};
+
+const getOfferByToken = async (db, token) => {
+    const [offers] = await db.execute(
+        `SELECT o.*, c.name AS clinic_name, CONCAT_WS(' ', u.first_name, u.last_name) AS pt_name
+         FROM (${offerSelectClause} WHERE o.token = ?) o
+         JOIN clinics c ON o.clinic_id = c.id
+         LEFT JOIN users u ON o.pt_id = u.id`,
+        [token]
+    );
+    return offers[0] || null;
+};
+
+/**
+ * Book the held slot for the waitlisted person
+ * @returns {Promise<Object>} { appointment_id, offer }
+ * @throws {Error} with status 404/400/409/410 when the offer cannot be accepted
+ */
+const acceptOffer = async (db, token) => {
+    const connection = await db.getConnection();
+    let offer;
+    let failure = null;
+    let appointmentId;
+
+    try {
+        await connection.beginTransaction();
+
+        const [offers] = await connection.execute(
+            `${offerSelectClause} WHERE o.token = ? FOR UPDATE`,
+            [token]
+        );
+
+        if (offers.length === 0) {
+            throw Object.assign(new Error('Offer not found'), { status: 404 });
+        }
+
+        offer = offers[0];
+
+        if (offer.status !== 'PENDING') {
+            throw Object.assign(new Error(`This offer has already been ${offer.status.toLowerCase()}`), { status: 400 });
+        }
+
+        if (moment(offer.expires_at).isSameOrBefore(moment())) {
+            failure = Object.assign(new Error('This offer has expired'), { status: 410 });
+        } else if (await isSlotTaken(connection, {
+            clinicId: offer.clinic_id,
+            ptId: offer.pt_id,
+            date: offer.appointment_date,
+            startTime: offer.start_time,
+            endTime: offer.end_time
+        })) {
+            failure = Object.assign(new Error('This slot is no longer available'), { status: 409 });
+        }
+
+        if (failure) {
+            await connection.rollback();
+        } else {
+            const [entries] = await connection.execute('SELECT * FROM waitlist_entries WHERE id = ?', [offer.entry_id]);
+            const entry = entries[0];
+
+            const [result] = await connection.execute(
+                `INSERT INTO appointments
+                 (patient_id, pt_id, clinic_id, appointment_date, start_time, end_time, booking_type,
+                  walk_in_name, walk_in_email, walk_in_phone, status, reason, notes, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'SCHEDULED', ?, 'Booked from waitlist offer', ?)`,
+                [entry.patient_id || null, offer.pt_id, offer.clinic_id, offer.appointment_date, offer.start_time,
+                 offer.end_time, entry.patient_id ? 'OLD_PATIENT' : 'WALK_IN',
+                 entry.patient_id ? null : entry.walk_in_name,
+                 entry.patient_id ? null : entry.walk_in_email,
+                 entry.patient_id ? null : entry.walk_in_phone,
+                 entry.reason, entry.created_by || 1]
+            );
+            appointmentId = result.insertId;
+
+            await connection.execute(
+                "UPDATE waitlist_offers SET status = 'ACCEPTED', responded_at = NOW(), appointment_id = ? WHERE id = ?",
+                [appointmentId, offer.id]
+            );
+            await connection.execute("UPDATE waitlist_entries SET status = 'BOOKED' WHERE id = ?", [offer.entry_id]);
+
+            await connection.commit();
+        }
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    if (failure) {
+        await releaseOffer(db, offer, 'EXPIRED');
+        throw failure;
+    }
+
+    const notificationMessage = `Waitlist Slot Booked\n\nAppointment ID: ${appointmentId}\nDate: ${moment(offer.appointment_date).format('DD/MM/YYYY')}\nTime: ${offer.start_time} - ${offer.end_time}`;
+    sendLINENotification(db, 'newAppointment', notificationMessage)
+        .catch(err => console.warn('Failed to send waitlist booking notification:', err.message));
+
+    return { appointment_id: appointmentId, offer };
+};
+
+const declineOffer = async (db, token) => {
+    const offer = await getOfferByToken(db, token);
+    if (!offer) {
+        throw Object.assign(new Error('Offer not found'), { status: 404 });
+    }
+    if (offer.status !== 'PENDING') {
+        throw Object.assign(new Error(`This offer has already been ${offer.status.toLowerCase()}`), { status: 400 });
+    }
+
+    await releaseOffer(db, offer, 'DECLINED');
+    return offer;
+};
+
+// ========================================
+// BACKGROUND WORKER
+// ========================================
+
+// Expire lapsed holds (passing their slots on) and entries past their date range
+const expireOffers = async (db) => {
+    const [offers] = await db.execute(
+        `${offerSelectClause} WHERE o.status = 'PENDING' AND o.expires_at <= NOW()`
+    );
+
+    for (const offer of offers) {
+        await releaseOffer(db, offer, 'EXPIRED');
+    }
+
+    await db.execute(
+        "UPDATE waitlist_entries SET status = 'EXPIRED' WHERE status = 'WAITING' AND date_to < CURDATE()"
+    );
+
+    return offers.length;
+};
+
+const startWaitlistWorker = (db) => {
+    const timer = setInterval(() => {
+        expireOffers(db).catch(err => console.error('Waitlist worker error:', err));
+    }, WORKER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    findActiveHold,
+    offerFreedSlot,
+    getOfferByToken,
+    acceptOffer,
+    declineOffer,
+    expireOffers,
+    startWaitlistWorker
+};